@@ -1,9 +1,15 @@
 import axios from 'axios';
 import { ConfigManager } from '../config/ConfigManager.js';
+import { RetryPolicy } from '../utils/RetryPolicy.js';
+import { RateLimiter } from '../utils/RateLimiter.js';
+import { CircuitBreaker } from '../utils/CircuitBreaker.js';
+
+// Session fields the update request takes but the create request does not
+const SESSION_UPDATE_ONLY_FIELDS = ['sessionTracks', 'sessionTags'];
 
 /**
  * Current System API Client - Handles all communication with the current Orchestrate system
- * Supports both Event API and Files API endpoints
+ * Supports Event API, Files API and Auth API endpoints
  */
 export class CurrentSystemApiClient {
   constructor(config, logger) {
@@ -11,10 +17,59 @@ export class CurrentSystemApiClient {
     this.logger = logger;
     this.eventApiConfig = config.current.eventApi;
     this.filesApiConfig = config.current.filesApi;
+    this.authApiConfig = config.current.authApi;
+    
+    // Retry transient failures (network errors, 429, 5xx) per migration.retrySettings
+    this.retryPolicy = RetryPolicy.fromConfig(config.migration, logger);
     
     // Create separate axios instances for each API
     this.eventApiClient = this.createApiClient('event', this.eventApiConfig);
     this.filesApiClient = this.createApiClient('files', this.filesApiConfig);
+    this.authApiClient = this.authApiConfig ? this.createApiClient('auth', this.authApiConfig) : null;
+    
+    // Optional journal of creates/updates used for rollback
+    this.mutationRecorder = null;
+    
+    // Read-only clients refuse anything but GET (dry runs)
+    this.readOnly = false;
+  }
+
+  /**
+   * Allow only GET requests, guaranteeing that nothing in the current system is changed
+   */
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+  }
+
+  /**
+   * Reject mutating requests while the client is read-only
+   */
+  assertWritable(method, endpointKey) {
+    if (this.readOnly && method !== 'GET') {
+      throw new Error(`Refusing ${method} ${endpointKey} - current system client is read-only (dry run)`);
+    }
+  }
+
+  /**
+   * Attach a recorder that journals every create and update for rollback
+   */
+  setMutationRecorder(recorder) {
+    this.mutationRecorder = recorder;
+  }
+
+  /**
+   * Record a create or update with the attached recorder
+   */
+  recordMutation(operation, entityType, id, eventId, before = null) {
+    if (!this.mutationRecorder || !id) {
+      return;
+    }
+    
+    try {
+      this.mutationRecorder.recordMutation({ operation, entityType, id, eventId, before });
+    } catch (error) {
+      this.logger.warn(`Failed to journal ${operation} of ${entityType} ${id}: ${error.message}`);
+    }
   }
 
   /**
@@ -26,6 +81,15 @@ export class CurrentSystemApiClient {
       timeout: this.config.migration.httpTimeout,
       headers: ConfigManager.getAuthHeaders(`current-${apiType}`)
     });
+    
+    // Every attempt (including retries) waits for the shared limiter of this API
+    RateLimiter.forTarget(`current-${apiType}`, this.config.migration).attach(client);
+    this.retryPolicy.attach(client, `current ${apiType}`);
+    
+    // Pause all requests to this API while it is down, probing with its health endpoint
+    const circuitBreaker = CircuitBreaker.forTarget(`current-${apiType}`, this.config.migration, this.logger);
+    circuitBreaker.attach(client);
+    circuitBreaker.setHealthCheck(() => client.get('/health', { circuitProbe: true, retry: false, timeout: 5000 }));
 
     // Setup interceptors
     this.setupInterceptors(client, apiType);
@@ -104,6 +168,8 @@ export class CurrentSystemApiClient {
    * Generic request method for Event API
    */
   async eventApiRequest(method, endpointKey, data = null, params = {}) {
+    this.assertWritable(method, endpointKey);
+    
     try {
       const url = ConfigManager.buildEndpointUrl('current-event', endpointKey, params);
       const config = { method, url };
@@ -138,6 +204,8 @@ export class CurrentSystemApiClient {
    * Generic request method for Files API
    */
   async filesApiRequest(method, endpointKey, data = null, params = {}) {
+    this.assertWritable(method, endpointKey);
+    
     try {
       const url = ConfigManager.buildEndpointUrl('current-files', endpointKey, params);
       const config = { method, url };
@@ -168,6 +236,28 @@ export class CurrentSystemApiClient {
     }
   }
 
+  /**
+   * Generic request method for Auth API
+   */
+  async authApiRequest(method, endpointKey, data = null, params = {}) {
+    this.assertWritable(method, endpointKey);
+    
+    if (!this.authApiClient) {
+      throw new Error(`Cannot ${method} ${endpointKey} - no current.authApi configured`);
+    }
+    
+    try {
+      const url = ConfigManager.buildEndpointUrl('current-auth', endpointKey, params);
+      const response = await this.authApiClient.request({ method, url, ...(data && { data }) });
+      
+      // Role changes answer 200 without a body
+      return response.data;
+    } catch (error) {
+      this.logger.error(`Failed to ${method} ${endpointKey}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Test connection to current system APIs
    */
@@ -223,6 +313,7 @@ export class CurrentSystemApiClient {
         eventId: roomData.eventId 
       });
       this.logger.info(`✅ Room created with ID: ${response.id}`);
+      this.recordMutation('create', 'room', response.id, roomData.eventId);
       return response;
     } catch (error) {
       // Handle duplicate room gracefully
@@ -296,10 +387,16 @@ export class CurrentSystemApiClient {
   async createOrUpdateSession(sessionData) {
     try {
       this.logger.info(`Creating session: ${sessionData.name}`);
-      const response = await this.eventApiRequest('POST', 'sessions', sessionData, { 
+      const { create, update } = CurrentSystemApiClient.splitSessionPayload(sessionData);
+      const response = await this.eventApiRequest('POST', 'sessions', create, { 
         eventId: sessionData.eventId 
       });
       this.logger.info(`✅ Session created with ID: ${response.id}`);
+      this.recordMutation('create', 'session', response.id, sessionData.eventId);
+      
+      if (update) {
+        await this.updateSessionDetails(response.id, sessionData.eventId, update);
+      }
       return response;
     } catch (error) {
       // Handle duplicate session with overwrite
@@ -313,8 +410,10 @@ export class CurrentSystemApiClient {
           if (existingSession) {
             // Update existing session
             this.logger.info(`📝 Updating existing session with ID: ${existingSession.id}`);
-            const updatedSession = await this.updateSession(existingSession.id, sessionData);
+            const { create, update } = CurrentSystemApiClient.splitSessionPayload(sessionData);
+            const updatedSession = await this.updateSession(existingSession.id, { ...create, ...update });
             this.logger.info(`✅ Session updated with ID: ${updatedSession.id}`);
+            this.recordMutation('update', 'session', existingSession.id, sessionData.eventId, existingSession);
             return updatedSession;
           }
         } catch (updateError) {
@@ -336,6 +435,30 @@ export class CurrentSystemApiClient {
     }
   }
 
+  /**
+   * Split a session payload into the create request and the fields only the update takes (null when there are none)
+   * Metadata keeps legacy values the current system has no field for, so it is sent with neither
+   */
+  static splitSessionPayload(sessionData) {
+    const { metadata, ...fields } = sessionData;
+    const create = Object.fromEntries(Object.entries(fields).filter(([field]) => !SESSION_UPDATE_ONLY_FIELDS.includes(field)));
+    const update = Object.fromEntries(Object.entries(fields).filter(([field]) => SESSION_UPDATE_ONLY_FIELDS.includes(field)));
+    
+    return { create, update: Object.keys(update).length > 0 ? update : null };
+  }
+
+  /**
+   * Send the tracks and tags of a session just created
+   */
+  async updateSessionDetails(sessionId, eventId, details) {
+    try {
+      this.logger.info(`Updating tracks and tags of session: ${sessionId}`);
+      return await this.eventApiRequest('PUT', 'sessionById', { id: sessionId, ...details }, { eventId, sessionId });
+    } catch (error) {
+      throw new Error(`Failed to update tracks and tags of session "${sessionId}": ${error.message}`);
+    }
+  }
+
   /**
    * Update existing session
    */
@@ -394,6 +517,7 @@ export class CurrentSystemApiClient {
         // Update existing subsession
         const updatedSubSession = await this.updateSubSession(existingSubSession.id, subSessionData, targetEventId);
         this.logger.info(`✅ SubSession updated with ID: ${updatedSubSession.id}`);
+        this.recordMutation('update', 'subSession', existingSubSession.id, targetEventId, existingSubSession);
         return updatedSubSession;
       }
     } catch (checkError) {
@@ -408,6 +532,7 @@ export class CurrentSystemApiClient {
         eventId: targetEventId 
       });
       this.logger.info(`✅ SubSession created with ID: ${response.id}`);
+      this.recordMutation('create', 'subSession', response.id, targetEventId);
       return response;
     } catch (error) {
       // Handle duplicate subsession with overwrite (fallback for API 409 responses)
@@ -425,6 +550,7 @@ export class CurrentSystemApiClient {
             this.logger.info(`📝 Updating existing subsession with ID: ${existingSubSession.id}`);
             const updatedSubSession = await this.updateSubSession(existingSubSession.id, subSessionData, targetEventId);
             this.logger.info(`✅ SubSession updated with ID: ${updatedSubSession.id}`);
+            this.recordMutation('update', 'subSession', existingSubSession.id, targetEventId, existingSubSession);
             return updatedSubSession;
           }
         } catch (updateError) {
@@ -508,6 +634,7 @@ export class CurrentSystemApiClient {
         eventId: userData.eventId 
       });
       this.logger.info(`✅ User created with ID: ${response.id}`);
+      this.recordMutation('create', 'user', response.id, userData.eventId);
       return response;
     } catch (error) {
       throw new Error(`Failed to create user "${userData.email}": ${error.message}`);
@@ -524,12 +651,57 @@ export class CurrentSystemApiClient {
         eventId: moderatorData.eventId 
       });
       this.logger.info(`✅ Moderator created with ID: ${response.id}`);
+      this.recordMutation('create', 'moderator', response.id, moderatorData.eventId);
       return response;
     } catch (error) {
       throw new Error(`Failed to create moderator: ${error.message}`);
     }
   }
 
+  /**
+   * Link a user to a subsession they present
+   */
+  async createPresenter(presenterData) {
+    try {
+      this.logger.info(`Creating presenter relationship for user ${presenterData.userId} on subsession ${presenterData.subSessionId}`);
+      const response = await this.eventApiRequest('POST', 'presenters', presenterData, {
+        eventId: presenterData.eventId
+      });
+      this.logger.info(`✅ Presenter created with ID: ${response.id}`);
+      this.recordMutation('create', 'presenter', response.id, presenterData.eventId);
+      return response;
+    } catch (error) {
+      throw new Error(`Failed to create presenter: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add event roles to a user through the Auth API
+   */
+  async addUserRoles(eventId, roleData) {
+    try {
+      this.logger.info(`Adding roles ${roleData.roles.join(', ')} to user: ${roleData.userName}`);
+      const response = await this.authApiRequest('POST', 'addUserRole', roleData, { eventId });
+      // A grant has no ID of its own - journal it under the user name, with the granted roles for the revoke
+      this.recordMutation('create', 'userRole', roleData.userName, eventId, { roles: roleData.roles });
+      return response;
+    } catch (error) {
+      throw new Error(`Failed to add roles to user "${roleData.userName}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove event roles from a user through the Auth API
+   */
+  async removeUserRoles(eventId, roleData) {
+    try {
+      this.logger.info(`Removing roles ${roleData.roles.join(', ')} from user: ${roleData.userName}`);
+      return await this.authApiRequest('POST', 'removeUserRole', roleData, { eventId });
+    } catch (error) {
+      throw new Error(`Failed to remove roles from user "${roleData.userName}": ${error.message}`);
+    }
+  }
+
   /**
    * Create session file
    */
@@ -538,6 +710,7 @@ export class CurrentSystemApiClient {
       this.logger.info(`Creating session file: ${fileData.originalFileName}`);
       const response = await this.filesApiRequest('POST', 'sessionFiles', fileData);
       this.logger.info(`✅ Session file created with ID: ${response.id}`);
+      this.recordMutation('create', 'sessionFile', response.id, fileData.eventId);
       return response;
     } catch (error) {
       throw new Error(`Failed to create session file "${fileData.originalFileName}": ${error.message}`);
@@ -552,6 +725,7 @@ export class CurrentSystemApiClient {
       this.logger.info(`Creating subsession file: ${fileData.originalFileName}`);
       const response = await this.filesApiRequest('POST', 'subSessionFiles', fileData);
       this.logger.info(`✅ SubSession file created with ID: ${response.id}`);
+      this.recordMutation('create', 'subSessionFile', response.id, fileData.eventId);
       return response;
     } catch (error) {
       throw new Error(`Failed to create subsession file "${fileData.originalFileName}": ${error.message}`);
@@ -566,6 +740,7 @@ export class CurrentSystemApiClient {
       this.logger.info(`Creating user file: ${fileData.originalFileName}`);
       const response = await this.filesApiRequest('POST', 'userFiles', fileData);
       this.logger.info(`✅ User file created with ID: ${response.id}`);
+      this.recordMutation('create', 'userFile', response.id, fileData.eventId);
       return response;
     } catch (error) {
       throw new Error(`Failed to create user file "${fileData.originalFileName}": ${error.message}`);
@@ -580,6 +755,7 @@ export class CurrentSystemApiClient {
       this.logger.info(`Creating moderator file: ${fileData.originalFileName}`);
       const response = await this.filesApiRequest('POST', 'moderatorFiles', fileData);
       this.logger.info(`✅ Moderator file created with ID: ${response.id}`);
+      this.recordMutation('create', 'moderatorFile', response.id, fileData.eventId);
       return response;
     } catch (error) {
       throw new Error(`Failed to create moderator file "${fileData.originalFileName}": ${error.message}`);
@@ -613,6 +789,90 @@ export class CurrentSystemApiClient {
     }
   }
 
+  /**
+   * Delete room
+   */
+  async deleteRoom(eventId, roomId) {
+    try {
+      this.logger.info(`Deleting room: ${roomId}`);
+      return await this.eventApiRequest('DELETE', 'roomById', null, { eventId, roomId });
+    } catch (error) {
+      throw new Error(`Failed to delete room "${roomId}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete session
+   */
+  async deleteSession(eventId, sessionId) {
+    try {
+      this.logger.info(`Deleting session: ${sessionId}`);
+      return await this.eventApiRequest('DELETE', 'sessionById', null, { eventId, sessionId });
+    } catch (error) {
+      throw new Error(`Failed to delete session "${sessionId}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete subsession
+   */
+  async deleteSubSession(eventId, subSessionId) {
+    try {
+      this.logger.info(`Deleting subsession: ${subSessionId}`);
+      return await this.eventApiRequest('DELETE', 'subSessionById', null, { eventId, subSessionId });
+    } catch (error) {
+      throw new Error(`Failed to delete subsession "${subSessionId}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete user
+   */
+  async deleteUser(eventId, userId) {
+    try {
+      this.logger.info(`Deleting user: ${userId}`);
+      return await this.eventApiRequest('DELETE', 'userById', null, { eventId, userId });
+    } catch (error) {
+      throw new Error(`Failed to delete user "${userId}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete moderator
+   */
+  async deleteModerator(eventId, moderatorId) {
+    try {
+      this.logger.info(`Deleting moderator: ${moderatorId}`);
+      return await this.eventApiRequest('DELETE', 'moderatorById', null, { eventId, moderatorId });
+    } catch (error) {
+      throw new Error(`Failed to delete moderator "${moderatorId}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete presenter
+   */
+  async deletePresenter(eventId, presenterId) {
+    try {
+      this.logger.info(`Deleting presenter: ${presenterId}`);
+      return await this.eventApiRequest('DELETE', 'presenterById', null, { eventId, presenterId });
+    } catch (error) {
+      throw new Error(`Failed to delete presenter "${presenterId}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete file (sessionFile, subSessionFile, userFile, moderatorFile, or file for uploads without an owner)
+   */
+  async deleteFile(fileKind, fileId) {
+    try {
+      this.logger.info(`Deleting ${fileKind}: ${fileId}`);
+      return await this.filesApiRequest('DELETE', `${fileKind}ById`, null, { fileId });
+    } catch (error) {
+      throw new Error(`Failed to delete ${fileKind} "${fileId}": ${error.message}`);
+    }
+  }
+
   /**
    * Get event by ID
    */
@@ -694,6 +954,32 @@ export class CurrentSystemApiClient {
     }
   }
 
+  /**
+   * Get users for an event
+   */
+  async getUsers(eventId) {
+    try {
+      this.logger.info(`Fetching users for event: ${eventId}`);
+      const response = await this.eventApiRequest('GET', 'users', null, { eventId });
+      return response || [];
+    } catch (error) {
+      throw new Error(`Failed to fetch users for event ${eventId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all files for an event from the Files API
+   */
+  async getEventFiles(eventId) {
+    try {
+      this.logger.info(`Fetching files for event: ${eventId}`);
+      const response = await this.filesApiRequest('GET', 'eventFiles', null, { eventId });
+      return response || [];
+    } catch (error) {
+      throw new Error(`Failed to fetch files for event ${eventId}: ${error.message}`);
+    }
+  }
+
   /**
    * Get connection status
    */
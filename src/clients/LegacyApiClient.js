@@ -1,5 +1,8 @@
 import axios from 'axios';
 import { ConfigManager } from '../config/ConfigManager.js';
+import { RetryPolicy } from '../utils/RetryPolicy.js';
+import { RateLimiter } from '../utils/RateLimiter.js';
+import { CircuitBreaker } from '../utils/CircuitBreaker.js';
 
 /**
  * Legacy API Client - Handles all communication with the legacy Orchestrate system
@@ -19,6 +22,23 @@ export class LegacyApiClient {
       headers: ConfigManager.getAuthHeaders('legacy')
     });
     
+    // Every attempt (including retries) waits for the shared legacy rate limiter
+    this.rateLimiter = RateLimiter.forTarget('legacy', config.migration);
+    this.rateLimiter.attach(this.httpClient);
+    
+    // Retry transient failures (network errors, 429, 5xx) per migration.retrySettings
+    this.retryPolicy = RetryPolicy.fromConfig(config.migration, logger);
+    this.retryPolicy.attach(this.httpClient, 'legacy');
+    
+    // Pause all legacy requests while the API is down, probing with the connection test request
+    this.circuitBreaker = CircuitBreaker.forTarget('legacy', config.migration, logger);
+    this.circuitBreaker.attach(this.httpClient);
+    this.circuitBreaker.setHealthCheck(() => this.httpClient.get(`/v2/events?apiKey=${this.config.legacy.apiKey}`, {
+      circuitProbe: true,
+      retry: false,
+      timeout: 5000
+    }));
+    
     // Setup request/response interceptors
     this.setupInterceptors();
   }
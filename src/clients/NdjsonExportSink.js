@@ -0,0 +1,205 @@
+import { existsSync, mkdirSync, readFileSync, appendFileSync, copyFileSync, statSync, writeFileSync, accessSync, constants } from 'fs';
+import { join } from 'path';
+import { CurrentSystemApiClient } from './CurrentSystemApiClient.js';
+
+const ENTITY_FILES = {
+  room: 'rooms.ndjson',
+  session: 'sessions.ndjson',
+  subSession: 'subSessions.ndjson',
+  user: 'users.ndjson',
+  moderator: 'moderators.ndjson',
+  presenter: 'presenters.ndjson',
+  userRole: 'userRoles.ndjson',
+  file: 'files.ndjson'
+};
+
+/**
+ * NDJSON Export Sink - Writes the payloads a migration would send to the current system into NDJSON files
+ * Stands in for CurrentSystemApiClient (and the Files API upload), so nothing is sent to the Event or Files API
+ *
+ * Layout:
+ *   rooms.ndjson, sessions.ndjson, subSessions.ndjson, users.ndjson, moderators.ndjson, presenters.ndjson,
+ *   userRoles.ndjson, files.ndjson
+ *   files/<exportId>-<fileName>
+ * Each line is { id, payload } - `payload` is exactly the request body, `id` the export ID that child payloads reference
+ * Session tracks and tags follow their session's line as { id, operation: "update", payload }, like the PUT the API gets
+ */
+export class NdjsonExportSink {
+  constructor(exportDir, logger) {
+    this.exportDir = exportDir;
+    this.logger = logger;
+
+    mkdirSync(join(exportDir, 'files'), { recursive: true });
+
+    // Continue numbering after lines of an earlier (resumed) run so export IDs stay unique
+    this.sequences = Object.fromEntries(Object.entries(ENTITY_FILES).map(([entityType, fileName]) => {
+      const filePath = join(exportDir, fileName);
+      // Update lines reuse the ID of the entity they follow
+      const lines = existsSync(filePath) ? readFileSync(filePath, 'utf8').split('\n').filter(line => line && !JSON.parse(line).operation).length : 0;
+      return [entityType, lines];
+    }));
+
+    this.statistics = Object.fromEntries(Object.keys(ENTITY_FILES).map(entityType => [entityType, 0]));
+  }
+
+  /**
+   * Check that the export directory is writable
+   */
+  async testConnection() {
+    accessSync(this.exportDir, constants.W_OK);
+    this.logger.info(`✅ Exporting to ${this.exportDir} - nothing will be sent to the current system`);
+    return true;
+  }
+
+  /**
+   * Exports never change the current system - nothing to guard or journal
+   */
+  setReadOnly() {}
+
+  setMutationRecorder() {}
+
+  recordMutation() {}
+
+  /**
+   * Append one payload to its entity file and return the entity as the API would
+   */
+  write(entityType, payload, extra = {}) {
+    const id = `${entityType}-${++this.sequences[entityType]}`;
+    this.append(entityType, { id, ...extra, payload });
+    this.statistics[entityType]++;
+    return { ...payload, id };
+  }
+
+  /**
+   * Append one line to an entity file
+   */
+  append(entityType, line) {
+    appendFileSync(join(this.exportDir, ENTITY_FILES[entityType]), `${JSON.stringify(line)}\n`);
+  }
+
+  /**
+   * Get the target event (the export is written for this event ID)
+   */
+  async getEvent(eventId) {
+    return { id: eventId };
+  }
+
+  /**
+   * Get event locations - rooms reference the target event ID as their location unless the legacy room has one
+   */
+  async getEventLocations(eventId) {
+    return [{ id: eventId }];
+  }
+
+  /**
+   * Export a room
+   */
+  async createOrUpdateRoom(roomData) {
+    return this.write('room', roomData);
+  }
+
+  /**
+   * Export a session
+   */
+  async createOrUpdateSession(sessionData) {
+    // Split like the API client: metadata is never sent, tracks and tags go in an update of the created session
+    const { create, update } = CurrentSystemApiClient.splitSessionPayload(sessionData);
+    const session = this.write('session', create);
+    
+    if (update) {
+      this.append('session', { id: session.id, operation: 'update', payload: { id: session.id, ...update } });
+    }
+    
+    return session;
+  }
+
+  /**
+   * Export a subsession
+   */
+  async createOrUpdateSubSession(subSessionData) {
+    return this.write('subSession', subSessionData);
+  }
+
+  /**
+   * Export a user
+   */
+  async createUser(userData) {
+    return this.write('user', userData);
+  }
+
+  /**
+   * Export a moderator
+   */
+  async createModerator(moderatorData) {
+    return this.write('moderator', moderatorData);
+  }
+
+  /**
+   * Export a presenter
+   */
+  async createPresenter(presenterData) {
+    return this.write('presenter', presenterData);
+  }
+
+  /**
+   * Export an Auth API role request - the event ID is part of its route, not its body
+   */
+  async addUserRoles(eventId, roleData) {
+    return this.write('userRole', roleData, { eventId });
+  }
+
+  /**
+   * Copy a downloaded file binary next to the NDJSON files and record its metadata
+   */
+  async writeFile(filePath, fileMetadata, fileKind) {
+    const id = `file-${this.sequences.file + 1}`;
+    const binary = `files/${id}-${String(fileMetadata.originalFileName || 'file').replace(/[\\/:*?"<>|]/g, '_')}`;
+
+    copyFileSync(filePath, join(this.exportDir, binary));
+    const { size } = statSync(join(this.exportDir, binary));
+
+    const file = this.write('file', fileMetadata, { kind: fileKind, binary, fileSizeInBytes: size });
+    return { ...file, fileSizeInBytes: size };
+  }
+
+  /**
+   * List the exported files, as the Files API would list an event's files
+   */
+  async getEventFiles() {
+    const filePath = join(this.exportDir, ENTITY_FILES.file);
+
+    if (!existsSync(filePath)) {
+      return [];
+    }
+
+    return readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => {
+      const { id, fileSizeInBytes } = JSON.parse(line);
+      return { id, fileSizeInBytes };
+    });
+  }
+
+  /**
+   * Write export.json summarizing what this run exported
+   */
+  finish(configuration) {
+    const summary = {
+      kind: 'current-system-export',
+      legacyEventName: configuration.legacyEventName,
+      targetEventId: configuration.targetEventId,
+      exportedAt: new Date().toISOString(),
+      counts: { ...this.statistics },
+      files: ENTITY_FILES
+    };
+
+    writeFileSync(join(this.exportDir, 'export.json'), JSON.stringify(summary, null, 2));
+    this.logger.info(`📤 Export written to ${this.exportDir}: ${JSON.stringify(this.statistics)}`);
+    return summary;
+  }
+
+  /**
+   * Get connection status
+   */
+  getConnectionStatus() {
+    return { destination: `ndjson:${this.exportDir}` };
+  }
+}
@@ -0,0 +1,185 @@
+import { existsSync, readFileSync, createReadStream } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { SnapshotService } from '../services/SnapshotService.js';
+
+/**
+ * Snapshot Legacy Source - Serves a legacy event from a snapshot directory instead of the legacy API
+ * Implements the LegacyApiClient methods the migration uses, so migrations can be rehearsed offline
+ */
+export class SnapshotLegacySource {
+  constructor(snapshotDir, logger) {
+    this.snapshotDir = snapshotDir;
+    this.logger = logger;
+    this.manifest = SnapshotService.readManifest(snapshotDir);
+    this.records = new Map();
+  }
+
+  /**
+   * Read a JSON record file of the snapshot (missing files read as an empty list)
+   */
+  readRecords(relativePath) {
+    if (!this.records.has(relativePath)) {
+      const filePath = join(this.snapshotDir, relativePath);
+      this.records.set(relativePath, existsSync(filePath) ? JSON.parse(readFileSync(filePath, 'utf8')) : []);
+    }
+    return this.records.get(relativePath);
+  }
+
+  /**
+   * Reject requests for an event other than the one in the snapshot
+   */
+  assertEvent(eventName) {
+    if (eventName && eventName.toLowerCase() !== String(this.manifest.legacyEventName).toLowerCase()) {
+      throw new Error(`Snapshot ${this.snapshotDir} contains event "${this.manifest.legacyEventName}", not "${eventName}"`);
+    }
+  }
+
+  /**
+   * Check that the snapshot's record files and binaries still match the hashes in its manifest
+   */
+  async testConnection() {
+    const hashed = [
+      ...Object.entries(this.manifest.records || {}),
+      ...Object.values(this.manifest.binaries || {}).map(binary => [binary.path, binary])
+    ];
+
+    for (const [relativePath, { sha256 }] of hashed) {
+      const actual = await SnapshotLegacySource.hashFile(join(this.snapshotDir, relativePath));
+
+      if (actual !== sha256) {
+        throw new Error(`Snapshot file ${relativePath} is ${actual ? 'modified' : 'missing'} - the snapshot is not intact`);
+      }
+    }
+
+    this.logger.info(`✅ Snapshot of "${this.manifest.legacyEventName}" (captured ${this.manifest.capturedAt}) verified`);
+    return true;
+  }
+
+  /**
+   * SHA-256 of a snapshot file, streamed since binaries can be large (null when the file is missing)
+   */
+  static async hashFile(filePath) {
+    if (!existsSync(filePath)) {
+      return null;
+    }
+
+    const hash = createHash('sha256');
+    for await (const chunk of createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Get event information
+   */
+  async getEvent(eventName) {
+    this.assertEvent(eventName);
+    return this.readRecords('event.json');
+  }
+
+  /**
+   * Get rooms for an event
+   */
+  async getRooms(eventName) {
+    this.assertEvent(eventName);
+    return this.readRecords('rooms.json');
+  }
+
+  /**
+   * Get specific room information
+   */
+  async getRoom(eventName, roomName) {
+    const room = (await this.getRooms(eventName)).find(r => r.RoomName === roomName || r.name === roomName);
+
+    if (!room) {
+      throw new Error(`Room '${roomName}' not found in event '${eventName}'`);
+    }
+
+    return room;
+  }
+
+  /**
+   * Get sessions for an event/room
+   */
+  async getSessions(eventName, roomId = null) {
+    const rooms = await this.getRooms(eventName);
+
+    if (roomId) {
+      const room = rooms.find(r => String(r.RoomId) === String(roomId)) || { RoomId: roomId };
+      return this.readRecords(join(SnapshotService.getRoomDir(room), 'sessions.json'));
+    }
+
+    return rooms.flatMap(room => this.readRecords(join(SnapshotService.getRoomDir(room), 'sessions.json')));
+  }
+
+  /**
+   * Get sub-sessions for an event/session
+   */
+  async getSubSessions(eventName, sessionId = null) {
+    const sessions = await this.getSessions(eventName);
+
+    return sessions
+      .filter(session => !sessionId || String(session.SessionId) === String(sessionId))
+      .flatMap(session => session.SubSessions || session.subSessions || []);
+  }
+
+  /**
+   * Get users for an event/room
+   */
+  async getUsers(eventName, roomId = null) {
+    this.assertEvent(eventName);
+    const users = this.readRecords('users.json');
+    return roomId ? users.filter(user => user.roomId === roomId) : users;
+  }
+
+  /**
+   * Get moderators for an event/room
+   */
+  async getModerators(eventName, roomName = null) {
+    this.assertEvent(eventName);
+    const moderators = this.readRecords('moderators.json');
+    return roomName ? moderators.filter(moderator => moderator.roomName === roomName) : moderators;
+  }
+
+  /**
+   * Get files for an event/room
+   */
+  async getFiles(eventName, roomName = null) {
+    const rooms = await this.getRooms(eventName);
+    const selected = roomName
+      ? rooms.filter(room => (room.RoomName || room.name || room.roomName || room.Name || room.DisplayName) === roomName)
+      : rooms;
+
+    const files = selected.flatMap(room => this.readRecords(join(SnapshotService.getRoomDir(room), 'files.json')));
+
+    // A file listed in several rooms is one event file
+    if (!roomName) {
+      const seen = new Set();
+      return files.filter(file => {
+        const fileId = file.WalkInFileId || file.FileId || file.id;
+        if (seen.has(fileId)) return false;
+        seen.add(fileId);
+        return true;
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * Open a file binary stored in the snapshot
+   */
+  async downloadFile(eventName, fileId, filePath, subSessionId = null) {
+    this.assertEvent(eventName);
+    const binary = this.manifest.binaries?.[fileId];
+
+    if (!binary) {
+      throw new Error(`Snapshot has no binary for file ${fileId}${this.manifest.skipFiles ? ' (captured with --skip-files)' : ''}`);
+    }
+
+    this.logger.info(`Reading file: ${fileId} from snapshot`);
+    return createReadStream(join(this.snapshotDir, binary.path));
+  }
+}
@@ -0,0 +1,397 @@
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join, extname, basename } from 'path';
+import readXlsxFile from 'read-excel-file/node';
+import { ConfigManager } from '../config/ConfigManager.js';
+
+const TABLE_EXTENSIONS = ['.csv', '.xlsx'];
+
+/**
+ * Spreadsheet Legacy Source - Serves an event from client spreadsheets (CSV or XLSX) instead of the legacy API
+ * Rows are mapped to the legacy record shapes ValidationService expects, so the whole pipeline runs unchanged
+ *
+ * Tables (a file per table, or a sheet of that name in any .xlsx of the directory):
+ *   rooms (required), sessions, subsessions, presenters
+ * Column headers are matched case-insensitively using config/spreadsheet-mapping.json,
+ * overridden per table by an optional mapping.json in the source directory
+ */
+export class SpreadsheetLegacySource {
+  constructor(sourceDir, logger, { mapping = null } = {}) {
+    this.sourceDir = sourceDir;
+    this.logger = logger;
+
+    if (!existsSync(sourceDir)) {
+      throw new Error(`Spreadsheet source directory ${sourceDir} does not exist`);
+    }
+
+    this.mapping = SpreadsheetLegacySource.mergeMapping(
+      mapping || ConfigManager.loadSpreadsheetMapping(),
+      SpreadsheetLegacySource.readMappingOverride(sourceDir)
+    );
+    this.loading = null;
+  }
+
+  /**
+   * Read the optional mapping.json of a source directory
+   */
+  static readMappingOverride(sourceDir) {
+    const mappingPath = join(sourceDir, 'mapping.json');
+
+    if (!existsSync(mappingPath)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(readFileSync(mappingPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Column mapping ${mappingPath} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Merge a mapping override into the default mapping, table by table and column by column
+   */
+  static mergeMapping(defaults, override) {
+    const merged = {};
+
+    for (const table of new Set([...Object.keys(defaults), ...Object.keys(override)])) {
+      merged[table] = {
+        sheet: override[table]?.sheet || defaults[table]?.sheet || table,
+        columns: { ...defaults[table]?.columns, ...override[table]?.columns }
+      };
+    }
+
+    return merged;
+  }
+
+  /**
+   * Normalize a header or sheet name for matching ("Sub Session_ID" -> "subsessionid")
+   */
+  static normalizeName(name) {
+    return String(name ?? '').toLowerCase().replace(/[\s_-]+/g, '');
+  }
+
+  /**
+   * Parse CSV text into rows of cells (RFC 4180 quoting; ";" is used when the header has more of them than ",")
+   */
+  static parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Find the file or workbook sheet holding a table
+   */
+  findTable(sheetName) {
+    const wanted = SpreadsheetLegacySource.normalizeName(sheetName);
+    const files = readdirSync(this.sourceDir).filter(file => TABLE_EXTENSIONS.includes(extname(file).toLowerCase()));
+
+    const file = files.find(name => SpreadsheetLegacySource.normalizeName(basename(name, extname(name))) === wanted);
+    if (file) {
+      return { path: join(this.sourceDir, file), sheet: null };
+    }
+
+    // Otherwise a sheet of that name in any workbook
+    const workbooks = files.filter(name => extname(name).toLowerCase() === '.xlsx');
+    return workbooks.length > 0 ? { workbooks: workbooks.map(name => join(this.sourceDir, name)), sheet: wanted } : null;
+  }
+
+  /**
+   * Read the rows of a table (header row first), or null when the directory has no such table
+   */
+  async readRows(sheetName) {
+    const location = this.findTable(sheetName);
+
+    if (!location) {
+      return null;
+    }
+
+    if (location.path && extname(location.path).toLowerCase() === '.csv') {
+      return SpreadsheetLegacySource.parseCsv(readFileSync(location.path, 'utf8'));
+    }
+
+    if (location.path) {
+      const [first] = await readXlsxFile(location.path);
+      return first?.data || [];
+    }
+
+    for (const workbook of location.workbooks) {
+      const sheets = await readXlsxFile(workbook);
+      const match = sheets.find(({ sheet }) => SpreadsheetLegacySource.normalizeName(sheet) === location.sheet);
+      if (match) {
+        return match.data;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a table and map its rows to records using the table's column mapping
+   */
+  async readTable(table) {
+    const { sheet, columns } = this.mapping[table];
+    const rows = await this.readRows(sheet);
+
+    if (!rows) {
+      return { found: false, records: [], missingColumns: [] };
+    }
+
+    const headerIndex = rows.findIndex(row => row.some(cell => String(cell ?? '').trim() !== ''));
+    const header = (rows[headerIndex] || []).map(cell => SpreadsheetLegacySource.normalizeName(cell));
+
+    // Resolve every mapped field to the first candidate column present in the header
+    const fieldColumns = {};
+    const missingColumns = [];
+    for (const [field, candidates] of Object.entries(columns)) {
+      const index = [candidates].flat()
+        .map(candidate => header.indexOf(SpreadsheetLegacySource.normalizeName(candidate)))
+        .find(position => position !== -1);
+
+      if (index === undefined) {
+        missingColumns.push(field);
+      } else {
+        fieldColumns[field] = index;
+      }
+    }
+
+    const records = [];
+    rows.slice(headerIndex + 1).forEach((row, offset) => {
+      if (!row.some(cell => String(cell ?? '').trim() !== '')) {
+        return;
+      }
+
+      const record = { rowNumber: headerIndex + offset + 2 };
+      for (const [field, index] of Object.entries(fieldColumns)) {
+        record[field] = SpreadsheetLegacySource.toValue(row[index]);
+      }
+      records.push(record);
+    });
+
+    return { found: true, records, missingColumns };
+  }
+
+  /**
+   * Convert a cell to a record value (blank cells become undefined, dates ISO strings)
+   */
+  static toValue(cell) {
+    if (cell instanceof Date) {
+      return cell.toISOString();
+    }
+    if (cell === null || cell === undefined) {
+      return undefined;
+    }
+
+    const value = typeof cell === 'string' ? cell.trim() : cell;
+    return value === '' ? undefined : value;
+  }
+
+  /**
+   * Read every table once and link sessions, subsessions and presenters to their rooms
+   */
+  load() {
+    this.loading ??= this.loadTables();
+    return this.loading;
+  }
+
+  /**
+   * Build the legacy-shaped records from the tables
+   */
+  async loadTables() {
+    const tables = {};
+    for (const table of ['rooms', 'sessions', 'subSessions', 'presenters']) {
+      tables[table] = await this.readTable(table);
+    }
+
+    const problems = [];
+    const required = { rooms: ['RoomName'], sessions: ['SessionName', 'Room'], subSessions: ['SubSessionName', 'Session'], presenters: ['email'] };
+
+    if (!tables.rooms.found) {
+      problems.push(`No rooms table found in ${this.sourceDir} (rooms.csv, rooms.xlsx or a "rooms" sheet)`);
+    }
+    for (const [table, fields] of Object.entries(required)) {
+      const missing = fields.filter(field => tables[table].missingColumns.includes(field));
+      if (tables[table].found && missing.length > 0) {
+        problems.push(`${this.mapping[table].sheet}: no column for ${missing.join(', ')} (see mapping.json)`);
+      }
+    }
+
+    // IDs become strings - XLSX returns numeric cells as numbers, the current system expects string source IDs
+    const rooms = tables.rooms.records.map(({ rowNumber, ...room }) => ({ ...room, RoomId: String(room.RoomId ?? room.RoomName) }));
+    const findRoom = (value) => rooms.find(room => String(room.RoomId) === String(value))
+      || rooms.find(room => String(room.RoomName).toLowerCase() === String(value).toLowerCase());
+
+    const sessionsByRoom = new Map(rooms.map(room => [room.RoomId, []]));
+    const sessions = [];
+    for (const { rowNumber, Room, ...session } of tables.sessions.records) {
+      const room = Room === undefined ? null : findRoom(Room);
+      if (!room) {
+        problems.push(`${this.mapping.sessions.sheet} row ${rowNumber}: unknown room "${Room ?? ''}"`);
+        continue;
+      }
+
+      const record = { ...session, SessionId: String(session.SessionId ?? `${room.RoomId}:${session.SessionName}`), RoomId: room.RoomId, SubSessions: [] };
+      sessionsByRoom.get(room.RoomId).push(record);
+      sessions.push(record);
+    }
+
+    for (const { rowNumber, Session, ...subSession } of tables.subSessions.records) {
+      const session = sessions.find(candidate => String(candidate.SessionId) === String(Session))
+        || sessions.find(candidate => String(candidate.SessionName).toLowerCase() === String(Session).toLowerCase());
+      if (!session) {
+        problems.push(`${this.mapping.subSessions.sheet} row ${rowNumber}: unknown session "${Session ?? ''}"`);
+        continue;
+      }
+
+      session.SubSessions.push({
+        ...subSession,
+        SubSessionId: String(subSession.SubSessionId ?? `${session.SessionId}:${session.SubSessions.length + 1}`),
+        SubSessionOrder: subSession.SubSessionOrder ?? session.SubSessions.length + 1
+      });
+    }
+
+    const users = [];
+    for (const { rowNumber, Room, ...presenter } of tables.presenters.records) {
+      const room = Room === undefined ? null : findRoom(Room);
+      if (Room !== undefined && !room) {
+        problems.push(`${this.mapping.presenters.sheet} row ${rowNumber}: unknown room "${Room}"`);
+        continue;
+      }
+
+      users.push({ ...presenter, id: presenter.id ?? presenter.email, ...(room ? { roomId: room.RoomId } : {}) });
+    }
+
+    return { rooms, sessionsByRoom, users, problems };
+  }
+
+  /**
+   * Check that the spreadsheets can be read and every row links to a known room or session
+   */
+  async testConnection() {
+    const { rooms, sessionsByRoom, users, problems } = await this.load();
+
+    if (problems.length > 0) {
+      const shown = problems.slice(0, 10).join('; ');
+      throw new Error(`Spreadsheet source ${this.sourceDir} has ${problems.length} problem(s): ${shown}${problems.length > 10 ? '; ...' : ''}`);
+    }
+
+    const sessionCount = [...sessionsByRoom.values()].reduce((count, sessions) => count + sessions.length, 0);
+    this.logger.info(`✅ Spreadsheet source: ${rooms.length} rooms, ${sessionCount} sessions, ${users.length} presenters`);
+    return true;
+  }
+
+  /**
+   * Get event information (spreadsheets only describe rooms and their content)
+   */
+  async getEvent(eventName) {
+    return { name: eventName, source: `spreadsheet:${this.sourceDir}` };
+  }
+
+  /**
+   * Get rooms for an event
+   */
+  async getRooms(eventName) {
+    return (await this.load()).rooms;
+  }
+
+  /**
+   * Get specific room information
+   */
+  async getRoom(eventName, roomName) {
+    const room = (await this.getRooms(eventName)).find(r => r.RoomName === roomName);
+
+    if (!room) {
+      throw new Error(`Room '${roomName}' not found in event '${eventName}'`);
+    }
+
+    return room;
+  }
+
+  /**
+   * Get sessions for an event/room
+   */
+  async getSessions(eventName, roomId = null) {
+    const { sessionsByRoom } = await this.load();
+    return roomId ? sessionsByRoom.get(roomId) || [] : [...sessionsByRoom.values()].flat();
+  }
+
+  /**
+   * Get sub-sessions for an event/session
+   */
+  async getSubSessions(eventName, sessionId = null) {
+    const sessions = await this.getSessions(eventName);
+
+    return sessions
+      .filter(session => !sessionId || String(session.SessionId) === String(sessionId))
+      .flatMap(session => session.SubSessions);
+  }
+
+  /**
+   * Get users for an event/room
+   */
+  async getUsers(eventName, roomId = null) {
+    const { users } = await this.load();
+    return roomId ? users.filter(user => user.roomId === roomId) : users;
+  }
+
+  /**
+   * Get moderators for an event/room
+   */
+  async getModerators(eventName, roomName = null) {
+    return [];
+  }
+
+  /**
+   * Get files for an event/room (spreadsheets carry no files)
+   */
+  async getFiles(eventName, roomName = null) {
+    return [];
+  }
+
+  /**
+   * Download a file binary
+   */
+  async downloadFile(eventName, fileId) {
+    throw new Error(`Spreadsheet source has no binary for file ${fileId}`);
+  }
+}
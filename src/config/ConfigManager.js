@@ -3,6 +3,7 @@ import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { config as dotenvConfig } from 'dotenv';
+import { TimeZoneConverter } from '../utils/TimeZoneConverter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -32,6 +33,7 @@ export class ConfigManager {
       current: {
         eventApiUrl: process.env.CURRENT_EVENT_API_URL || 'https://ss-dev.showsiteserver.com/event-api',
         filesApiUrl: process.env.CURRENT_FILES_API_URL || 'https://ss-dev.showsiteserver.com/files-api',
+        authApiUrl: process.env.CURRENT_AUTH_API_URL || 'https://ss-dev.showsiteserver.com/auth-api',
         bearerToken: process.env.CURRENT_API_TOKEN || process.env.CURRENT_BEARER_TOKEN
       },
       migration: {
@@ -41,7 +43,9 @@ export class ConfigManager {
         httpTimeout: parseInt(process.env.HTTP_TIMEOUT) || 30000,
         fileUploadTimeout: parseInt(process.env.FILE_UPLOAD_TIMEOUT) || 300000,
         maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
-        retryDelay: parseInt(process.env.RETRY_DELAY) || 1000
+        retryDelay: parseInt(process.env.RETRY_DELAY) || 1000,
+        runsDir: process.env.RUNS_DIR || join(__dirname, '..', '..', 'runs'),
+        ledgerPath: process.env.MAPPING_LEDGER_PATH || join(__dirname, '..', '..', 'ledger', 'mapping-ledger.jsonl')
       }
     };
   }
@@ -79,6 +83,46 @@ export class ConfigManager {
     }
   }
 
+  /**
+   * Load the OpenAPI specs of the current system APIs (docs/api-specs), keyed event, files and auth
+   */
+  static loadApiSpecs() {
+    const specPath = join(__dirname, '..', '..', 'docs', 'api-specs');
+    
+    try {
+      return Object.fromEntries(['event', 'files', 'auth'].map(api => [
+        api,
+        JSON.parse(readFileSync(join(specPath, `${api}-api-swagger.json`), 'utf8'))
+      ]));
+    } catch (error) {
+      throw new Error(`Failed to load API specs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the default column mapping for spreadsheet sources
+   */
+  static loadSpreadsheetMapping() {
+    const mappingPath = join(__dirname, '..', '..', 'config', 'spreadsheet-mapping.json');
+    
+    try {
+      return JSON.parse(readFileSync(mappingPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load spreadsheet mapping: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a client's overrides of the legacy-dtos.json mappings
+   */
+  static loadMappingOverrides(filePath) {
+    try {
+      return JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load mapping overrides from ${filePath}: ${error.message}`);
+    }
+  }
+
   /**
    * Load complete configuration
    */
@@ -96,10 +140,13 @@ export class ConfigManager {
         environment: env,
         apis: apiEndpoints,
         dtos: dtos,
+        apiSpecs: ConfigManager.loadApiSpecs(),
         // Merge environment and API endpoint configurations
         legacy: {
           ...env.legacy,
-          ...apiEndpoints.legacy
+          ...apiEndpoints.legacy,
+          // LEGACY_API_URL points the tool at another legacy deployment (or the local mock server)
+          baseUrl: process.env.LEGACY_API_URL || apiEndpoints.legacy.baseUrl
         },
         current: {
           ...env.current,
@@ -110,11 +157,21 @@ export class ConfigManager {
           filesApi: {
             ...apiEndpoints.current.filesApi,
             baseUrl: env.current.filesApiUrl
+          },
+          authApi: {
+            ...apiEndpoints.current.authApi,
+            baseUrl: env.current.authApiUrl
           }
         },
         migration: {
           ...env.migration,
-          ...apiEndpoints.migration
+          ...apiEndpoints.migration,
+          retrySettings: {
+            ...apiEndpoints.migration?.retrySettings,
+            // Explicit environment overrides win over the configured retry settings
+            ...(process.env.MAX_RETRIES ? { maxRetries: env.migration.maxRetries } : {}),
+            ...(process.env.RETRY_DELAY ? { retryDelay: env.migration.retryDelay } : {})
+          }
         }
       };
 
@@ -148,6 +205,34 @@ export class ConfigManager {
       errors.push('Timeout must be at least 1000 milliseconds');
     }
 
+    if (config.resumeRunId && !/^[A-Za-z0-9_-]+$/.test(config.resumeRunId)) {
+      errors.push('Resume run ID may only contain letters, numbers, "-" and "_"');
+    }
+
+    if (config.source && config.source !== 'api' && !/^(snapshot|spreadsheet):.+/.test(config.source)) {
+      errors.push('Source must be "api", "snapshot:<dir>" or "spreadsheet:<dir>"');
+    }
+
+    if (config.destination && config.destination !== 'api' && !/^ndjson:.+/.test(config.destination)) {
+      errors.push('Destination must be "api" or "ndjson:<dir>"');
+    }
+
+    if (config.transforms && !/\.(js|mjs)$/.test(config.transforms)) {
+      errors.push('Transforms must be a JavaScript module (.js or .mjs)');
+    }
+
+    if (config.timeZone && !TimeZoneConverter.isValidTimeZone(config.timeZone)) {
+      errors.push(`Unknown time zone "${config.timeZone}" - use an IANA name such as America/New_York`);
+    }
+
+    if (config.dryRun && config.destination && config.destination !== 'api') {
+      errors.push('Dry run compares against the current system and cannot be combined with an export destination');
+    }
+
+    if (config.dryRun && config.quarantine) {
+      errors.push('Dry run already lists invalid records in its change plan and cannot be combined with a quarantine');
+    }
+
     // Throw if validation fails
     if (errors.length > 0) {
       throw new Error(`Configuration validation failed:\\n${errors.join('\\n')}`);
@@ -163,7 +248,10 @@ export class ConfigManager {
       skipFiles: Boolean(config.skipFiles),
       dryRun: Boolean(config.dryRun),
       maxConcurrentRooms: config.maxConcurrentRooms || null,
-      timeout: config.timeout || null
+      timeout: config.timeout || null,
+      resumeRunId: config.resumeRunId || null,
+      source: config.source || null,
+      destination: config.destination || null
     };
   }
 
@@ -190,6 +278,10 @@ export class ConfigManager {
         apiConfig = config.current.filesApi;
         baseUrl = apiConfig.baseUrl;
         break;
+      case 'current-auth':
+        apiConfig = config.current.authApi;
+        baseUrl = apiConfig.baseUrl;
+        break;
       default:
         throw new Error(`Unknown API type: ${apiType}`);
     }
@@ -233,6 +325,7 @@ export class ConfigManager {
         return headers;
       case 'current-event':
       case 'current-files':
+      case 'current-auth':
         return {
           'Authorization': `Bearer ${config.current.bearerToken}`,
           'Content-Type': 'application/json'
@@ -270,10 +363,10 @@ export class ConfigManager {
    * @returns {boolean} - True if environment is valid
    * @throws {Error} - If environment validation fails
    */
-  static validateEnvironment() {
+  static validateEnvironment({ requireLegacy = true, requireCurrent = true } = {}) {
     const requiredVars = [
-      'LEGACY_BEARER_TOKEN',
-      'CURRENT_BEARER_TOKEN'
+      ...(requireLegacy ? ['LEGACY_BEARER_TOKEN'] : []),
+      ...(requireCurrent ? ['CURRENT_BEARER_TOKEN'] : [])
     ];
 
     const missingVars = requiredVars.filter(varName => !process.env[varName]);
@@ -308,6 +401,7 @@ export class ConfigManager {
       legacyApiUrl: config.legacy.baseUrl,
       currentEventApiUrl: config.current.eventApi.baseUrl,
       currentFilesApiUrl: config.current.filesApi.baseUrl,
+      currentAuthApiUrl: config.current.authApi.baseUrl,
       maxConcurrentRooms: config.migration.maxConcurrentRooms,
       enableFileMigration: config.migration.enableFileMigration,
       logLevel: config.migration.logLevel,
@@ -2,7 +2,7 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
-import { readFileSync } from 'fs';
+import { readFileSync, writeFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { createRequire } from 'module';
@@ -14,9 +14,19 @@ const require = createRequire(import.meta.url);
 
 // Import core modules
 import { MigrationService } from './services/MigrationService.js';
+import { MappingLedgerService } from './services/MappingLedgerService.js';
+import { RollbackService } from './services/RollbackService.js';
+import { PlanFileService } from './services/PlanFileService.js';
+import { SnapshotService } from './services/SnapshotService.js';
+import { FixtureGeneratorService } from './services/FixtureGeneratorService.js';
+import { ContractCheckService } from './services/ContractCheckService.js';
+import { AuditService } from './services/AuditService.js';
+import { MockApiServer } from './mock/MockApiServer.js';
 import { ConfigManager } from './config/ConfigManager.js';
 import { LoggerService } from './services/LoggerService.js';
 import { ConsoleManager } from './ui/ConsoleManager.js';
+import { Utils } from './utils/constants.js';
+import { TimeZoneConverter } from './utils/TimeZoneConverter.js';
 
 // Load package.json for version
 const packageJsonPath = join(__dirname, '..', 'package.json');
@@ -75,8 +85,132 @@ class MigrationApplication {
       .option('--dry-run', 'Perform a dry run without making changes')
       .option('--max-concurrent <number>', 'Maximum concurrent room migrations', parseInt)
       .option('--timeout <number>', 'Request timeout in milliseconds', parseInt)
+      .option('--resume <runId>', 'Resume an interrupted run, skipping work it already completed')
+      .option('--source <source>', 'Where to read legacy data: "api" (default), "snapshot:<dir>" or "spreadsheet:<dir>"')
+      .option('--destination <destination>', 'Where to write: "api" (default) or "ndjson:<dir>" to export payload files instead')
+      .option('--mappings <file>', 'JSON file of client overrides of the legacy-dtos.json mappings (custom field names, session types)')
+      .option('--transforms <module>', 'JavaScript module of client hooks run around each transform (filterRoom, beforeSession, afterUser, ...)')
+      .option('--timezone <zone>', 'Event time zone for legacy times without an offset, e.g. America/New_York (default: from the legacy or target event)')
+      .option('--quarantine <dir>', 'Write sessions, subsessions and users that fail validation to a directory for replay-quarantine')
       .action(this.executeMigration.bind(this));
 
+    // Mapping ledger queries and exports
+    this.program
+      .command('ledger')
+      .description('🔗 Query or export the legacy → current ID mapping ledger')
+      .option('--event <legacyEventName>', 'Filter by legacy event name')
+      .option('--target <targetEventId>', 'Filter by target event ID')
+      .option('--type <entityType>', 'Filter by entity type (room, session, subSession, user, moderator, file)')
+      .option('--legacy-id <id>', 'Filter by legacy ID or source system ID')
+      .option('--current-id <id>', 'Filter by current system ID')
+      .option('--run <runId>', 'Filter by migration run ID')
+      .option('--history', 'Include superseded mappings, not just the latest per entity')
+      .option('--format <format>', 'Output format: table, csv or json', 'table')
+      .option('-o, --output <file>', 'Write the export to a file instead of the console')
+      .action(this.queryLedger.bind(this));
+
+    this.program
+      .command('plan')
+      .description('📝 Compute a migration without changing anything and save it as a reviewable plan file')
+      .argument('<legacyEventName>', 'Legacy event name to migrate from')
+      .argument('<targetEventId>', 'Target event ID in current system', this.parseEventId)
+      .argument('[roomName]', 'Specific room name to plan (optional - plans all rooms if not specified)')
+      .option('-o, --output <planFile>', 'Where to write the plan file', 'migration-plan.json')
+      .option('--skip-files', 'Leave files out of the plan')
+      .option('--source <source>', 'Where to read legacy data: "api" (default), "snapshot:<dir>" or "spreadsheet:<dir>"')
+      .option('--mappings <file>', 'JSON file of client overrides of the legacy-dtos.json mappings')
+      .option('--transforms <module>', 'JavaScript module of client hooks run around each transform')
+      .option('--timezone <zone>', 'Event time zone for legacy times without an offset')
+      .action(this.createPlan.bind(this));
+
+    this.program
+      .command('apply')
+      .description('▶️  Execute a reviewed plan file exactly as written')
+      .argument('<planFile>', 'Plan file created by the plan command')
+      .action(this.applyPlan.bind(this));
+
+    this.program
+      .command('replay-quarantine')
+      .description('🧪 Re-run the records a --quarantine run kept, after fixing their data or mapping')
+      .argument('<dir>', 'Quarantine directory of an earlier run')
+      .option('--type <entityType>', 'Only replay one entity type (session, subSession or user)')
+      .option('--source <source>', 'Where to read legacy data: "api" (default), "snapshot:<dir>" or "spreadsheet:<dir>"')
+      .option('--mappings <file>', 'JSON file of client overrides of the legacy-dtos.json mappings')
+      .option('--transforms <module>', 'JavaScript module of client hooks run around each transform')
+      .option('--timezone <zone>', 'Event time zone for legacy times without an offset')
+      .action(this.replayQuarantine.bind(this));
+
+    this.program
+      .command('verify')
+      .description('🔎 Check that a migrated event matches its legacy source')
+      .argument('<legacyEventName>', 'Legacy event name that was migrated')
+      .argument('<targetEventId>', 'Target event ID in current system', this.parseEventId)
+      .argument('[roomName]', 'Specific room name that was migrated (optional - verifies all rooms if not specified)')
+      .option('-o, --output <file>', 'Write the JSON discrepancy report to a file')
+      .option('--format <format>', 'Console output format: table or json', 'table')
+      .option('--source <source>', 'Where to read legacy data: "api" (default), "snapshot:<dir>" or "spreadsheet:<dir>"')
+      .option('--timezone <zone>', 'Event time zone the migration converted legacy times in')
+      .action(this.verifyMigration.bind(this));
+
+    this.program
+      .command('audit')
+      .description('🩺 Report data problems in a legacy event before migrating it (read-only)')
+      .argument('<legacyEventName>', 'Legacy event name to audit')
+      .option('-o, --output <file>', 'Write the JSON audit report to a file')
+      .option('--format <format>', 'Console output format: table or json', 'table')
+      .option('--source <source>', 'Where to read legacy data: "api" (default), "snapshot:<dir>" or "spreadsheet:<dir>"')
+      .action(this.auditEvent.bind(this));
+
+    this.program
+      .command('contract-check')
+      .description('📜 Compare the endpoint and DTO config with the bundled OpenAPI specs (no API calls)')
+      .option('-o, --output <file>', 'Write the JSON drift report to a file')
+      .option('--format <format>', 'Console output format: table or json', 'table')
+      .action(this.checkContracts.bind(this));
+
+    this.program
+      .command('snapshot')
+      .description('📦 Save a complete offline copy of a legacy event (records and file binaries)')
+      .argument('<legacyEventName>', 'Legacy event name to capture')
+      .argument('<dir>', 'Directory to write the snapshot to (must not contain a snapshot yet)')
+      .option('--skip-files', 'Capture records only, without file binaries')
+      .action(this.captureSnapshot.bind(this));
+
+    this.program
+      .command('generate-fixture')
+      .description('🧬 Generate a synthetic legacy event at scale (messy shapes included) for load and scale testing')
+      .argument('<legacyEventName>', 'Name of the generated legacy event')
+      .argument('<dir>', 'Directory to write the snapshot or seed.json to')
+      .option('--format <format>', 'Output format: snapshot (for --source snapshot:<dir>) or mock-seed (for mock-server --seed)', 'snapshot')
+      .option('--rooms <count>', 'Number of rooms', value => parseInt(value, 10))
+      .option('--sessions <count>', 'Sessions per room', value => parseInt(value, 10))
+      .option('--subsessions <count>', 'Subsessions per session', value => parseInt(value, 10))
+      .option('--users <count>', 'Number of users (about 10% moderators)', value => parseInt(value, 10))
+      .option('--file-size <size>', 'Total size of all files, e.g. 500MB or 10GB')
+      .option('--messy-rate <rate>', 'Share (0-1) of records with messy legacy shapes', parseFloat)
+      .option('--random-seed <seed>', 'Seed for the generator - the same seed gives the same event', value => parseInt(value, 10))
+      .option('--target-event-id <id>', 'Current system event ID in the mock seed', value => parseInt(value, 10))
+      .option('--skip-files', 'Write records only, without file binaries (snapshot format)')
+      .action(this.generateFixture.bind(this));
+
+    this.program
+      .command('rollback')
+      .description('⏪ Revert the changes a migration run made to the current system')
+      .argument('<runId>', 'Run ID printed at the end of the migration')
+      .option('--dry-run', 'Preview what would be deleted and restored without making changes')
+      .action(this.rollbackRun.bind(this));
+
+    this.program
+      .command('mock-server')
+      .description('🧪 Run local stand-ins for the legacy, Event, Files and Auth APIs (in-memory seed data, injectable faults)')
+      .option('-p, --port <port>', 'Port to listen on', value => parseInt(value, 10), 4010)
+      .option('--seed <file>', 'Seed data JSON (defaults to the bundled DEMO2025 → 1001 event)')
+      .option('--latency <ms>', 'Delay every response by this many milliseconds', value => parseInt(value, 10))
+      .option('--throttle-rate <rate>', 'Share of requests (0-1) answered 429 Too Many Requests', parseFloat)
+      .option('--conflict-rate <rate>', 'Share of creates (0-1) answered 409 although the entity was stored', parseFloat)
+      .option('--files-405', 'Answer the legacy file listing endpoints with 405 Method Not Allowed')
+      .action(this.runMockServer.bind(this));
+
     // Add help examples
     this.program.addHelpText('after', `
 ${chalk.blue('Examples:')}
@@ -85,6 +219,26 @@ ${chalk.blue('Examples:')}
   ${chalk.green('npm start "NACDS2024" 123 --verbose')}           # Enable verbose logging
   ${chalk.green('npm start "NACDS2024" 123 --dry-run')}           # Test without changes
   ${chalk.green('npm start "NACDS2024" 123 --skip-files')}        # Skip file migration
+  ${chalk.green('npm start "NACDS2024" 123 --resume <runId>')}    # Resume an interrupted run
+  ${chalk.green('npm start ledger --legacy-id 4711')}              # Which current entity is legacy 4711?
+  ${chalk.green('npm start ledger --event "NACDS2024" --format csv -o map.csv')}
+  ${chalk.green('npm start rollback <runId> --dry-run')}          # Preview reverting a run
+  ${chalk.green('npm start plan "NACDS2024" 123 -o nacds.plan.json')}
+  ${chalk.green('npm start apply nacds.plan.json')}                 # Execute a reviewed plan
+  ${chalk.green('npm start verify "NACDS2024" 123 -o verify.json')} # Check the migrated data
+  ${chalk.green('npm start audit "NACDS2024" -o audit.json')}       # Data problems to fix before migrating
+  ${chalk.green('npm start contract-check')}                      # DTO/endpoint config vs API specs
+  ${chalk.green('npm start snapshot "NACDS2024" ./snapshots/nacds')} # Archive the legacy event
+  ${chalk.green('npm start "NACDS2024" 123 --source snapshot:./snapshots/nacds')}
+  ${chalk.green('npm start "ACME2025" 123 --source spreadsheet:./intake/acme --skip-files')}
+  ${chalk.green('npm start "NACDS2024" 123 --destination ndjson:./export/nacds')}  # Write payload files, send nothing
+  ${chalk.green('npm start "NACDS2024" 123 --transforms ./hooks/nacds.js')}  # Client-specific record hooks
+  ${chalk.green('npm start "NACDS2024" 123 --mappings ./mappings/nacds.json')}  # Client custom field names
+  ${chalk.green('npm start "NACDS2024" 123 --timezone America/Los_Angeles')}  # Legacy times are West Coast local
+  ${chalk.green('npm start "NACDS2024" 123 --quarantine ./quarantine/nacds')}  # Keep invalid records for a fix
+  ${chalk.green('npm start replay-quarantine ./quarantine/nacds')}  # Re-run them once fixed
+  ${chalk.green('npm start mock-server --throttle-rate 0.1')}      # Local APIs for offline end-to-end runs
+  ${chalk.green('npm start generate-fixture "BIGCONF" ./fixtures/big --rooms 80 --sessions 40 --subsessions 5 --users 3000 --file-size 10GB')}
 
 ${chalk.blue('Environment:')}
   Configure API credentials in .env file
@@ -126,7 +280,14 @@ ${chalk.blue('Environment:')}
         skipFiles: options.skipFiles || false,
         dryRun: options.dryRun || false,
         maxConcurrentRooms: options.maxConcurrent || null,
-        timeout: options.timeout || null
+        timeout: options.timeout || null,
+        resumeRunId: options.resume?.trim() || null,
+        source: options.source?.trim() || null,
+        destination: options.destination?.trim() || null,
+        mappings: options.mappings?.trim() || null,
+        transforms: options.transforms?.trim() || null,
+        timeZone: options.timezone?.trim() || null,
+        quarantine: options.quarantine?.trim() || null
       });
 
       // Display startup information
@@ -148,6 +309,359 @@ ${chalk.blue('Environment:')}
     }
   }
 
+  /**
+   * Query the mapping ledger and print or export the matches
+   */
+  async queryLedger(options) {
+    try {
+      const ledger = new MappingLedgerService(ConfigManager.load(), this.logger);
+      const records = ledger.query({
+        legacyEventName: options.event,
+        targetEventId: options.target,
+        entityType: options.type,
+        legacyId: options.legacyId,
+        currentId: options.currentId,
+        runId: options.run
+      }, { history: Boolean(options.history) });
+
+      if (options.format === 'table' && !options.output) {
+        this.consoleManager.showLedger(records);
+        return;
+      }
+
+      const output = ledger.export(records, options.format === 'table' ? 'json' : options.format);
+
+      if (options.output) {
+        writeFileSync(options.output, output);
+        console.log(chalk.green(`✅ Exported ${records.length} mappings to ${options.output}`));
+      } else {
+        console.log(output);
+      }
+    } catch (error) {
+      this.logger.error('Ledger query failed:', error);
+      this.consoleManager.showError(error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Create a plan file from a dry run of the migration
+   */
+  async createPlan(legacyEventName, targetEventId, roomName, options, command) {
+    const startTime = Date.now();
+
+    try {
+      // --skip-files is also a root option, so commander may have parsed it there
+      const { skipFiles, verbose, source, mappings, transforms, timezone } = command.optsWithGlobals();
+      const migrationConfig = ConfigManager.validateConfig({
+        legacyEventName: legacyEventName.trim(),
+        targetEventId,
+        roomName: roomName?.trim() || null,
+        migrateAllRooms: !roomName?.trim(),
+        verbose: verbose || false,
+        skipFiles: skipFiles || false,
+        dryRun: true,
+        source: source?.trim() || null,
+        mappings: mappings?.trim() || null,
+        transforms: transforms?.trim() || null,
+        timeZone: timezone?.trim() || null
+      });
+
+      this.consoleManager.showStartupInfo(migrationConfig);
+
+      const result = await this.migrationService.executeMigration(migrationConfig);
+
+      if (!result.changePlan) {
+        this.consoleManager.showMigrationResults(result, Date.now() - startTime);
+        process.exit(1);
+      }
+
+      const planFileService = new PlanFileService(ConfigManager.load(), this.logger);
+      const planFile = planFileService.createPlanFile(result.changePlan, migrationConfig, packageJson.version);
+      planFileService.write(planFile, options.output);
+
+      this.consoleManager.showChangePlan(result.changePlan);
+      this.consoleManager.showPlanWritten(options.output, planFile);
+
+      process.exit(result.success ? 0 : 1);
+    } catch (error) {
+      this.logger.error('Planning failed:', error);
+      this.consoleManager.showError(error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Apply a reviewed plan file
+   */
+  async applyPlan(planPath) {
+    this.validateNodeVersion();
+
+    const startTime = Date.now();
+
+    try {
+      const planFile = new PlanFileService(ConfigManager.load(), this.logger).read(planPath);
+
+      this.consoleManager.showStartupInfo({
+        legacyEventName: planFile.legacyEventName,
+        targetEventId: planFile.targetEventId,
+        roomName: planFile.roomName,
+        migrateAllRooms: !planFile.roomName,
+        skipFiles: planFile.skipFiles
+      });
+
+      const result = await this.migrationService.applyPlan(planFile);
+
+      this.consoleManager.showMigrationResults(result, Date.now() - startTime);
+      process.exit(result.success ? 0 : 1);
+    } catch (error) {
+      this.logger.error('Plan apply failed:', error);
+      this.consoleManager.showError(error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Replay the records of a quarantine directory
+   */
+  async replayQuarantine(directory, options, command) {
+    this.validateNodeVersion();
+
+    const startTime = Date.now();
+
+    try {
+      // --source, --mappings, --transforms and --timezone are also root options, so commander may have parsed them there
+      const { source, mappings, transforms, timezone, verbose } = command.optsWithGlobals();
+      if (options.type && !['session', 'subSession', 'user'].includes(options.type)) {
+        throw new Error(`Unknown entity type "${options.type}" - use session, subSession or user`);
+      }
+      if (timezone && !TimeZoneConverter.isValidTimeZone(timezone.trim())) {
+        throw new Error(`Unknown time zone "${timezone.trim()}" - use an IANA name such as America/New_York`);
+      }
+
+      const result = await this.migrationService.replayQuarantine(directory, {
+        entityType: options.type || null,
+        source: source?.trim() || null,
+        mappings: mappings?.trim() || null,
+        transforms: transforms?.trim() || null,
+        timeZone: timezone?.trim() || null,
+        verbose: Boolean(verbose)
+      });
+
+      this.consoleManager.showMigrationResults(result, Date.now() - startTime);
+      process.exit(result.success ? 0 : 1);
+    } catch (error) {
+      this.logger.error('Quarantine replay failed:', error);
+      this.consoleManager.showError(error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Verify a migrated event against its legacy source
+   */
+  async verifyMigration(legacyEventName, targetEventId, roomName, options, command) {
+    try {
+      // --source and --timezone are also root options, so commander may have parsed them there
+      const { source, timezone } = command.optsWithGlobals();
+      ConfigManager.validateConfig({ legacyEventName: legacyEventName.trim(), targetEventId, timeZone: timezone?.trim() || null });
+      this.migrationService.useLegacySource(source?.trim());
+      
+      // Read-only by construction - verification must never change the target event
+      this.migrationService.currentClient.setReadOnly(true);
+      await this.migrationService.validateEnvironment();
+      
+      // Expected session times must be converted the way the migration converted them
+      await this.migrationService.useEventSchedule(legacyEventName.trim(), targetEventId, timezone?.trim() || null);
+
+      const report = await this.migrationService.verificationService.verify(legacyEventName.trim(), targetEventId, {
+        roomName: roomName?.trim() || null
+      });
+
+      if (options.output) {
+        writeFileSync(options.output, JSON.stringify(report, null, 2));
+      }
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        this.consoleManager.showVerification(report, options.output);
+      }
+
+      // Drift fails the command so it can gate a pipeline
+      process.exit(report.drift ? 1 : 0);
+    } catch (error) {
+      this.logger.error('Verification failed:', error);
+      this.consoleManager.showError(error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Audit a legacy event for data problems the migration would hit
+   */
+  async auditEvent(legacyEventName, options, command) {
+    try {
+      // --source is also a root option, so commander may have parsed it there
+      this.migrationService.useLegacySource(command.optsWithGlobals().source?.trim());
+      const { legacyClient } = this.migrationService;
+      await legacyClient.testConnection();
+
+      const report = await new AuditService(ConfigManager.load(), this.logger, { legacyClient }).audit(legacyEventName.trim());
+
+      if (options.output) {
+        writeFileSync(options.output, JSON.stringify(report, null, 2));
+      }
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        this.consoleManager.showAudit(report, options.output);
+      }
+
+      // Problems that fail the migration fail the command so it can gate a pipeline
+      process.exit(report.failed ? 1 : 0);
+    } catch (error) {
+      this.logger.error('Audit failed:', error);
+      this.consoleManager.showError(error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Compare the endpoint and DTO configuration with the bundled API specs
+   */
+  async checkContracts(options) {
+    try {
+      const report = new ContractCheckService(ConfigManager.load(), this.logger).check();
+
+      if (options.output) {
+        writeFileSync(options.output, JSON.stringify(report, null, 2));
+      }
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        this.consoleManager.showContractCheck(report, options.output);
+      }
+
+      // Drift fails the command so it can gate a pipeline
+      process.exit(report.drift ? 1 : 0);
+    } catch (error) {
+      this.logger.error('Contract check failed:', error);
+      this.consoleManager.showError(error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Capture a legacy event into a snapshot directory
+   */
+  async captureSnapshot(legacyEventName, snapshotDir, options, command) {
+    try {
+      // --skip-files is also a root option, so commander may have parsed it there
+      const { skipFiles } = command.optsWithGlobals();
+      const { legacyClient, fileService } = this.migrationService;
+      await legacyClient.testConnection();
+
+      const snapshotService = new SnapshotService(ConfigManager.load(), this.logger, { legacyClient, fileService });
+      const manifest = await snapshotService.capture(legacyEventName.trim(), snapshotDir, {
+        skipFiles: Boolean(skipFiles),
+        toolVersion: packageJson.version
+      });
+
+      this.consoleManager.showSnapshot(manifest, snapshotDir);
+
+      // An archive with missing binaries is not a complete copy
+      process.exit(manifest.failures.length > 0 ? 1 : 0);
+    } catch (error) {
+      this.logger.error('Snapshot failed:', error);
+      this.consoleManager.showError(error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Generate a synthetic legacy event as a snapshot or mock server seed
+   */
+  async generateFixture(legacyEventName, outputDir, options, command) {
+    try {
+      if (!['snapshot', 'mock-seed'].includes(options.format)) {
+        throw new Error(`Unknown fixture format "${options.format}" - use snapshot or mock-seed`);
+      }
+
+      // --skip-files is also a root option, so commander may have parsed it there
+      const { skipFiles } = command.optsWithGlobals();
+      const generator = new FixtureGeneratorService(ConfigManager.load(), this.logger);
+      const fixture = generator.generate(legacyEventName.trim(), {
+        rooms: options.rooms,
+        sessionsPerRoom: options.sessions,
+        subSessionsPerSession: options.subsessions,
+        users: options.users,
+        totalFileBytes: options.fileSize !== undefined ? Utils.parseBytes(options.fileSize) : undefined,
+        messyRate: options.messyRate,
+        randomSeed: options.randomSeed,
+        targetEventId: options.targetEventId
+      });
+
+      const output = options.format === 'mock-seed'
+        ? generator.writeMockSeed(outputDir, fixture)
+        : await generator.writeSnapshot(outputDir, fixture, { skipFiles: Boolean(skipFiles), toolVersion: packageJson.version });
+
+      this.consoleManager.showFixture(fixture, options.format, options.format === 'mock-seed' ? output : outputDir);
+    } catch (error) {
+      this.logger.error('Fixture generation failed:', error);
+      this.consoleManager.showError(error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Serve the mock APIs until interrupted
+   */
+  async runMockServer(options) {
+    try {
+      const faults = {
+        ...(options.latency !== undefined ? { latencyMs: options.latency } : {}),
+        ...(options.throttleRate !== undefined ? { throttleRate: options.throttleRate } : {}),
+        ...(options.conflictRate !== undefined ? { conflictRate: options.conflictRate } : {}),
+        ...(options.files405 ? { filesMethodNotAllowed: true } : {})
+      };
+
+      const server = new MockApiServer({ seedPath: options.seed, faults }, this.logger);
+      await server.start(options.port);
+
+      this.consoleManager.showMockServer(server);
+    } catch (error) {
+      this.logger.error('Mock server failed to start:', error);
+      this.consoleManager.showError(error);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Roll back a migration run using its mutation journal
+   */
+  async rollbackRun(runId, options, command) {
+    try {
+      // --dry-run is also a root option, so commander may have parsed it there
+      const dryRun = Boolean(command.optsWithGlobals().dryRun);
+      const config = ConfigManager.load();
+      const rollbackService = new RollbackService(config, this.logger, this.migrationService.currentClient);
+      const report = await rollbackService.rollback(runId, { dryRun });
+
+      this.consoleManager.showRollback(report);
+
+      if (report.statistics.failed > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      this.logger.error('Rollback failed:', error);
+      this.consoleManager.showError(error);
+      process.exit(1);
+    }
+  }
+
   /**
    * Validate Node.js version
    */
@@ -167,15 +681,18 @@ ${chalk.blue('Environment:')}
    * Setup process event handlers
    */
   setupProcessHandlers() {
-    // Handle graceful shutdown
+    // Handle graceful shutdown - completed work is already checkpointed, so record the interruption and exit
+    // Requests still in flight are dropped; a resume reuses what they created instead of creating it twice
     process.on('SIGINT', () => {
       this.logger?.info('🛑 Received SIGINT, shutting down gracefully...');
-      process.exit(0);
+      this.consoleManager?.showInterrupted(this.migrationService?.interrupt('SIGINT'));
+      process.exit(130);
     });
 
     process.on('SIGTERM', () => {
       this.logger?.info('🛑 Received SIGTERM, shutting down gracefully...');
-      process.exit(0);
+      this.consoleManager?.showInterrupted(this.migrationService?.interrupt('SIGTERM'));
+      process.exit(143);
     });
 
     // Handle uncaught exceptions
@@ -0,0 +1,760 @@
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { setTimeout as delay } from 'timers/promises';
+import { FixtureGeneratorService } from '../services/FixtureGeneratorService.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_SEED_PATH = join(__dirname, 'seed.json');
+
+// Each emulated API is served under its own prefix, like the real deployments
+const API_PREFIXES = {
+  legacy: '/legacy',
+  event: '/event-api',
+  files: '/files-api',
+  auth: '/auth-api'
+};
+
+const DEFAULT_FAULTS = {
+  latencyMs: 0,
+  throttleRate: 0,
+  retryAfterSeconds: 1,
+  conflictRate: 0,
+  filesMethodNotAllowed: false
+};
+
+// Event API collections: the field that must be unique (with the 409 message the client recognizes) and the parent it links to
+// Users get an Auth API account, so roles can be added to them by userName
+const COLLECTIONS = {
+  rooms: { key: 'rooms', unique: 'name', conflict: value => `Room '${value}' already exists` },
+  sessions: { key: 'sessions', unique: 'sourceSystemId', parent: ['roomId', 'rooms'], conflict: value => `SourceSystemId '${value}' is already in use` },
+  subsessions: { key: 'subSessions', unique: 'sourceSystemId', parent: ['sessionId', 'sessions'], conflict: value => `SourceSystemId '${value}' is already in use` },
+  users: { key: 'users', account: true },
+  moderators: { key: 'moderators', parent: ['userId', 'users'] },
+  presenters: { key: 'presenters', parent: ['subSessionId', 'subSessions'] }
+};
+
+// Files API upload endpoints and the file kind they store
+const FILE_KINDS = {
+  sessionfiles: 'sessionFile',
+  subsessionfiles: 'subSessionFile',
+  userfiles: 'userFile',
+  moderatorfiles: 'moderatorFile',
+  upload: 'file'
+};
+
+const PASSWORD_ACTIONS = ['reset-password', 'forgot-password', 'forgot-password-change', 'change-password'];
+
+// [api, method, path template, handler] - matched case-insensitively, first match wins
+const ROUTES = [
+  ['legacy', 'GET', '/v2/events', 'listLegacyEvents'],
+  ['legacy', 'GET', '/v2/events/{eventName}/rooms', 'legacyRooms'],
+  ['legacy', 'GET', '/v2/events/{eventName}/rooms/{roomId}/sessions', 'legacyRoomSessions'],
+  ['legacy', 'GET', '/v2/events/{eventName}/rooms/{roomName}/files', 'legacyRoomFiles'],
+  ['legacy', 'GET', '/v2/events/{eventName}/sessions', 'legacySessions'],
+  ['legacy', 'GET', '/v2/events/{eventName}/sessions/{sessionId}/files', 'legacySessionFiles'],
+  ['legacy', 'GET', '/v2/events/{eventName}/subsessions', 'legacySubSessions'],
+  ['legacy', 'GET', '/v2/events/{eventName}/users', 'legacyUsers'],
+  ['legacy', 'GET', '/v2/events/{eventName}/eventusers', 'legacyUsers'],
+  ['legacy', 'GET', '/v2/events/{eventName}/moderators', 'legacyModerators'],
+  ['legacy', 'GET', '/v2/events/{eventName}/files', 'legacyFiles'],
+  ['legacy', 'GET', '/v2/events/{eventName}/files/{fileId}/download', 'legacyDownload'],
+
+  ['event', 'GET', '/health', 'health'],
+  ['event', 'GET', '/Events', 'events'],
+  ['event', 'GET', '/Events/{eventId}', 'event'],
+  ['event', 'GET', '/Events/{eventId}/Locations', 'eventLocations'],
+  ['event', 'GET', '/Events/{eventId}/{collection}', 'listEntities'],
+  ['event', 'POST', '/Events/{eventId}/{collection}', 'createEntity'],
+  ['event', 'GET', '/Events/{eventId}/{collection}/{id}', 'getEntity'],
+  ['event', 'PUT', '/Events/{eventId}/{collection}/{id}', 'updateEntity'],
+  ['event', 'DELETE', '/Events/{eventId}/{collection}/{id}', 'deleteEntity'],
+
+  ['files', 'GET', '/health', 'health'],
+  ['files', 'GET', '/AllFiles/Events/{eventId}', 'eventFiles'],
+  ['files', 'POST', '/AllFiles/Events/{eventId}/FileTypes/{fileType}/Files/Metadata', 'createFileMetadata'],
+  ['files', 'PUT', '/AllFiles/Events/{eventId}/FileTypes/{fileType}/Files/{fileId}/Metadata', 'updateFileMetadata'],
+  ['files', 'GET', '/Download/{fileId}', 'downloadFile'],
+  ['files', 'POST', '/{kind}', 'uploadFile'],
+  ['files', 'DELETE', '/{kind}/{fileId}', 'deleteFile'],
+
+  ['auth', 'POST', '/Auth/Events/{eventId}/register', 'register'],
+  ['auth', 'POST', '/Auth/login', 'login'],
+  ['auth', 'POST', '/Auth/Events/{eventId}/adduserrole', 'addUserRole'],
+  ['auth', 'POST', '/Auth/Events/{eventId}/removeuserrole', 'removeUserRole'],
+  ['auth', 'POST', '/Auth/{action}', 'passwordAction']
+].map(([api, method, template, handler]) => ({
+  api,
+  method,
+  handler,
+  names: [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]),
+  pattern: new RegExp(`^${template.replace(/\{\w+\}/g, '([^/]+)')}/?$`, 'i')
+}));
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const sameText = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+const roomNameOf = room => room?.RoomName || room?.name || null;
+
+// Legacy file records carry their bytes as `content` (generated fixtures only a FileSize); the API only reports the size
+const publicFile = ({ content, ...file }) => ({ ...file, FileSize: content === undefined ? file.FileSize ?? 0 : Buffer.byteLength(content) });
+
+/**
+ * Mock API Server - Local stand-in for the legacy API and the current Event, Files and Auth APIs
+ * Serves in-memory seed data with injectable faults so the whole CLI can run end to end without network access
+ *
+ * URLs (point LEGACY_API_URL, CURRENT_EVENT_API_URL, CURRENT_FILES_API_URL and CURRENT_AUTH_API_URL at them):
+ *   <baseUrl>/legacy, <baseUrl>/event-api, <baseUrl>/files-api, <baseUrl>/auth-api
+ * Control endpoints (no auth): GET /__mock/state, GET|PUT /__mock/faults, POST /__mock/reset
+ */
+export class MockApiServer {
+  constructor(options = {}, logger) {
+    this.logger = logger;
+    this.seed = MockApiServer.loadSeed(options.seedPath);
+    this.faults = { ...DEFAULT_FAULTS, ...options.faults };
+    this.random = options.random || Math.random;
+    this.server = null;
+    this.baseUrl = null;
+
+    this.reset();
+  }
+
+  /**
+   * Load seed data (defaults to the bundled demo event)
+   */
+  static loadSeed(seedPath = DEFAULT_SEED_PATH) {
+    try {
+      return JSON.parse(readFileSync(seedPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load mock seed data from ${seedPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore the seed data and forget everything created since
+   */
+  reset() {
+    const seed = structuredClone(this.seed);
+
+    this.legacyEvents = seed.legacy?.events || [];
+    this.currentEvents = (seed.current?.events || []).map(event => ({
+      locations: [],
+      rooms: [],
+      sessions: [],
+      subSessions: [],
+      users: [],
+      moderators: [],
+      presenters: [],
+      ...event
+    }));
+    this.files = [];
+    this.accounts = [];
+    this.requests = [];
+  }
+
+  /**
+   * Change the injected faults (latencyMs, throttleRate, retryAfterSeconds, conflictRate, filesMethodNotAllowed)
+   */
+  setFaults(faults) {
+    this.faults = { ...this.faults, ...faults };
+    return this.faults;
+  }
+
+  /**
+   * Start listening; resolves with the base URL
+   */
+  async start(port = 4010, host = '127.0.0.1') {
+    this.server = createServer((request, response) => {
+      this.handle(request, response).catch(error => {
+        this.logger.error(`Mock server failed to answer ${request.method} ${request.url}:`, error);
+        if (!response.headersSent) {
+          response.writeHead(500, { 'Content-Type': 'text/plain' });
+        }
+        response.end(error.message);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    this.baseUrl = `http://${host}:${this.server.address().port}`;
+    this.logger.info(`🧪 Mock APIs listening on ${this.baseUrl}`);
+    return this.baseUrl;
+  }
+
+  /**
+   * Stop listening and drop kept-alive client connections
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  /**
+   * Environment variables that point the migration tool at this server
+   */
+  getEnvironment() {
+    return {
+      LEGACY_API_URL: `${this.baseUrl}${API_PREFIXES.legacy}`,
+      CURRENT_EVENT_API_URL: `${this.baseUrl}${API_PREFIXES.event}`,
+      CURRENT_FILES_API_URL: `${this.baseUrl}${API_PREFIXES.files}`,
+      CURRENT_AUTH_API_URL: `${this.baseUrl}${API_PREFIXES.auth}`
+    };
+  }
+
+  /**
+   * Everything the current system holds, as created by the requests so far
+   */
+  getState() {
+    return {
+      events: this.currentEvents,
+      files: this.files.map(({ content, ...file }) => file),
+      accounts: this.accounts,
+      requests: this.requests
+    };
+  }
+
+  /**
+   * Answer one request: control endpoints, then latency, auth, throttling and the routed handler
+   */
+  async handle(request, response) {
+    const url = new URL(request.url, 'http://mock');
+    const body = await this.readBody(request);
+
+    if (url.pathname.startsWith('/__mock/')) {
+      return this.sendJson(response, 200, this.control(request.method, url.pathname, body));
+    }
+
+    const api = Object.keys(API_PREFIXES).find(key => url.pathname.toLowerCase().startsWith(`${API_PREFIXES[key]}/`));
+    const path = api ? url.pathname.slice(API_PREFIXES[api].length) : url.pathname;
+    let result;
+
+    try {
+      if (this.faults.latencyMs > 0) {
+        await delay(this.faults.latencyMs);
+      }
+
+      const route = api && ROUTES.find(candidate => candidate.api === api && candidate.method === request.method && candidate.pattern.test(path));
+      if (!route) {
+        throw httpError(404, `No mock route for ${request.method} ${url.pathname}`);
+      }
+
+      this.authenticate(api, request.headers, url.searchParams);
+
+      if (route.handler !== 'health' && this.faults.throttleRate > 0 && this.random() < this.faults.throttleRate) {
+        throw Object.assign(httpError(429, 'Too many requests'), {
+          headers: { 'Retry-After': String(this.faults.retryAfterSeconds) }
+        });
+      }
+
+      const values = path.match(route.pattern).slice(1).map(decodeURIComponent);
+      const params = Object.fromEntries(route.names.map((name, index) => [name, values[index]]));
+      result = await this[route.handler](params, { body, headers: request.headers, query: url.searchParams });
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      result = { status: error.status, headers: error.headers, error: error.message };
+    }
+
+    this.requests.push({ api: api || null, method: request.method, path: url.pathname, status: result.status });
+    this.logger.debug(`🧪 ${request.method} ${url.pathname} → ${result.status}`);
+
+    if (result.error) {
+      return this.sendError(response, api, result);
+    }
+    if (Buffer.isBuffer(result.body)) {
+      response.writeHead(result.status, { 'Content-Type': 'application/octet-stream', 'Content-Length': result.body.length });
+      return response.end(result.body);
+    }
+
+    if (result.body instanceof Readable) {
+      response.writeHead(result.status, { 'Content-Type': 'application/octet-stream', 'Content-Length': result.contentLength });
+      return pipeline(result.body, response);
+    }
+
+    if (typeof result.body === 'string') {
+      response.writeHead(result.status, { 'Content-Type': 'text/plain' });
+      return response.end(result.body);
+    }
+
+    // The Event and Files APIs wrap every payload in { statusCode, message, isSuccess, data }
+    const payload = api === 'event' || api === 'files'
+      ? { statusCode: result.status, message: null, isSuccess: true, data: result.body ?? null }
+      : result.body;
+    return this.sendJson(response, result.status, payload);
+  }
+
+  /**
+   * Control endpoints for inspecting state and changing faults while the server runs
+   */
+  control(method, pathname, body) {
+    if (pathname === '/__mock/state' && method === 'GET') {
+      return this.getState();
+    }
+    if (pathname === '/__mock/faults') {
+      return method === 'PUT' ? this.setFaults(JSON.parse(body.toString() || '{}')) : this.faults;
+    }
+    if (pathname === '/__mock/reset' && method === 'POST') {
+      this.reset();
+      return { reset: true };
+    }
+    return { error: `Unknown control endpoint ${method} ${pathname}` };
+  }
+
+  /**
+   * Require the credentials each API expects: an API key or bearer token for legacy, a bearer token otherwise
+   */
+  authenticate(api, headers, query) {
+    const token = /^Bearer\s+(.+)$/i.exec(headers.authorization || '')?.[1];
+    const hasToken = Boolean(token) && token !== 'undefined' && token !== 'null';
+    const hasApiKey = Boolean(headers['x-api-key'] || (query.get('apiKey') && query.get('apiKey') !== 'undefined'));
+
+    if (!hasToken && !(api === 'legacy' && hasApiKey)) {
+      throw httpError(401, 'Unauthorized');
+    }
+  }
+
+  /**
+   * Read the whole request body
+   */
+  async readBody(request) {
+    const chunks = [];
+    for await (const chunk of request) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Parse a JSON request body
+   */
+  readJson(body) {
+    try {
+      return body.length > 0 ? JSON.parse(body.toString('utf8')) : {};
+    } catch (error) {
+      throw httpError(400, `Invalid JSON body: ${error.message}`);
+    }
+  }
+
+  sendJson(response, status, payload) {
+    const text = JSON.stringify(payload);
+    response.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) });
+    response.end(text);
+  }
+
+  /**
+   * Send an error the way each API reports it
+   */
+  sendError(response, api, { status, headers = {}, error }) {
+    if (api === 'auth' || !api) {
+      response.writeHead(status, { 'Content-Type': 'text/plain', ...headers });
+      return response.end(error);
+    }
+
+    const payload = api === 'legacy'
+      ? { message: error }
+      : { statusCode: status, message: error, isSuccess: false, data: null };
+    const text = JSON.stringify(payload);
+    response.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text), ...headers });
+    response.end(text);
+  }
+
+  // ----- Legacy API -----
+
+  findLegacyEvent(eventName) {
+    const event = this.legacyEvents.find(candidate => sameText(candidate.name, eventName));
+    if (!event) {
+      throw httpError(404, `Event '${eventName}' not found`);
+    }
+    return event;
+  }
+
+  /**
+   * All files of a legacy event: session walk-in files and subsession presentation files
+   */
+  collectLegacyFiles(event) {
+    const files = [];
+
+    for (const session of event.sessions || []) {
+      const room = (event.rooms || []).find(candidate => String(candidate.RoomId) === String(session.RoomId));
+      const context = { SessionId: session.SessionId, SessionName: session.SessionName, RoomId: session.RoomId, RoomName: roomNameOf(room) };
+
+      if (session.WalkInFile && !session.WalkInFile.IsDeleted) {
+        files.push({ ...session.WalkInFile, FileId: session.WalkInFile.WalkInFileId, fileType: 'walkin', ...context });
+      }
+
+      for (const subSession of session.SubSessions || []) {
+        for (const file of subSession.PresentationFiles || []) {
+          if (!file.IsDeleted) {
+            files.push({ ...file, FileId: file.PresentationFileId, fileType: 'presentation', SubSessionId: subSession.SubSessionId, ...context });
+          }
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * A legacy session as the API returns it, with file sizes instead of contents
+   */
+  legacySession(session) {
+    return {
+      ...session,
+      ...(session.WalkInFile ? { WalkInFile: publicFile(session.WalkInFile) } : {}),
+      SubSessions: (session.SubSessions || []).map(subSession => ({
+        ...subSession,
+        PresentationFiles: (subSession.PresentationFiles || []).map(publicFile)
+      }))
+    };
+  }
+
+  legacyFileListing(files) {
+    if (this.faults.filesMethodNotAllowed) {
+      throw httpError(405, 'Method Not Allowed');
+    }
+    return { status: 200, body: files.map(publicFile) };
+  }
+
+  listLegacyEvents() {
+    return {
+      status: 200,
+      body: this.legacyEvents.map(({ rooms, sessions, users, ...event }) => event)
+    };
+  }
+
+  legacyRooms({ eventName }) {
+    return { status: 200, body: this.findLegacyEvent(eventName).rooms || [] };
+  }
+
+  legacyRoomSessions({ eventName, roomId }) {
+    const sessions = (this.findLegacyEvent(eventName).sessions || []).filter(session => String(session.RoomId) === roomId);
+    return { status: 200, body: sessions.map(session => this.legacySession(session)) };
+  }
+
+  legacySessions({ eventName }) {
+    return { status: 200, body: (this.findLegacyEvent(eventName).sessions || []).map(session => this.legacySession(session)) };
+  }
+
+  legacySubSessions({ eventName }) {
+    const subSessions = (this.findLegacyEvent(eventName).sessions || []).flatMap(session =>
+      this.legacySession(session).SubSessions.map(subSession => ({ ...subSession, sessionId: session.SessionId }))
+    );
+    return { status: 200, body: subSessions };
+  }
+
+  legacyUsers({ eventName }, { query }) {
+    const search = (query.get('search') || '').toLowerCase();
+    const users = (this.findLegacyEvent(eventName).users || []).filter(user =>
+      !search || [user.email, user.firstName, user.lastName].some(value => String(value || '').toLowerCase().includes(search))
+    );
+    return { status: 200, body: users };
+  }
+
+  legacyModerators({ eventName }) {
+    const event = this.findLegacyEvent(eventName);
+    const moderators = (event.users || []).filter(user => user.isModerator).map(user => ({
+      ...user,
+      roomName: roomNameOf((event.rooms || []).find(room => String(room.RoomId) === String(user.roomId)))
+    }));
+    return { status: 200, body: moderators };
+  }
+
+  legacyFiles({ eventName }) {
+    return this.legacyFileListing(this.collectLegacyFiles(this.findLegacyEvent(eventName)));
+  }
+
+  legacyRoomFiles({ eventName, roomName }) {
+    const event = this.findLegacyEvent(eventName);
+    if (!(event.rooms || []).some(room => sameText(roomNameOf(room), roomName))) {
+      throw httpError(404, `Room '${roomName}' not found`);
+    }
+    return this.legacyFileListing(this.collectLegacyFiles(event).filter(file => sameText(file.RoomName, roomName)));
+  }
+
+  legacySessionFiles({ eventName, sessionId }) {
+    return this.legacyFileListing(this.collectLegacyFiles(this.findLegacyEvent(eventName)).filter(file => String(file.SessionId) === sessionId));
+  }
+
+  legacyDownload({ eventName, fileId }) {
+    const file = this.collectLegacyFiles(this.findLegacyEvent(eventName)).find(candidate => String(candidate.FileId) === fileId);
+    if (!file) {
+      throw httpError(404, `File '${fileId}' not found`);
+    }
+    // Generated fixtures have no contents - stream filler bytes of the listed size
+    if (file.content === undefined && file.FileSize) {
+      return { status: 200, body: FixtureGeneratorService.createFillerStream(file.FileId, file.FileSize), contentLength: file.FileSize };
+    }
+    return { status: 200, body: Buffer.from(file.content || '') };
+  }
+
+  // ----- Event API -----
+
+  health() {
+    return { status: 200, body: { status: 'Healthy' } };
+  }
+
+  findCurrentEvent(eventId) {
+    const event = this.currentEvents.find(candidate => String(candidate.id) === String(eventId));
+    if (!event) {
+      throw httpError(404, `Event ${eventId} not found`);
+    }
+    return event;
+  }
+
+  findCollection(collection) {
+    const definition = COLLECTIONS[collection.toLowerCase()];
+    if (!definition) {
+      throw httpError(404, `Unknown collection '${collection}'`);
+    }
+    return definition;
+  }
+
+  findEntity(event, definition, id) {
+    const entity = event[definition.key].find(candidate => String(candidate.id) === id);
+    if (!entity) {
+      throw httpError(404, `${definition.key} entry '${id}' not found`);
+    }
+    return entity;
+  }
+
+  events() {
+    return { status: 200, body: this.currentEvents.map(({ id, name }) => ({ id, name })) };
+  }
+
+  event({ eventId }) {
+    const { id, name } = this.findCurrentEvent(eventId);
+    return { status: 200, body: { id, name } };
+  }
+
+  eventLocations({ eventId }) {
+    const event = this.findCurrentEvent(eventId);
+    return { status: 200, body: event.locations.map(location => ({ ...location, eventId: event.id })) };
+  }
+
+  listEntities({ eventId, collection }) {
+    const definition = this.findCollection(collection);
+    return { status: 200, body: this.findCurrentEvent(eventId)[definition.key] };
+  }
+
+  getEntity({ eventId, collection, id }) {
+    const definition = this.findCollection(collection);
+    return { status: 200, body: this.findEntity(this.findCurrentEvent(eventId), definition, id) };
+  }
+
+  /**
+   * Create an entity; duplicates of the unique field and unknown parents are rejected like the real API
+   */
+  createEntity({ eventId, collection }, { body }) {
+    const definition = this.findCollection(collection);
+    const event = this.findCurrentEvent(eventId);
+    const data = this.readJson(body);
+
+    if (definition.unique && event[definition.key].some(entity => entity[definition.unique] === data[definition.unique])) {
+      throw httpError(409, definition.conflict(data[definition.unique]));
+    }
+
+    if (definition.parent) {
+      const [field, parentKey] = definition.parent;
+      if (!event[parentKey].some(parent => String(parent.id) === String(data[field]))) {
+        throw httpError(400, `${field} '${data[field]}' does not exist in event ${event.id}`);
+      }
+    }
+
+    const entity = { ...data, id: randomUUID(), eventId: event.id };
+    event[definition.key].push(entity);
+
+    if (definition.account && entity.userName && !this.accounts.some(account => sameText(account.userName, entity.userName))) {
+      this.accounts.push({ email: entity.email, userName: entity.userName, roles: [], registeredForEventId: event.id });
+    }
+
+    // Injected conflict: the entity exists, as if an earlier attempt created it but its response was lost
+    if (definition.unique && this.faults.conflictRate > 0 && this.random() < this.faults.conflictRate) {
+      throw httpError(409, definition.conflict(data[definition.unique]));
+    }
+
+    return { status: 201, body: entity };
+  }
+
+  updateEntity({ eventId, collection, id }, { body }) {
+    const definition = this.findCollection(collection);
+    const entity = this.findEntity(this.findCurrentEvent(eventId), definition, id);
+    Object.assign(entity, this.readJson(body), { id: entity.id, eventId: entity.eventId });
+    return { status: 200, body: entity };
+  }
+
+  deleteEntity({ eventId, collection, id }) {
+    const definition = this.findCollection(collection);
+    const event = this.findCurrentEvent(eventId);
+    const entity = this.findEntity(event, definition, id);
+    event[definition.key] = event[definition.key].filter(candidate => candidate !== entity);
+    return { status: 200, body: true };
+  }
+
+  // ----- Files API -----
+
+  findFile(fileId) {
+    const file = this.files.find(candidate => candidate.id === fileId);
+    if (!file) {
+      throw httpError(404, `File '${fileId}' not found`);
+    }
+    return file;
+  }
+
+  fileDto({ content, ...file }) {
+    return file;
+  }
+
+  /**
+   * Store a multipart upload (field names are matched case-insensitively: SessionId or sessionId)
+   */
+  async uploadFile({ kind }, { body, headers }) {
+    const fileKind = FILE_KINDS[kind.toLowerCase()];
+    if (!fileKind) {
+      throw httpError(404, `No mock route for POST /${kind}`);
+    }
+
+    let form;
+    try {
+      form = await new Response(body, { headers: { 'Content-Type': headers['content-type'] || '' } }).formData();
+    } catch (error) {
+      throw httpError(400, `Expected a multipart/form-data upload: ${error.message}`);
+    }
+
+    const fields = Object.fromEntries([...form.entries()].map(([name, value]) => [name.toLowerCase(), value]));
+    const upload = fields.file;
+    if (!upload || typeof upload === 'string') {
+      throw httpError(400, 'The File field is required');
+    }
+
+    const file = {
+      id: randomUUID(),
+      kind: fileKind,
+      eventId: fields.eventid !== undefined ? Number(fields.eventid) : null,
+      sessionId: fields.sessionid ?? null,
+      subSessionId: fields.subsessionid ?? null,
+      userId: fields.userid ?? null,
+      moderatorId: fields.moderatorid ?? null,
+      name: upload.name,
+      extension: extname(upload.name || ''),
+      fileSizeInBytes: upload.size,
+      createdAt: new Date().toISOString(),
+      createdBy: fields.createdby ?? null,
+      isStartup: fields.isstartup !== undefined ? fields.isstartup === 'true' : null,
+      metadata: {},
+      content: Buffer.from(await upload.arrayBuffer())
+    };
+    this.files.push(file);
+
+    return { status: 201, body: this.fileDto(file) };
+  }
+
+  deleteFile({ kind, fileId }) {
+    const fileKind = FILE_KINDS[kind.toLowerCase()];
+    const file = this.findFile(fileId);
+    if (!fileKind || file.kind !== fileKind) {
+      throw httpError(404, `File '${fileId}' not found`);
+    }
+    this.files = this.files.filter(candidate => candidate !== file);
+    return { status: 200, body: true };
+  }
+
+  eventFiles({ eventId }) {
+    return { status: 200, body: this.files.filter(file => String(file.eventId) === eventId).map(file => this.fileDto(file)) };
+  }
+
+  createFileMetadata({ eventId, fileType }, { body }) {
+    const file = {
+      id: randomUUID(),
+      kind: fileType,
+      eventId: Number(eventId),
+      fileSizeInBytes: 0,
+      createdAt: new Date().toISOString(),
+      metadata: this.readJson(body),
+      content: Buffer.alloc(0)
+    };
+    this.files.push(file);
+    return { status: 201, body: this.fileDto(file) };
+  }
+
+  updateFileMetadata({ fileId }, { body }) {
+    const file = this.findFile(fileId);
+    file.metadata = { ...file.metadata, ...this.readJson(body) };
+    return { status: 200, body: this.fileDto(file) };
+  }
+
+  downloadFile({ fileId }) {
+    return { status: 200, body: this.findFile(fileId).content };
+  }
+
+  // ----- Auth API -----
+
+  findAccount(userName) {
+    const account = this.accounts.find(candidate => sameText(candidate.userName, userName));
+    if (!account) {
+      throw httpError(404, `User '${userName}' not found`);
+    }
+    return account;
+  }
+
+  register({ eventId }, { body }) {
+    const { email, userName } = this.readJson(body);
+    if (!email || !userName) {
+      throw httpError(400, 'email and userName are required');
+    }
+    if (this.accounts.some(account => sameText(account.userName, userName))) {
+      throw httpError(400, `User '${userName}' already exists`);
+    }
+
+    this.accounts.push({ email, userName, roles: [], registeredForEventId: Number(eventId) });
+    return { status: 201, body: { email, userName, firstTimeLogin: true } };
+  }
+
+  login() {
+    return { status: 200, body: `mock-token-${randomUUID()}` };
+  }
+
+  addUserRole({ eventId }, { body }) {
+    const { userName, roles } = this.readJson(body);
+    if (!Array.isArray(roles) || roles.length === 0) {
+      throw httpError(400, 'roles are required');
+    }
+
+    const account = this.findAccount(userName);
+    for (const role of roles) {
+      if (!account.roles.some(entry => String(entry.eventId) === eventId && entry.role === role)) {
+        account.roles.push({ eventId: Number(eventId), role });
+      }
+    }
+    return { status: 200, body: '' };
+  }
+
+  removeUserRole({ eventId }, { body }) {
+    const { userName, roles = [] } = this.readJson(body);
+    const account = this.findAccount(userName);
+    account.roles = account.roles.filter(entry => String(entry.eventId) !== eventId || !roles.includes(entry.role));
+    return { status: 200, body: '' };
+  }
+
+  passwordAction({ action }) {
+    if (!PASSWORD_ACTIONS.includes(action.toLowerCase())) {
+      throw httpError(404, `No mock route for POST /Auth/${action}`);
+    }
+    return { status: 200, body: 'OK' };
+  }
+}
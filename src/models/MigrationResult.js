@@ -10,6 +10,25 @@ export class MigrationResult {
     this.dryRun = false;
     this.configuration = null;
     
+    // Checkpoint run tracking
+    this.runId = null;
+    this.resumed = false;
+    
+    // Per-entity change plan produced by dry runs
+    this.changePlan = null;
+    
+    // SHA-256 and size verification of every uploaded file
+    this.fileIntegrity = [];
+    
+    // Every API request retry (transient network errors, 429 and 5xx)
+    this.retryAttempts = [];
+    
+    // Records the --transforms hooks skipped, changed or replaced
+    this.transformHooks = null;
+    
+    // Records --quarantine kept or a replay released
+    this.quarantine = null;
+    
     // Error and warning tracking
     this.errors = [];
     this.warnings = [];
@@ -22,9 +41,13 @@ export class MigrationResult {
       usersProcessed: 0,
       moderatorsCreated: 0,
       filesUploaded: 0,
+      entitiesSkipped: 0,
       totalFileSizeBytes: 0,
       apiCallsLegacy: 0,
       apiCallsCurrent: 0,
+      apiRetries: 0,
+      rateLimits: {},
+      circuitBreakers: {},
       parallelOperations: 0,
       averageRoomProcessingTime: 0,
       averageSessionProcessingTime: 0,
@@ -109,6 +132,14 @@ export class MigrationResult {
     }
   }
 
+  /**
+   * Add API request retries to the result
+   */
+  addRetryAttempts(attempts) {
+    this.retryAttempts.push(...attempts);
+    this.statistics.apiRetries = this.retryAttempts.length;
+  }
+
   /**
    * Update statistics
    */
@@ -290,6 +321,8 @@ export class MigrationResult {
     return {
       success: this.success,
       dryRun: this.dryRun,
+      runId: this.runId,
+      resumed: this.resumed,
       duration: this.getFormattedDuration(),
       successRate: `${this.getSuccessRate()}%`,
       statistics: this.statistics,
@@ -314,6 +347,13 @@ export class MigrationResult {
       endTime: this.endTime?.toISOString(),
       success: this.success,
       dryRun: this.dryRun,
+      runId: this.runId,
+      resumed: this.resumed,
+      changePlan: this.changePlan,
+      fileIntegrity: this.fileIntegrity,
+      retryAttempts: this.retryAttempts,
+      transformHooks: this.transformHooks,
+      quarantine: this.quarantine,
       duration: this.getDuration(),
       formattedDuration: this.getFormattedDuration(),
       configuration: this.configuration,
@@ -346,6 +386,13 @@ export class MigrationResult {
       endTime: json.endTime ? new Date(json.endTime) : null,
       success: json.success,
       dryRun: json.dryRun,
+      runId: json.runId || null,
+      resumed: Boolean(json.resumed),
+      changePlan: json.changePlan || null,
+      fileIntegrity: json.fileIntegrity || [],
+      retryAttempts: json.retryAttempts || [],
+      transformHooks: json.transformHooks || null,
+      quarantine: json.quarantine || null,
       configuration: json.configuration,
       statistics: json.statistics,
       errors: json.errors,
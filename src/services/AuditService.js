@@ -0,0 +1,238 @@
+import { extname } from 'path';
+import { CONSTANTS } from '../utils/constants.js';
+import { MappingEngine } from '../utils/MappingEngine.js';
+import { TimeZoneConverter } from '../utils/TimeZoneConverter.js';
+
+const REPORT_KIND = 'legacy-event-audit';
+const REPORT_VERSION = 1;
+
+// Every check, and whether its findings make the migration fail (error) or only lose or change data (warning)
+const CHECKS = {
+  'room-without-name': 'error',
+  'missing-time': 'error',
+  'invalid-time': 'error',
+  'end-before-start': 'error',
+  'overlapping-sessions': 'warning',
+  'duplicate-client-session-id': 'error',
+  'duplicate-client-subsession-id': 'error',
+  'user-without-email': 'error',
+  'deleted-walkin-file': 'warning',
+  'file-too-large': 'error',
+  'unsupported-file-extension': 'error'
+};
+
+// Legacy field names, as the legacy-dtos.json mappings and the migration read them
+const ROOM_NAME_FIELDS = ['RoomName', 'name', 'DisplayName'];
+const LABELS = { session: 'Session', subSession: 'SubSession' };
+const TIME_FIELDS = {
+  session: { start: ['SessionStart', 'StartTime'], end: ['SessionEnd', 'EndTime'] },
+  subSession: { start: ['StartTime'], end: ['EndTime'] }
+};
+
+/**
+ * Audit Service - Reports data problems in a legacy event before it is migrated
+ * Reads everything the legacy source returns, changes nothing and lists each finding with its legacy record
+ */
+export class AuditService {
+  constructor(config, logger, { legacyClient }) {
+    this.config = config;
+    this.logger = logger;
+    this.legacyClient = legacyClient;
+    // Only the order of times within the event matters, so times without an offset are read as UTC
+    this.timeConverter = new TimeZoneConverter('UTC');
+  }
+
+  /**
+   * Scan a legacy event and build the audit report
+   */
+  async audit(legacyEventName) {
+    const report = {
+      kind: REPORT_KIND,
+      version: REPORT_VERSION,
+      legacyEventName,
+      auditedAt: new Date().toISOString(),
+      failed: false,
+      counts: { rooms: 0, sessions: 0, subSessions: 0, users: 0, files: 0 },
+      checks: { ...CHECKS },
+      summary: Object.fromEntries(Object.keys(CHECKS).map(check => [check, 0])),
+      findings: []
+    };
+
+    this.logger.info(`🩺 Auditing legacy event "${legacyEventName}"`);
+
+    const clientSessionIds = new Map();
+    const clientSubSessionIds = new Map();
+    const rooms = await this.legacyClient.getRooms(legacyEventName);
+    report.counts.rooms = rooms.length;
+
+    for (const room of rooms) {
+      const roomName = String(MappingEngine.findValue(room, ROOM_NAME_FIELDS) ?? '').trim() || null;
+      if (!roomName) {
+        this.addFinding(report, 'room-without-name', 'room', room.RoomId ?? room.id, null, 'Room has no name - its transform fails');
+      }
+
+      const sessions = (await this.legacyClient.getSessions(legacyEventName, room.RoomId)).filter(Boolean);
+      report.counts.sessions += sessions.length;
+      const scheduled = [];
+
+      for (const session of sessions) {
+        const sessionName = session.SessionName || session.title || null;
+        const times = this.checkTimes(report, 'session', session, session.SessionId, sessionName);
+        if (times) scheduled.push({ session, sessionName, ...times });
+
+        this.collectId(clientSessionIds, session.ClientSessionId, session);
+
+        if (session.WalkInFile?.IsDeleted) {
+          this.addFinding(report, 'deleted-walkin-file', 'file', session.WalkInFile.WalkInFileId, session.WalkInFile.FileName,
+            `Walk-in file of session ${session.SessionId} is deleted in the legacy system and is not migrated`);
+        }
+
+        const subSessions = session.SubSessions || session.subSessions || [];
+        report.counts.subSessions += subSessions.length;
+        for (const subSession of subSessions) {
+          this.checkTimes(report, 'subSession', subSession, subSession.SubSessionId, subSession.SubSessionName || subSession.title || null);
+          this.collectId(clientSubSessionIds, subSession.ClientSubSessionId, subSession);
+        }
+      }
+
+      this.checkOverlaps(report, roomName || room.RoomId, scheduled);
+
+      if (roomName) {
+        const files = await this.legacyClient.getFiles(legacyEventName, roomName);
+        report.counts.files += (files || []).length;
+        (files || []).forEach(file => this.checkFile(report, file));
+      }
+    }
+
+    this.reportDuplicates(report, 'duplicate-client-session-id', 'session', 'ClientSessionId', clientSessionIds, 'SessionId');
+    this.reportDuplicates(report, 'duplicate-client-subsession-id', 'subSession', 'ClientSubSessionId', clientSubSessionIds, 'SubSessionId');
+
+    const users = await this.legacyClient.getUsers(legacyEventName);
+    report.counts.users = users.length;
+    for (const user of users) {
+      if (!user.email || !String(user.email).trim()) {
+        const name = [user.firstName, user.lastName].filter(Boolean).join(' ') || null;
+        this.addFinding(report, 'user-without-email', 'user', user.id, name, 'User has no email - its transform fails');
+      }
+    }
+
+    report.failed = report.findings.some(finding => finding.severity === 'error');
+    this.logger.info(`🩺 Audit found ${report.findings.length} problems in "${legacyEventName}"`);
+    return report;
+  }
+
+  /**
+   * Record one finding
+   */
+  addFinding(report, check, entityType, legacyId, name, message) {
+    report.findings.push({
+      check,
+      severity: CHECKS[check],
+      entityType,
+      legacyId: legacyId !== undefined && legacyId !== null ? String(legacyId) : null,
+      name: name ?? null,
+      message
+    });
+    report.summary[check]++;
+  }
+
+  /**
+   * Check the start and end of a session or subsession - resolves { start, end } in milliseconds when both are usable
+   */
+  checkTimes(report, entityType, record, legacyId, name) {
+    const values = {
+      start: MappingEngine.findValue(record, TIME_FIELDS[entityType].start),
+      end: MappingEngine.findValue(record, TIME_FIELDS[entityType].end)
+    };
+    const times = {};
+
+    for (const [edge, value] of Object.entries(values)) {
+      if (value === undefined) {
+        this.addFinding(report, 'missing-time', entityType, legacyId, name, `${LABELS[entityType]} has no ${edge} time`);
+        continue;
+      }
+
+      const converted = this.timeConverter.toUtc(value);
+      if (!converted) {
+        this.addFinding(report, 'invalid-time', entityType, legacyId, name, `${LABELS[entityType]} ${edge} time "${value}" is not a date/time`);
+        continue;
+      }
+      times[edge] = Date.parse(converted);
+    }
+
+    if (times.start === undefined || times.end === undefined) {
+      return null;
+    }
+
+    if (times.end < times.start) {
+      this.addFinding(report, 'end-before-start', entityType, legacyId, name, `${LABELS[entityType]} ends (${values.end}) before it starts (${values.start})`);
+      return null;
+    }
+
+    return times;
+  }
+
+  /**
+   * Report sessions of one room whose times overlap
+   */
+  checkOverlaps(report, roomName, scheduled) {
+    const sorted = [...scheduled].sort((a, b) => a.start - b.start);
+
+    sorted.forEach((current, index) => {
+      const overlapping = sorted.slice(0, index).filter(previous => previous.end > current.start);
+
+      for (const previous of overlapping) {
+        this.addFinding(report, 'overlapping-sessions', 'session', current.session.SessionId, current.sessionName,
+          `Session overlaps session ${previous.session.SessionId} ("${previous.sessionName}") in room "${roomName}"`);
+      }
+    });
+  }
+
+  /**
+   * Remember which records use a client ID
+   */
+  collectId(index, clientId, record) {
+    if (clientId === undefined || clientId === null || clientId === '') {
+      return;
+    }
+
+    const key = String(clientId).trim();
+    index.set(key, [...(index.get(key) || []), record]);
+  }
+
+  /**
+   * Report client IDs used by more than one record - they become the same sourceSystemId in the current system
+   * The first record keeps the ID, every later one is a finding
+   */
+  reportDuplicates(report, check, entityType, idField, index, legacyIdField) {
+    for (const [clientId, records] of index) {
+      if (records.length < 2) continue;
+
+      const legacyIds = records.map(record => record[legacyIdField]);
+      records.slice(1).forEach(record => {
+        this.addFinding(report, check, entityType, record[legacyIdField], null,
+          `${idField} "${clientId}" is shared by ${legacyIds.join(', ')} - they would be migrated as one ${LABELS[entityType]}`);
+      });
+    }
+  }
+
+  /**
+   * Check a listed file against what the migration can upload
+   */
+  checkFile(report, file) {
+    const fileId = file.WalkInFileId || file.FileId || file.PresentationFileId || file.id;
+    const fileName = file.FileName || file.fileName || null;
+    const size = Number(file.FileSize ?? file.fileSize);
+
+    if (Number.isFinite(size) && size > CONSTANTS.MAX_FILE_SIZE) {
+      this.addFinding(report, 'file-too-large', 'file', fileId, fileName,
+        `File is ${size} bytes, above the ${CONSTANTS.MAX_FILE_SIZE} byte limit`);
+    }
+
+    const extension = fileName ? extname(fileName).toLowerCase() : '';
+    if (!CONSTANTS.SUPPORTED_FILE_EXTENSIONS.includes(extension)) {
+      this.addFinding(report, 'unsupported-file-extension', 'file', fileId, fileName,
+        `File extension "${extension || 'none'}" is not one of ${CONSTANTS.SUPPORTED_FILE_EXTENSIONS.join(', ')}`);
+    }
+  }
+}
@@ -0,0 +1,416 @@
+import { createHash } from 'crypto';
+import { MappingEngine } from '../utils/MappingEngine.js';
+
+const PLAN_ACTIONS = ['create', 'update', 'unchanged', 'invalid'];
+
+// Parents that do not exist yet are referenced by legacy ID until they are created
+const PLANNED_REFERENCE_PREFIX = 'planned:';
+
+/**
+ * Change Plan Service - Builds a per-entity migration plan without changing anything
+ * Runs the full transform/validation pipeline and compares the result with what already exists in the target event
+ */
+export class ChangePlanService {
+  constructor(config, logger, { legacyClient, currentClient, validationService, getLegacyId }) {
+    this.config = config;
+    this.logger = logger;
+    this.legacyClient = legacyClient;
+    this.currentClient = currentClient;
+    this.validationService = validationService;
+    this.getLegacyId = getLegacyId;
+  }
+
+  /**
+   * Build the change plan for a set of legacy rooms
+   */
+  async buildPlan({ legacyEventName, targetEventId, rooms, eventLocations, skipFiles }) {
+    const plan = {
+      legacyEventName,
+      targetEventId,
+      createdAt: new Date().toISOString(),
+      warnings: [],
+      entries: [],
+      summary: null,
+      targetFingerprint: null
+    };
+
+    const existing = await this.loadExisting(targetEventId, plan);
+    plan.targetFingerprint = existing.fingerprint;
+    // Users are planned once per email and presenters get their role once, like MigrationService.createUserOnce
+    const context = { legacyEventName, targetEventId, eventLocations, skipFiles, existing, plannedUsers: new Map(), plannedRoles: new Map() };
+
+    for (const room of rooms) {
+      await this.planRoom(room, plan, context);
+    }
+
+    plan.summary = ChangePlanService.summarize(plan.entries);
+    return plan;
+  }
+
+  /**
+   * Index the entities that already exist in the target event
+   */
+  async loadExisting(targetEventId, plan = { warnings: [] }) {
+    const collections = {};
+
+    const load = async (label, fetch, keyOf) => {
+      const index = new Map();
+
+      try {
+        collections[label] = await fetch();
+        for (const entity of collections[label]) {
+          const key = keyOf(entity);
+          if (key) index.set(String(key), entity);
+        }
+      } catch (error) {
+        collections[label] = { unavailable: error.message };
+        // Without the lookup every entity of this type shows as a create - say so instead of failing the plan
+        const warning = `Could not load existing ${label} for event ${targetEventId} - they are planned as creates: ${error.message}`;
+        plan.warnings.push(warning);
+        this.logger.warn(`⚠️  ${warning}`);
+      }
+
+      return index;
+    };
+
+    const existing = {
+      rooms: await load('rooms', () => this.currentClient.getRooms(targetEventId), room => room.name),
+      sessions: await load('sessions', () => this.currentClient.getSessions(targetEventId), session => session.sourceSystemId),
+      subSessions: await load('subsessions', () => this.currentClient.getSubSessions(targetEventId), subSession => subSession.sourceSystemId),
+      users: await load('users', () => this.currentClient.getUsers(targetEventId), user => user.email?.toLowerCase())
+    };
+
+    existing.fingerprint = ChangePlanService.fingerprint(collections);
+    return existing;
+  }
+
+  /**
+   * Fingerprint the current state of the target event
+   */
+  async fingerprintTarget(targetEventId) {
+    const existing = await this.loadExisting(targetEventId);
+    return existing.fingerprint;
+  }
+
+  /**
+   * Hash entity collections independently of the order the API returns them in
+   */
+  static fingerprint(collections) {
+    const canonical = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(canonical);
+      }
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+      }
+      return value;
+    };
+
+    const counts = {};
+    const hash = createHash('sha256');
+
+    for (const label of Object.keys(collections).sort()) {
+      const collection = collections[label];
+
+      if (Array.isArray(collection)) {
+        counts[label] = collection.length;
+        const entities = collection.map(entity => JSON.stringify(canonical(entity))).sort();
+        hash.update(`${label}:${entities.join('\n')}\n`);
+      } else {
+        counts[label] = null;
+        hash.update(`${label}:unavailable\n`);
+      }
+    }
+
+    return { algorithm: 'sha256', hash: hash.digest('hex'), counts };
+  }
+
+  /**
+   * Plan a room and everything in it, following the same steps as MigrationService.processRoom
+   */
+  async planRoom(room, plan, context) {
+    const { legacyEventName, targetEventId, eventLocations, skipFiles, existing } = context;
+    const roomName = room.RoomName || room.name || room.roomName || room.Name || room.DisplayName;
+    const eventLocationId = eventLocations?.[0]?.id || targetEventId;
+
+    // Existing rooms are reused as-is, so they are never updated
+    const roomEntry = await this.planEntity(plan, {
+      entityType: 'room',
+      legacyId: this.getLegacyId('room', room),
+      name: roomName,
+      transform: () => this.validationService.transformLegacyRoom(room, targetEventId, eventLocationId),
+      findExisting: payload => existing.rooms.get(payload.name),
+      compare: false
+    });
+
+    // A room that fails to transform or is skipped by a transform hook stops the migration of everything in it
+    if (!roomEntry || roomEntry.action === 'invalid') {
+      return;
+    }
+
+    const roomRef = ChangePlanService.reference(roomEntry);
+
+    const sessions = await this.legacyClient.getSessions(legacyEventName, room.RoomId);
+    for (const session of sessions.filter(Boolean)) {
+      await this.planSession(session, roomRef, plan, context);
+    }
+
+    const users = await this.legacyClient.getUsers(legacyEventName, room.RoomId);
+    for (const user of users) {
+      const userEntry = await this.planUser(user, plan, context);
+
+      if (user.isModerator && userEntry && userEntry.action !== 'invalid') {
+        await this.planEntity(plan, {
+          entityType: 'moderator',
+          legacyId: this.getLegacyId('moderator', user),
+          name: user.email,
+          transform: () => this.validationService.transformLegacyModerator(user, ChangePlanService.reference(userEntry), roomRef, targetEventId),
+          findExisting: () => null
+        });
+      }
+    }
+
+    if (!skipFiles) {
+      const files = await this.legacyClient.getFiles(legacyEventName, roomName);
+      for (const file of files || []) {
+        const fileId = this.getLegacyId('file', file);
+        const fileEntry = await this.planEntity(plan, {
+          entityType: 'file',
+          legacyId: fileId,
+          name: file.FileName || file.fileName,
+          transform: async () => {
+            if (!fileId) {
+              throw new Error('File has no legacy file ID and would be skipped');
+            }
+            return this.validationService.transformLegacyFile(file, roomRef, targetEventId);
+          },
+          findExisting: () => null
+        });
+
+        // The binary is only downloaded when the plan is applied
+        if (fileEntry) {
+          fileEntry.source = { fileId, filePath: file.FilePath || null, subSessionId: file.subSessionId || file.SubSessionId || null };
+        }
+      }
+    }
+  }
+
+  /**
+   * Plan a session and its subsessions
+   */
+  async planSession(session, roomRef, plan, context) {
+    const { targetEventId, existing } = context;
+
+    const sessionEntry = await this.planEntity(plan, {
+      entityType: 'session',
+      legacyId: this.getLegacyId('session', session),
+      name: session.SessionName || session.sessionName || session.title || session.name,
+      transform: () => this.validationService.transformLegacySession(session, roomRef, targetEventId),
+      findExisting: payload => existing.sessions.get(String(payload.sourceSystemId))
+    });
+
+    if (!sessionEntry || sessionEntry.action === 'invalid') {
+      return;
+    }
+
+    const sessionRef = ChangePlanService.reference(sessionEntry);
+    const subSessions = session.SubSessions || session.subSessions || [];
+
+    for (const subSession of subSessions) {
+      const subSessionEntry = await this.planEntity(plan, {
+        entityType: 'subSession',
+        legacyId: this.getLegacyId('subSession', subSession),
+        name: subSession.SubSessionName || subSession.subSessionName || subSession.title || subSession.name,
+        transform: () => this.validationService.transformLegacySubSession(subSession, sessionRef, targetEventId),
+        findExisting: payload => existing.subSessions.get(String(payload.sourceSystemId))
+      });
+
+      if (subSessionEntry && subSessionEntry.action !== 'invalid') {
+        await this.planPresenters(subSession, subSessionEntry, plan, context);
+      }
+    }
+  }
+
+  /**
+   * Plan the presenters of a subsession: their user, their presenter role and their link to the subsession
+   * Follows MigrationService.processPresenters
+   */
+  async planPresenters(subSession, subSessionEntry, plan, context) {
+    const { targetEventId, plannedRoles } = context;
+    const subSessionRef = ChangePlanService.reference(subSessionEntry);
+
+    for (const presenter of MappingEngine.findValue(subSession, ['Presenters']) || []) {
+      const email = presenter && typeof presenter === 'object' ? String(MappingEngine.findValue(presenter, ['email']) ?? '').trim() : '';
+      const linkEntry = {
+        entityType: 'presenter',
+        legacyId: `${subSessionEntry.legacyId}:${email.toLowerCase()}`,
+        name: email,
+        findExisting: () => null
+      };
+
+      if (!email) {
+        await this.planEntity(plan, { ...linkEntry, transform: async () => { throw new Error(`Presenter ${JSON.stringify(presenter)} has no email`); } });
+        continue;
+      }
+
+      const userEntry = await this.planUser(presenter, plan, context);
+      if (!userEntry || userEntry.action === 'invalid') {
+        continue;
+      }
+
+      if (!plannedRoles.has(email.toLowerCase())) {
+        plannedRoles.set(email.toLowerCase(), await this.planEntity(plan, {
+          entityType: 'userRole',
+          legacyId: email.toLowerCase(),
+          name: email,
+          transform: () => this.validationService.transformPresenterRole(userEntry.payload),
+          findExisting: () => null
+        }));
+      }
+
+      if (plannedRoles.get(email.toLowerCase())?.action === 'invalid') {
+        continue;
+      }
+
+      await this.planEntity(plan, {
+        ...linkEntry,
+        transform: () => this.validationService.transformLegacyPresenter(ChangePlanService.reference(userEntry), subSessionRef, targetEventId)
+      });
+    }
+  }
+
+  /**
+   * Plan the user of an email once across the event; existing users are reused as-is
+   */
+  async planUser(user, plan, context) {
+    const { targetEventId, existing, plannedUsers } = context;
+    const email = String(MappingEngine.findValue(user, ['email']) ?? '').trim().toLowerCase();
+
+    if (email && plannedUsers.has(email)) {
+      return plannedUsers.get(email);
+    }
+
+    const userEntry = await this.planEntity(plan, {
+      entityType: 'user',
+      legacyId: this.getLegacyId('user', user),
+      name: user.email,
+      transform: () => this.validationService.transformLegacyUser(user, targetEventId),
+      findExisting: payload => existing.users.get(payload.email?.toLowerCase()),
+      compare: false
+    });
+
+    // A user that failed to transform is planned again for the next record with its email
+    if (email && userEntry && userEntry.action !== 'invalid') {
+      plannedUsers.set(email, userEntry);
+    }
+
+    return userEntry;
+  }
+
+  /**
+   * Transform one entity and decide whether it would be created, updated, left unchanged or rejected
+   * Entities a transform hook skips are left out of the plan (null)
+   */
+  async planEntity(plan, { entityType, legacyId, name, transform, findExisting, compare = true }) {
+    const entry = {
+      entityType,
+      legacyId: legacyId !== undefined && legacyId !== null ? String(legacyId) : null,
+      name: name || null,
+      action: null,
+      targetId: null,
+      changes: [],
+      errors: [],
+      payload: null,
+      before: null
+    };
+
+    try {
+      entry.payload = await transform();
+    } catch (error) {
+      entry.action = 'invalid';
+      entry.errors.push(error.message);
+      plan.entries.push(entry);
+      return entry;
+    }
+
+    if (entry.payload === null) {
+      return null;
+    }
+
+    const current = findExisting(entry.payload);
+
+    if (!current) {
+      entry.action = 'create';
+    } else {
+      entry.targetId = current.id;
+      entry.changes = compare ? this.diff(entityType, current, entry.payload) : [];
+      entry.action = entry.changes.length > 0 ? 'update' : 'unchanged';
+
+      if (entry.action === 'update') {
+        entry.before = current;
+      }
+    }
+
+    plan.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * List the updatable fields whose value would change
+   */
+  diff(entityType, current, payload) {
+    const updatable = this.config.dtos.current[entityType]?.update?.optional || [];
+
+    return updatable
+      .filter(field => field in payload)
+      .filter(field => !ChangePlanService.valuesEqual(current[field], payload[field]))
+      .map(field => ({ field, from: current[field] ?? null, to: payload[field] ?? null }));
+  }
+
+  /**
+   * Compare two field values, treating empty values alike and date-times by instant
+   */
+  static valuesEqual(a, b) {
+    const normalize = value => (value === undefined || value === '' ? null : value);
+    const left = normalize(a);
+    const right = normalize(b);
+
+    if (left === null || right === null) {
+      return left === right;
+    }
+
+    const isDateTime = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value);
+    if (isDateTime(left) && isDateTime(right)) {
+      return new Date(left).getTime() === new Date(right).getTime();
+    }
+
+    if (typeof left === 'object' || typeof right === 'object') {
+      return JSON.stringify(left) === JSON.stringify(right);
+    }
+
+    return String(left) === String(right);
+  }
+
+  /**
+   * Get the ID children should use for a planned parent
+   */
+  static reference(entry) {
+    return entry.targetId || `${PLANNED_REFERENCE_PREFIX}${entry.entityType}:${entry.legacyId}`;
+  }
+
+  /**
+   * Count plan actions per entity type
+   */
+  static summarize(entries) {
+    const empty = () => Object.fromEntries(PLAN_ACTIONS.map(action => [action, 0]));
+    const summary = { total: empty(), byType: {} };
+
+    for (const entry of entries) {
+      summary.byType[entry.entityType] = summary.byType[entry.entityType] || empty();
+      summary.byType[entry.entityType][entry.action]++;
+      summary.total[entry.action]++;
+    }
+
+    return summary;
+  }
+}
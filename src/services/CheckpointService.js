@@ -0,0 +1,421 @@
+import { existsSync, mkdirSync, readFileSync, appendFileSync, readdirSync, writeFileSync, truncateSync } from 'fs';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+
+const CHECKPOINT_FILE = 'checkpoint.jsonl';
+const MUTATIONS_FILE = 'mutations.jsonl';
+const REPORT_FILE = 'report.json';
+const RUN_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Options that decide where a run reads and writes - a resume must use the ones the run started with
+const RUN_OPTIONS = ['source', 'destination', 'mappings', 'transforms', 'quarantine'];
+
+/**
+ * Checkpoint Service - Durable per-run migration state
+ * Journals every completed room, session, subsession, user and file so an interrupted run can be resumed,
+ * and every create/update sent to the current system so the run can be rolled back
+ */
+export class CheckpointService {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.runsDir = config.migration.runsDir;
+
+    this.runId = null;
+    this.run = null;
+    this.resumed = false;
+    this.completed = new Map();
+
+    // Checkpoint statistics
+    this.statistics = {
+      recorded: 0,
+      skipped: 0
+    };
+  }
+
+  /**
+   * Generate a sortable, filesystem-safe run identifier
+   */
+  static generateRunId() {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+    return `${timestamp}-${randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Validate a run identifier before it is used as a path segment
+   */
+  static validateRunId(runId) {
+    if (!runId || !RUN_ID_PATTERN.test(runId)) {
+      throw new Error(`Invalid run ID "${runId}" - only letters, numbers, "-" and "_" are allowed`);
+    }
+    return runId;
+  }
+
+  /**
+   * Get the directory holding all state for a run
+   */
+  getRunDir(runId = this.runId) {
+    return join(this.runsDir, CheckpointService.validateRunId(runId));
+  }
+
+  /**
+   * Get the checkpoint journal path for a run
+   */
+  getCheckpointPath(runId = this.runId) {
+    return join(this.getRunDir(runId), CHECKPOINT_FILE);
+  }
+
+  /**
+   * Get the mutation journal path for a run
+   */
+  getMutationsPath(runId = this.runId) {
+    return join(this.getRunDir(runId), MUTATIONS_FILE);
+  }
+
+  /**
+   * Get the final report path for a run
+   */
+  getReportPath(runId = this.runId) {
+    return join(this.getRunDir(runId), REPORT_FILE);
+  }
+
+  /**
+   * Write the final migration report of the active run
+   */
+  writeReport(report) {
+    if (!this.runId) {
+      return null;
+    }
+
+    const reportPath = this.getReportPath();
+    writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    return reportPath;
+  }
+
+  /**
+   * Start a new run and write its header record
+   */
+  start(configuration) {
+    this.runId = CheckpointService.generateRunId();
+    this.resumed = false;
+    this.completed.clear();
+
+    mkdirSync(this.getRunDir(), { recursive: true });
+
+    this.run = {
+      runId: this.runId,
+      startedAt: new Date().toISOString(),
+      configuration: {
+        legacyEventName: configuration.legacyEventName,
+        targetEventId: configuration.targetEventId,
+        roomName: configuration.roomName,
+        skipFiles: configuration.skipFiles,
+        ...Object.fromEntries(RUN_OPTIONS.map(option => [option, configuration[option] ?? null]))
+      }
+    };
+
+    this.append({ type: 'run', ...this.run });
+    this.append({ type: 'status', status: 'running', at: this.run.startedAt });
+
+    this.logger.info(`💾 Checkpointing run ${this.runId} to ${this.getCheckpointPath()}`);
+    return this.runId;
+  }
+
+  /**
+   * Resume an existing run, replaying its journal into memory
+   */
+  resume(runId, configuration) {
+    const checkpointPath = this.getCheckpointPath(runId);
+    const state = this.readRunState(runId);
+
+    // A checkpoint is only meaningful against the same source and target
+    const { legacyEventName, targetEventId } = state.run.configuration;
+    if (legacyEventName !== configuration.legacyEventName || targetEventId !== configuration.targetEventId) {
+      throw new Error(
+        `Run ${runId} was started for "${legacyEventName}" → ${targetEventId}, ` +
+        `not "${configuration.legacyEventName}" → ${configuration.targetEventId}`
+      );
+    }
+
+    if (state.status === 'completed') {
+      this.logger.warn(`⚠️  Run ${runId} already completed - only unfinished work will be retried`);
+    }
+
+    this.runId = runId;
+    this.run = state.run;
+    this.resumed = true;
+    this.completed = state.completed;
+
+    CheckpointService.dropTornRecord(checkpointPath);
+    CheckpointService.dropTornRecord(this.getMutationsPath());
+
+    this.append({ type: 'status', status: 'resumed', at: new Date().toISOString() });
+
+    this.logger.info(`♻️  Resuming run ${runId} with ${this.completed.size} completed entities`);
+    return this.runId;
+  }
+
+  /**
+   * The configuration to resume a run with - run options left out are restored from the run header,
+   * run options given must match it
+   */
+  restoreConfiguration(runId, configuration) {
+    const stored = this.readRunState(runId).run.configuration;
+    const restored = { ...configuration };
+
+    for (const option of RUN_OPTIONS) {
+      const value = stored[option] ?? null;
+
+      if (!configuration[option]) {
+        restored[option] = value;
+        if (value) this.logger.info(`♻️  Resuming run ${runId} with --${option} ${value}`);
+      } else if (configuration[option] !== value) {
+        throw new Error(
+          `Run ${runId} was started with --${option} ${value ?? '(none)'}, not ${configuration[option]} - ` +
+          `resume it without --${option} or with the same value`
+        );
+      }
+    }
+
+    return restored;
+  }
+
+  /**
+   * Read the journal of an existing run, which must have its run header
+   */
+  readRunState(runId) {
+    const checkpointPath = this.getCheckpointPath(runId);
+
+    if (!existsSync(checkpointPath)) {
+      throw new Error(`No checkpoint found for run ${runId} (looked in ${checkpointPath})`);
+    }
+
+    const state = CheckpointService.readJournal(checkpointPath);
+
+    if (!state.run) {
+      throw new Error(`Checkpoint for run ${runId} is missing its run header`);
+    }
+
+    return state;
+  }
+
+  /**
+   * Open an existing run for reading and status updates without resuming it
+   */
+  open(runId) {
+    const checkpointPath = this.getCheckpointPath(runId);
+
+    if (!existsSync(checkpointPath)) {
+      throw new Error(`No checkpoint found for run ${runId} (looked in ${checkpointPath})`);
+    }
+
+    const state = CheckpointService.readJournal(checkpointPath);
+
+    this.runId = runId;
+    this.run = state.run;
+    this.resumed = false;
+    this.completed = state.completed;
+
+    CheckpointService.dropTornRecord(checkpointPath);
+
+    return state;
+  }
+
+  /**
+   * Read a checkpoint journal into run header, last status and completed entities
+   */
+  static readJournal(checkpointPath) {
+    const state = { run: null, status: null, completed: new Map() };
+    const lines = readFileSync(checkpointPath, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-write can only truncate the final line
+        if (index >= lines.length - 2) return;
+        throw new Error(`Corrupt checkpoint record at line ${index + 1} of ${checkpointPath}`);
+      }
+
+      switch (record.type) {
+        case 'run':
+          state.run = record;
+          break;
+        case 'status':
+          state.status = record.status;
+          break;
+        case 'entity':
+          state.completed.set(CheckpointService.entityKey(record.entityType, record.key), record);
+          break;
+      }
+    });
+
+    return state;
+  }
+
+  /**
+   * Cut a final record torn by a crash mid-write off a journal, so the next append starts on a line of its own
+   */
+  static dropTornRecord(journalPath) {
+    if (!existsSync(journalPath)) {
+      return;
+    }
+
+    const content = readFileSync(journalPath, 'utf8');
+    if (content && !content.endsWith('\n')) {
+      truncateSync(journalPath, Buffer.byteLength(content.slice(0, content.lastIndexOf('\n') + 1)));
+    }
+  }
+
+  /**
+   * Build the in-memory key for an entity
+   */
+  static entityKey(entityType, key) {
+    return `${entityType}:${key}`;
+  }
+
+  /**
+   * Append a record to the journal
+   */
+  append(record) {
+    appendFileSync(this.getCheckpointPath(), `${JSON.stringify(record)}\n`);
+  }
+
+  /**
+   * Check whether an entity finished in this or a previous attempt of the run
+   */
+  isCompleted(entityType, key) {
+    return this.completed.has(CheckpointService.entityKey(entityType, key));
+  }
+
+  /**
+   * Get the recorded checkpoint for a completed entity
+   */
+  getCompleted(entityType, key) {
+    return this.completed.get(CheckpointService.entityKey(entityType, key)) || null;
+  }
+
+  /**
+   * Check for a completed entity and count it as skipped when found
+   */
+  skipIfCompleted(entityType, key) {
+    const record = this.getCompleted(entityType, key);
+
+    if (record) {
+      this.statistics.skipped++;
+      this.logger.debug(`⏭️  Skipping ${entityType} ${key} - completed in run ${this.runId}`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Record an entity as completed
+   */
+  markCompleted(entityType, key, details = {}) {
+    // Nothing to record when checkpointing is not active (e.g. dry runs)
+    if (!this.runId || key === undefined || key === null) {
+      return;
+    }
+
+    const record = {
+      type: 'entity',
+      entityType,
+      key: String(key),
+      ...details,
+      at: new Date().toISOString()
+    };
+
+    this.append(record);
+    this.completed.set(CheckpointService.entityKey(entityType, record.key), record);
+    this.statistics.recorded++;
+  }
+
+  /**
+   * Record the final or interrupted status of the run
+   */
+  markStatus(status, details = {}) {
+    if (!this.runId) {
+      return;
+    }
+
+    this.append({ type: 'status', status, ...details, at: new Date().toISOString() });
+  }
+
+  /**
+   * Journal a create or update sent to the current system
+   */
+  recordMutation(mutation) {
+    // Dry runs and commands without an active run have nothing to roll back
+    if (!this.runId) {
+      return;
+    }
+
+    const record = {
+      ...mutation,
+      at: new Date().toISOString()
+    };
+
+    appendFileSync(this.getMutationsPath(), `${JSON.stringify(record)}\n`);
+  }
+
+  /**
+   * Read the mutations journaled for a run, oldest first
+   */
+  readMutations(runId = this.runId) {
+    const mutationsPath = this.getMutationsPath(runId);
+
+    if (!existsSync(mutationsPath)) {
+      return [];
+    }
+
+    const lines = readFileSync(mutationsPath, 'utf8').split('\n').filter(line => line.trim());
+
+    return lines.flatMap((line, index) => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        // A crash mid-write can only truncate the final line
+        if (index === lines.length - 1) return [];
+        throw new Error(`Corrupt mutation record at line ${index + 1} of ${mutationsPath}`);
+      }
+    });
+  }
+
+  /**
+   * List all runs that have a checkpoint
+   */
+  listRuns() {
+    if (!existsSync(this.runsDir)) {
+      return [];
+    }
+
+    return readdirSync(this.runsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && existsSync(join(this.runsDir, entry.name, CHECKPOINT_FILE)))
+      .map(entry => {
+        const state = CheckpointService.readJournal(join(this.runsDir, entry.name, CHECKPOINT_FILE));
+        return {
+          runId: entry.name,
+          startedAt: state.run?.startedAt || null,
+          status: state.status,
+          completedEntities: state.completed.size,
+          configuration: state.run?.configuration || null
+        };
+      });
+  }
+
+  /**
+   * Get checkpoint statistics
+   */
+  getStatistics() {
+    return {
+      runId: this.runId,
+      resumed: this.resumed,
+      completedEntities: this.completed.size,
+      ...this.statistics
+    };
+  }
+}
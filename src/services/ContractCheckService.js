@@ -0,0 +1,203 @@
+import { OpenApiValidator } from '../utils/OpenApiValidator.js';
+
+const REPORT_KIND = 'contract-check';
+const REPORT_VERSION = 1;
+const CATEGORIES = ['endpoint-not-in-spec', 'field-not-in-spec', 'required-field-missing', 'type-mismatch'];
+
+// The api-endpoints.json groups of the current system and the spec documenting each
+const ENDPOINT_GROUPS = [
+  { api: 'event', group: 'eventApi' },
+  { api: 'files', group: 'filesApi' },
+  { api: 'auth', group: 'authApi' }
+];
+
+// DTO rule types that are a string with a format in OpenAPI
+const DTO_TYPE_FORMATS = {
+  datetime: { type: 'string', format: 'date-time' },
+  email: { type: 'string', format: 'email' },
+  uuid: { type: 'string', format: 'uuid' }
+};
+
+/**
+ * Compare path templates regardless of parameter names and case
+ */
+const normalizePath = path => path.replace(/\{[^}]+\}/g, '{}').replace(/\/+$/, '').toLowerCase();
+
+/**
+ * Contract Check Service - Reports drift between the hand-maintained API config and the bundled OpenAPI specs
+ * Compares config/api-endpoints.json and config/dtos/current-dtos.json with docs/api-specs without calling any API
+ */
+export class ContractCheckService {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.specs = config.apiSpecs;
+    this.validator = new OpenApiValidator(config.apiSpecs);
+  }
+
+  /**
+   * Run every comparison and build the drift report
+   */
+  check() {
+    const report = {
+      kind: REPORT_KIND,
+      version: REPORT_VERSION,
+      checkedAt: new Date().toISOString(),
+      drift: false,
+      summary: Object.fromEntries(CATEGORIES.map(category => [category, 0])),
+      checkedDtos: [],
+      uncheckedDtos: [],
+      findings: []
+    };
+
+    this.logger.info('📜 Comparing endpoint and DTO config with the API specs');
+
+    this.checkEndpoints(report);
+    this.checkDtos(report);
+
+    report.findings.forEach(finding => report.summary[finding.category]++);
+    report.drift = report.findings.length > 0;
+    return report;
+  }
+
+  /**
+   * Record one finding
+   */
+  addFinding(report, category, finding) {
+    report.findings.push({ category, ...finding });
+  }
+
+  /**
+   * The spec paths of an API, normalized for comparison
+   */
+  getSpecPaths(api) {
+    return new Map(Object.keys(this.specs[api]?.paths || {}).map(path => [normalizePath(path), path]));
+  }
+
+  /**
+   * Report configured endpoints the specs do not document
+   */
+  checkEndpoints(report) {
+    for (const { api, group } of ENDPOINT_GROUPS) {
+      const specPaths = this.getSpecPaths(api);
+
+      for (const [endpoint, path] of Object.entries(this.config.apis?.current?.[group]?.endpoints || {})) {
+        if (!specPaths.has(normalizePath(path))) {
+          this.addFinding(report, 'endpoint-not-in-spec', {
+            api,
+            source: `api-endpoints.json current.${group}.endpoints.${endpoint}`,
+            detail: `${path} is not documented in the ${api} API spec`
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Compare every current DTO that names its spec operation with that operation's request schema
+   */
+  checkDtos(report) {
+    for (const [entityType, operations] of Object.entries(this.config.dtos.current)) {
+      for (const [operation, dtoConfig] of Object.entries(operations)) {
+        const dtoName = `${entityType}.${operation}`;
+
+        if (!dtoConfig.openApi) {
+          report.uncheckedDtos.push(dtoName);
+          continue;
+        }
+
+        const { api, method, path } = dtoConfig.openApi;
+        const schema = this.validator.getRequestSchema(api, method, path);
+
+        if (!schema) {
+          this.addFinding(report, 'endpoint-not-in-spec', {
+            api,
+            source: `current-dtos.json ${dtoName}`,
+            detail: `${method} ${path} has no request body in the ${api} API spec`
+          });
+          continue;
+        }
+
+        report.checkedDtos.push(dtoName);
+        this.compareDto(report, dtoName, dtoConfig, api, this.validator.getOperation(api, method, path), this.validator.resolve(api, schema));
+      }
+    }
+  }
+
+  /**
+   * Compare the fields of one DTO with a request schema
+   */
+  compareDto(report, dtoName, dtoConfig, api, operation, schema) {
+    const source = `current-dtos.json ${dtoName}`;
+    const properties = schema.properties || {};
+    const propertyNames = new Map(Object.keys(properties).map(name => [name.toLowerCase(), name]));
+    const specRequired = new Set(schema.required || []);
+    const dtoRequired = new Set(dtoConfig.required || []);
+    const dtoFields = [...new Set([...dtoRequired, ...(dtoConfig.optional || [])])];
+
+    // Path parameters travel in the URL, not the body
+    const pathParameters = new Map((operation.parameters || [])
+      .filter(parameter => parameter.in === 'path')
+      .map(parameter => [parameter.name.toLowerCase(), parameter.schema || {}]));
+
+    for (const field of dtoFields) {
+      // ASP.NET binds JSON and form fields case-insensitively
+      const specField = propertyNames.get(field.toLowerCase());
+      const specSchema = specField ? properties[specField] : pathParameters.get(field.toLowerCase());
+
+      if (!specSchema) {
+        this.addFinding(report, 'field-not-in-spec', {
+          api,
+          source,
+          field,
+          detail: schema.additionalProperties === false
+            ? `the API rejects ${field} (additionalProperties: false)`
+            : `${field} is not in the request schema - the API ignores it`
+        });
+        continue;
+      }
+
+      const mismatch = this.compareTypes(dtoConfig.validation?.[field], this.validator.resolve(api, specSchema));
+      if (mismatch) {
+        this.addFinding(report, 'type-mismatch', { api, source, field, detail: mismatch });
+      }
+    }
+
+    for (const field of specRequired) {
+      const dtoField = dtoFields.find(candidate => candidate.toLowerCase() === field.toLowerCase());
+
+      if (!dtoField) {
+        this.addFinding(report, 'required-field-missing', { api, source, field, detail: `the spec requires ${field}, the DTO never populates it` });
+      } else if (!dtoRequired.has(dtoField)) {
+        this.addFinding(report, 'required-field-missing', { api, source, field, detail: `the spec requires ${field}, the DTO only lists it as optional` });
+      }
+    }
+  }
+
+  /**
+   * Describe how a DTO validation rule disagrees with a spec property (null when they agree)
+   */
+  compareTypes(rules, property) {
+    if (!rules?.type || !property.type) {
+      return null;
+    }
+
+    const dto = DTO_TYPE_FORMATS[rules.type] || { type: rules.type, format: rules.format };
+    const describe = ({ type, format }) => (format ? `${type} (${format})` : type);
+
+    if (dto.type !== property.type) {
+      return `DTO expects ${describe(dto)}, the spec ${describe(property)}`;
+    }
+
+    // Numeric formats (int32/int64) only narrow the range, so only string formats are compared
+    if (dto.type === 'string' && dto.format && property.format && dto.format !== property.format) {
+      return `DTO expects ${describe(dto)}, the spec ${describe(property)}`;
+    }
+
+    if (rules.enum && property.enum && rules.enum.some(value => !property.enum.includes(value))) {
+      return `DTO allows ${rules.enum.filter(value => !property.enum.includes(value)).join(', ')}, which the spec does not`;
+    }
+
+    return null;
+  }
+}
@@ -1,8 +1,14 @@
 import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
 import { createWriteStream, createReadStream } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
-import { randomBytes } from 'crypto';
+import { randomBytes, createHash } from 'crypto';
+import { RateLimiter } from '../utils/RateLimiter.js';
+import { CircuitBreaker } from '../utils/CircuitBreaker.js';
+import { ConfigManager } from '../config/ConfigManager.js';
+
+const INTEGRITY_HASH_ALGORITHM = 'sha256';
 
 /**
  * File Service - Handles file operations for migration
@@ -24,10 +30,52 @@ export class FileService {
       averageUploadSpeed: 0,
       uploadTimes: []
     };
+    
+    // Optional journal of uploads used for rollback
+    this.mutationRecorder = null;
+    
+    // Optional stand-in for the Files API (see NdjsonExportSink)
+    this.destination = null;
+  }
+
+  /**
+   * Write files to another destination instead of uploading them to the Files API
+   */
+  setDestination(destination) {
+    this.destination = destination;
+  }
+
+  /**
+   * Attach a recorder that journals every upload for rollback
+   */
+  setMutationRecorder(recorder) {
+    this.mutationRecorder = recorder;
+  }
+
+  /**
+   * Record an uploaded file with the attached recorder
+   */
+  recordUpload(uploadResult, fileMetadata) {
+    if (!this.mutationRecorder || !uploadResult?.id) {
+      return;
+    }
+    
+    try {
+      this.mutationRecorder.recordMutation({
+        operation: 'create',
+        entityType: this.getFileKind(fileMetadata),
+        id: uploadResult.id,
+        eventId: fileMetadata.eventId || null,
+        before: null
+      });
+    } catch (error) {
+      this.logger.warn(`Failed to journal upload of ${fileMetadata.originalFileName}: ${error.message}`);
+    }
   }
 
   /**
    * Process and upload a file from legacy system to current system
+   * The returned upload result carries an `integrity` record with the hash taken while downloading
    */
   async uploadFile(fileStream, fileMetadata, progressCallback = null) {
     const startTime = Date.now();
@@ -39,8 +87,17 @@ export class FileService {
       const tempFileName = this.generateTempFileName(fileMetadata.originalFileName);
       const tempFilePath = join(this.tempDir, tempFileName);
       
-      // Save stream to temporary file
-      await this.saveStreamToFile(fileStream, tempFilePath, progressCallback);
+      // Save stream to temporary file, hashing it on the way
+      const download = await this.saveStreamToFile(fileStream, tempFilePath, progressCallback);
+      
+      // A download shorter than the size the legacy system reports is truncated - never upload it
+      const expectedSize = Number(fileMetadata.fileSizeBytes) || null;
+      try {
+        await this.validateFile(tempFilePath, expectedSize);
+      } catch (validationError) {
+        await this.cleanupTempFile(tempFilePath);
+        throw validationError;
+      }
       
       // Get file stats
       const fileStats = await this.getFileStats(tempFilePath);
@@ -48,17 +105,23 @@ export class FileService {
       
       // Upload to current system
       const uploadResult = await this.uploadToCurrentSystem(tempFilePath, fileMetadata);
+      this.recordUpload(uploadResult, fileMetadata);
       
       // Clean up temporary file
       await this.cleanupTempFile(tempFilePath);
       
+      const integrity = this.createIntegrityRecord(download, expectedSize, uploadResult);
+      if (integrity.problems.length > 0) {
+        throw new Error(`Integrity check failed for ${fileMetadata.originalFileName}: ${integrity.problems.join('; ')}`);
+      }
+      
       // Update statistics
       const uploadTime = Date.now() - startTime;
       this.updateStatistics(fileMetadata.fileSizeBytes, uploadTime, true);
       
       this.logger.fileOperation('uploaded', fileMetadata.originalFileName, fileMetadata.fileSizeBytes);
       
-      return uploadResult;
+      return { ...uploadResult, integrity };
       
     } catch (error) {
       this.logger.fileError('uploading', fileMetadata.originalFileName, error);
@@ -128,26 +191,39 @@ export class FileService {
   }
 
   /**
-   * Save stream to file with progress tracking
+   * Save stream to file with progress tracking, hashing the bytes as they arrive
    */
   async saveStreamToFile(stream, filePath, progressCallback = null) {
     try {
       const writeStream = createWriteStream(filePath);
+      const hash = createHash(INTEGRITY_HASH_ALGORITHM);
       let bytesWritten = 0;
       
-      // Track progress if callback provided
-      if (progressCallback) {
-        stream.on('data', (chunk) => {
+      const hasher = new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
           bytesWritten += chunk.length;
-          progressCallback(bytesWritten);
-        });
-      }
+          
+          // Track progress if callback provided
+          if (progressCallback) {
+            progressCallback(bytesWritten);
+          }
+          
+          callback(null, chunk);
+        }
+      });
       
       // Use pipeline for proper error handling
-      await pipeline(stream, writeStream);
+      await pipeline(stream, hasher, writeStream);
       
       this.logger.debug(`File saved to: ${filePath} (${bytesWritten} bytes)`);
       
+      return {
+        algorithm: INTEGRITY_HASH_ALGORITHM,
+        hash: hash.digest('hex'),
+        sizeBytes: bytesWritten
+      };
+      
     } catch (error) {
       throw new Error(`Failed to save stream to file: ${error.message}`);
     }
@@ -157,6 +233,10 @@ export class FileService {
    * Upload file to current system
    */
   async uploadToCurrentSystem(filePath, fileMetadata) {
+    if (this.destination) {
+      return this.destination.writeFile(filePath, fileMetadata, this.getFileKind(fileMetadata));
+    }
+    
     try {
       const FormData = await import('form-data');
       const axios = await import('axios');
@@ -181,8 +261,10 @@ export class FileService {
       // Determine upload endpoint based on file type
       const uploadUrl = this.getUploadUrl(fileMetadata);
       
-      // Upload file
-      const response = await axios.default.post(uploadUrl, formData, {
+      // Upload file (counted against the shared Files API limit, paused while the Files API is down)
+      const rateLimiter = RateLimiter.forTarget('current-files', this.config.migration);
+      const circuitBreaker = CircuitBreaker.forTarget('current-files', this.config.migration, this.logger);
+      const response = await circuitBreaker.execute(() => rateLimiter.schedule(() => axios.default.post(uploadUrl, formData, {
         headers: {
           ...formData.getHeaders(),
           'Authorization': `Bearer ${this.config.current.bearerToken}`
@@ -190,21 +272,76 @@ export class FileService {
         timeout: this.config.migration.fileUploadTimeout || 300000,
         maxContentLength: Infinity,
         maxBodyLength: Infinity
-      });
+      })));
       
-      return response.data;
+      // The Files API wraps the stored file in { statusCode, message, isSuccess, data }
+      const { data } = response;
+      return data && typeof data === 'object' && 'isSuccess' in data && 'data' in data ? data.data : data;
       
     } catch (error) {
       throw new Error(`Failed to upload to current system: ${error.message}`);
     }
   }
 
+  /**
+   * Build the integrity record for an uploaded file and check the upload response against the download
+   */
+  createIntegrityRecord(download, expectedSizeBytes, uploadResult) {
+    const uploadedSizeBytes = uploadResult?.fileSizeInBytes ?? uploadResult?.fileSize ?? null;
+    const problems = [];
+    
+    if (uploadedSizeBytes !== null && Number(uploadedSizeBytes) !== download.sizeBytes) {
+      problems.push(`Files API stored ${uploadedSizeBytes} bytes, downloaded ${download.sizeBytes}`);
+    }
+    
+    return {
+      algorithm: download.algorithm,
+      hash: download.hash,
+      sizeBytes: download.sizeBytes,
+      expectedSizeBytes,
+      uploadedSizeBytes: uploadedSizeBytes !== null ? Number(uploadedSizeBytes) : null,
+      // Confirmed later against the Files API event listing
+      verified: null,
+      problems
+    };
+  }
+
+  /**
+   * Check uploaded files against the Files API listing of the event
+   */
+  verifyUploadedFiles(integrityRecords, listedFiles) {
+    const listedById = new Map((listedFiles || []).map(file => [String(file.id), file]));
+    
+    for (const record of integrityRecords) {
+      const listed = listedById.get(String(record.currentFileId));
+      
+      if (!listed) {
+        record.problems.push('File is not listed by the Files API');
+      } else if (listed.fileSizeInBytes !== undefined && Number(listed.fileSizeInBytes) !== record.sizeBytes) {
+        record.problems.push(`Files API lists ${listed.fileSizeInBytes} bytes, downloaded ${record.sizeBytes}`);
+      }
+      
+      record.verified = record.problems.length === 0;
+    }
+    
+    return integrityRecords;
+  }
+
+  /**
+   * Get the file kind (matching the Files API endpoint keys) for file metadata
+   */
+  getFileKind(fileMetadata) {
+    if (fileMetadata.sessionId) return 'sessionFile';
+    if (fileMetadata.subSessionId) return 'subSessionFile';
+    if (fileMetadata.userId) return 'userFile';
+    if (fileMetadata.moderatorId) return 'moderatorFile';
+    return 'file';
+  }
+
   /**
    * Get upload URL based on file metadata
    */
   getUploadUrl(fileMetadata) {
-    const { ConfigManager } = require('../config/ConfigManager.js');
-    
     // Determine file type and get appropriate endpoint
     if (fileMetadata.sessionId) {
       return ConfigManager.buildEndpointUrl('current-files', 'sessionFiles');
@@ -0,0 +1,413 @@
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join, extname } from 'path';
+import { Readable } from 'stream';
+import { SnapshotService } from './SnapshotService.js';
+import { FileService } from './FileService.js';
+
+const DEFAULT_OPTIONS = {
+  rooms: 10,
+  sessionsPerRoom: 10,
+  subSessionsPerSession: 3,
+  users: 200,
+  totalFileBytes: 50 * 1024 * 1024,
+  messyRate: 0.1,
+  randomSeed: 1,
+  targetEventId: 1001
+};
+
+// Sessions run in hourly slots from 08:00 UTC, eight per room and day
+const EVENT_START = Date.UTC(2025, 8, 15, 8, 0, 0);
+const SLOTS_PER_DAY = 8;
+const SESSION_MINUTES = 45;
+const MINUTE = 60 * 1000;
+
+const WALKIN_FILE_RATE = 0.6;
+const PRESENTATION_FILE_RATE = 0.7;
+const MODERATOR_RATE = 0.1;
+
+const FILLER_CHUNK_SIZE = 1024 * 1024;
+let fillerChunk = null;
+
+const ROOM_KINDS = ['Hall', 'Ballroom', 'Salon', 'Meeting Room', 'Theater', 'Studio', 'Lounge', 'Auditorium'];
+const ROOM_NAMES = ['Atlantic', 'Pacific', 'Summit', 'Harbor', 'Cedar', 'Maple', 'Granite', 'Riverside', 'Skyline', 'Lakeview'];
+const TOPICS = ['Supply Chain', 'Pharmacy Operations', 'Digital Health', 'Retail Analytics', 'Patient Care', 'Leadership', 'Compliance', 'Innovation', 'Marketing', 'Data Privacy'];
+const FORMATS = ['Keynote', 'Panel', 'Workshop', 'Roundtable', 'Fireside Chat', 'Case Study', 'Deep Dive'];
+const FIRST_NAMES = ['Ada', 'Grace', 'Linus', 'Margaret', 'Alan', 'Katherine', 'Edsger', 'Barbara', 'Donald', 'Frances', 'Tim', 'Radia'];
+const LAST_NAMES = ['Lovelace', 'Hopper', 'Torvalds', 'Hamilton', 'Turing', 'Johnson', 'Dijkstra', 'Liskov', 'Knuth', 'Allen', 'Berners-Lee', 'Perlman'];
+const COMPANIES = ['Analytical Engines', 'Northwind Health', 'Contoso Pharmacy', 'Fabrikam Retail', 'Tailspin Care', 'Woodgrove Labs'];
+const TITLES = ['Speaker', 'Director', 'Pharmacist', 'VP Operations', 'Analyst', 'Moderator'];
+const WALKIN_EXTENSIONS = ['.png', '.jpg'];
+const PRESENTATION_EXTENSIONS = ['.pptx', '.pdf', '.ppt', '.docx'];
+
+/**
+ * Deterministic pseudo-random numbers (mulberry32), so a seed always produces the same fixture
+ */
+const createRandom = seed => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+const slug = text => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Fixture Generator Service - Builds a synthetic legacy event at configurable scale for load and scale testing
+ * Includes the messy shapes real legacy data has (name instead of RoomName, no ClientSessionId, deleted walk-in files, missing end times)
+ * and writes it as a snapshot directory (see SnapshotService) or as mock server seed data (see MockApiServer)
+ */
+export class FixtureGeneratorService {
+  constructor(config, logger, { fileService } = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.fileService = fileService || new FileService(config, logger);
+  }
+
+  /**
+   * Stream the deterministic content of a generated file without holding it in memory
+   */
+  static createFillerStream(fileId, sizeBytes) {
+    if (!fillerChunk) {
+      fillerChunk = Buffer.alloc(FILLER_CHUNK_SIZE, 'legacy fixture filler ');
+    }
+    const header = Buffer.from(`legacy fixture file ${fileId}\n`);
+
+    return Readable.from((function* () {
+      let remaining = sizeBytes;
+      let chunk = header;
+
+      while (remaining > 0) {
+        const part = chunk.subarray(0, Math.min(remaining, chunk.length));
+        remaining -= part.length;
+        yield part;
+        chunk = fillerChunk;
+      }
+    })());
+  }
+
+  /**
+   * Check generator options, filling in defaults
+   */
+  static resolveOptions(options = {}) {
+    const resolved = { ...DEFAULT_OPTIONS };
+    Object.entries(options).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) resolved[name] = value;
+    });
+
+    for (const name of ['rooms', 'sessionsPerRoom', 'subSessionsPerSession', 'users', 'totalFileBytes', 'randomSeed']) {
+      if (!Number.isInteger(resolved[name]) || resolved[name] < 0) {
+        throw new Error(`Fixture option ${name} must be a non-negative integer (got ${resolved[name]})`);
+      }
+    }
+
+    if (resolved.rooms === 0) {
+      throw new Error('A fixture needs at least one room');
+    }
+
+    if (typeof resolved.messyRate !== 'number' || resolved.messyRate < 0 || resolved.messyRate > 1) {
+      throw new Error(`Fixture option messyRate must be between 0 and 1 (got ${resolved.messyRate})`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Build a legacy event in the shape the legacy API returns, with file sizes instead of contents
+   */
+  generate(legacyEventName, options = {}) {
+    const resolved = FixtureGeneratorService.resolveOptions(options);
+    const random = createRandom(resolved.randomSeed);
+    const pick = list => list[Math.floor(random() * list.length)];
+    const messy = () => random() < resolved.messyRate;
+
+    const counts = {
+      rooms: 0,
+      sessions: 0,
+      subSessions: 0,
+      users: 0,
+      moderators: 0,
+      files: 0,
+      fileBytes: 0,
+      roomsWithoutRoomName: 0,
+      sessionsWithoutClientId: 0,
+      sessionsWithoutEnd: 0,
+      subSessionsWithoutClientId: 0,
+      subSessionsWithoutEnd: 0,
+      deletedWalkInFiles: 0
+    };
+
+    const event = {
+      id: 7001,
+      name: legacyEventName,
+      displayName: `${legacyEventName} (generated)`,
+      rooms: [],
+      sessions: [],
+      users: []
+    };
+    const liveFiles = [];
+    let nextFileId = 900001;
+
+    const createFile = (idField, extensions, folder, createdAt) => {
+      const fileId = String(nextFileId++);
+      const fileName = `${slug(pick(TOPICS))}-${fileId}${pick(extensions)}`;
+      return {
+        [idField]: fileId,
+        FileName: fileName,
+        FilePath: `/${folder}/${fileName}`,
+        DateCreated: new Date(createdAt).toISOString(),
+        Status: 'Ready',
+        IsDeleted: false
+      };
+    };
+
+    for (let r = 1; r <= resolved.rooms; r++) {
+      const roomId = String(1000 + r);
+      const roomName = `${ROOM_NAMES[(r - 1) % ROOM_NAMES.length]} ${ROOM_KINDS[Math.floor((r - 1) / ROOM_NAMES.length) % ROOM_KINDS.length]} ${r}`;
+
+      // Some legacy rooms only carry a lower-case name
+      if (messy()) {
+        event.rooms.push({ RoomId: roomId, name: roomName });
+        counts.roomsWithoutRoomName++;
+      } else {
+        event.rooms.push({ RoomId: roomId, RoomName: roomName });
+      }
+
+      for (let s = 1; s <= resolved.sessionsPerRoom; s++) {
+        const slot = s - 1;
+        const startsAt = EVENT_START + Math.floor(slot / SLOTS_PER_DAY) * 24 * 60 * MINUTE + (slot % SLOTS_PER_DAY) * 60 * MINUTE;
+        const clientSessionId = `${legacyEventName}-R${pad(r, 3)}-S${pad(s, 3)}`;
+        const session = {
+          SessionId: String(20000 + counts.sessions + 1),
+          RoomId: roomId,
+          ClientSessionId: clientSessionId,
+          SessionName: `${pick(FORMATS)}: ${pick(TOPICS)}`,
+          Description: random() < 0.5 ? `Session ${s} in ${roomName}` : null,
+          SessionStart: new Date(startsAt).toISOString(),
+          SessionEnd: new Date(startsAt + SESSION_MINUTES * MINUTE).toISOString(),
+          SubSessions: []
+        };
+
+        // Sessions without ClientSessionId fall back to their SessionId
+        if (messy()) {
+          delete session.ClientSessionId;
+          counts.sessionsWithoutClientId++;
+        }
+        if (messy()) {
+          session.SessionEnd = null;
+          counts.sessionsWithoutEnd++;
+        }
+
+        if (random() < WALKIN_FILE_RATE) {
+          session.WalkInFile = createFile('WalkInFileId', WALKIN_EXTENSIONS, 'walkin', startsAt - 7 * 24 * 60 * MINUTE);
+
+          // Deleted walk-in files stay on the session but are neither listed nor downloadable
+          if (messy()) {
+            session.WalkInFile.IsDeleted = true;
+            counts.deletedWalkInFiles++;
+          } else {
+            liveFiles.push(session.WalkInFile);
+          }
+        }
+
+        const subMinutes = SESSION_MINUTES / Math.max(resolved.subSessionsPerSession, 1);
+        for (let k = 1; k <= resolved.subSessionsPerSession; k++) {
+          const subStartsAt = startsAt + Math.round((k - 1) * subMinutes * MINUTE);
+          const subSession = {
+            SubSessionId: String(300000 + counts.subSessions + 1),
+            ClientSubSessionId: `${clientSessionId}-${k}`,
+            SubSessionName: `Part ${k}: ${pick(TOPICS)}`,
+            StartTime: new Date(subStartsAt).toISOString(),
+            EndTime: new Date(startsAt + Math.round(k * subMinutes * MINUTE)).toISOString(),
+            SubSessionOrder: k,
+            PresentationFiles: []
+          };
+
+          if (messy()) {
+            delete subSession.ClientSubSessionId;
+            counts.subSessionsWithoutClientId++;
+          }
+          if (messy()) {
+            subSession.EndTime = null;
+            counts.subSessionsWithoutEnd++;
+          }
+
+          if (random() < PRESENTATION_FILE_RATE) {
+            const file = createFile('PresentationFileId', PRESENTATION_EXTENSIONS, 'presentations', subStartsAt - 3 * 24 * 60 * MINUTE);
+            subSession.PresentationFiles.push(file);
+            liveFiles.push(file);
+          }
+
+          session.SubSessions.push(subSession);
+          counts.subSessions++;
+        }
+
+        event.sessions.push(session);
+        counts.sessions++;
+      }
+    }
+    counts.rooms = event.rooms.length;
+
+    for (let u = 1; u <= resolved.users; u++) {
+      const firstName = pick(FIRST_NAMES);
+      const lastName = pick(LAST_NAMES);
+      const company = pick(COMPANIES);
+      const isModerator = random() < MODERATOR_RATE;
+
+      event.users.push({
+        id: `u-${u}`,
+        email: `${slug(firstName)}.${slug(lastName)}.${u}@${slug(company)}.example.com`,
+        firstName,
+        lastName,
+        company,
+        title: isModerator ? 'Moderator' : pick(TITLES),
+        roomId: event.rooms[Math.floor(random() * event.rooms.length)].RoomId,
+        isModerator
+      });
+      counts.moderators += isModerator ? 1 : 0;
+    }
+    counts.users = event.users.length;
+
+    // Spread the byte budget over the files with exponential weights: many small files, a few large ones
+    const weights = liveFiles.map(() => -Math.log(1 - random()));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+    let assigned = 0;
+    liveFiles.forEach((file, index) => {
+      file.FileSize = index === liveFiles.length - 1
+        ? resolved.totalFileBytes - assigned
+        : Math.floor(resolved.totalFileBytes * weights[index] / totalWeight);
+      assigned += file.FileSize;
+    });
+    counts.files = liveFiles.length;
+    counts.fileBytes = liveFiles.length > 0 ? resolved.totalFileBytes : 0;
+
+    this.logger.info(`🧬 Generated "${legacyEventName}": ${counts.rooms} rooms, ${counts.sessions} sessions, ${counts.subSessions} subsessions, ${counts.users} users, ${counts.files} files`);
+
+    return { options: resolved, event, counts };
+  }
+
+  /**
+   * The file listing of a generated event, as the legacy files endpoints return it
+   */
+  static listFiles(event, room = null) {
+    const roomNames = new Map(event.rooms.map(candidate => [candidate.RoomId, candidate.RoomName || candidate.name]));
+    const files = [];
+
+    for (const session of event.sessions) {
+      if (room && session.RoomId !== room.RoomId) continue;
+
+      const context = { SessionId: session.SessionId, SessionName: session.SessionName, RoomId: session.RoomId, RoomName: roomNames.get(session.RoomId) || null };
+
+      if (session.WalkInFile && !session.WalkInFile.IsDeleted) {
+        files.push({ ...session.WalkInFile, FileId: session.WalkInFile.WalkInFileId, fileType: 'walkin', ...context });
+      }
+
+      for (const subSession of session.SubSessions) {
+        for (const file of subSession.PresentationFiles) {
+          files.push({ ...file, FileId: file.PresentationFileId, fileType: 'presentation', SubSessionId: subSession.SubSessionId, ...context });
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Write a generated event as a snapshot directory that --source snapshot:<dir> can migrate from
+   */
+  async writeSnapshot(snapshotDir, fixture, { skipFiles = false, toolVersion = null } = {}) {
+    const { event, options } = fixture;
+    SnapshotService.prepareDirectory(snapshotDir);
+
+    const manifest = SnapshotService.createManifest(event.name, { skipFiles, toolVersion });
+    manifest.generated = { randomSeed: options.randomSeed, options };
+
+    const { rooms, sessions, users, ...eventRecord } = event;
+    SnapshotService.writeRecords(snapshotDir, manifest, 'event.json', eventRecord);
+    SnapshotService.writeRecords(snapshotDir, manifest, 'rooms.json', rooms);
+    SnapshotService.writeRecords(snapshotDir, manifest, 'users.json', users);
+
+    const moderators = users.filter(user => user.isModerator).map(user => {
+      const room = rooms.find(candidate => candidate.RoomId === user.roomId);
+      return { ...user, roomName: room?.RoomName || room?.name || null };
+    });
+    SnapshotService.writeRecords(snapshotDir, manifest, 'moderators.json', moderators);
+
+    Object.assign(manifest.counts, { rooms: rooms.length, users: users.length, moderators: moderators.length });
+
+    const files = [];
+    for (const room of rooms) {
+      const roomDir = SnapshotService.getRoomDir(room);
+      const roomSessions = sessions.filter(session => session.RoomId === room.RoomId);
+      const roomFiles = FixtureGeneratorService.listFiles(event, room);
+
+      SnapshotService.writeRecords(snapshotDir, manifest, join(roomDir, 'sessions.json'), roomSessions);
+      SnapshotService.writeRecords(snapshotDir, manifest, join(roomDir, 'files.json'), roomFiles);
+
+      manifest.counts.sessions += roomSessions.length;
+      manifest.counts.subSessions += roomSessions.reduce((count, session) => count + session.SubSessions.length, 0);
+      manifest.counts.files += roomFiles.length;
+      files.push(...roomFiles);
+    }
+
+    if (!skipFiles && files.length > 0) {
+      mkdirSync(join(snapshotDir, 'binaries'), { recursive: true });
+      this.logger.info(`🧬 Writing ${files.length} file binaries into ${snapshotDir}`);
+
+      for (const file of files) {
+        const relativePath = `binaries/${SnapshotService.safeSegment(file.FileId)}${extname(file.FileName)}`;
+        const download = await this.fileService.saveStreamToFile(
+          FixtureGeneratorService.createFillerStream(file.FileId, file.FileSize),
+          join(snapshotDir, relativePath)
+        );
+
+        manifest.binaries[file.FileId] = { path: relativePath, fileName: file.FileName, sizeBytes: download.sizeBytes, sha256: download.hash };
+        manifest.counts.binaries++;
+        manifest.counts.binaryBytes += download.sizeBytes;
+
+        if (manifest.counts.binaries % 500 === 0) {
+          this.logger.info(`🧬 ${manifest.counts.binaries}/${files.length} binaries written`);
+        }
+      }
+    }
+
+    SnapshotService.writeManifest(snapshotDir, manifest);
+
+    this.logger.info(`🧬 Fixture snapshot complete: ${JSON.stringify(manifest.counts)}`);
+    return manifest;
+  }
+
+  /**
+   * Write a generated event as seed data for `mock-server --seed <dir>/seed.json`
+   * Files keep only their FileSize; the mock server streams filler bytes of that size on download
+   */
+  writeMockSeed(outputDir, fixture) {
+    const seedPath = join(outputDir, 'seed.json');
+
+    if (existsSync(seedPath)) {
+      throw new Error(`${seedPath} already exists - choose an empty directory`);
+    }
+
+    mkdirSync(outputDir, { recursive: true });
+
+    const seed = {
+      legacy: { events: [fixture.event] },
+      current: {
+        events: [{
+          id: fixture.options.targetEventId,
+          name: fixture.event.displayName,
+          locations: [{ id: 501, locationId: 51, locationName: 'Convention Center' }]
+        }]
+      }
+    };
+    writeFileSync(seedPath, JSON.stringify(seed, null, 2));
+
+    this.logger.info(`🧬 Mock server seed written to ${seedPath}`);
+    return seedPath;
+  }
+}
@@ -0,0 +1,157 @@
+import { existsSync, mkdirSync, readFileSync, appendFileSync } from 'fs';
+import { dirname } from 'path';
+
+const LEDGER_COLUMNS = [
+  'recordedAt',
+  'runId',
+  'legacyEventName',
+  'targetEventId',
+  'entityType',
+  'legacyId',
+  'sourceSystemId',
+  'currentId',
+  'name',
+  'status'
+];
+
+/**
+ * Mapping Ledger Service - Persistent legacy → current ID mapping
+ * Records every entity a migration creates or updates and answers "which new entity was legacy X?"
+ */
+export class MappingLedgerService {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.ledgerPath = config.migration.ledgerPath;
+
+    // Ledger statistics
+    this.statistics = {
+      recorded: 0,
+      skipped: 0
+    };
+  }
+
+  /**
+   * Append a mapping to the ledger
+   */
+  record(entry) {
+    // Placeholder objects returned for unresolved conflicts carry synthetic IDs that map to nothing
+    if (!entry.currentId || entry.placeholder) {
+      this.statistics.skipped++;
+      this.logger.debug(`Not recording ${entry.entityType} ${entry.legacyId} in ledger - no real current ID`);
+      return null;
+    }
+
+    const record = {
+      recordedAt: new Date().toISOString(),
+      runId: entry.runId || null,
+      legacyEventName: entry.legacyEventName,
+      targetEventId: entry.targetEventId,
+      entityType: entry.entityType,
+      legacyId: entry.legacyId !== undefined && entry.legacyId !== null ? String(entry.legacyId) : null,
+      sourceSystemId: entry.sourceSystemId !== undefined && entry.sourceSystemId !== null ? String(entry.sourceSystemId) : null,
+      currentId: String(entry.currentId),
+      name: entry.name || null,
+      // Legacy values the current system has no field for (sessions) - kept here as their only record
+      ...(entry.metadata && { metadata: entry.metadata }),
+      // Rollbacks append a "rolled-back" record so the latest mapping no longer points at a live entity
+      status: entry.status || 'active'
+    };
+
+    mkdirSync(dirname(this.ledgerPath), { recursive: true });
+    appendFileSync(this.ledgerPath, `${JSON.stringify(record)}\n`);
+    this.statistics.recorded++;
+
+    return record;
+  }
+
+  /**
+   * Read every ledger record in the order it was written
+   */
+  readAll() {
+    if (!existsSync(this.ledgerPath)) {
+      return [];
+    }
+
+    return readFileSync(this.ledgerPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          this.logger.warn(`Skipping unreadable ledger line ${index + 1}: ${error.message}`);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Query the ledger
+   * By default only the latest mapping per target event, entity type and legacy ID is returned
+   */
+  query(filters = {}, options = {}) {
+    const { legacyEventName, targetEventId, entityType, legacyId, currentId, runId } = filters;
+
+    const matches = this.readAll().filter(record => {
+      if (legacyEventName && record.legacyEventName !== legacyEventName) return false;
+      if (targetEventId && String(record.targetEventId) !== String(targetEventId)) return false;
+      if (entityType && record.entityType !== entityType) return false;
+      if (runId && record.runId !== runId) return false;
+      if (currentId && record.currentId !== String(currentId)) return false;
+      // Support asks by either the legacy database ID or the client-facing source system ID
+      if (legacyId && record.legacyId !== String(legacyId) && record.sourceSystemId !== String(legacyId)) return false;
+      return true;
+    });
+
+    if (options.history) {
+      return matches;
+    }
+
+    const latest = new Map();
+    for (const record of matches) {
+      latest.set(`${record.targetEventId}|${record.entityType}|${record.legacyId}`, record);
+    }
+
+    return [...latest.values()];
+  }
+
+  /**
+   * Export records as CSV or JSON
+   */
+  export(records, format = 'json') {
+    switch (format) {
+      case 'csv':
+        return MappingLedgerService.toCsv(records);
+      case 'json':
+        return JSON.stringify(records, null, 2);
+      default:
+        throw new Error(`Unsupported ledger export format: ${format}`);
+    }
+  }
+
+  /**
+   * Convert records to CSV with a header row
+   */
+  static toCsv(records) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = records.map(record => LEDGER_COLUMNS.map(column => escape(record[column])).join(','));
+    return [LEDGER_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Get ledger statistics
+   */
+  getStatistics() {
+    return {
+      ledgerPath: this.ledgerPath,
+      ...this.statistics
+    };
+  }
+}
@@ -1,12 +1,36 @@
 import { LegacyApiClient } from '../clients/LegacyApiClient.js';
+import { SnapshotLegacySource } from '../clients/SnapshotLegacySource.js';
+import { SpreadsheetLegacySource } from '../clients/SpreadsheetLegacySource.js';
+import { NdjsonExportSink } from '../clients/NdjsonExportSink.js';
 import { CurrentSystemApiClient } from '../clients/CurrentSystemApiClient.js';
 import { FileService } from './FileService.js';
 import { ValidationService } from './ValidationService.js';
+import { CheckpointService } from './CheckpointService.js';
+import { MappingLedgerService } from './MappingLedgerService.js';
+import { ChangePlanService } from './ChangePlanService.js';
+import { VerificationService } from './VerificationService.js';
+import { TransformHookService } from './TransformHookService.js';
+import { QuarantineService } from './QuarantineService.js';
 import { MigrationResult } from '../models/MigrationResult.js';
 import { ParallelProcessor } from '../utils/ParallelProcessor.js';
 import { ProgressTracker } from '../utils/ProgressTracker.js';
+import { RateLimiter } from '../utils/RateLimiter.js';
+import { CircuitBreaker } from '../utils/CircuitBreaker.js';
+import { MappingEngine } from '../utils/MappingEngine.js';
+import { TimeZoneConverter } from '../utils/TimeZoneConverter.js';
 import { ConfigManager } from '../config/ConfigManager.js';
 
+// Sources that can stand in for the legacy API, selected with --source <kind>:<dir>
+const LEGACY_SOURCES = {
+  snapshot: (location, logger) => new SnapshotLegacySource(location, logger),
+  spreadsheet: (location, logger) => new SpreadsheetLegacySource(location, logger)
+};
+
+// Fields that may carry an event's time zone and dates (legacy event, event location or target event)
+const TIME_ZONE_FIELDS = ['timeZone', 'timeZoneId', 'eventTimeZone'];
+const EVENT_START_FIELDS = ['startDate', 'startsAt', 'startDateTime'];
+const EVENT_END_FIELDS = ['endDate', 'endsAt', 'endDateTime'];
+
 /**
  * Main Migration Service - Orchestrates the entire migration process
  * Coordinates between legacy and current systems to transfer data
@@ -23,10 +47,173 @@ export class MigrationService {
     // Initialize services
     this.fileService = new FileService(config, logger);
     this.validationService = new ValidationService(config, logger);
+    this.checkpointService = new CheckpointService(config, logger);
+    this.mappingLedger = new MappingLedgerService(config, logger);
+    this.changePlanService = new ChangePlanService(config, logger, {
+      legacyClient: this.legacyClient,
+      currentClient: this.currentClient,
+      validationService: this.validationService,
+      getLegacyId: this.getLegacyId.bind(this)
+    });
+    this.verificationService = new VerificationService(config, logger, {
+      legacyClient: this.legacyClient,
+      currentClient: this.currentClient,
+      validationService: this.validationService
+    });
     
     // Initialize utilities
     this.parallelProcessor = new ParallelProcessor(config.migration.maxConcurrentRooms, logger);
     this.progressTracker = new ProgressTracker(logger);
+    
+    // Users and presenter roles created in this run, by lowercased email - shared by every room of the event
+    this.usersByEmail = new Map();
+    this.presenterRoles = new Map();
+    
+    // Users, sessions, subsessions and files already in the target event - only listed when a run is resumed
+    this.targetListings = new Map();
+    
+    // Stop starting rooms while any API is down; they continue once its health check passes
+    for (const breaker of CircuitBreaker.getAll()) {
+      const reason = `${breaker.target} API unavailable`;
+      breaker.on('open', () => this.parallelProcessor.pause(reason));
+      breaker.on('close', () => this.parallelProcessor.resume(reason));
+    }
+  }
+
+  /**
+   * Read legacy data from another source: "api" (the live legacy API) or "<kind>:<dir>" of LEGACY_SOURCES
+   */
+  useLegacySource(source) {
+    if (!source || source === 'api') {
+      return this.legacyClient;
+    }
+    
+    const separator = source.indexOf(':');
+    const createSource = LEGACY_SOURCES[source.slice(0, separator)];
+    const location = source.slice(separator + 1);
+    
+    if (separator === -1 || !createSource || !location) {
+      throw new Error(`Unknown source "${source}" - use "api", ${Object.keys(LEGACY_SOURCES).map(kind => `"${kind}:<dir>"`).join(' or ')}`);
+    }
+    
+    this.legacySource = source;
+    this.legacyClient = createSource(location, this.logger);
+    this.changePlanService.legacyClient = this.legacyClient;
+    this.verificationService.legacyClient = this.legacyClient;
+    this.logger.info(`📦 Reading legacy data from ${source}`);
+    
+    return this.legacyClient;
+  }
+
+  /**
+   * Write to another destination: "api" (the current system) or "ndjson:<dir>" (payload files, nothing is sent)
+   */
+  useDestination(destination) {
+    if (!destination || destination === 'api') {
+      return this.currentClient;
+    }
+    
+    if (!destination.startsWith('ndjson:') || !destination.slice('ndjson:'.length)) {
+      throw new Error(`Unknown destination "${destination}" - use "api" or "ndjson:<dir>"`);
+    }
+    
+    this.exportSink = new NdjsonExportSink(destination.slice('ndjson:'.length), this.logger);
+    this.currentClient = this.exportSink;
+    this.fileService.setDestination(this.exportSink);
+    this.logger.info(`📤 Writing payloads to ${destination} - nothing will be sent to the current system`);
+    
+    return this.exportSink;
+  }
+
+  /**
+   * Map legacy fields with a client's overrides of the legacy-dtos.json mappings
+   */
+  useMappingOverrides(filePath) {
+    this.validationService.setMappingOverrides(ConfigManager.loadMappingOverrides(filePath));
+    this.logger.info(`🗺️  Loaded mapping overrides from ${filePath}`);
+  }
+
+  /**
+   * Run the client hooks of a JavaScript module around every legacy transform
+   */
+  async useTransformHooks(modulePath) {
+    this.transformHooks = await TransformHookService.load(modulePath, this.logger);
+    this.validationService.setTransformHooks(this.transformHooks);
+    return this.transformHooks;
+  }
+
+  /**
+   * Keep sessions, subsessions and users that fail validation in a quarantine directory instead of only reporting them
+   */
+  useQuarantine(directory) {
+    this.quarantine = new QuarantineService(directory, this.logger);
+    this.logger.info(`🧪 Records that fail validation are quarantined in ${directory}`);
+    return this.quarantine;
+  }
+
+  /**
+   * Quarantine a record whose transform failed validation - false when the failure is not one to quarantine
+   */
+  quarantineRecord(entityType, record, error, context) {
+    if (!this.quarantine || !QuarantineService.accepts(entityType, error)) {
+      return false;
+    }
+    
+    this.quarantine.add({
+      entityType,
+      legacyId: this.getLegacyId(entityType, record),
+      name: error.validation.payload?.name || error.validation.payload?.email || null,
+      legacyRecord: record,
+      context,
+      error,
+      runId: this.checkpointService.runId
+    });
+    
+    return true;
+  }
+
+  /**
+   * Read legacy times in the event's time zone and flag sessions outside the target event's dates
+   * The zone comes from --timezone, else the legacy event, else the target event location, else the target event
+   */
+  async useEventSchedule(legacyEventName, targetEventId, timeZone = null, { targetEvent = null, eventLocations = null } = {}) {
+    targetEvent = targetEvent || await this.currentClient.getEvent(targetEventId);
+    eventLocations = eventLocations || await this.currentClient.getEventLocations(targetEventId);
+    
+    const candidates = [[timeZone, 'set with --timezone']];
+    if (!timeZone) {
+      try {
+        candidates.push([MappingEngine.findValue(await this.legacyClient.getEvent(legacyEventName) || {}, TIME_ZONE_FIELDS), 'from the legacy event']);
+      } catch (error) {
+        this.logger.warn(`⚠️  Could not read the legacy event time zone: ${error.message}`);
+      }
+      for (const location of eventLocations || []) {
+        candidates.push([MappingEngine.findValue(location, TIME_ZONE_FIELDS) ?? MappingEngine.findValue(location.address || {}, TIME_ZONE_FIELDS), 'from the event location']);
+      }
+      candidates.push([MappingEngine.findValue(targetEvent, TIME_ZONE_FIELDS), 'from the target event']);
+    }
+    
+    // A zone name the converter does not know is skipped rather than failing the run
+    const [zone, zoneSource] = candidates.filter(([value]) => value).find(([value, source]) => {
+      const valid = TimeZoneConverter.isValidTimeZone(value);
+      if (!valid) this.logger.warn(`⚠️  Ignoring unknown time zone "${value}" ${source}`);
+      return valid;
+    }) || [null, null];
+    const schedule = {
+      timeZone: zone,
+      startDate: MappingEngine.findValue(targetEvent, EVENT_START_FIELDS) ?? null,
+      endDate: MappingEngine.findValue(targetEvent, EVENT_END_FIELDS) ?? null
+    };
+    
+    this.validationService.setEventSchedule(schedule);
+    
+    if (zone) {
+      this.logger.info(`🕒 Converting legacy times in ${this.validationService.timeZoneConverter.timeZone} (${zoneSource})`);
+    } else {
+      this.logger.warn('⚠️  No event time zone found - legacy times without an offset are read in the local time zone; use --timezone to set one');
+    }
+    
+    return schedule;
   }
 
   /**
@@ -39,6 +226,48 @@ export class MigrationService {
     try {
       this.logger.migrationStart(configuration);
       
+      // A resumed run reads from and writes to what it was started with
+      if (configuration.resumeRunId && !configuration.dryRun) {
+        configuration = this.checkpointService.restoreConfiguration(configuration.resumeRunId, configuration);
+        result.configuration = configuration;
+      }
+      
+      if (configuration.source) {
+        this.useLegacySource(configuration.source);
+      }
+      
+      if (configuration.destination) {
+        this.useDestination(configuration.destination);
+      }
+      
+      if (configuration.mappings) {
+        this.useMappingOverrides(configuration.mappings);
+      }
+      
+      if (configuration.transforms) {
+        await this.useTransformHooks(configuration.transforms);
+      }
+      
+      if (configuration.quarantine) {
+        this.useQuarantine(configuration.quarantine);
+      }
+      
+      // Start or resume the checkpointed run - dry runs change nothing, so there is nothing to resume
+      if (configuration.dryRun) {
+        this.currentClient.setReadOnly(true);
+      } else {
+        result.runId = configuration.resumeRunId
+          ? this.checkpointService.resume(configuration.resumeRunId, configuration)
+          : this.checkpointService.start(configuration);
+        result.resumed = this.checkpointService.resumed;
+        
+        // Journal every create/update so the run can be rolled back - an export changes nothing to roll back
+        if (!this.exportSink) {
+          this.currentClient.setMutationRecorder(this.checkpointService);
+          this.fileService.setMutationRecorder(this.checkpointService);
+        }
+      }
+      
       // Validate environment and connectivity
       await this.validateEnvironment();
       
@@ -52,6 +281,10 @@ export class MigrationService {
       // Finalize result
       result.endTime = new Date();
       result.success = result.errors.length === 0;
+      result.statistics.entitiesSkipped = this.checkpointService.statistics.skipped;
+      this.checkpointService.markStatus(result.success ? 'completed' : 'failed', { errors: result.errors.length });
+      this.finishExport(configuration, result);
+      this.writeRunReport(result);
       
       this.logger.migrationEnd(result, result.getDuration());
       
@@ -61,12 +294,72 @@ export class MigrationService {
       result.addError('Migration execution', error);
       result.endTime = new Date();
       result.success = false;
+      result.statistics.entitiesSkipped = this.checkpointService.statistics.skipped;
+      this.checkpointService.markStatus('failed', { error: error.message });
+      this.finishExport(configuration, result);
+      this.writeRunReport(result);
       
       this.logger.error('Migration failed:', error);
       return result;
     }
   }
 
+  /**
+   * Write the export summary when the run exported to files instead of the current system
+   */
+  finishExport(configuration, result) {
+    if (!this.exportSink) {
+      return;
+    }
+    
+    try {
+      result.statistics.exported = this.exportSink.finish(configuration).counts;
+    } catch (error) {
+      this.logger.warn(`Failed to write export summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collect API retries, rate limiter and circuit breaker state, then write the run report next to the run's checkpoint
+   */
+  writeRunReport(result) {
+    result.addRetryAttempts([
+      ...(this.legacyClient?.retryPolicy?.takeAttempts() || []),
+      ...(this.currentClient?.retryPolicy?.takeAttempts() || [])
+    ]);
+    result.statistics.rateLimits = RateLimiter.getStatistics();
+    result.statistics.circuitBreakers = CircuitBreaker.getStatistics();
+    result.transformHooks = this.transformHooks?.getReport() || null;
+    result.quarantine = this.quarantine?.getReport() || null;
+    (this.validationService?.takeDateRangeFlags() || []).forEach(({ message, ...details }) => result.addWarning('Event dates', message, details));
+    
+    try {
+      const reportPath = this.checkpointService.writeReport(result.toJSON());
+      if (reportPath) {
+        this.logger.info(`🧾 Run report written to ${reportPath}`);
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to write run report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record an interrupted run so it can be resumed later
+   */
+  interrupt(signal) {
+    if (!this.checkpointService.runId) {
+      return null;
+    }
+    
+    this.checkpointService.markStatus('interrupted', { signal });
+    this.logger.warn(`⏸️  Run ${this.checkpointService.runId} interrupted by ${signal} - resume with --resume ${this.checkpointService.runId}`);
+    
+    return {
+      runId: this.checkpointService.runId,
+      configuration: this.checkpointService.run?.configuration || null
+    };
+  }
+
   /**
    * Migrate all rooms from legacy event to target event
    */
@@ -89,6 +382,7 @@ export class MigrationService {
       }
       
       this.logger.info(`Found target event with ${eventLocations.length} event locations`);
+      await this.useEventSchedule(legacyEventName, targetEventId, configuration.timeZone, { targetEvent, eventLocations });
       
       if (verbose) this.logger.info('🔍 Fetching all rooms from legacy event...');
       
@@ -103,15 +397,19 @@ export class MigrationService {
       this.logger.info(`Found ${rooms.length} rooms to migrate`);
       
       if (dryRun) {
-        this.logger.info(`Would migrate ${rooms.length} rooms (DRY RUN)`);
-        result.statistics.roomsProcessed = rooms.length;
-        result.dryRun = true;
+        await this.planMigration(rooms, { ...configuration, eventLocations }, result);
         return;
       }
       
+      // Skip rooms that a previous attempt of this run already finished
+      const pendingRooms = rooms.filter(room => !this.checkpointService.skipIfCompleted('roomComplete', this.getLegacyId('room', room)));
+      if (pendingRooms.length < rooms.length) {
+        this.logger.info(`⏭️  Skipping ${rooms.length - pendingRooms.length} rooms already completed in run ${this.checkpointService.runId}`);
+      }
+      
       // Process rooms in parallel with event location data
       const roomResults = await this.parallelProcessor.processRooms(
-        rooms,
+        pendingRooms,
         (room) => this.processRoom(room, targetEventId, { verbose, skipFiles, eventLocations, legacyEventName }),
         (current, total) => this.progressTracker.updateProgress('Room Migration', current, total)
       );
@@ -147,6 +445,7 @@ export class MigrationService {
       }
       
       this.logger.info(`Found target event with ${eventLocations.length} event locations`);
+      await this.useEventSchedule(legacyEventName, targetEventId, configuration.timeZone, { targetEvent, eventLocations });
       
       if (verbose) this.logger.info(`🔍 Fetching room "${roomName}" from legacy event...`);
       
@@ -158,9 +457,12 @@ export class MigrationService {
       }
       
       if (dryRun) {
-        this.logger.info(`Would migrate room "${roomName}" (DRY RUN)`);
-        result.statistics.roomsProcessed = 1;
-        result.dryRun = true;
+        await this.planMigration([room], { ...configuration, eventLocations }, result);
+        return;
+      }
+      
+      if (this.checkpointService.skipIfCompleted('roomComplete', this.getLegacyId('room', room))) {
+        this.logger.info(`⏭️  Room "${roomName}" already completed in run ${this.checkpointService.runId}`);
         return;
       }
       
@@ -169,12 +471,13 @@ export class MigrationService {
       
       // Update result
       result.statistics.roomsProcessed = 1;
+      result.fileIntegrity.push(...roomResult.fileIntegrity);
       if (roomResult.success) {
         result.statistics.sessionsCreated += roomResult.sessionsCreated;
         result.statistics.filesUploaded += roomResult.filesUploaded;
         result.statistics.usersProcessed += roomResult.usersProcessed;
       } else {
-        result.errors.push(...roomResult.errors);
+        this.addRecordErrors(result, roomResult.errors);
       }
       
     } catch (error) {
@@ -183,12 +486,326 @@ export class MigrationService {
     }
   }
 
+  /**
+   * Build the dry-run change plan for the given rooms
+   */
+  async planMigration(rooms, options, result) {
+    const { legacyEventName, targetEventId, skipFiles, eventLocations } = options;
+    
+    this.logger.info(`🔍 Planning migration of ${rooms.length} rooms (DRY RUN)`);
+    
+    const plan = await this.changePlanService.buildPlan({ legacyEventName, targetEventId, rooms, eventLocations, skipFiles });
+    plan.warnings.push(...this.validationService.takeDateRangeFlags().map(flag => flag.message));
+    
+    result.dryRun = true;
+    result.changePlan = plan;
+    result.statistics.roomsProcessed = rooms.length;
+    plan.warnings.forEach(warning => result.addWarning('Change plan', warning));
+    
+    const { total } = plan.summary;
+    if (total.invalid > 0) {
+      // Fail the dry run so sign-off cannot miss records the real run would reject
+      result.addError('Change plan', new Error(`${total.invalid} entities would be rejected by validation`));
+    }
+    
+    this.logger.info(`📋 Plan: ${total.create} create, ${total.update} update, ${total.unchanged} unchanged, ${total.invalid} invalid`);
+    
+    return plan;
+  }
+
+  /**
+   * Apply a reviewed plan file exactly as written
+   */
+  async applyPlan(planFile) {
+    const result = new MigrationResult();
+    const { legacyEventName, targetEventId } = planFile;
+    result.configuration = {
+      legacyEventName,
+      targetEventId,
+      roomName: planFile.roomName,
+      migrateAllRooms: !planFile.roomName,
+      skipFiles: planFile.skipFiles,
+      source: planFile.legacySource || null
+    };
+    
+    try {
+      this.logger.migrationStart(result.configuration);
+      
+      if (planFile.legacySource) {
+        this.useLegacySource(planFile.legacySource);
+      }
+      await this.validateEnvironment();
+      
+      // The plan's payloads and update decisions only hold for the target state they were computed against
+      const fingerprint = await this.changePlanService.fingerprintTarget(targetEventId);
+      if (fingerprint.hash !== planFile.targetFingerprint.hash) {
+        throw new Error(
+          `Target event ${targetEventId} has changed since the plan was created ` +
+          `(planned against ${JSON.stringify(planFile.targetFingerprint.counts)}, now ${JSON.stringify(fingerprint.counts)}) - create a new plan`
+        );
+      }
+      
+      result.runId = this.checkpointService.start(result.configuration);
+      this.currentClient.setMutationRecorder(this.checkpointService);
+      this.fileService.setMutationRecorder(this.checkpointService);
+      
+      this.logger.info(`▶️  Applying ${planFile.operations.length} planned operations to event ${targetEventId}`);
+      this.progressTracker.startOperation('Applying Plan', planFile.operations.length);
+      
+      const resolved = new Map();
+      for (const [index, operation] of planFile.operations.entries()) {
+        try {
+          const currentId = await this.applyOperation(operation, planFile, resolved, result);
+          resolved.set(operation.ref, currentId);
+          this.countAppliedOperation(operation, result);
+          
+          // Role grants are not entities of their own, so like a migration run they are only journaled
+          if (operation.entityType !== 'userRole') {
+            this.mappingLedger.record({
+              runId: result.runId,
+              legacyEventName,
+              targetEventId,
+              entityType: operation.entityType,
+              legacyId: operation.legacyId,
+              sourceSystemId: operation.payload?.sourceSystemId,
+              currentId,
+              name: operation.name,
+              metadata: operation.entityType === 'presenter'
+                ? this.resolvePlanReferences({ userId: operation.payload.userId, subSessionId: operation.payload.subSessionId }, resolved)
+                : operation.payload?.metadata
+            });
+          }
+        } catch (error) {
+          result.addError(`Plan operation ${index + 1}: ${operation.action} ${operation.entityType} ${operation.name || operation.legacyId}`, error);
+        }
+        
+        this.progressTracker.updateProgress('Applying Plan', index + 1, planFile.operations.length);
+      }
+      this.progressTracker.completeOperation('Applying Plan');
+      
+      result.endTime = new Date();
+      result.success = result.errors.length === 0;
+      this.checkpointService.markStatus(result.success ? 'completed' : 'failed', { errors: result.errors.length, planCreatedAt: planFile.createdAt });
+      this.writeRunReport(result);
+      
+      this.logger.migrationEnd(result, result.getDuration());
+      return result;
+      
+    } catch (error) {
+      result.addError('Plan apply', error);
+      result.endTime = new Date();
+      result.success = false;
+      this.checkpointService.markStatus('failed', { error: error.message });
+      this.writeRunReport(result);
+      
+      this.logger.error('Plan apply failed:', error);
+      return result;
+    }
+  }
+
+  /**
+   * Re-run the records of a quarantine directory, releasing every one that migrates now
+   * Records failing validation again stay quarantined with their new errors
+   */
+  async replayQuarantine(directory, options = {}) {
+    const result = new MigrationResult();
+    result.configuration = {
+      quarantine: directory,
+      replayQuarantine: true,
+      source: options.source || null,
+      mappings: options.mappings || null,
+      transforms: options.transforms || null
+    };
+    
+    try {
+      this.useQuarantine(directory);
+      const entries = this.quarantine.list({ entityType: options.entityType });
+      
+      if (entries.length === 0) {
+        this.logger.info(`🧪 No quarantined records to replay in ${directory}`);
+        result.endTime = new Date();
+        result.success = true;
+        result.quarantine = this.quarantine.getReport();
+        return result;
+      }
+      
+      // Parent IDs in the records belong to one target event, so a replay covers exactly one
+      const events = new Set(entries.map(({ record }) => `"${record.context.legacyEventName}" → ${record.context.targetEventId}`));
+      if (events.size > 1) {
+        throw new Error(`${directory} holds records of several events (${[...events].join(', ')}) - replay each event from its own directory`);
+      }
+      
+      const { legacyEventName, targetEventId } = entries[0].record.context;
+      Object.assign(result.configuration, { legacyEventName, targetEventId, migrateAllRooms: false });
+      this.logger.migrationStart(result.configuration);
+      
+      if (options.source) {
+        this.useLegacySource(options.source);
+      }
+      if (options.mappings) {
+        this.useMappingOverrides(options.mappings);
+      }
+      if (options.transforms) {
+        await this.useTransformHooks(options.transforms);
+      }
+      await this.validateEnvironment();
+      await this.useEventSchedule(legacyEventName, targetEventId, options.timeZone || null);
+      
+      result.runId = this.checkpointService.start(result.configuration);
+      this.currentClient.setMutationRecorder(this.checkpointService);
+      this.fileService.setMutationRecorder(this.checkpointService);
+      
+      this.logger.info(`🧪 Replaying ${entries.length} quarantined records into event ${targetEventId}`);
+      this.progressTracker.startOperation('Replaying Quarantine', entries.length);
+      
+      for (const [index, { fileName, record }] of entries.entries()) {
+        const outcome = await this.replayRecord(record, { legacyEventName, targetEventId, verbose: options.verbose });
+        const quarantinedAgain = this.quarantine.quarantined.some(entry => entry.file === fileName);
+        
+        if (outcome.errors.length > 0) {
+          this.addRecordErrors(result, outcome.errors);
+        } else if (!quarantinedAgain) {
+          this.quarantine.release(fileName, record);
+          this.countAppliedOperation(record, result);
+        }
+        
+        this.progressTracker.updateProgress('Replaying Quarantine', index + 1, entries.length);
+      }
+      this.progressTracker.completeOperation('Replaying Quarantine');
+      
+      result.endTime = new Date();
+      result.success = result.errors.length === 0;
+      this.checkpointService.markStatus(result.success ? 'completed' : 'failed', { errors: result.errors.length });
+      this.writeRunReport(result);
+      
+      this.logger.migrationEnd(result, result.getDuration());
+      return result;
+      
+    } catch (error) {
+      result.addError('Quarantine replay', error);
+      result.endTime = new Date();
+      result.success = false;
+      this.checkpointService.markStatus('failed', { error: error.message });
+      this.writeRunReport(result);
+      
+      this.logger.error('Quarantine replay failed:', error);
+      return result;
+    }
+  }
+
+  /**
+   * Send one quarantined record through the normal processing of its entity type
+   */
+  async replayRecord(record, options) {
+    const { entityType, context, legacyRecord } = record;
+    
+    switch (entityType) {
+      case 'session':
+        return this.processSessions([legacyRecord], context.roomId, options.targetEventId, options);
+      case 'subSession':
+        return this.processSubSessions([legacyRecord], context.sessionId, options.targetEventId, options);
+      case 'user':
+        return this.processUsers([legacyRecord], context.roomId, options.targetEventId, options);
+      default:
+        throw new Error(`Unknown entity type: ${entityType}`);
+    }
+  }
+
+  /**
+   * Send one planned operation and return the current system ID it produced or touched
+   */
+  async applyOperation(operation, planFile, resolved, result = null) {
+    const params = this.resolvePlanReferences(operation.params, resolved);
+    const payload = this.resolvePlanReferences(operation.payload, resolved);
+    
+    if (operation.entityType === 'file') {
+      const { fileId, filePath, subSessionId } = operation.source;
+      const fileData = await this.legacyClient.downloadFile(planFile.legacyEventName, fileId, filePath, subSessionId);
+      const uploadResult = await this.fileService.uploadFile(fileData, payload);
+      if (result && uploadResult?.integrity) {
+        result.fileIntegrity.push(this.createIntegrityRecord(operation.legacyId, operation.name, uploadResult));
+      }
+      return uploadResult?.id;
+    }
+    
+    if (operation.entityType === 'userRole') {
+      // The Auth API answers a grant without an ID - the client journals it under the user name
+      await this.currentClient.addUserRoles(params.eventId, payload);
+      return payload.userName;
+    }
+    
+    const request = operation.api === 'current-files'
+      ? this.currentClient.filesApiRequest.bind(this.currentClient)
+      : this.currentClient.eventApiRequest.bind(this.currentClient);
+    
+    if (operation.entityType === 'session') {
+      // Sessions take tracks and tags only on update, and their metadata is never sent
+      const { create, update } = CurrentSystemApiClient.splitSessionPayload(payload);
+      const isCreate = operation.action === 'create';
+      const response = await request(operation.method, operation.endpointKey, isCreate ? create : { ...create, ...update }, params);
+      const currentId = isCreate ? response?.id : operation.targetId;
+      
+      this.currentClient.recordMutation(operation.action, operation.entityType, currentId, params.eventId, operation.before);
+      if (isCreate && update) {
+        await this.currentClient.updateSessionDetails(currentId, params.eventId, update);
+      }
+      return currentId;
+    }
+    
+    const response = await request(operation.method, operation.endpointKey, payload, params);
+    const currentId = operation.action === 'update' ? operation.targetId : response?.id;
+    
+    this.currentClient.recordMutation(operation.action, operation.entityType, currentId, params.eventId, operation.before);
+    return currentId;
+  }
+
+  /**
+   * Replace "planned:" references to not-yet-created parents with the IDs they were created with
+   */
+  resolvePlanReferences(value, resolved) {
+    if (typeof value === 'string' && value.startsWith('planned:')) {
+      if (!resolved.has(value) || !resolved.get(value)) {
+        throw new Error(`Unresolved reference ${value} - its parent was not created`);
+      }
+      return resolved.get(value);
+    }
+    
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolvePlanReferences(item, resolved));
+    }
+    
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.resolvePlanReferences(item, resolved)]));
+    }
+    
+    return value;
+  }
+
+  /**
+   * Count an applied operation in the migration statistics
+   */
+  countAppliedOperation(operation, result) {
+    const statisticByType = {
+      room: 'roomsProcessed',
+      session: 'sessionsCreated',
+      subSession: 'subSessionsCreated',
+      user: 'usersProcessed',
+      moderator: 'moderatorsCreated',
+      file: 'filesUploaded'
+    };
+    
+    const statistic = statisticByType[operation.entityType];
+    if (statistic) {
+      result.statistics[statistic]++;
+    }
+  }
+
   /**
    * Process a single room with all its associated data
    */
   async processRoom(room, targetEventId, options = {}) {
     const { verbose, skipFiles, eventLocations, legacyEventName } = options;
-    const roomResult = { success: true, errors: [], sessionsCreated: 0, filesUploaded: 0, usersProcessed: 0 };
+    const roomResult = { success: true, errors: [], sessionsCreated: 0, filesUploaded: 0, usersProcessed: 0, fileIntegrity: [] };
     const startTime = Date.now();
     
     try {
@@ -201,12 +818,32 @@ export class MigrationService {
       // For now, use the first event location - this may need to be more sophisticated
       const eventLocationId = eventLocations?.[0]?.id || targetEventId;
       
-      // Step 1: Transform and validate room data
-      const transformedRoom = await this.validationService.transformLegacyRoom(room, targetEventId, eventLocationId);
+      const roomKey = this.getLegacyId('room', room);
+      const roomCheckpoint = this.checkpointService.skipIfCompleted('room', roomKey);
+      let createdRoom;
       
-      // Step 2: Create or update room in current system
-      const createdRoom = await this.currentClient.createOrUpdateRoom(transformedRoom);
-      if (verbose) this.logger.info(`✅ Room "${roomName}" processed with ID: ${createdRoom.id}`);
+      if (roomCheckpoint) {
+        // Room itself was created by an earlier attempt - reuse it and continue with its children
+        createdRoom = { id: roomCheckpoint.targetId, name: roomName };
+        if (verbose) this.logger.info(`⏭️  Room "${roomName}" already migrated with ID: ${createdRoom.id}`);
+      } else {
+        // Step 1: Transform and validate room data
+        const transformedRoom = await this.validationService.transformLegacyRoom(room, targetEventId, eventLocationId);
+        
+        if (!transformedRoom) {
+          // Skipped by a transform hook - nothing in the room is migrated either
+          this.logger.info(`⏭️  Room "${roomName}" skipped by a transform hook`);
+          roomResult.skipped = true;
+          this.logger.roomEnd(roomName, true, Date.now() - startTime);
+          return roomResult;
+        }
+        
+        // Step 2: Create or update room in current system
+        createdRoom = await this.currentClient.createOrUpdateRoom(transformedRoom);
+        this.checkpointService.markCompleted('room', roomKey, { targetId: createdRoom.id });
+        this.recordMapping('room', room, createdRoom, { legacyEventName, targetEventId, name: roomName });
+        if (verbose) this.logger.info(`✅ Room "${roomName}" processed with ID: ${createdRoom.id}`);
+      }
       
       // Step 3: Fetch and process sessions
       const sessions = await this.legacyClient.getSessions(legacyEventName, room.RoomId);
@@ -234,6 +871,7 @@ export class MigrationService {
               legacyEventName 
             });
             roomResult.filesUploaded = fileResults.uploaded;
+            roomResult.fileIntegrity = fileResults.integrity;
             roomResult.errors.push(...fileResults.errors);
           } else {
             this.logger.info(`No files found for room: ${roomName}`);
@@ -248,6 +886,11 @@ export class MigrationService {
         }
       }
       
+      // Only a room without any failures is skipped on resume; otherwise its unfinished children are retried
+      if (roomResult.errors.length === 0) {
+        this.checkpointService.markCompleted('roomComplete', roomKey);
+      }
+      
       this.logger.roomEnd(room.name, roomResult.errors.length === 0, Date.now() - startTime);
       
     } catch (error) {
@@ -296,26 +939,58 @@ export class MigrationService {
           const sessionTitle = session.title || session.SessionName || session.sessionName || session.name || 'Unknown Session';
           this.logger.sessionStart(sessionTitle);
           
-          // Transform session data
-          const transformedSession = await this.validationService.transformLegacySession(session, roomId, targetEventId);
+          const sessionKey = this.getLegacyId('session', session);
+          const sessionCheckpoint = this.checkpointService.skipIfCompleted('session', sessionKey);
+          let createdSession;
           
-          // Create or update session in current system (handles conflicts)
-          const createdSession = await this.currentClient.createOrUpdateSession(transformedSession);
-          result.created++;
-          
-          if (verbose) this.logger.info(`✅ Session "${sessionTitle}" processed with ID: ${createdSession.id}`);
+          if (sessionCheckpoint) {
+            // Session already migrated - its subsessions may still be pending
+            createdSession = { id: sessionCheckpoint.targetId };
+            if (verbose) this.logger.info(`⏭️  Session "${sessionTitle}" already migrated with ID: ${createdSession.id}`);
+          } else {
+            // Transform session data
+            const transformedSession = await this.validationService.transformLegacySession(session, roomId, targetEventId);
+            
+            if (!transformedSession) {
+              if (verbose) this.logger.info(`⏭️  Session "${sessionTitle}" skipped by a transform hook`);
+              this.logger.sessionEnd(sessionTitle, true, 0);
+              continue;
+            }
+            
+            // Create or update session in current system (handles conflicts) - unless an interrupted attempt created it
+            createdSession = await this.findResumedTarget('session', targetEventId, listed => listed.sourceSystemId === transformedSession.sourceSystemId)
+              || await this.currentClient.createOrUpdateSession(transformedSession);
+            this.checkpointService.markCompleted('session', sessionKey, { targetId: createdSession.id });
+            this.recordMapping('session', session, createdSession, {
+              legacyEventName: options.legacyEventName,
+              targetEventId,
+              sourceSystemId: transformedSession.sourceSystemId,
+              name: transformedSession.name,
+              metadata: transformedSession.metadata
+            });
+            result.created++;
+            
+            if (verbose) this.logger.info(`✅ Session "${sessionTitle}" processed with ID: ${createdSession.id}`);
+          }
           
-          // Process subsessions if they exist
-          if (session.SubSessions && session.SubSessions.length > 0) {
-            await this.processSubSessions(session.SubSessions, createdSession.id, targetEventId, options);
-          } else if (session.subSessions && session.subSessions.length > 0) {
-            await this.processSubSessions(session.subSessions, createdSession.id, targetEventId, options);
+          // Process subsessions if they exist - their failures keep the room from completing, so a resume retries them
+          const subSessions = session.SubSessions?.length > 0 ? session.SubSessions : session.subSessions;
+          if (subSessions?.length > 0) {
+            const subSessionResults = await this.processSubSessions(subSessions, createdSession.id, targetEventId, options);
+            result.errors.push(...subSessionResults.errors);
           }
           
           this.logger.sessionEnd(sessionTitle, true, 0);
           
         } catch (error) {
           const sessionTitle = session?.title || session?.SessionName || session?.sessionName || session?.name || 'Unknown Session';
+          
+          // A quarantined session is kept for replay with its subsessions, instead of failing the room
+          if (this.quarantineRecord('session', session, error, { legacyEventName: options.legacyEventName, targetEventId, roomId })) {
+            this.logger.sessionEnd(sessionTitle, false, 0);
+            continue;
+          }
+          
           result.errors.push({
             context: `Session processing: ${sessionTitle}`,
             error: error.message,
@@ -341,32 +1016,196 @@ export class MigrationService {
    */
   async processSubSessions(subSessions, sessionId, targetEventId, options = {}) {
     const { verbose } = options;
+    const result = { created: 0, presenters: 0, errors: [] };
     
     this.logger.info(`DEBUG: Processing ${subSessions.length} subsessions for session ${sessionId}`);
     
     for (const subSession of subSessions) {
       try {
         const subSessionTitle = subSession.title || subSession.SubSessionName || subSession.subSessionName || subSession.name || 'Unknown SubSession';
+        const subSessionKey = this.getLegacyId('subSession', subSession);
+        
+        const subSessionCheckpoint = this.checkpointService.skipIfCompleted('subSession', subSessionKey);
+        if (subSessionCheckpoint) {
+          // SubSession already migrated - its presenters may still be pending
+          await this.processPresenters(subSession, subSessionCheckpoint.targetId, targetEventId, options, result);
+          continue;
+        }
         
         this.logger.info(`DEBUG: Current subsession - ID: ${subSession.SubSessionId}, Name: ${subSession.SubSessionName}, ClientId: ${subSession.ClientSubSessionId}`);
         
         // Transform subsession data
         const transformedSubSession = await this.validationService.transformLegacySubSession(subSession, sessionId, targetEventId);
         
+        if (!transformedSubSession) {
+          if (verbose) this.logger.info(`⏭️  SubSession "${subSessionTitle}" skipped by a transform hook`);
+          continue;
+        }
+        
         this.logger.info(`DEBUG: Transformed subsession data - sessionId: ${transformedSubSession.sessionId}, sourceSystemId: ${transformedSubSession.sourceSystemId}, name: ${transformedSubSession.name}`);
         
-        // Create or update subsession in current system (handles conflicts)
-        const createdSubSession = await this.currentClient.createOrUpdateSubSession(transformedSubSession, targetEventId);
+        // Create or update subsession in current system (handles conflicts) - unless an interrupted attempt created it
+        const createdSubSession = await this.findResumedTarget('subSession', targetEventId, listed => listed.sourceSystemId === transformedSubSession.sourceSystemId)
+          || await this.currentClient.createOrUpdateSubSession(transformedSubSession, targetEventId);
+        this.checkpointService.markCompleted('subSession', subSessionKey, { targetId: createdSubSession.id });
+        this.recordMapping('subSession', subSession, createdSubSession, {
+          legacyEventName: options.legacyEventName,
+          targetEventId,
+          sourceSystemId: transformedSubSession.sourceSystemId,
+          name: transformedSubSession.name
+        });
+        
+        result.created++;
         
         if (verbose) this.logger.info(`✅ SubSession "${subSessionTitle}" processed with ID: ${createdSubSession.id}`);
         
+        await this.processPresenters(subSession, createdSubSession.id, targetEventId, options, result);
+        
       } catch (error) {
+        if (this.quarantineRecord('subSession', subSession, error, { legacyEventName: options.legacyEventName, targetEventId, sessionId })) {
+          continue;
+        }
+        
         const subSessionTitle = subSession?.title || subSession?.SubSessionName || subSession?.subSessionName || subSession?.name || 'Unknown SubSession';
         this.logger.error(`Failed to process subsession "${subSessionTitle}":`, error);
+        result.errors.push({
+          context: `SubSession processing: ${subSessionTitle}`,
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Create the presenters of a subsession as users, give them the presenter role and link them to the subsession
+   * A presenter of several subsessions (or also listed as an event user) becomes one user, matched by email
+   */
+  async processPresenters(subSession, subSessionId, targetEventId, options, result) {
+    const { verbose } = options;
+    const presenters = MappingEngine.findValue(subSession, ['Presenters']) || [];
+    const subSessionKey = this.getLegacyId('subSession', subSession);
+    
+    for (const presenter of presenters) {
+      const email = presenter && typeof presenter === 'object' ? String(MappingEngine.findValue(presenter, ['email']) ?? '').trim() : '';
+      const linkKey = `${subSessionKey}:${email.toLowerCase()}`;
+      
+      try {
+        if (!email) {
+          throw new Error(`Presenter ${JSON.stringify(presenter)} has no email`);
+        }
+        
+        if (this.checkpointService.skipIfCompleted('presenter', linkKey)) {
+          continue;
+        }
+        
+        const transformedUser = await this.validationService.transformLegacyUser(presenter, targetEventId);
+        
+        if (!transformedUser) {
+          if (verbose) this.logger.info(`⏭️  Presenter "${email}" skipped by a transform hook`);
+          continue;
+        }
+        
+        const createdUser = await this.createUserOnce(transformedUser);
+        const roleRequest = await this.validationService.transformPresenterRole(transformedUser);
+        await this.runOnce(this.presenterRoles, email.toLowerCase(), () => this.currentClient.addUserRoles(targetEventId, roleRequest));
+        
+        const presenterData = await this.validationService.transformLegacyPresenter(createdUser.id, subSessionId, targetEventId);
+        const createdPresenter = await this.currentClient.createPresenter(presenterData);
+        this.checkpointService.markCompleted('presenter', linkKey, { targetId: createdPresenter.id });
+        this.recordMapping('presenter', { id: linkKey }, createdPresenter, {
+          legacyEventName: options.legacyEventName,
+          targetEventId,
+          name: email,
+          metadata: { userId: createdUser.id, subSessionId }
+        });
+        result.presenters++;
+        
+        if (verbose) this.logger.info(`✅ Presenter "${email}" linked to subsession ${subSessionId}`);
+        
+      } catch (error) {
+        this.logger.error(`Failed to process presenter "${email}" of subsession ${subSessionKey}:`, error);
+        result.errors.push({
+          context: `Presenter processing: ${email || 'no email'} (subsession ${subSessionKey})`,
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    }
+  }
+
+  /**
+   * Create the user of an email once across the event; users created by an earlier attempt come from the checkpoint
+   */
+  createUserOnce(userData) {
+    const email = String(userData.email).trim().toLowerCase();
+    
+    return this.runOnce(this.usersByEmail, email, async () => {
+      const checkpoint = this.checkpointService.skipIfCompleted('userEmail', email);
+      if (checkpoint) {
+        return { ...userData, id: checkpoint.targetId };
       }
+      
+      const createdUser = await this.findResumedTarget('user', userData.eventId, listed => String(listed.email ?? '').trim().toLowerCase() === email)
+        || await this.currentClient.createUser(userData);
+      this.checkpointService.markCompleted('userEmail', email, { targetId: createdUser.id });
+      return createdUser;
+    });
+  }
+
+  /**
+   * On resume, find an entity an interrupted attempt created in the target event but stopped before checkpointing
+   * Each entity type is listed once per event; resolves null when the run is not resumed or nothing matches
+   */
+  async findResumedTarget(entityType, targetEventId, matches) {
+    if (!this.checkpointService.resumed || this.exportSink) {
+      return null;
+    }
+    
+    const listing = await this.runOnce(this.targetListings, `${entityType}:${targetEventId}`, () => this.listTargetEntities(entityType, targetEventId));
+    const existing = listing.find(matches) || null;
+    
+    if (existing) {
+      this.logger.info(`♻️  Reusing ${entityType} ${existing.id} created before run ${this.checkpointService.runId} was interrupted`);
+    }
+    
+    return existing;
+  }
+
+  /**
+   * List the entities of one type in the target event
+   */
+  listTargetEntities(entityType, targetEventId) {
+    switch (entityType) {
+      case 'user':
+        return this.currentClient.getUsers(targetEventId);
+      case 'session':
+        return this.currentClient.getSessions(targetEventId);
+      case 'subSession':
+        return this.currentClient.getSubSessions(targetEventId);
+      case 'file':
+        return this.currentClient.getEventFiles(targetEventId);
+      default:
+        throw new Error(`Unknown entity type: ${entityType}`);
     }
   }
 
+  /**
+   * Run a create once per key - rooms run in parallel, so later callers wait for the first one
+   * A failed create is forgotten, so the next record with the same key tries again
+   */
+  runOnce(cache, key, create) {
+    if (!cache.has(key)) {
+      const pending = create();
+      cache.set(key, pending);
+      pending.catch(() => cache.delete(key));
+    }
+    
+    return cache.get(key);
+  }
+
   /**
    * Process users for a room
    */
@@ -377,13 +1216,25 @@ export class MigrationService {
     try {
       for (const user of users) {
         try {
+          const userKey = this.getLegacyId('user', user);
+          if (this.checkpointService.skipIfCompleted('user', userKey)) {
+            continue;
+          }
+          
           this.logger.userStart(user.email);
           
           // Transform user data
           const transformedUser = await this.validationService.transformLegacyUser(user, targetEventId);
           
-          // Create user in current system
-          const createdUser = await this.currentClient.createUser(transformedUser);
+          if (!transformedUser) {
+            if (verbose) this.logger.info(`⏭️  User "${user.email}" skipped by a transform hook`);
+            this.logger.userEnd(user.email, true, 0);
+            continue;
+          }
+          
+          // Create user in current system - a presenter or a user of another room with the same email is reused
+          const createdUser = await this.createUserOnce(transformedUser);
+          this.recordMapping('user', user, createdUser, { legacyEventName: options.legacyEventName, targetEventId, name: user.email });
           result.processed++;
           
           if (verbose) this.logger.info(`✅ User "${user.email}" created with ID: ${createdUser.id}`);
@@ -391,12 +1242,20 @@ export class MigrationService {
           // Create moderator relationship if applicable
           if (user.isModerator) {
             const moderatorData = await this.validationService.transformLegacyModerator(user, createdUser.id, roomId, targetEventId);
-            await this.currentClient.createModerator(moderatorData);
+            const createdModerator = await this.currentClient.createModerator(moderatorData);
+            this.recordMapping('moderator', user, createdModerator, { legacyEventName: options.legacyEventName, targetEventId, name: user.email });
           }
           
+          this.checkpointService.markCompleted('user', userKey, { targetId: createdUser.id });
+          
           this.logger.userEnd(user.email, true, 0);
           
         } catch (error) {
+          if (this.quarantineRecord('user', user, error, { legacyEventName: options.legacyEventName, targetEventId, roomId })) {
+            this.logger.userEnd(user.email, false, 0);
+            continue;
+          }
+          
           result.errors.push({
             context: `User processing: ${user.email}`,
             error: error.message,
@@ -422,7 +1281,7 @@ export class MigrationService {
    */
   async processFiles(files, roomId, targetEventId, options = {}) {
     const { verbose, legacyEventName } = options;
-    const result = { uploaded: 0, errors: [] };
+    const result = { uploaded: 0, errors: [], integrity: [] };
     
     try {
       for (const file of files) {
@@ -450,18 +1309,43 @@ export class MigrationService {
             continue;
           }
           
-          this.logger.info(`Downloading file: ${fileName} (ID: ${fileId}) from event: ${legacyEventName}${subSessionId ? `, subsession: ${subSessionId}` : ''}`);
-          
-          // Download file from legacy system
-          const fileData = await this.legacyClient.downloadFile(legacyEventName, fileId, file.FilePath, subSessionId);
+          // Skip files uploaded by an earlier attempt of this run
+          if (this.checkpointService.skipIfCompleted('file', fileId)) {
+            continue;
+          }
           
-          // Transform file metadata
+          // Transform file metadata first - a file a transform hook skips is never downloaded
           const transformedFile = await this.validationService.transformLegacyFile(file, roomId, targetEventId);
           
-          // Upload file to current system
-          const uploadResult = await this.fileService.uploadFile(fileData, transformedFile);
+          if (!transformedFile) {
+            if (verbose) this.logger.info(`⏭️  File "${fileName}" skipped by a transform hook`);
+            continue;
+          }
+          
+          // Upload the file unless an interrupted attempt uploaded it
+          let uploadResult = await this.findResumedTarget('file', targetEventId, listed => this.isUploadOf(listed, transformedFile));
+          
+          if (!uploadResult) {
+            this.logger.info(`Downloading file: ${fileName} (ID: ${fileId}) from event: ${legacyEventName}${subSessionId ? `, subsession: ${subSessionId}` : ''}`);
+            
+            // Download file from legacy system
+            const fileData = await this.legacyClient.downloadFile(legacyEventName, fileId, file.FilePath, subSessionId);
+            
+            // Upload file to current system
+            uploadResult = await this.fileService.uploadFile(fileData, transformedFile);
+          }
+          this.checkpointService.markCompleted('file', fileId, {
+            targetId: uploadResult?.id,
+            sha256: uploadResult?.integrity?.hash,
+            sizeBytes: uploadResult?.integrity?.sizeBytes
+          });
+          this.recordMapping('file', file, uploadResult, { legacyEventName, targetEventId, name: fileName });
           result.uploaded++;
           
+          if (uploadResult?.integrity) {
+            result.integrity.push(this.createIntegrityRecord(fileId, fileName, uploadResult));
+          }
+          
           if (verbose) this.logger.info(`✅ File "${fileName}" uploaded with ID: ${uploadResult.id}`);
           
         } catch (error) {
@@ -475,6 +1359,8 @@ export class MigrationService {
           this.logger.error(`📄 File processing failed`, { error: error.message, stack: error.stack });
         }
       }
+      
+      await this.verifyUploadedFiles(result.integrity, targetEventId, result.errors);
     } catch (error) {
       result.errors.push({
         context: 'Files processing',
@@ -486,32 +1372,150 @@ export class MigrationService {
     return result;
   }
 
+  /**
+   * Build the run report entry for an uploaded file
+   */
+  createIntegrityRecord(legacyFileId, fileName, uploadResult) {
+    return {
+      legacyFileId: legacyFileId !== undefined && legacyFileId !== null ? String(legacyFileId) : null,
+      fileName,
+      currentFileId: uploadResult.id ?? null,
+      ...uploadResult.integrity
+    };
+  }
+
+  /**
+   * Whether a Files API listing entry is the upload of a file - the listing has no owner, so name and size must match
+   */
+  isUploadOf(listed, fileData) {
+    const sizes = [listed.fileSizeInBytes, fileData.fileSizeBytes];
+    const sizeKnown = sizes.every(size => size !== undefined && size !== null);
+    return listed.name === fileData.originalFileName && (!sizeKnown || Number(sizes[0]) === Number(sizes[1]));
+  }
+
+  /**
+   * Confirm uploaded files against the Files API listing of the target event
+   */
+  async verifyUploadedFiles(integrityRecords, targetEventId, errors) {
+    if (integrityRecords.length === 0) {
+      return integrityRecords;
+    }
+    
+    let listedFiles;
+    try {
+      listedFiles = await this.currentClient.getEventFiles(targetEventId);
+    } catch (error) {
+      // Uploads are not failed for this - the records stay unverified in the run report
+      this.logger.warn(`⚠️  Could not list files of event ${targetEventId} to verify uploads: ${error.message}`);
+      return integrityRecords;
+    }
+    
+    this.fileService.verifyUploadedFiles(integrityRecords, listedFiles);
+    
+    for (const record of integrityRecords.filter(record => record.verified === false)) {
+      errors.push({
+        context: `File integrity: ${record.fileName}`,
+        error: record.problems.join('; ')
+      });
+    }
+    
+    return integrityRecords;
+  }
+
+  /**
+   * Get the stable legacy identifier for an entity, used as its checkpoint key
+   */
+  getLegacyId(entityType, record) {
+    switch (entityType) {
+      case 'room':
+        return record.RoomId || record.id || record.Id || record.RoomName || record.name;
+      case 'session':
+        return record.SessionId || record.sessionId || record.ClientSessionId || record.clientSessionId || record.id;
+      case 'subSession':
+        return record.SubSessionId || record.subSessionId || record.ClientSubSessionId || record.clientSubSessionId || record.id;
+      case 'user':
+      case 'moderator':
+      case 'presenter':
+        return record.id || record.Id || record.email;
+      case 'file':
+        return record.WalkInFileId || record.FileId || record.id;
+      default:
+        throw new Error(`Unknown entity type: ${entityType}`);
+    }
+  }
+
+  /**
+   * Record a legacy → current mapping in the ledger
+   */
+  recordMapping(entityType, legacyRecord, currentEntity, context = {}) {
+    // Export IDs are not current system IDs - they stay out of the ledger
+    if (this.exportSink) {
+      return;
+    }
+    
+    try {
+      this.mappingLedger.record({
+        runId: this.checkpointService.runId,
+        legacyEventName: context.legacyEventName,
+        targetEventId: context.targetEventId,
+        entityType,
+        legacyId: this.getLegacyId(entityType, legacyRecord),
+        sourceSystemId: context.sourceSystemId,
+        currentId: currentEntity?.id,
+        name: context.name,
+        metadata: context.metadata,
+        placeholder: Boolean(currentEntity?._isExisting)
+      });
+    } catch (error) {
+      // The ledger is an audit trail - a write failure must not fail the migration itself
+      this.logger.warn(`Failed to record ${entityType} mapping in ledger: ${error.message}`);
+    }
+  }
+
   /**
    * Aggregate results from parallel room processing
    */
   aggregateRoomResults(roomResults, result) {
-    for (const roomResult of roomResults) {
-      if (roomResult && roomResult.success) {
+    for (const wrapper of roomResults) {
+      // ParallelProcessor wraps each room's result as { success, room, result|error, duration, index }
+      const roomResult = wrapper && 'index' in wrapper
+        ? wrapper.result ?? { success: false, errors: [{ context: 'Room processing', error: wrapper.error?.message }] }
+        : wrapper;
+      
+      if (roomResult && roomResult.success && !roomResult.skipped) {
         result.statistics.roomsProcessed++;
         result.statistics.sessionsCreated += (roomResult.sessionsCreated || 0);
         result.statistics.filesUploaded += (roomResult.filesUploaded || 0);
         result.statistics.usersProcessed += (roomResult.usersProcessed || 0);
       }
       
+      if (roomResult && Array.isArray(roomResult.fileIntegrity)) {
+        result.fileIntegrity.push(...roomResult.fileIntegrity);
+      }
+      
       // Safely handle errors array
       if (roomResult && roomResult.errors && Array.isArray(roomResult.errors)) {
-        result.errors.push(...roomResult.errors);
+        this.addRecordErrors(result, roomResult.errors);
       }
     }
   }
 
+  /**
+   * Add the failures of rooms and records ({ context, error, stack }) to the result as regular error entries
+   */
+  addRecordErrors(result, errors) {
+    for (const { context, error, stack } of errors) {
+      result.addError(context, Object.assign(new Error(error), { stack }));
+    }
+  }
+
   /**
    * Validate environment and connectivity
    */
   async validateEnvironment() {
     try {
-      // Validate configuration
-      ConfigManager.validateEnvironment();
+      // Validate configuration - snapshot sources and exports need no credentials for the API they replace
+      ConfigManager.validateEnvironment({ requireLegacy: !this.legacySource, requireCurrent: !this.exportSink });
       
       // Test connectivity to legacy system
       await this.legacyClient.testConnection();
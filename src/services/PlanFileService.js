@@ -0,0 +1,183 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+const PLAN_KIND = 'legacy-migration-plan';
+const PLAN_FORMAT_VERSION = 1;
+
+// Route used to apply each planned action, keyed by entity type and action
+const OPERATION_ROUTES = {
+  room: {
+    create: { api: 'current-event', method: 'POST', endpointKey: 'rooms' }
+  },
+  session: {
+    create: { api: 'current-event', method: 'POST', endpointKey: 'sessions' },
+    update: { api: 'current-event', method: 'PUT', endpointKey: 'sessionById', idParam: 'sessionId' }
+  },
+  subSession: {
+    create: { api: 'current-event', method: 'POST', endpointKey: 'subSessions' },
+    update: { api: 'current-event', method: 'PUT', endpointKey: 'subSessionById', idParam: 'subSessionId' }
+  },
+  user: {
+    create: { api: 'current-event', method: 'POST', endpointKey: 'users' }
+  },
+  moderator: {
+    create: { api: 'current-event', method: 'POST', endpointKey: 'moderators' }
+  },
+  userRole: {
+    create: { api: 'current-auth', method: 'POST', endpointKey: 'addUserRole' }
+  },
+  presenter: {
+    create: { api: 'current-event', method: 'POST', endpointKey: 'presenters' }
+  },
+  file: {
+    create: { api: 'current-files', method: 'POST' }
+  }
+};
+
+// Files API endpoint per file kind (mirrors FileService.getUploadUrl)
+const FILE_ENDPOINTS = {
+  sessionId: 'sessionFiles',
+  subSessionId: 'subSessionFiles',
+  userId: 'userFiles',
+  moderatorId: 'moderatorFiles'
+};
+
+/**
+ * Plan File Service - Writes and reads reviewable migration plan files
+ * A plan file lists every request a migration would send, so it can be reviewed before `apply` executes it
+ */
+export class PlanFileService {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+  }
+
+  /**
+   * Turn a dry-run change plan into a plan file document
+   */
+  createPlanFile(changePlan, configuration, toolVersion = null) {
+    const operations = changePlan.entries
+      .filter(entry => entry.action === 'create' || entry.action === 'update')
+      .map(entry => this.createOperation(entry, changePlan.targetEventId));
+
+    const rejected = changePlan.entries
+      .filter(entry => entry.action === 'invalid')
+      .map(({ entityType, legacyId, name, errors }) => ({ entityType, legacyId, name, errors }));
+
+    return {
+      kind: PLAN_KIND,
+      version: PLAN_FORMAT_VERSION,
+      toolVersion,
+      createdAt: changePlan.createdAt,
+      legacyEventName: changePlan.legacyEventName,
+      targetEventId: changePlan.targetEventId,
+      roomName: configuration.roomName || null,
+      skipFiles: Boolean(configuration.skipFiles),
+      // File binaries are read from the same source when the plan is applied
+      legacySource: configuration.source || null,
+      targetFingerprint: changePlan.targetFingerprint,
+      summary: changePlan.summary,
+      warnings: changePlan.warnings,
+      operations,
+      rejected
+    };
+  }
+
+  /**
+   * Build the request an entry will be applied with
+   */
+  createOperation(entry, targetEventId) {
+    const route = OPERATION_ROUTES[entry.entityType]?.[entry.action];
+
+    if (!route) {
+      throw new Error(`Cannot plan ${entry.action} of ${entry.entityType} - no route is configured for it`);
+    }
+
+    const params = { eventId: targetEventId };
+    if (route.idParam) {
+      params[route.idParam] = entry.targetId;
+    }
+
+    const endpointKey = route.endpointKey || this.getFileEndpointKey(entry.payload);
+
+    return {
+      ref: `planned:${entry.entityType}:${entry.legacyId}`,
+      entityType: entry.entityType,
+      action: entry.action,
+      legacyId: entry.legacyId,
+      name: entry.name,
+      targetId: entry.targetId,
+      api: route.api,
+      method: route.method,
+      endpointKey,
+      params,
+      payload: this.getRequestPayload(entry),
+      changes: entry.changes,
+      before: entry.before,
+      ...(entry.source ? { source: entry.source } : {})
+    };
+  }
+
+  /**
+   * Get the exact body that will be sent for an entry
+   */
+  getRequestPayload(entry) {
+    // Subsession updates only accept the updatable fields (see CurrentSystemApiClient.updateSubSession)
+    if (entry.entityType === 'subSession' && entry.action === 'update') {
+      const { name, description, startsAt, endsAt, order } = entry.payload;
+      return Object.fromEntries(
+        Object.entries({ name, description, startsAt, endsAt, order }).filter(([, value]) => value !== undefined)
+      );
+    }
+
+    return entry.payload;
+  }
+
+  /**
+   * Get the Files API endpoint key for file metadata
+   */
+  getFileEndpointKey(payload) {
+    const owner = Object.keys(FILE_ENDPOINTS).find(field => payload?.[field]);
+    return owner ? FILE_ENDPOINTS[owner] : 'upload';
+  }
+
+  /**
+   * Write a plan file
+   */
+  write(planFile, filePath) {
+    mkdirSync(dirname(filePath), { recursive: true });
+    writeFileSync(filePath, JSON.stringify(planFile, null, 2));
+    this.logger.info(`📝 Plan with ${planFile.operations.length} operations written to ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * Read and check a plan file
+   */
+  read(filePath) {
+    if (!existsSync(filePath)) {
+      throw new Error(`Plan file not found: ${filePath}`);
+    }
+
+    let planFile;
+    try {
+      planFile = JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Plan file ${filePath} is not valid JSON: ${error.message}`);
+    }
+
+    if (planFile.kind !== PLAN_KIND) {
+      throw new Error(`${filePath} is not a migration plan file`);
+    }
+
+    if (planFile.version !== PLAN_FORMAT_VERSION) {
+      throw new Error(`Plan file version ${planFile.version} is not supported (expected ${PLAN_FORMAT_VERSION}) - create a new plan`);
+    }
+
+    if (!Array.isArray(planFile.operations) || !planFile.targetFingerprint?.hash) {
+      throw new Error(`Plan file ${filePath} is incomplete - create a new plan`);
+    }
+
+    return planFile;
+  }
+}
@@ -0,0 +1,138 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { SnapshotService } from './SnapshotService.js';
+
+const RECORD_KIND = 'quarantined-record';
+const RECORD_VERSION = 1;
+
+// Entity types that are quarantined, in the order a replay creates them (parents first)
+const QUARANTINED_TYPES = ['session', 'subSession', 'user'];
+
+/**
+ * Quarantine Service - Keeps legacy records that failed validation as one editable JSON file each
+ * A file holds the legacy record, the payload the transform produced and the validation errors, so the data or
+ * mapping can be fixed and just those records replayed
+ */
+export class QuarantineService {
+  constructor(directory, logger) {
+    this.directory = directory;
+    this.logger = logger;
+    this.quarantined = [];
+    this.released = [];
+  }
+
+  /**
+   * Check whether a failure is one the quarantine keeps: a validation error of a quarantined entity type
+   */
+  static accepts(entityType, error) {
+    return QUARANTINED_TYPES.includes(entityType) && Boolean(error?.validation);
+  }
+
+  /**
+   * The file name of a quarantined record - a record quarantined again overwrites its earlier file
+   */
+  static getFileName(entityType, legacyId) {
+    return `${entityType}-${SnapshotService.safeSegment(legacyId ?? 'unknown')}.json`;
+  }
+
+  /**
+   * Write a rejected legacy record, its transform attempt and the validation errors to the quarantine directory
+   */
+  add({ entityType, legacyId, name, legacyRecord, context, error, runId = null }) {
+    const fileName = QuarantineService.getFileName(entityType, legacyId);
+    const filePath = join(this.directory, fileName);
+    const previous = existsSync(filePath) ? QuarantineService.readRecord(filePath) : null;
+
+    const record = {
+      kind: RECORD_KIND,
+      version: RECORD_VERSION,
+      entityType,
+      legacyId: legacyId !== undefined && legacyId !== null ? String(legacyId) : null,
+      name: name ?? null,
+      quarantinedAt: new Date().toISOString(),
+      runId,
+      attempts: (previous?.attempts || 0) + 1,
+      context,
+      error: error.message,
+      details: error.validation.details,
+      attempt: error.validation.payload,
+      legacyRecord
+    };
+
+    mkdirSync(this.directory, { recursive: true });
+    writeFileSync(filePath, JSON.stringify(record, null, 2));
+
+    this.quarantined.push(QuarantineService.summarize(record, fileName));
+    this.logger.warn(`🧪 Quarantined ${entityType} ${record.legacyId} (${record.name || 'unnamed'}) in ${filePath}: ${error.message}`);
+    return filePath;
+  }
+
+  /**
+   * Read and check one quarantined record file
+   */
+  static readRecord(filePath) {
+    let record;
+    try {
+      record = JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Quarantined record ${filePath} is not valid JSON: ${error.message}`);
+    }
+
+    if (record.kind !== RECORD_KIND) {
+      throw new Error(`${filePath} is not a quarantined record`);
+    }
+
+    if (record.version !== RECORD_VERSION) {
+      throw new Error(`Quarantined record version ${record.version} is not supported (expected ${RECORD_VERSION})`);
+    }
+
+    if (!QUARANTINED_TYPES.includes(record.entityType)) {
+      throw new Error(`Quarantined record ${filePath} has an unknown entity type "${record.entityType}"`);
+    }
+
+    return record;
+  }
+
+  /**
+   * List the quarantined records, parents before children (optionally of one entity type)
+   */
+  list({ entityType = null } = {}) {
+    if (!existsSync(this.directory)) {
+      throw new Error(`Quarantine directory ${this.directory} does not exist`);
+    }
+
+    return readdirSync(this.directory)
+      .filter(fileName => fileName.endsWith('.json'))
+      .map(fileName => ({ fileName, record: QuarantineService.readRecord(join(this.directory, fileName)) }))
+      .filter(({ record }) => !entityType || record.entityType === entityType)
+      .sort((a, b) => QUARANTINED_TYPES.indexOf(a.record.entityType) - QUARANTINED_TYPES.indexOf(b.record.entityType)
+        || a.record.quarantinedAt.localeCompare(b.record.quarantinedAt));
+  }
+
+  /**
+   * Remove a record that was replayed successfully
+   */
+  release(fileName, record) {
+    unlinkSync(join(this.directory, fileName));
+    this.released.push(QuarantineService.summarize(record, fileName));
+    this.logger.info(`✅ Released ${record.entityType} ${record.legacyId} from quarantine`);
+  }
+
+  /**
+   * The short form of a record listed in the run report
+   */
+  static summarize(record, fileName) {
+    return { entityType: record.entityType, legacyId: record.legacyId, name: record.name, file: fileName, error: record.error };
+  }
+
+  /**
+   * The quarantine section of the run report
+   */
+  getReport() {
+    return {
+      directory: this.directory,
+      quarantined: this.quarantined,
+      released: this.released
+    };
+  }
+}
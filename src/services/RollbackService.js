@@ -0,0 +1,221 @@
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { CheckpointService } from './CheckpointService.js';
+import { MappingLedgerService } from './MappingLedgerService.js';
+
+const FILE_KINDS = ['sessionFile', 'subSessionFile', 'userFile', 'moderatorFile', 'file'];
+
+/**
+ * Rollback Service - Reverts the changes a migration run made to the current system
+ * Replays the run's mutation journal in reverse: created entities are deleted, updated entities are restored
+ */
+export class RollbackService {
+  constructor(config, logger, currentClient = null) {
+    this.config = config;
+    this.logger = logger;
+    this.currentClient = currentClient;
+    this.checkpointService = new CheckpointService(config, logger);
+    this.mappingLedger = new MappingLedgerService(config, logger);
+  }
+
+  /**
+   * Build the rollback plan for a run without touching the current system
+   */
+  plan(runId) {
+    const state = this.checkpointService.open(runId);
+    const mutations = this.checkpointService.readMutations(runId);
+
+    // One action per entity: anything the run created is deleted, anything it only updated is restored
+    // to the snapshot taken before the run first touched it
+    const entities = new Map();
+    for (const mutation of mutations) {
+      const key = `${mutation.entityType}:${mutation.id}`;
+      const entity = entities.get(key);
+
+      if (!entity) {
+        entities.set(key, {
+          action: mutation.operation === 'create' ? 'delete' : 'restore',
+          entityType: mutation.entityType,
+          id: mutation.id,
+          eventId: mutation.eventId,
+          before: mutation.before || null
+        });
+      }
+    }
+
+    // Undo in reverse order so children go before the parents they were created under
+    const actions = [...entities.values()].reverse();
+
+    return {
+      runId,
+      run: state.run,
+      status: state.status,
+      mutationCount: mutations.length,
+      actions
+    };
+  }
+
+  /**
+   * Roll back a run, or only preview the rollback when dryRun is set
+   */
+  async rollback(runId, options = {}) {
+    const plan = this.plan(runId);
+
+    if (plan.status === 'rolled-back') {
+      throw new Error(`Run ${runId} has already been rolled back`);
+    }
+
+    const report = {
+      runId,
+      dryRun: Boolean(options.dryRun),
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      configuration: plan.run?.configuration || null,
+      statistics: {
+        planned: plan.actions.length,
+        deleted: 0,
+        restored: 0,
+        alreadyGone: 0,
+        failed: 0
+      },
+      actions: plan.actions.map(action => ({
+        action: action.action,
+        entityType: action.entityType,
+        id: action.id,
+        result: 'pending'
+      }))
+    };
+
+    if (report.dryRun) {
+      this.logger.info(`🔍 Rollback preview for run ${runId}: ${plan.actions.length} actions`);
+      report.completedAt = new Date().toISOString();
+      return report;
+    }
+
+    if (!this.currentClient) {
+      throw new Error('A current system client is required to roll back a run');
+    }
+
+    this.logger.info(`⏪ Rolling back run ${runId}: ${plan.actions.length} actions`);
+
+    for (const [index, action] of plan.actions.entries()) {
+      const entry = report.actions[index];
+
+      try {
+        if (action.action === 'delete') {
+          await this.deleteEntity(action);
+          entry.result = 'deleted';
+          report.statistics.deleted++;
+          this.markRolledBack(action, plan.run);
+        } else {
+          await this.restoreEntity(action);
+          entry.result = 'restored';
+          report.statistics.restored++;
+        }
+      } catch (error) {
+        // Something else may already have removed the entity - that is the state we want
+        if (action.action === 'delete' && /\(404\)/.test(error.message)) {
+          entry.result = 'already-gone';
+          report.statistics.alreadyGone++;
+          this.markRolledBack(action, plan.run);
+          continue;
+        }
+
+        entry.result = 'failed';
+        entry.error = error.message;
+        report.statistics.failed++;
+        this.logger.error(`❌ Failed to ${action.action} ${action.entityType} ${action.id}: ${error.message}`);
+      }
+    }
+
+    report.completedAt = new Date().toISOString();
+
+    // A partially failed rollback can be retried; deletes that already happened come back as 404s
+    const status = report.statistics.failed > 0 ? 'rollback-failed' : 'rolled-back';
+    this.checkpointService.markStatus(status, { statistics: report.statistics });
+    report.reportPath = this.writeReport(runId, report);
+
+    return report;
+  }
+
+  /**
+   * Delete an entity the run created
+   */
+  async deleteEntity(action) {
+    const { entityType, id, eventId, before } = action;
+
+    switch (entityType) {
+      case 'room':
+        return this.currentClient.deleteRoom(eventId, id);
+      case 'session':
+        return this.currentClient.deleteSession(eventId, id);
+      case 'subSession':
+        return this.currentClient.deleteSubSession(eventId, id);
+      case 'user':
+        return this.currentClient.deleteUser(eventId, id);
+      case 'moderator':
+        return this.currentClient.deleteModerator(eventId, id);
+      case 'presenter':
+        return this.currentClient.deletePresenter(eventId, id);
+      case 'userRole':
+        return this.currentClient.removeUserRoles(eventId, { userName: id, roles: before?.roles || [] });
+      default:
+        if (FILE_KINDS.includes(entityType)) {
+          return this.currentClient.deleteFile(entityType, id);
+        }
+        throw new Error(`No delete route for ${entityType} - remove it manually`);
+    }
+  }
+
+  /**
+   * Restore an entity the run updated to its pre-run snapshot
+   */
+  async restoreEntity(action) {
+    const { entityType, id, eventId, before } = action;
+
+    if (!before) {
+      throw new Error(`No pre-run snapshot recorded for ${entityType} ${id}`);
+    }
+
+    // Only send the fields the update DTO accepts
+    const allowedFields = this.config.dtos?.current?.[entityType]?.update?.optional || [];
+    const snapshot = Object.fromEntries(
+      Object.entries(before).filter(([field, value]) => allowedFields.includes(field) && value !== undefined)
+    );
+
+    switch (entityType) {
+      case 'session':
+        return this.currentClient.updateSession(id, { ...snapshot, id, eventId });
+      case 'subSession':
+        return this.currentClient.updateSubSession(id, snapshot, eventId);
+      default:
+        throw new Error(`No update route for ${entityType} - restore it manually`);
+    }
+  }
+
+  /**
+   * Mark a deleted entity's mapping as rolled back in the ledger
+   */
+  markRolledBack(action, run) {
+    try {
+      // Current IDs are unique, and files are recorded in the ledger as plain "file" entities
+      const [mapping] = this.mappingLedger.query({ currentId: action.id, runId: run?.runId });
+
+      if (mapping) {
+        this.mappingLedger.record({ ...mapping, status: 'rolled-back' });
+      }
+    } catch (error) {
+      this.logger.warn(`Could not update ledger for ${action.entityType} ${action.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the rollback report next to the run's checkpoint
+   */
+  writeReport(runId, report) {
+    const reportPath = join(this.checkpointService.getRunDir(runId), `rollback-${Date.now()}.json`);
+    writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    this.logger.info(`📄 Rollback report written to ${reportPath}`);
+    return reportPath;
+  }
+}
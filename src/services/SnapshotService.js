@@ -0,0 +1,219 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { createHash } from 'crypto';
+
+const SNAPSHOT_KIND = 'legacy-event-snapshot';
+const SNAPSHOT_FORMAT_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Snapshot Service - Saves a complete, self-contained copy of a legacy event to disk
+ * Records are stored as the legacy API returned them, binaries as downloaded, and a manifest lists counts and hashes
+ *
+ * Layout:
+ *   manifest.json
+ *   event.json, rooms.json, users.json, moderators.json
+ *   rooms/<roomId>/sessions.json (with SubSessions), rooms/<roomId>/files.json
+ *   binaries/<fileId><ext>
+ */
+export class SnapshotService {
+  constructor(config, logger, { legacyClient, fileService }) {
+    this.config = config;
+    this.logger = logger;
+    this.legacyClient = legacyClient;
+    this.fileService = fileService;
+  }
+
+  /**
+   * Make a record ID safe to use as a path segment
+   */
+  static safeSegment(value) {
+    return String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+  }
+
+  /**
+   * Get the directory of a room's records inside a snapshot
+   */
+  static getRoomDir(room) {
+    return join('rooms', SnapshotService.safeSegment(room.RoomId ?? room.id ?? room.RoomName ?? room.name));
+  }
+
+  /**
+   * Read and check the manifest of a snapshot directory
+   */
+  static readManifest(snapshotDir) {
+    const manifestPath = join(snapshotDir, MANIFEST_FILE);
+
+    if (!existsSync(manifestPath)) {
+      throw new Error(`No snapshot found in ${snapshotDir} (missing ${MANIFEST_FILE})`);
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Snapshot manifest ${manifestPath} is not valid JSON: ${error.message}`);
+    }
+
+    if (manifest.kind !== SNAPSHOT_KIND) {
+      throw new Error(`${snapshotDir} is not a legacy event snapshot`);
+    }
+
+    if (manifest.version !== SNAPSHOT_FORMAT_VERSION) {
+      throw new Error(`Snapshot version ${manifest.version} is not supported (expected ${SNAPSHOT_FORMAT_VERSION})`);
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Start the manifest of a new snapshot
+   */
+  static createManifest(legacyEventName, { skipFiles = false, toolVersion = null } = {}) {
+    return {
+      kind: SNAPSHOT_KIND,
+      version: SNAPSHOT_FORMAT_VERSION,
+      toolVersion,
+      legacyEventName,
+      capturedAt: new Date().toISOString(),
+      completedAt: null,
+      skipFiles,
+      counts: { rooms: 0, sessions: 0, subSessions: 0, users: 0, moderators: 0, files: 0, binaries: 0, binaryBytes: 0 },
+      records: {},
+      binaries: {},
+      failures: []
+    };
+  }
+
+  /**
+   * Refuse to write into a directory that already holds a snapshot
+   */
+  static prepareDirectory(snapshotDir) {
+    if (existsSync(join(snapshotDir, MANIFEST_FILE))) {
+      throw new Error(`${snapshotDir} already contains a snapshot - choose an empty directory`);
+    }
+
+    mkdirSync(snapshotDir, { recursive: true });
+  }
+
+  /**
+   * Write one JSON record file and add its hash to the manifest
+   */
+  static writeRecords(snapshotDir, manifest, relativePath, records) {
+    const content = JSON.stringify(records ?? null, null, 2);
+    const filePath = join(snapshotDir, relativePath);
+
+    mkdirSync(dirname(filePath), { recursive: true });
+    writeFileSync(filePath, content);
+
+    manifest.records[relativePath.split('\\').join('/')] = {
+      sha256: createHash('sha256').update(content).digest('hex'),
+      count: Array.isArray(records) ? records.length : 1
+    };
+  }
+
+  /**
+   * Complete the snapshot by writing its manifest
+   */
+  static writeManifest(snapshotDir, manifest) {
+    manifest.completedAt = new Date().toISOString();
+    writeFileSync(join(snapshotDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  }
+
+  /**
+   * Capture a legacy event into a snapshot directory
+   */
+  async capture(legacyEventName, snapshotDir, { skipFiles = false, toolVersion = null } = {}) {
+    SnapshotService.prepareDirectory(snapshotDir);
+
+    const manifest = SnapshotService.createManifest(legacyEventName, { skipFiles, toolVersion });
+
+    this.logger.info(`📦 Capturing legacy event "${legacyEventName}" into ${snapshotDir}`);
+
+    SnapshotService.writeRecords(snapshotDir, manifest, 'event.json', await this.legacyClient.getEvent(legacyEventName));
+
+    const rooms = await this.legacyClient.getRooms(legacyEventName);
+    SnapshotService.writeRecords(snapshotDir, manifest, 'rooms.json', rooms);
+    manifest.counts.rooms = rooms.length;
+
+    const users = await this.legacyClient.getUsers(legacyEventName);
+    SnapshotService.writeRecords(snapshotDir, manifest, 'users.json', users);
+    manifest.counts.users = users.length;
+
+    const moderators = await this.legacyClient.getModerators(legacyEventName);
+    SnapshotService.writeRecords(snapshotDir, manifest, 'moderators.json', moderators);
+    manifest.counts.moderators = moderators.length;
+
+    for (const room of rooms) {
+      const roomName = room.RoomName || room.name || room.roomName || room.Name || room.DisplayName;
+      const roomDir = SnapshotService.getRoomDir(room);
+
+      const sessions = (await this.legacyClient.getSessions(legacyEventName, room.RoomId)) || [];
+      SnapshotService.writeRecords(snapshotDir, manifest, join(roomDir, 'sessions.json'), sessions);
+      manifest.counts.sessions += sessions.length;
+      manifest.counts.subSessions += sessions.reduce((count, session) => count + (session?.SubSessions || session?.subSessions || []).length, 0);
+
+      const files = (await this.legacyClient.getFiles(legacyEventName, roomName)) || [];
+      SnapshotService.writeRecords(snapshotDir, manifest, join(roomDir, 'files.json'), files);
+      manifest.counts.files += files.length;
+
+      if (!skipFiles) {
+        for (const file of files) {
+          await this.captureBinary(legacyEventName, snapshotDir, manifest, file);
+        }
+      }
+    }
+
+    SnapshotService.writeManifest(snapshotDir, manifest);
+
+    this.logger.info(`📦 Snapshot complete: ${JSON.stringify(manifest.counts)}`);
+    return manifest;
+  }
+
+  /**
+   * Download one file binary into the snapshot, once per file ID
+   */
+  async captureBinary(legacyEventName, snapshotDir, manifest, file) {
+    const fileId = file.WalkInFileId || file.FileId || file.id;
+    const fileName = file.FileName || file.fileName || null;
+
+    if (!fileId) {
+      manifest.failures.push({ fileId: null, fileName, error: 'File has no ID' });
+      return;
+    }
+
+    // The same file can be listed in several rooms
+    if (manifest.binaries[fileId]) {
+      return;
+    }
+
+    const extension = extname(fileName || '').replace(/[^A-Za-z0-9.]/g, '');
+    const relativePath = `binaries/${SnapshotService.safeSegment(fileId)}${extension}`;
+
+    try {
+      mkdirSync(join(snapshotDir, 'binaries'), { recursive: true });
+
+      const stream = await this.legacyClient.downloadFile(legacyEventName, fileId, file.FilePath, file.subSessionId || file.SubSessionId);
+      const download = await this.fileService.saveStreamToFile(stream, join(snapshotDir, relativePath));
+
+      const expectedSize = Number(file.FileSize ?? file.fileSize) || null;
+      manifest.binaries[fileId] = {
+        path: relativePath,
+        fileName,
+        sizeBytes: download.sizeBytes,
+        sha256: download.hash,
+        ...(expectedSize !== null && expectedSize !== download.sizeBytes ? { expectedSizeBytes: expectedSize } : {})
+      };
+
+      if (expectedSize !== null && expectedSize !== download.sizeBytes) {
+        manifest.failures.push({ fileId: String(fileId), fileName, error: `Downloaded ${download.sizeBytes} bytes, legacy reports ${expectedSize}` });
+      }
+
+      manifest.counts.binaries++;
+      manifest.counts.binaryBytes += download.sizeBytes;
+    } catch (error) {
+      manifest.failures.push({ fileId: String(fileId), fileName, error: error.message });
+      this.logger.warn(`⚠️  Could not capture file ${fileName || fileId}: ${error.message}`);
+    }
+  }
+}
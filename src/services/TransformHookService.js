@@ -0,0 +1,198 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+// Entity types ValidationService runs hooks for, and the suffix of their hook names
+const HOOK_ENTITIES = {
+  room: 'Room',
+  session: 'Session',
+  subSession: 'SubSession',
+  user: 'User',
+  file: 'File'
+};
+const HOOK_STAGES = ['filter', 'before', 'after'];
+const DECISIONS = ['kept', 'modified', 'replaced', 'skipped'];
+
+// Legacy fields identifying a record in the hook decisions, in order of preference
+const LEGACY_ID_FIELDS = {
+  room: ['RoomId', 'id', 'RoomName', 'name'],
+  session: ['SessionId', 'ClientSessionId', 'id'],
+  subSession: ['SubSessionId', 'ClientSubSessionId', 'id'],
+  user: ['id', 'email'],
+  file: ['WalkInFileId', 'FileId', 'id']
+};
+
+/**
+ * Transform Hook Service - Runs client-specific hooks from a user JavaScript module around the legacy transforms
+ * filter<Entity> skips records, before<Entity> changes legacy records, after<Entity> changes payloads; every decision is recorded
+ */
+export class TransformHookService {
+  constructor(hooks, logger, modulePath = null) {
+    this.logger = logger;
+    this.modulePath = modulePath;
+    this.hooks = TransformHookService.validateHooks(hooks);
+    this.decisions = [];
+    this.summary = Object.fromEntries(Object.keys(this.hooks).map(name => [name, Object.fromEntries(DECISIONS.map(decision => [decision, 0]))]));
+  }
+
+  /**
+   * Import a hooks module (named exports or a default export object)
+   */
+  static async load(modulePath, logger) {
+    const absolutePath = resolve(modulePath);
+    let module;
+
+    try {
+      module = await import(pathToFileURL(absolutePath).href);
+    } catch (error) {
+      throw new Error(`Failed to load transform hooks from ${modulePath}: ${error.message}`);
+    }
+
+    const hooks = module.default && typeof module.default === 'object'
+      ? module.default
+      : Object.fromEntries(Object.entries(module).filter(([name]) => name !== 'default'));
+    const service = new TransformHookService(hooks, logger, absolutePath);
+
+    logger.info(`🪝 Loaded transform hooks from ${modulePath}: ${Object.keys(service.hooks).join(', ') || 'none'}`);
+    return service;
+  }
+
+  /**
+   * Keep the hook functions of a module, rejecting misspelled hook names so they do not silently never run
+   */
+  static validateHooks(hooks) {
+    const known = HOOK_STAGES.flatMap(stage => Object.values(HOOK_ENTITIES).map(entity => `${stage}${entity}`));
+    const valid = {};
+
+    for (const [name, hook] of Object.entries(hooks || {})) {
+      if (!HOOK_STAGES.some(stage => name.startsWith(stage))) {
+        continue;
+      }
+      if (!known.includes(name)) {
+        throw new Error(`Unknown transform hook "${name}" (expected one of ${known.join(', ')})`);
+      }
+      if (typeof hook !== 'function') {
+        throw new Error(`Transform hook "${name}" must be a function`);
+      }
+      valid[name] = hook;
+    }
+
+    return valid;
+  }
+
+  /**
+   * Run the filter and before hooks of an entity on a legacy record
+   * Resolves the record to transform, or null when a hook skips it
+   */
+  async before(entityType, legacyRecord, context) {
+    const filterHook = this.getHook('filter', entityType);
+
+    if (filterHook) {
+      const keep = await this.callHook(filterHook, entityType, structuredClone(legacyRecord), context);
+      this.recordDecision(filterHook, entityType, legacyRecord, keep ? 'kept' : 'skipped');
+
+      if (!keep) {
+        return null;
+      }
+    }
+
+    return this.runChangeHook(this.getHook('before', entityType), entityType, legacyRecord, legacyRecord, context);
+  }
+
+  /**
+   * Run the after hook of an entity on a transformed payload
+   * Resolves the payload to send, or null when the hook skips it
+   */
+  async after(entityType, payload, legacyRecord, context) {
+    return this.runChangeHook(this.getHook('after', entityType), entityType, payload, legacyRecord, { ...context, legacy: legacyRecord });
+  }
+
+  /**
+   * Call a before/after hook on a copy of a value: returning nothing keeps the (possibly changed) copy,
+   * an object replaces it and null or false skips the record
+   */
+  async runChangeHook(hook, entityType, value, legacyRecord, context) {
+    if (!hook) {
+      return value;
+    }
+
+    const copy = structuredClone(value);
+    const returned = await this.callHook(hook, entityType, copy, context);
+
+    if (returned === null || returned === false) {
+      this.recordDecision(hook, entityType, legacyRecord, 'skipped');
+      return null;
+    }
+
+    const result = returned === undefined ? copy : returned;
+    if (typeof result !== 'object' || Array.isArray(result)) {
+      throw new Error(`Transform hook ${hook.hookName} must return an object, null or nothing`);
+    }
+
+    const fields = TransformHookService.changedFields(value, result);
+    const decision = returned !== undefined && returned !== copy ? 'replaced' : fields.length > 0 ? 'modified' : 'kept';
+    this.recordDecision(hook, entityType, legacyRecord, decision, fields);
+
+    return result;
+  }
+
+  /**
+   * Call a hook, naming it in any error it throws
+   */
+  async callHook(hook, entityType, value, context) {
+    try {
+      return await hook.fn(value, { entityType, ...context });
+    } catch (error) {
+      throw new Error(`Transform hook ${hook.hookName} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the hook of a stage for an entity type (null when the module does not define it)
+   */
+  getHook(stage, entityType) {
+    const hookName = `${stage}${HOOK_ENTITIES[entityType]}`;
+    return this.hooks[hookName] ? { hookName, fn: this.hooks[hookName] } : null;
+  }
+
+  /**
+   * Count a hook decision and record every one that changed or skipped a record
+   */
+  recordDecision(hook, entityType, legacyRecord, decision, fields = []) {
+    this.summary[hook.hookName][decision]++;
+
+    if (decision === 'kept') {
+      return;
+    }
+
+    const legacyId = LEGACY_ID_FIELDS[entityType].map(field => legacyRecord?.[field]).find(value => value !== undefined && value !== null);
+
+    this.decisions.push({
+      hook: hook.hookName,
+      entityType,
+      legacyId: legacyId !== undefined ? String(legacyId) : null,
+      decision,
+      ...(fields.length > 0 ? { fields } : {})
+    });
+
+    this.logger.debug(`🪝 ${hook.hookName} ${decision} ${entityType} ${legacyId ?? ''}`.trim());
+  }
+
+  /**
+   * List the top-level fields that differ between two objects
+   */
+  static changedFields(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...fields].filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]));
+  }
+
+  /**
+   * The hook section of the run report
+   */
+  getReport() {
+    return {
+      module: this.modulePath,
+      summary: this.summary,
+      decisions: this.decisions
+    };
+  }
+}
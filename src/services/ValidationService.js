@@ -1,6 +1,15 @@
 import { ConfigManager } from '../config/ConfigManager.js';
+import { OpenApiValidator } from '../utils/OpenApiValidator.js';
+import { MappingEngine } from '../utils/MappingEngine.js';
+import { TimeZoneConverter } from '../utils/TimeZoneConverter.js';
 import Joi from 'joi';
 
+// IDs of our own records are placeholders in dry runs and NDJSON exports, so uuid formats are not enforced
+const IGNORED_SPEC_FORMATS = ['uuid'];
+
+// Auth API role that lets a user present in their subsessions
+const PRESENTER_ROLE = 'Presenter';
+
 /**
  * Validation Service - Handles data validation and transformation
  * Transforms legacy DTOs to current system DTOs with validation
@@ -11,6 +20,119 @@ export class ValidationService {
     this.logger = logger;
     this.legacyDTOs = config.dtos.legacy;
     this.currentDTOs = config.dtos.current;
+    this.specValidator = new OpenApiValidator(config.apiSpecs || ConfigManager.loadApiSpecs());
+    this.transformHooks = null;
+    this.timeZoneConverter = null;
+    this.dateConverter = null;
+    this.eventDates = null;
+    this.dateRangeFlags = [];
+    this.sessionTypes = {};
+    this.mappingEngine = new MappingEngine(this.legacyDTOs || {}, {
+      datetime: value => this.transformDateTime(value),
+      // Legacy records may already carry a MIME type - only file names are looked up
+      mimeType: value => String(value).includes('/') ? String(value) : this.determineMimeType(String(value)),
+      moderatorRole: value => this.transformModeratorRole(String(value)),
+      list: value => this.transformList(value)
+    });
+  }
+
+  /**
+   * Apply client mapping overrides on top of legacy-dtos.json - renamed custom slots, and session type names
+   * mapped to current session type IDs ({ session: { mappings: {...}, sessionTypes: { Keynote: "<uuid>" } } })
+   */
+  setMappingOverrides(overrides) {
+    this.mappingEngine = new MappingEngine(MappingEngine.mergeMappings(this.legacyDTOs || {}, overrides), this.mappingEngine.converters);
+    this.sessionTypes = overrides?.session?.sessionTypes || {};
+  }
+
+  /**
+   * Run client transform hooks around every transform (null to stop running them)
+   */
+  setTransformHooks(transformHooks) {
+    this.transformHooks = transformHooks;
+  }
+
+  /**
+   * Read legacy times in the event's time zone and flag sessions outside its dates (start/end are dates or date-times)
+   * Without a time zone, legacy times without an offset are read in the process time zone
+   */
+  setEventSchedule({ timeZone = null, startDate = null, endDate = null } = {}) {
+    this.timeZoneConverter = timeZone ? new TimeZoneConverter(timeZone) : null;
+    this.dateConverter = this.timeZoneConverter || new TimeZoneConverter('UTC');
+    this.eventDates = startDate || endDate
+      ? { start: startDate ? this.dateConverter.toLocalDate(startDate) : null, end: endDate ? this.dateConverter.toLocalDate(endDate) : null }
+      : null;
+  }
+
+  /**
+   * Hand over the sessions flagged as outside the event dates since the last call
+   */
+  takeDateRangeFlags() {
+    return this.dateRangeFlags.splice(0);
+  }
+
+  /**
+   * Flag a session or subsession whose converted times fall outside the event dates
+   */
+  checkEventDates(entityType, payload) {
+    if (!this.eventDates) {
+      return;
+    }
+
+    const { start, end } = this.eventDates;
+    const timeZone = this.dateConverter.timeZone;
+    const outside = [payload.startsAt, payload.endsAt]
+      .filter(Boolean)
+      .map(value => this.dateConverter.toLocalDate(value))
+      .filter(date => (start && date < start) || (end && date > end));
+
+    if (outside.length === 0) {
+      return;
+    }
+
+    const flag = {
+      entityType,
+      sourceSystemId: payload.sourceSystemId ?? null,
+      name: payload.name ?? null,
+      startsAt: payload.startsAt ?? null,
+      endsAt: payload.endsAt ?? null,
+      timeZone,
+      eventDates: { ...this.eventDates },
+      message: `${entityType === 'session' ? 'Session' : 'SubSession'} "${payload.name}" (${payload.sourceSystemId}) runs on ${[...new Set(outside)].join(', ')} in ${timeZone}, ` +
+        `outside the event dates ${start || '…'} to ${end || '…'}`
+    };
+
+    this.dateRangeFlags.push(flag);
+    this.logger.warn(`📅 ${flag.message}`);
+  }
+
+  /**
+   * Run the filter and before hooks on a legacy record - resolves null when a hook skips it
+   */
+  async applyBeforeHooks(entityType, legacyRecord, context) {
+    return this.transformHooks ? this.transformHooks.before(entityType, legacyRecord, context) : legacyRecord;
+  }
+
+  /**
+   * Run the after hook on a transformed payload - resolves null when the hook skips it
+   */
+  async applyAfterHooks(entityType, payload, legacyRecord, context) {
+    return this.transformHooks ? this.transformHooks.after(entityType, payload, legacyRecord, context) : payload;
+  }
+
+  /**
+   * Map a legacy record with the legacy-dtos.json mappings, keeping only the given fields (by default those the create DTO accepts)
+   */
+  mapLegacyRecord(entityType, legacyRecord, fields = this.getDtoFields(entityType, 'create')) {
+    return this.mappingEngine.map(entityType, legacyRecord, { fields });
+  }
+
+  /**
+   * The fields of a current DTO (null when it is not configured)
+   */
+  getDtoFields(entityType, operation) {
+    const dtoConfig = this.currentDTOs[entityType]?.[operation];
+    return dtoConfig ? [...dtoConfig.required, ...(dtoConfig.optional || [])] : null;
   }
 
   /**
@@ -18,8 +140,17 @@ export class ValidationService {
    */
   async transformLegacyRoom(legacyRoom, targetEventId, eventLocationId = null) {
     try {
-      // Normalize room name from different possible field names
-      const roomName = legacyRoom.RoomName || legacyRoom.name || legacyRoom.roomName || legacyRoom.Name || legacyRoom.DisplayName;
+      const context = { targetEventId, eventLocationId };
+      const room = await this.applyBeforeHooks('room', legacyRoom, context);
+      
+      if (!room) {
+        this.logger.debug('Room skipped by a transform hook');
+        return null;
+      }
+      
+      // Transform data - the mappings normalize the room name and only produce fields that have values
+      const transformedRoom = this.mapLegacyRecord('room', room);
+      const roomName = transformedRoom.name;
       
       if (!roomName) {
         throw new Error('Room name is required but not found in legacy data');
@@ -27,38 +158,11 @@ export class ValidationService {
       
       this.logger.debug(`Transforming legacy room: ${roomName}`);
       
-      // Get DTO mappings
-      const legacyMapping = this.legacyDTOs.room;
-      const currentMapping = this.currentDTOs.room.create;
-      
       // Use the provided eventLocationId or fall back to the legacy room's EventLocationId or targetEventId
-      const finalEventLocationId = eventLocationId || legacyRoom.EventLocationId || targetEventId;
-      
-      // Transform data - only include fields that have values
-      const transformedRoom = {
-        eventLocationId: finalEventLocationId,
-        name: roomName,
-        displayName: roomName  // Use room name as display name by default
-      };
-      
-      // Add optional fields only if they have values
-      const description = legacyRoom.description || legacyRoom.Description;
-      if (description) {
-        transformedRoom.description = description;
-      }
-      
-      const capacity = legacyRoom.capacity || legacyRoom.Capacity || legacyRoom.maxCapacity || legacyRoom.MaxCapacity;
-      if (capacity) {
-        transformedRoom.capacity = parseInt(capacity, 10);
-      }
-      
-      const tags = this.transformTags(legacyRoom);
-      if (tags) {
-        transformedRoom.tags = tags;
-      }
+      transformedRoom.eventLocationId = eventLocationId || transformedRoom.eventLocationId || targetEventId;
       
       // Store legacy ID for reference but don't include in validation
-      const legacyId = legacyRoom.id || legacyRoom.Id || legacyRoom.RoomId;
+      const legacyId = room.id || room.Id || room.RoomId;
       
       // Validate transformed data
       await this.validateCurrentSystemData('room', 'create', transformedRoom);
@@ -70,12 +174,12 @@ export class ValidationService {
       transformedRoom.legacyId = legacyId;
       
       this.logger.debug(`Successfully transformed room: ${roomName}`);
-      return transformedRoom;
+      return this.applyAfterHooks('room', transformedRoom, room, context);
       
     } catch (error) {
       const roomName = legacyRoom.RoomName || legacyRoom.name || legacyRoom.roomName || legacyRoom.Name || legacyRoom.DisplayName || 'UNKNOWN';
       this.logger.error(`Failed to transform legacy room: ${roomName}`, error);
-      throw new Error(`Room transformation failed: ${error.message}`);
+      throw Object.assign(new Error(`Room transformation failed: ${error.message}`), { validation: error.validation });
     }
   }
 
@@ -84,28 +188,41 @@ export class ValidationService {
    */
   async transformLegacySession(legacySession, roomId, targetEventId) {
     try {
-      this.logger.debug(`Transforming legacy session: ${legacySession.title}`);
+      const context = { targetEventId, roomId };
+      const session = await this.applyBeforeHooks('session', legacySession, context);
       
-      // Transform data using current system field names
+      if (!session) {
+        this.logger.debug('Session skipped by a transform hook');
+        return null;
+      }
+      
+      this.logger.debug(`Transforming legacy session: ${session.title}`);
+      
+      // Transform data using current system field names - tracks and tags are only taken by the session update,
+      // legacy fields without a current field are kept in metadata
+      const createFields = this.getDtoFields('session', 'create');
+      const updateOnlyFields = (this.currentDTOs.session.update?.optional || []).filter(field => !createFields.includes(field));
+      const { metadata, ...mapped } = this.mapLegacyRecord('session', session, [...createFields, ...updateOnlyFields, 'metadata']);
+      const sessionTypeId = metadata?.sessionType !== undefined ? this.sessionTypes[String(metadata.sessionType).trim()] : undefined;
       const transformedSession = {
+        ...mapped,
+        ...(sessionTypeId && { sessionTypeId }),
         eventId: targetEventId,
         roomId: roomId,
-        sourceSystemId: legacySession.ClientSessionId || legacySession.clientSessionId || legacySession.SessionId || legacySession.sessionId || legacySession.id || `legacy-${Date.now()}`,
-        name: legacySession.SessionName || legacySession.sessionName || legacySession.title || 'Untitled Session',
-        description: legacySession.Description || legacySession.description || null,
-        startsAt: this.transformDateTime(legacySession.SessionStart || legacySession.sessionStart || legacySession.startTime),
-        endsAt: this.transformDateTime(legacySession.SessionEnd || legacySession.sessionEnd || legacySession.endTime)
+        sourceSystemId: mapped.sourceSystemId ?? `legacy-${Date.now()}`
       };
+      this.checkEventDates('session', transformedSession);
       
       // Validate transformed data
-      await this.validateCurrentSystemData('session', 'create', transformedSession);
+      const createPayload = Object.fromEntries(Object.entries(transformedSession).filter(([field]) => !updateOnlyFields.includes(field)));
+      await this.validateCurrentSystemData('session', 'create', createPayload);
       
-      this.logger.debug(`Successfully transformed session: ${legacySession.title}`);
-      return transformedSession;
+      this.logger.debug(`Successfully transformed session: ${session.title}`);
+      return this.applyAfterHooks('session', { ...transformedSession, ...(metadata && { metadata }) }, session, context);
       
     } catch (error) {
       this.logger.error(`Failed to transform legacy session: ${legacySession.title}`, error);
-      throw new Error(`Session transformation failed: ${error.message}`);
+      throw Object.assign(new Error(`Session transformation failed: ${error.message}`), { validation: error.validation });
     }
   }
 
@@ -114,30 +231,37 @@ export class ValidationService {
    */
   async transformLegacySubSession(legacySubSession, sessionId, targetEventId) {
     try {
-      this.logger.info(`DEBUG: Raw legacy subsession - ID: ${legacySubSession.SubSessionId}, Name: ${legacySubSession.SubSessionName}, ClientId: ${legacySubSession.ClientSubSessionId}`);
+      const context = { targetEventId, sessionId };
+      const subSession = await this.applyBeforeHooks('subSession', legacySubSession, context);
+      
+      if (!subSession) {
+        this.logger.debug('SubSession skipped by a transform hook');
+        return null;
+      }
+      
+      this.logger.info(`DEBUG: Raw legacy subsession - ID: ${subSession.SubSessionId}, Name: ${subSession.SubSessionName}, ClientId: ${subSession.ClientSubSessionId}`);
       
       // Transform data using current system field names
+      const mapped = this.mapLegacyRecord('subSession', subSession);
       const transformedSubSession = {
+        ...mapped,
         sessionId: sessionId,
-        sourceSystemId: legacySubSession.ClientSubSessionId || legacySubSession.clientSubSessionId || legacySubSession.SubSessionId || legacySubSession.subSessionId || legacySubSession.id || `legacy-${Date.now()}`,
-        name: legacySubSession.SubSessionName || legacySubSession.subSessionName || legacySubSession.title || 'Untitled SubSession',
-        description: legacySubSession.Description || legacySubSession.description || null,
-        startsAt: this.transformDateTime(legacySubSession.StartTime || legacySubSession.startTime),
-        endsAt: this.transformDateTime(legacySubSession.EndTime || legacySubSession.endTime),
-        order: legacySubSession.SubSessionOrder || legacySubSession.order || legacySubSession.subSessionOrder || 1
+        sourceSystemId: mapped.sourceSystemId ?? `legacy-${Date.now()}`
       };
       
+      this.checkEventDates('subSession', transformedSubSession);
+      
       this.logger.info(`DEBUG: Transformed subsession before validation - sessionId: ${transformedSubSession.sessionId}, sourceSystemId: ${transformedSubSession.sourceSystemId}, name: ${transformedSubSession.name}`);
       
       // Validate transformed data
       await this.validateCurrentSystemData('subSession', 'create', transformedSubSession);
       
       this.logger.info(`DEBUG: Transformed subsession after validation - sessionId: ${transformedSubSession.sessionId}, sourceSystemId: ${transformedSubSession.sourceSystemId}, name: ${transformedSubSession.name}`);
-      return transformedSubSession;
+      return this.applyAfterHooks('subSession', transformedSubSession, subSession, context);
       
     } catch (error) {
       this.logger.error(`Failed to transform legacy subsession: ${legacySubSession.SubSessionName || legacySubSession.title}`, error);
-      throw new Error(`SubSession transformation failed: ${error.message}`);
+      throw Object.assign(new Error(`SubSession transformation failed: ${error.message}`), { validation: error.validation });
     }
   }
 
@@ -146,31 +270,31 @@ export class ValidationService {
    */
   async transformLegacyUser(legacyUser, targetEventId) {
     try {
-      this.logger.debug(`Transforming legacy user: ${legacyUser.email}`);
+      const context = { targetEventId };
+      const user = await this.applyBeforeHooks('user', legacyUser, context);
+      
+      if (!user) {
+        this.logger.debug('User skipped by a transform hook');
+        return null;
+      }
+      
+      this.logger.debug(`Transforming legacy user: ${user.email}`);
       
       // Transform data
       const transformedUser = {
-        eventId: targetEventId,
-        email: legacyUser.email,
-        firstName: legacyUser.firstName,
-        lastName: legacyUser.lastName,
-        company: legacyUser.company || null,
-        jobTitle: legacyUser.title || null,
-        phoneNumber: legacyUser.phone || null,
-        tags: this.transformUserTags(legacyUser),
-        metadata: this.transformUserMetadata(legacyUser),
-        legacyId: legacyUser.id
+        ...this.mapLegacyRecord('user', user),
+        eventId: targetEventId
       };
       
       // Validate transformed data
       await this.validateCurrentSystemData('user', 'create', transformedUser);
       
-      this.logger.debug(`Successfully transformed user: ${legacyUser.email}`);
-      return transformedUser;
+      this.logger.debug(`Successfully transformed user: ${user.email}`);
+      return this.applyAfterHooks('user', transformedUser, user, context);
       
     } catch (error) {
       this.logger.error(`Failed to transform legacy user: ${legacyUser.email}`, error);
-      throw new Error(`User transformation failed: ${error.message}`);
+      throw Object.assign(new Error(`User transformation failed: ${error.message}`), { validation: error.validation });
     }
   }
 
@@ -183,13 +307,11 @@ export class ValidationService {
       
       // Transform data
       const transformedModerator = {
+        ...this.mapLegacyRecord('moderator', legacyUser),
         eventId: targetEventId,
         userId: userId,
         roomId: roomId,
-        role: this.transformModeratorRole(legacyUser.role),
-        permissions: this.transformModeratorPermissions(legacyUser.permissions),
-        tags: this.transformModeratorTags(legacyUser),
-        legacyId: legacyUser.id
+        tags: this.transformModeratorTags(legacyUser)
       };
       
       // Validate transformed data
@@ -200,26 +322,50 @@ export class ValidationService {
       
     } catch (error) {
       this.logger.error(`Failed to transform legacy moderator: ${legacyUser.email}`, error);
-      throw new Error(`Moderator transformation failed: ${error.message}`);
+      throw Object.assign(new Error(`Moderator transformation failed: ${error.message}`), { validation: error.validation });
     }
   }
 
+  /**
+   * Build the link between a presenter's user and the subsession they present
+   */
+  async transformLegacyPresenter(userId, subSessionId, targetEventId) {
+    const transformedPresenter = { eventId: targetEventId, userId, subSessionId };
+    await this.validateCurrentSystemData('presenter', 'create', transformedPresenter);
+    return transformedPresenter;
+  }
+
+  /**
+   * Build the Auth API request giving a presenter's user the presenter role
+   */
+  async transformPresenterRole(user) {
+    const roleRequest = { userName: user.userName, roles: [PRESENTER_ROLE] };
+    await this.validateCurrentSystemData('userRole', 'create', roleRequest);
+    return roleRequest;
+  }
+
   /**
    * Transform legacy file data to current system format
    */
   async transformLegacyFile(legacyFile, associatedId, targetEventId, fileType = 'session') {
     try {
-      this.logger.debug(`Transforming legacy file: ${legacyFile.fileName}`);
+      const context = { targetEventId, associatedId, fileType };
+      const file = await this.applyBeforeHooks('file', legacyFile, context);
+      
+      if (!file) {
+        this.logger.debug('File skipped by a transform hook');
+        return null;
+      }
+      
+      const mapped = this.mapLegacyRecord('file', file, this.getDtoFields(`${fileType}File`, 'create'));
+      const fileName = mapped.originalFileName;
+      this.logger.debug(`Transforming legacy file: ${fileName}`);
       
       // Determine file type and create appropriate structure
       const baseFileData = {
-        originalFileName: legacyFile.fileName,
-        fileSizeBytes: legacyFile.fileSize,
-        mimeType: legacyFile.fileType || this.determineMimeType(legacyFile.fileName),
-        description: legacyFile.description || null,
-        tags: this.transformFileTags(legacyFile),
-        metadata: this.transformFileMetadata(legacyFile),
-        legacyId: legacyFile.id
+        ...mapped,
+        eventId: targetEventId,
+        tags: this.transformFileTags(file)
       };
       
       // Add type-specific fields
@@ -261,12 +407,12 @@ export class ValidationService {
           throw new Error(`Unknown file type: ${fileType}`);
       }
       
-      this.logger.debug(`Successfully transformed file: ${legacyFile.fileName}`);
-      return transformedFile;
+      this.logger.debug(`Successfully transformed file: ${fileName}`);
+      return this.applyAfterHooks('file', transformedFile, file, context);
       
     } catch (error) {
-      this.logger.error(`Failed to transform legacy file: ${legacyFile.fileName}`, error);
-      throw new Error(`File transformation failed: ${error.message}`);
+      this.logger.error(`Failed to transform legacy file: ${legacyFile.fileName ?? legacyFile.FileName}`, error);
+      throw Object.assign(new Error(`File transformation failed: ${error.message}`), { validation: error.validation });
     }
   }
 
@@ -284,22 +430,6 @@ export class ValidationService {
     return Object.keys(tags).length > 0 ? tags : null;
   }
 
-  /**
-   * Transform session tags
-   */
-  transformSessionTags(legacySession) {
-    const tags = [];
-    
-    if (legacySession.tags) {
-      tags.push(...(Array.isArray(legacySession.tags) ? legacySession.tags : [legacySession.tags]));
-    }
-    
-    if (legacySession.custom1) tags.push(legacySession.custom1);
-    if (legacySession.custom2) tags.push(legacySession.custom2);
-    
-    return tags.length > 0 ? tags : null;
-  }
-
   /**
    * Transform user tags
    */
@@ -347,20 +477,6 @@ export class ValidationService {
     return tags.length > 0 ? tags : null;
   }
 
-  /**
-   * Transform session metadata
-   */
-  transformSessionMetadata(legacySession) {
-    const metadata = {};
-    
-    if (legacySession.custom1) metadata.category = legacySession.custom1;
-    if (legacySession.custom2) metadata.type = legacySession.custom2;
-    if (legacySession.presenter) metadata.presenterInfo = legacySession.presenter;
-    if (legacySession.moderator) metadata.moderatorInfo = legacySession.moderator;
-    
-    return Object.keys(metadata).length > 0 ? metadata : null;
-  }
-
   /**
    * Transform user metadata
    */
@@ -375,21 +491,18 @@ export class ValidationService {
   }
 
   /**
-   * Transform file metadata
+   * Transform a legacy list (an array or a comma/semicolon separated string) into trimmed strings - null when empty
    */
-  transformFileMetadata(legacyFile) {
-    const metadata = {};
+  transformList(value) {
+    const items = (Array.isArray(value) ? value : String(value).split(/[,;]/))
+      .map(item => String(item).trim())
+      .filter(Boolean);
     
-    if (legacyFile.custom1) metadata.category = legacyFile.custom1;
-    if (legacyFile.custom2) metadata.type = legacyFile.custom2;
-    if (legacyFile.uploadDate) metadata.uploadDate = legacyFile.uploadDate;
-    if (legacyFile.uploader) metadata.uploader = legacyFile.uploader;
-    
-    return Object.keys(metadata).length > 0 ? metadata : null;
+    return items.length > 0 ? [...new Set(items)] : null;
   }
 
   /**
-   * Transform datetime string
+   * Transform datetime string - in the event time zone when one is set
    */
   transformDateTime(dateTimeString) {
     if (!dateTimeString) {
@@ -398,6 +511,14 @@ export class ValidationService {
     }
     
     try {
+      if (this.timeZoneConverter) {
+        const converted = this.timeZoneConverter.toUtc(dateTimeString);
+        if (!converted) {
+          this.logger.warn(`Invalid datetime: ${dateTimeString}`);
+        }
+        return converted;
+      }
+      
       const date = new Date(dateTimeString);
       if (isNaN(date.getTime())) {
         this.logger.warn(`Invalid datetime: ${dateTimeString}`);
@@ -474,23 +595,6 @@ export class ValidationService {
     return roleMap[legacyRole?.toLowerCase()] || 'moderator';
   }
 
-  /**
-   * Transform moderator permissions
-   */
-  transformModeratorPermissions(legacyPermissions) {
-    if (!legacyPermissions) return ['moderate'];
-    
-    if (Array.isArray(legacyPermissions)) {
-      return legacyPermissions;
-    }
-    
-    if (typeof legacyPermissions === 'string') {
-      return legacyPermissions.split(',').map(p => p.trim());
-    }
-    
-    return ['moderate'];
-  }
-
   /**
    * Determine MIME type from filename
    */
@@ -524,6 +628,7 @@ export class ValidationService {
 
   /**
    * Validate current system data using Joi schemas
+   * Rejections carry `validation` ({ entityType, payload, details }) so the record can be quarantined
    */
   async validateCurrentSystemData(entityType, operation, data) {
     const dtoConfig = this.currentDTOs[entityType]?.[operation];
@@ -540,12 +645,42 @@ export class ValidationService {
     
     if (error) {
       const validationErrors = error.details.map(detail => detail.message);
-      throw new Error(`Validation failed for ${entityType}: ${validationErrors.join(', ')}`);
+      throw Object.assign(new Error(`Validation failed for ${entityType}: ${validationErrors.join(', ')}`), {
+        validation: {
+          entityType,
+          payload: data,
+          details: error.details.map(detail => ({ path: `/${detail.path.join('/')}`, message: detail.message, type: detail.type }))
+        }
+      });
+    }
+    
+    if (dtoConfig.openApi) {
+      this.validateApiContract(entityType, dtoConfig.openApi, data);
     }
     
     return value;
   }
 
+  /**
+   * Validate a payload against the request schema of its operation in the bundled OpenAPI specs
+   * Catches drift between the DTO configuration and the real API contract before the API answers 400
+   */
+  validateApiContract(entityType, { api, method, path }, data) {
+    const { documented, errors } = this.specValidator.validateRequest(api, method, path, data, { ignoreFormats: IGNORED_SPEC_FORMATS });
+    
+    if (!documented) {
+      throw new Error(`${api} API spec does not document a request body for ${method} ${path} (configured for ${entityType})`);
+    }
+    
+    if (errors.length > 0) {
+      throw Object.assign(new Error(`Validation failed for ${entityType} against ${api} API ${method} ${path}: ${OpenApiValidator.formatErrors(errors)}`), {
+        validation: { entityType, payload: data, details: errors }
+      });
+    }
+    
+    return true;
+  }
+
   /**
    * Build Joi schema from DTO configuration
    */
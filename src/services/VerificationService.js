@@ -0,0 +1,251 @@
+import { ChangePlanService } from './ChangePlanService.js';
+import { MappingEngine } from '../utils/MappingEngine.js';
+
+const REPORT_KIND = 'migration-verification';
+const REPORT_VERSION = 1;
+const ENTITY_TYPES = ['room', 'session', 'subSession', 'user', 'file'];
+
+// Fields compared between the transformed legacy record and the migrated entity
+const COMPARED_FIELDS = {
+  room: ['name', 'displayName'],
+  session: ['name', 'description', 'startsAt', 'endsAt', 'roomId'],
+  subSession: ['name', 'description', 'startsAt', 'endsAt', 'order', 'sessionId'],
+  user: ['firstName', 'lastName'],
+  file: ['fileSizeInBytes']
+};
+
+/**
+ * Verification Service - Reconciles a legacy event with its migrated target event
+ * Matches entities across both systems and reports missing, extra and field-mismatched records
+ */
+export class VerificationService {
+  constructor(config, logger, { legacyClient, currentClient, validationService }) {
+    this.config = config;
+    this.logger = logger;
+    this.legacyClient = legacyClient;
+    this.currentClient = currentClient;
+    this.validationService = validationService;
+  }
+
+  /**
+   * Compare a legacy event (or one room of it) with a target event and build a discrepancy report
+   */
+  async verify(legacyEventName, targetEventId, options = {}) {
+    const report = {
+      kind: REPORT_KIND,
+      version: REPORT_VERSION,
+      legacyEventName,
+      targetEventId,
+      roomName: options.roomName || null,
+      verifiedAt: new Date().toISOString(),
+      drift: false,
+      summary: Object.fromEntries(ENTITY_TYPES.map(type => [type, { legacy: 0, current: 0, matched: 0, missing: 0, extra: 0, mismatched: 0 }])),
+      discrepancies: [],
+      notes: []
+    };
+
+    this.logger.info(`🔎 Verifying "${legacyEventName}" against target event ${targetEventId}`);
+
+    const current = {
+      room: this.indexBy(await this.currentClient.getRooms(targetEventId), room => room.name),
+      session: this.indexBy(await this.currentClient.getSessions(targetEventId), session => session.sourceSystemId),
+      subSession: this.indexBy(await this.currentClient.getSubSessions(targetEventId), subSession => subSession.sourceSystemId),
+      user: this.indexBy(await this.currentClient.getUsers(targetEventId), user => user.email?.toLowerCase()),
+      // The Files API has no source system ID, so files are matched by name
+      file: this.indexBy(await this.currentClient.getEventFiles(targetEventId), file => file.name?.toLowerCase())
+    };
+
+    for (const type of ENTITY_TYPES) {
+      report.summary[type].current = [...current[type].values()].reduce((count, entities) => count + entities.length, 0);
+    }
+
+    // The rooms the migration processed - a --room run migrates only the one
+    const rooms = options.roomName
+      ? [await this.legacyClient.getRoom(legacyEventName, options.roomName)]
+      : await this.legacyClient.getRooms(legacyEventName);
+    const users = [];
+    const presenters = [];
+
+    for (const room of rooms) {
+      const roomName = room.RoomName || room.name || room.roomName || room.Name || room.DisplayName;
+      const matchedRoom = await this.reconcile(report, current, {
+        entityType: 'room',
+        key: roomName,
+        legacyId: room.RoomId,
+        name: roomName,
+        expected: () => this.validationService.transformLegacyRoom(room, targetEventId)
+      });
+
+      const sessions = (await this.legacyClient.getSessions(legacyEventName, room.RoomId)).filter(Boolean);
+      for (const session of sessions) {
+        const sourceSystemId = session.ClientSessionId || session.clientSessionId || session.SessionId || session.sessionId || session.id;
+        const matchedSession = await this.reconcile(report, current, {
+          entityType: 'session',
+          key: sourceSystemId,
+          legacyId: session.SessionId,
+          name: session.SessionName || session.sessionName || session.title,
+          expected: () => this.validationService.transformLegacySession(session, matchedRoom?.id, targetEventId)
+        });
+
+        for (const subSession of session.SubSessions || session.subSessions || []) {
+          presenters.push(...(MappingEngine.findValue(subSession, ['Presenters']) || []));
+          await this.reconcile(report, current, {
+            entityType: 'subSession',
+            key: subSession.ClientSubSessionId || subSession.clientSubSessionId || subSession.SubSessionId || subSession.subSessionId || subSession.id,
+            legacyId: subSession.SubSessionId,
+            name: subSession.SubSessionName || subSession.subSessionName || subSession.title,
+            expected: () => this.validationService.transformLegacySubSession(subSession, matchedSession?.id, targetEventId)
+          });
+        }
+      }
+
+      // Only users of a migrated room are migrated, as the migration fetches them per room
+      users.push(...await this.legacyClient.getUsers(legacyEventName, room.RoomId));
+
+      const files = await this.legacyClient.getFiles(legacyEventName, roomName);
+      for (const file of files || []) {
+        const fileName = file.FileName || file.fileName;
+        await this.reconcile(report, current, {
+          entityType: 'file',
+          key: fileName,
+          legacyId: file.WalkInFileId || file.FileId || file.id,
+          name: fileName,
+          expected: async () => ({ fileSizeInBytes: file.FileSize ?? file.fileSize })
+        });
+      }
+    }
+
+    // Users are migrated once per email across rooms - subsession presenters included
+    const seenEmails = new Set();
+    for (const user of [...users, ...presenters]) {
+      const email = user && typeof user === 'object' ? String(MappingEngine.findValue(user, ['email']) ?? '').trim() : '';
+      if (!email || seenEmails.has(email.toLowerCase())) continue;
+      seenEmails.add(email.toLowerCase());
+
+      await this.reconcile(report, current, {
+        entityType: 'user',
+        key: email.toLowerCase(),
+        legacyId: user.id || email,
+        name: email,
+        expected: () => this.validationService.transformLegacyUser(user, targetEventId)
+      });
+    }
+
+    // Whatever was not claimed by a legacy record exists only in the target event - unless it belongs to another room
+    if (options.roomName) {
+      report.notes.push(`Only room "${options.roomName}" was verified - entities of other rooms are not reported as extra`);
+    } else {
+      for (const type of ENTITY_TYPES) {
+        for (const entity of [...current[type].values()].flat()) {
+          report.discrepancies.push({
+            entityType: type,
+            kind: 'extra',
+            key: null,
+            legacyId: null,
+            currentId: entity.id ?? null,
+            name: entity.name || entity.email || null,
+            fields: []
+          });
+          report.summary[type].extra++;
+        }
+      }
+    }
+
+    report.drift = report.discrepancies.length > 0;
+    return report;
+  }
+
+  /**
+   * Match one legacy record to a migrated entity and record any discrepancy
+   */
+  async reconcile(report, current, { entityType, key, legacyId, name, expected }) {
+    const summary = report.summary[entityType];
+    summary.legacy++;
+
+    const discrepancy = {
+      entityType,
+      kind: null,
+      key: key !== undefined && key !== null ? String(key) : null,
+      legacyId: legacyId !== undefined && legacyId !== null ? String(legacyId) : null,
+      currentId: null,
+      name: name || null,
+      fields: []
+    };
+
+    let expectedValues = null;
+    try {
+      expectedValues = await expected();
+    } catch (error) {
+      // The record cannot be compared field by field, but it can still be found (or not)
+      report.notes.push(`${entityType} ${discrepancy.key || discrepancy.legacyId}: fields not compared - ${error.message}`);
+    }
+
+    const match = this.takeMatch(current[entityType], discrepancy.key, expectedValues);
+
+    if (!match) {
+      discrepancy.kind = 'missing';
+      report.discrepancies.push(discrepancy);
+      summary.missing++;
+      return null;
+    }
+
+    summary.matched++;
+    discrepancy.currentId = match.id ?? null;
+
+    if (expectedValues) {
+      discrepancy.fields = COMPARED_FIELDS[entityType]
+        .filter(field => field in expectedValues)
+        .filter(field => !ChangePlanService.valuesEqual(expectedValues[field], match[field]))
+        .map(field => ({ field, expected: expectedValues[field] ?? null, actual: match[field] ?? null }));
+    }
+
+    if (discrepancy.fields.length > 0) {
+      discrepancy.kind = 'mismatch';
+      report.discrepancies.push(discrepancy);
+      summary.mismatched++;
+    }
+
+    return match;
+  }
+
+  /**
+   * Group current entities by match key; several entities can share a key (e.g. file names)
+   */
+  indexBy(entities, keyOf) {
+    const index = new Map();
+
+    for (const entity of entities || []) {
+      const key = keyOf(entity);
+      if (key === undefined || key === null) continue;
+
+      const normalized = String(key).toLowerCase();
+      index.set(normalized, [...(index.get(normalized) || []), entity]);
+    }
+
+    return index;
+  }
+
+  /**
+   * Remove and return the best current entity for a key, preferring one whose fields all match
+   */
+  takeMatch(index, key, expectedValues) {
+    const normalized = key !== null ? key.toLowerCase() : null;
+    const candidates = normalized !== null ? index.get(normalized) : null;
+
+    if (!candidates || candidates.length === 0) {
+      return null;
+    }
+
+    const exact = expectedValues
+      ? candidates.findIndex(candidate => Object.entries(expectedValues)
+        .every(([field, value]) => !(field in candidate) || ChangePlanService.valuesEqual(value, candidate[field])))
+      : -1;
+    const [match] = candidates.splice(exact >= 0 ? exact : 0, 1);
+
+    if (candidates.length === 0) {
+      index.delete(normalized);
+    }
+
+    return match;
+  }
+}
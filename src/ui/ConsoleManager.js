@@ -44,9 +44,13 @@ export class ConsoleManager {
     
     // Options
     const options = [];
+    if (configuration.resumeRunId) options.push(`Resume run ${configuration.resumeRunId}`);
     if (configuration.verbose) options.push('Verbose logging');
     if (configuration.skipFiles) options.push('Skip files');
     if (configuration.dryRun) options.push('Dry run');
+    if (configuration.source && configuration.source !== 'api') options.push(`Source ${configuration.source}`);
+    if (configuration.destination && configuration.destination !== 'api') options.push(`Destination ${configuration.destination}`);
+    if (configuration.quarantine) options.push(`Quarantine ${configuration.quarantine}`);
     
     if (options.length > 0) {
       console.log(`   ${chalk.cyan('Options:')} ${options.join(', ')}`);
@@ -81,6 +85,11 @@ export class ConsoleManager {
     console.log(chalk.blue('━'.repeat(50)));
     console.log();
     
+    // Show the dry-run change plan
+    if (result.changePlan) {
+      this.showChangePlan(result.changePlan);
+    }
+    
     // Show statistics
     this.showStatistics(result.statistics, totalDuration);
     
@@ -89,6 +98,37 @@ export class ConsoleManager {
       this.showPerformanceSummary(result.performance);
     }
     
+    // Show client-side rate limiting
+    if (Object.keys(result.statistics.rateLimits || {}).length > 0) {
+      this.showRateLimits(result.statistics.rateLimits);
+    }
+    
+    // Show API outages the run waited out
+    const trippedBreakers = Object.entries(result.statistics.circuitBreakers || {}).filter(([, breaker]) => breaker.opened > 0);
+    if (trippedBreakers.length > 0) {
+      this.showCircuitBreakers(trippedBreakers);
+    }
+    
+    // Show what the client transform hooks decided
+    if (result.transformHooks) {
+      this.showTransformHooks(result.transformHooks);
+    }
+    
+    // Show the records quarantined or released from quarantine
+    if (result.quarantine) {
+      this.showQuarantine(result.quarantine);
+    }
+    
+    // Show what an export run wrote instead of sending
+    if (result.statistics.exported) {
+      this.showExport(result.statistics.exported, result.configuration?.destination);
+    }
+    
+    // Show file integrity checks
+    if (result.fileIntegrity?.length > 0) {
+      this.showFileIntegrity(result.fileIntegrity);
+    }
+    
     // Show errors if any
     if (result.errors.length > 0) {
       this.showErrorSummary(result.errors);
@@ -118,6 +158,8 @@ export class ConsoleManager {
       ['Users Processed', statistics.usersProcessed.toString()],
       ['Moderators Created', statistics.moderatorsCreated.toString()],
       ['Files Uploaded', statistics.filesUploaded.toString()],
+      ['Skipped (Checkpoint)', (statistics.entitiesSkipped || 0).toString()],
+      ['API Retries', (statistics.apiRetries || 0).toString()],
       ['Total File Size', this.formatFileSize(statistics.totalFileSizeBytes)],
       ['Total Duration', this.formatDuration(totalDuration)],
       ['Average Room Time', this.formatDuration(statistics.averageRoomProcessingTime)],
@@ -152,6 +194,101 @@ export class ConsoleManager {
     console.log(table(statsData, tableConfig));
   }
 
+  /**
+   * Show rate limiter state per API
+   */
+  showRateLimits(rateLimits) {
+    console.log(chalk.bold('🚦 Rate Limiting:'));
+    
+    Object.entries(rateLimits).forEach(([target, limiter]) => {
+      const limits = `${limiter.requestsPerSecond ?? '∞'} req/s, ${limiter.maxInFlight ?? '∞'} in flight`;
+      console.log(`   ${target.padEnd(14)} ${limiter.requests} requests, ${limiter.queued} queued, throttled ${this.formatDuration(limiter.throttledMs)} (${limits})`);
+    });
+    
+    console.log();
+  }
+
+  /**
+   * Show circuit breakers that opened during the run
+   */
+  showCircuitBreakers(breakers) {
+    console.log(chalk.bold('🔌 API Outages:'));
+    
+    breakers.forEach(([target, breaker]) => {
+      const state = breaker.state === 'open' ? chalk.red('still down') : chalk.green('recovered');
+      console.log(`   ${target.padEnd(14)} opened ${breaker.opened}x, paused ${this.formatDuration(breaker.openMs)}, ${breaker.requestsPaused} requests waited, ${breaker.requestsRejected} rejected (${state})`);
+    });
+    
+    console.log();
+  }
+
+  /**
+   * Show how often each transform hook kept, changed, replaced or skipped a record
+   */
+  showTransformHooks(report) {
+    console.log(chalk.bold(`🪝 Transform Hooks (${report.module}):`));
+    
+    Object.entries(report.summary).forEach(([hook, counts]) => {
+      console.log(`   ${hook.padEnd(18)} ${counts.kept} kept, ${counts.modified} modified, ${counts.replaced} replaced, ${counts.skipped} skipped`);
+    });
+    
+    console.log(chalk.gray('   Every change and skip is listed under transformHooks.decisions in the run report'));
+    console.log();
+  }
+
+  /**
+   * Show the records a run quarantined or released
+   */
+  showQuarantine(report) {
+    console.log(chalk.bold(`🧪 Quarantine (${report.directory}):`));
+    
+    if (report.released.length > 0) {
+      console.log(chalk.green(`   ${report.released.length} records replayed and released`));
+    }
+    
+    report.quarantined.slice(0, 20).forEach(entry => {
+      console.log(chalk.yellow(`   ${entry.entityType} ${entry.legacyId} (${entry.name || 'unnamed'}): ${entry.error}`));
+    });
+    
+    if (report.quarantined.length > 20) {
+      console.log(chalk.gray(`   ... and ${report.quarantined.length - 20} more`));
+    }
+    
+    if (report.quarantined.length > 0) {
+      console.log(chalk.gray(`   Fix the legacyRecord in each file (or the mapping), then run: npm start replay-quarantine ${report.directory}`));
+    } else if (report.released.length === 0) {
+      console.log('   No records quarantined');
+    }
+    console.log();
+  }
+
+  /**
+   * Show export summary
+   */
+  showExport(counts, destination) {
+    console.log(chalk.bold(`📤 Exported to ${destination} (nothing was sent to the current system):`));
+    console.log(`   ${Object.entries(counts).map(([entityType, count]) => `${count} ${entityType}s`).join(', ')}`);
+    console.log();
+  }
+
+  /**
+   * Show file integrity summary
+   */
+  showFileIntegrity(records) {
+    const verified = records.filter(record => record.verified === true).length;
+    const failed = records.filter(record => record.verified === false);
+    const unverified = records.length - verified - failed.length;
+    
+    console.log(chalk.bold('🔐 File Integrity:'));
+    console.log(`   ${chalk.green(`${verified} verified`)}, ${chalk.red(`${failed.length} failed`)}, ${chalk.yellow(`${unverified} unverified`)} (SHA-256 recorded in the run report)`);
+    
+    failed.forEach(record => {
+      console.log(chalk.red(`   ✗ ${record.fileName}: ${record.problems.join('; ')}`));
+    });
+    
+    console.log();
+  }
+
   /**
    * Show performance summary
    */
@@ -294,6 +431,10 @@ export class ConsoleManager {
       console.log(chalk.yellow('   🧪 Mode: DRY RUN'));
     }
     
+    if (summary.runId) {
+      console.log(`   💾 Run ID: ${summary.runId}${summary.resumed ? ' (resumed)' : ''}`);
+    }
+    
     console.log(`   ⏱️  Duration: ${summary.duration}`);
     console.log(`   📈 Success Rate: ${summary.successRate}`);
     console.log(`   🏠 Rooms: ${summary.statistics.roomsProcessed}`);
@@ -332,6 +473,9 @@ export class ConsoleManager {
       console.log('   📋 Review error details above');
       console.log('   🔧 Fix configuration or data issues');
       console.log('   🔄 Re-run the migration after fixes');
+      if (result.runId) {
+        console.log(`   ♻️  Resume with ${chalk.cyan(`--resume ${result.runId}`)} to skip completed work`);
+      }
       console.log('   💡 Consider using --dry-run to test changes');
     }
     
@@ -372,6 +516,419 @@ export class ConsoleManager {
     console.log();
   }
 
+  /**
+   * Show mapping ledger records
+   */
+  showLedger(records) {
+    console.log(chalk.bold(`🔗 Mapping Ledger (${records.length} mappings):`));
+    console.log();
+    
+    if (records.length === 0) {
+      console.log(chalk.yellow('   No mappings match the given filters'));
+      console.log();
+      return;
+    }
+    
+    const ledgerData = [
+      ['Type', 'Legacy ID', 'Source System ID', 'Current ID', 'Name', 'Target Event'],
+      ...records.map(record => [
+        record.entityType,
+        record.legacyId || '',
+        record.sourceSystemId || '',
+        record.currentId,
+        (record.name || '').slice(0, 40),
+        String(record.targetEventId)
+      ])
+    ];
+    
+    this.showTable(ledgerData);
+  }
+
+  /**
+   * Show the per-entity change plan of a dry run
+   */
+  showChangePlan(plan) {
+    console.log(chalk.bold(`📋 Change Plan (${plan.entries.length} entities):`));
+    console.log();
+    
+    const actionColors = {
+      create: chalk.green,
+      update: chalk.cyan,
+      unchanged: chalk.gray,
+      invalid: chalk.red
+    };
+    
+    if (plan.entries.length > 0) {
+      const planData = [
+        ['Type', 'Legacy ID', 'Name', 'Action', 'Details'],
+        ...plan.entries.map(entry => [
+          entry.entityType,
+          entry.legacyId || '',
+          (entry.name || '').slice(0, 40),
+          actionColors[entry.action](entry.action),
+          entry.action === 'invalid'
+            ? entry.errors.join('; ').slice(0, 80)
+            : entry.changes.map(change => change.field).join(', ') || entry.targetId || ''
+        ])
+      ];
+      
+      this.showTable(planData);
+    }
+    
+    const summaryData = [
+      ['Type', 'Create', 'Update', 'Unchanged', 'Invalid'],
+      ...Object.entries(plan.summary.byType).map(([entityType, counts]) => [
+        entityType,
+        String(counts.create),
+        String(counts.update),
+        String(counts.unchanged),
+        String(counts.invalid)
+      ]),
+      ['Total', ...['create', 'update', 'unchanged', 'invalid'].map(action => String(plan.summary.total[action]))]
+    ];
+    
+    this.showTable(summaryData);
+    console.log(chalk.yellow('   No changes were made to the current system'));
+    console.log();
+  }
+
+  /**
+   * Show where a plan file was written and how to apply it
+   */
+  showPlanWritten(planPath, planFile) {
+    console.log(chalk.bold('📝 Plan File:'));
+    console.log(`   ${chalk.cyan('Path:')} ${planPath}`);
+    console.log(`   ${chalk.cyan('Operations:')} ${planFile.operations.length}`);
+    
+    if (planFile.rejected.length > 0) {
+      console.log(`   ${chalk.cyan('Rejected:')} ${chalk.red(planFile.rejected.length)} records will not be migrated`);
+    }
+    
+    console.log();
+    console.log('   Review the payloads, then apply the plan with:');
+    console.log(chalk.green(`   npm start apply "${planPath}"`));
+    console.log(chalk.gray('   Apply refuses to run if the target event changes in the meantime.'));
+    console.log();
+  }
+
+  /**
+   * Show a verification report
+   */
+  showVerification(report, reportPath = null) {
+    console.log();
+    console.log(chalk.bold(`🔎 Verification: "${report.legacyEventName}" → ${report.targetEventId}`));
+    console.log('━'.repeat(50));
+    console.log();
+    
+    const summaryData = [
+      ['Type', 'Legacy', 'Current', 'Matched', 'Missing', 'Extra', 'Mismatched'],
+      ...Object.entries(report.summary).map(([entityType, counts]) => [
+        entityType,
+        String(counts.legacy),
+        String(counts.current),
+        String(counts.matched),
+        counts.missing ? chalk.red(counts.missing) : '0',
+        counts.extra ? chalk.yellow(counts.extra) : '0',
+        counts.mismatched ? chalk.red(counts.mismatched) : '0'
+      ])
+    ];
+    
+    this.showTable(summaryData);
+    
+    if (report.discrepancies.length > 0) {
+      const discrepancyData = [
+        ['Type', 'Kind', 'Key', 'Name', 'Details'],
+        ...report.discrepancies.slice(0, 50).map(discrepancy => [
+          discrepancy.entityType,
+          discrepancy.kind,
+          discrepancy.key || discrepancy.currentId || '',
+          (discrepancy.name || '').slice(0, 30),
+          discrepancy.fields.map(field => `${field.field}: ${JSON.stringify(field.expected)} ≠ ${JSON.stringify(field.actual)}`).join('; ').slice(0, 80)
+        ])
+      ];
+      
+      this.showTable(discrepancyData);
+      
+      if (report.discrepancies.length > 50) {
+        console.log(chalk.gray(`   ... and ${report.discrepancies.length - 50} more discrepancies (see the JSON report)`));
+      }
+    }
+    
+    if (report.notes.length > 0) {
+      console.log(chalk.gray(`   ${report.notes.length} records could not be compared field by field (see notes in the JSON report)`));
+    }
+    
+    if (reportPath) {
+      console.log(`   ${chalk.cyan('Report:')} ${reportPath}`);
+    }
+    
+    console.log(report.drift
+      ? chalk.red(`   ❌ Drift detected: ${report.discrepancies.length} discrepancies`)
+      : chalk.green('   ✅ No drift - target event matches the legacy event'));
+    console.log();
+  }
+
+  /**
+   * Show the data problems found in a legacy event
+   */
+  showAudit(report, reportPath = null) {
+    console.log();
+    console.log(chalk.bold(`🩺 Audit: "${report.legacyEventName}"`));
+    console.log('━'.repeat(50));
+    console.log();
+    
+    const { counts } = report;
+    console.log(`   ${chalk.cyan('Scanned:')} ${counts.rooms} rooms, ${counts.sessions} sessions, ${counts.subSessions} subsessions, ${counts.users} users, ${counts.files} files`);
+    console.log();
+    
+    this.showTable([
+      ['Check', 'Severity', 'Findings'],
+      ...Object.entries(report.summary).map(([check, count]) => [
+        check,
+        report.checks[check],
+        !count ? '0' : report.checks[check] === 'error' ? chalk.red(count) : chalk.yellow(count)
+      ])
+    ]);
+    
+    if (report.findings.length > 0) {
+      this.showTable([
+        ['Check', 'Type', 'Legacy ID', 'Name', 'Details'],
+        ...report.findings.slice(0, 50).map(finding => [
+          finding.check,
+          finding.entityType,
+          finding.legacyId || '',
+          (finding.name || '').slice(0, 30),
+          finding.message.slice(0, 80)
+        ])
+      ]);
+      
+      if (report.findings.length > 50) {
+        console.log(chalk.gray(`   ... and ${report.findings.length - 50} more findings (see the JSON report)`));
+      }
+    }
+    
+    if (reportPath) {
+      console.log(`   ${chalk.cyan('Report:')} ${reportPath}`);
+    }
+    
+    const errors = report.findings.filter(finding => finding.severity === 'error').length;
+    if (report.failed) {
+      console.log(chalk.red(`   ❌ ${errors} problems would fail the migration, ${report.findings.length - errors} more would lose or change data`));
+    } else if (report.findings.length > 0) {
+      console.log(chalk.yellow(`   ⚠️  ${report.findings.length} problems would lose or change data, none would fail the migration`));
+    } else {
+      console.log(chalk.green('   ✅ No problems found'));
+    }
+    console.log();
+  }
+
+  /**
+   * Show contract drift between the API config and the API specs
+   */
+  showContractCheck(report, reportPath = null) {
+    console.log();
+    console.log(chalk.bold('📜 Contract check: config vs API specs'));
+    console.log('━'.repeat(50));
+    console.log();
+    
+    this.showTable([
+      ['Finding', 'Count'],
+      ...Object.entries(report.summary).map(([category, count]) => [category, count ? chalk.red(count) : '0'])
+    ]);
+    
+    if (report.findings.length > 0) {
+      this.showTable([
+        ['Finding', 'API', 'Source', 'Field', 'Details'],
+        ...report.findings.map(finding => [
+          finding.category,
+          finding.api,
+          finding.source,
+          finding.field || '',
+          finding.detail.slice(0, 80)
+        ])
+      ]);
+    }
+    
+    console.log(`   ${chalk.cyan('Compared DTOs:')} ${report.checkedDtos.join(', ') || 'none'}`);
+    if (report.uncheckedDtos.length > 0) {
+      console.log(chalk.gray(`   Without an openApi entry (not compared): ${report.uncheckedDtos.join(', ')}`));
+    }
+    
+    if (reportPath) {
+      console.log(`   ${chalk.cyan('Report:')} ${reportPath}`);
+    }
+    
+    console.log(report.drift
+      ? chalk.red(`   ❌ Drift detected: ${report.findings.length} findings`)
+      : chalk.green('   ✅ No drift - the config matches the API specs'));
+    console.log();
+  }
+
+  /**
+   * Show the contents of a captured snapshot
+   */
+  showSnapshot(manifest, snapshotDir) {
+    console.log();
+    console.log(chalk.bold(`📦 Snapshot: "${manifest.legacyEventName}"`));
+    console.log('━'.repeat(50));
+    console.log();
+    
+    const { counts } = manifest;
+    this.showTable([
+      ['Records', 'Count'],
+      ['Rooms', String(counts.rooms)],
+      ['Sessions', String(counts.sessions)],
+      ['SubSessions', String(counts.subSessions)],
+      ['Users', String(counts.users)],
+      ['Moderators', String(counts.moderators)],
+      ['Files', String(counts.files)],
+      ['Binaries', manifest.skipFiles ? 'skipped' : `${counts.binaries} (${this.formatFileSize(counts.binaryBytes)})`]
+    ]);
+    
+    manifest.failures.slice(0, 20).forEach(failure => {
+      console.log(chalk.red(`   ✗ ${failure.fileName || failure.fileId}: ${failure.error}`));
+    });
+    if (manifest.failures.length > 20) {
+      console.log(chalk.gray(`   ... and ${manifest.failures.length - 20} more (see manifest.json)`));
+    }
+    
+    console.log(`   ${chalk.cyan('Directory:')} ${snapshotDir}`);
+    console.log(manifest.failures.length > 0
+      ? chalk.red(`   ❌ Snapshot incomplete: ${manifest.failures.length} files could not be captured`)
+      : chalk.green('   ✅ Snapshot complete'));
+    console.log();
+  }
+
+  /**
+   * Show where the mock APIs listen and how to point the tool at them
+   */
+  showMockServer(server) {
+    console.log();
+    console.log(chalk.bold(`🧪 Mock APIs listening on ${server.baseUrl}`));
+    console.log('━'.repeat(50));
+    
+    const { legacyEvents, currentEvents, faults } = server;
+    console.log(`   ${chalk.cyan('Legacy events:')} ${legacyEvents.map(event => event.name).join(', ') || 'none'}`);
+    console.log(`   ${chalk.cyan('Target events:')} ${currentEvents.map(event => `${event.id} (${event.name})`).join(', ') || 'none'}`);
+    console.log(`   ${chalk.cyan('Auth API:')} ${server.baseUrl}/auth-api`);
+    console.log(`   ${chalk.cyan('Faults:')} ${JSON.stringify(faults)}`);
+    console.log();
+    console.log(chalk.bold('   Point the tool at it (any non-empty tokens are accepted):'));
+    Object.entries(server.getEnvironment()).forEach(([name, value]) => {
+      console.log(`   ${name}=${value}`);
+    });
+    console.log('   LEGACY_BEARER_TOKEN=mock CURRENT_BEARER_TOKEN=mock');
+    console.log();
+    console.log(chalk.gray(`   State: GET ${server.baseUrl}/__mock/state · Faults: PUT ${server.baseUrl}/__mock/faults · Reset: POST ${server.baseUrl}/__mock/reset`));
+    console.log(chalk.gray('   Press Ctrl+C to stop'));
+    console.log();
+  }
+
+  /**
+   * Show what a generated fixture contains and where it was written
+   */
+  showFixture(fixture, format, location) {
+    const { counts } = fixture;
+    console.log();
+    console.log(chalk.bold(`🧬 Fixture: "${fixture.event.name}" (seed ${fixture.options.randomSeed})`));
+    console.log('━'.repeat(50));
+    console.log();
+    
+    this.showTable([
+      ['Records', 'Count', 'Messy'],
+      ['Rooms', String(counts.rooms), `${counts.roomsWithoutRoomName} without RoomName`],
+      ['Sessions', String(counts.sessions), `${counts.sessionsWithoutClientId} without ClientSessionId, ${counts.sessionsWithoutEnd} without end`],
+      ['SubSessions', String(counts.subSessions), `${counts.subSessionsWithoutClientId} without ClientSubSessionId, ${counts.subSessionsWithoutEnd} without end`],
+      ['Users', String(counts.users), `${counts.moderators} moderators`],
+      ['Files', `${counts.files} (${this.formatFileSize(counts.fileBytes)})`, `${counts.deletedWalkInFiles} deleted walk-in files`]
+    ]);
+    
+    console.log(`   ${chalk.cyan(format === 'mock-seed' ? 'Seed:' : 'Snapshot:')} ${location}`);
+    console.log(chalk.gray(format === 'mock-seed'
+      ? `   Serve it with: npm start mock-server --seed ${location}`
+      : `   Migrate from it with: npm start "${fixture.event.name}" <targetEventId> --source snapshot:${location}`));
+    console.log();
+  }
+
+  /**
+   * Show rollback preview or results
+   */
+  showRollback(report) {
+    const title = report.dryRun ? '🔍 ROLLBACK PREVIEW' : '⏪ ROLLBACK RESULTS';
+    console.log();
+    console.log(chalk.bold(title));
+    console.log('━'.repeat(50));
+    console.log(`   ${chalk.cyan('Run ID:')} ${report.runId}`);
+    
+    if (report.configuration) {
+      console.log(`   ${chalk.cyan('Migration:')} "${report.configuration.legacyEventName}" → ${report.configuration.targetEventId}`);
+    }
+    console.log();
+    
+    if (report.actions.length === 0) {
+      console.log(chalk.yellow('   No recorded changes to roll back'));
+      console.log();
+      return;
+    }
+    
+    const resultColors = {
+      deleted: chalk.green,
+      restored: chalk.green,
+      'already-gone': chalk.yellow,
+      failed: chalk.red,
+      pending: chalk.gray
+    };
+    
+    const rollbackData = [
+      ['Action', 'Type', 'Current ID', 'Result'],
+      ...report.actions.map(action => [
+        action.action,
+        action.entityType,
+        String(action.id),
+        (resultColors[action.result] || chalk.white)(action.error ? `${action.result}: ${action.error.slice(0, 60)}` : action.result)
+      ])
+    ];
+    
+    this.showTable(rollbackData);
+    
+    const { statistics } = report;
+    if (report.dryRun) {
+      console.log(chalk.blue(`   ${statistics.planned} actions would be applied. Run without --dry-run to roll back.`));
+    } else {
+      console.log(`   Deleted: ${chalk.green(statistics.deleted)}  Restored: ${chalk.green(statistics.restored)}  ` +
+        `Already gone: ${chalk.yellow(statistics.alreadyGone)}  Failed: ${chalk.red(statistics.failed)}`);
+      console.log(`   ${chalk.cyan('Report:')} ${report.reportPath}`);
+    }
+    console.log();
+  }
+
+  /**
+   * Show interruption notice with resume instructions
+   */
+  showInterrupted(interruption) {
+    console.log();
+    console.log(chalk.yellow('━'.repeat(50)));
+    console.log(chalk.yellow('⏸️  MIGRATION INTERRUPTED'));
+    console.log(chalk.yellow('━'.repeat(50)));
+    console.log();
+    
+    if (!interruption) {
+      console.log('   No checkpointed run was in progress');
+      console.log();
+      return;
+    }
+    
+    const { runId, configuration } = interruption;
+    console.log(`   ${chalk.cyan('Run ID:')} ${runId}`);
+    console.log('   Completed work has been checkpointed. To continue where this run stopped:');
+    console.log();
+    
+    const roomArgument = configuration?.roomName ? ` "${configuration.roomName}"` : '';
+    const skipFilesFlag = configuration?.skipFiles ? ' --skip-files' : '';
+    console.log(chalk.green(`   npm start "${configuration?.legacyEventName}" ${configuration?.targetEventId}${roomArgument} -- --resume ${runId}${skipFilesFlag}`));
+    console.log();
+  }
+
   /**
    * Show progress update
    */
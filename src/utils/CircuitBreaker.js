@@ -0,0 +1,257 @@
+import { EventEmitter } from 'events';
+import axios from 'axios';
+
+const DEFAULT_SETTINGS = {
+  failureThreshold: 5,
+  probeInterval: 15000,
+  maxOpenTime: 600000
+};
+
+/**
+ * Circuit Breaker - Pauses all requests to an API after repeated outage-like failures
+ * While open, requests wait instead of failing; a health check probes the API and closes the circuit when it recovers
+ * Emits 'open' and 'close' so the migration queue can be paused and resumed with it
+ */
+export class CircuitBreaker extends EventEmitter {
+  static #breakers = new Map();
+
+  constructor(target, settings = {}, logger) {
+    super();
+    const defined = Object.entries(settings).filter(([, value]) => value !== undefined && value !== null);
+    this.settings = { ...DEFAULT_SETTINGS, ...Object.fromEntries(defined) };
+    this.target = target;
+    this.logger = logger;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    // Set after maxOpenTime - waiting stops and requests fail fast until a probe succeeds
+    this.gaveUp = false;
+    this.waiters = [];
+    this.probeTimer = null;
+    this.healthCheck = null;
+
+    // Breaker statistics
+    this.statistics = {
+      opened: 0,
+      openMs: 0,
+      probes: 0,
+      requestsPaused: 0,
+      requestsRejected: 0
+    };
+  }
+
+  /**
+   * Get the shared breaker for an API target, creating it from the configured settings on first use
+   */
+  static forTarget(target, migrationConfig = {}, logger) {
+    if (!CircuitBreaker.#breakers.has(target)) {
+      CircuitBreaker.#breakers.set(target, new CircuitBreaker(target, migrationConfig.circuitBreaker, logger));
+    }
+    return CircuitBreaker.#breakers.get(target);
+  }
+
+  /**
+   * Get every breaker in use
+   */
+  static getAll() {
+    return [...CircuitBreaker.#breakers.values()];
+  }
+
+  /**
+   * Get the statistics of every breaker in use, keyed by target
+   */
+  static getStatistics() {
+    return Object.fromEntries(CircuitBreaker.getAll().map(breaker => [breaker.target, breaker.getStatistics()]));
+  }
+
+  /**
+   * Forget all shared breakers (tests and repeated runs in one process)
+   */
+  static reset() {
+    for (const breaker of CircuitBreaker.#breakers.values()) {
+      clearTimeout(breaker.probeTimer);
+      breaker.removeAllListeners();
+    }
+    CircuitBreaker.#breakers.clear();
+  }
+
+  /**
+   * Set the request used to probe the API while the circuit is open
+   */
+  setHealthCheck(healthCheck) {
+    this.healthCheck = healthCheck;
+  }
+
+  /**
+   * Make an axios instance go through the breaker; requests marked `circuitProbe` bypass it
+   */
+  attach(httpClient) {
+    const adapter = httpClient.defaults.adapter;
+
+    httpClient.defaults.adapter = (config) => {
+      const send = axios.getAdapter(adapter, config);
+      return config.circuitProbe ? send(config) : this.execute(() => send(config));
+    };
+
+    return httpClient;
+  }
+
+  /**
+   * Run a request, waiting first while the circuit is open
+   */
+  async execute(request) {
+    if (this.state === 'open') {
+      await this.waitForClose();
+    }
+
+    try {
+      const response = await request();
+      this.consecutiveFailures = 0;
+      return response;
+    } catch (error) {
+      if (CircuitBreaker.isOutage(error)) {
+        this.recordFailure(error);
+      } else {
+        // The API answered - it is up, even if this request was wrong
+        this.consecutiveFailures = 0;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Tell whether a failure means the API is unreachable or broken rather than the request being rejected
+   */
+  static isOutage(error) {
+    const status = error.response?.status;
+    return status === undefined ? !axios.isCancel(error) : status >= 500;
+  }
+
+  /**
+   * Count a failure and open the circuit at the threshold
+   */
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error;
+
+    if (this.state === 'closed' && this.consecutiveFailures >= this.settings.failureThreshold) {
+      this.open();
+    }
+  }
+
+  /**
+   * Open the circuit and start probing
+   */
+  open() {
+    this.state = 'open';
+    this.openedAt = Date.now();
+    this.gaveUp = false;
+    this.statistics.opened++;
+
+    this.logger.warn(`🔌 ${this.target} API circuit open after ${this.consecutiveFailures} consecutive failures (${this.lastError?.message}) - pausing until it recovers`);
+    this.emit('open', this);
+    this.scheduleProbe();
+  }
+
+  /**
+   * Close the circuit and release waiting requests
+   */
+  close() {
+    const openMs = Date.now() - this.openedAt;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.gaveUp = false;
+    this.openedAt = null;
+    this.statistics.openMs += openMs;
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+
+    this.logger.info(`🔌 ${this.target} API recovered after ${Math.round(openMs / 1000)}s - resuming`);
+
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(({ resolve }) => resolve());
+    this.emit('close', this);
+  }
+
+  /**
+   * Wait until the circuit closes, or fail once the API has been down longer than maxOpenTime
+   */
+  waitForClose() {
+    if (this.gaveUp) {
+      this.statistics.requestsRejected++;
+      return Promise.reject(this.createUnavailableError());
+    }
+
+    this.statistics.requestsPaused++;
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Probe the API after the probe interval
+   */
+  scheduleProbe() {
+    clearTimeout(this.probeTimer);
+    this.probeTimer = setTimeout(() => this.probe(), this.settings.probeInterval);
+  }
+
+  /**
+   * Run the health check; close once the API answers, otherwise keep probing
+   */
+  async probe() {
+    this.probeTimer = null;
+    this.statistics.probes++;
+
+    try {
+      if (this.healthCheck) {
+        await this.healthCheck();
+      }
+      this.close();
+      return;
+    } catch (error) {
+      // An API without the health endpoint answers 404 - like any rejected request, that means it is up
+      if (!CircuitBreaker.isOutage(error)) {
+        this.close();
+        return;
+      }
+      this.lastError = error;
+      this.logger.warn(`🔌 ${this.target} API still unavailable: ${error.message}`);
+    }
+
+    if (!this.gaveUp && Date.now() - this.openedAt >= this.settings.maxOpenTime) {
+      // Stop holding the run hostage - fail what is waiting so it is reported and can be resumed later
+      this.gaveUp = true;
+      const waiters = this.waiters;
+      this.waiters = [];
+      this.statistics.requestsRejected += waiters.length;
+      waiters.forEach(({ reject }) => reject(this.createUnavailableError()));
+    }
+
+    this.scheduleProbe();
+  }
+
+  /**
+   * Create the error for requests the breaker gives up on
+   */
+  createUnavailableError() {
+    const minutes = Math.round((Date.now() - this.openedAt) / 60000);
+    return new Error(`${this.target} API unavailable for ${minutes} min (circuit open): ${this.lastError?.message}`);
+  }
+
+  /**
+   * Get breaker state and statistics
+   */
+  getStatistics() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      ...this.statistics,
+      openMs: this.statistics.openMs + (this.openedAt ? Date.now() - this.openedAt : 0)
+    };
+  }
+}
@@ -0,0 +1,197 @@
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+const TYPES = ['string', 'integer', 'number', 'boolean'];
+
+/**
+ * Legacy records leave unset fields out, null or as an empty spreadsheet cell
+ */
+const isMissing = value => value === undefined || value === null || value === '';
+
+/**
+ * Targets may be dotted paths into an object field, e.g. "metadata.sessionCustom1"
+ */
+const hasPath = (result, path) => {
+  const [field, ...rest] = path.split('.');
+  return rest.length === 0 ? field in result : Boolean(result[field]) && hasPath(result[field], rest.join('.'));
+};
+
+const setPath = (result, path, value) => {
+  const [field, ...rest] = path.split('.');
+  if (rest.length === 0) {
+    result[field] = value;
+    return;
+  }
+  result[field] = result[field] || {};
+  setPath(result[field], rest.join('.'), value);
+};
+
+/**
+ * Mapping Engine - Turns legacy records into current system fields using the `mappings` of legacy-dtos.json
+ * Each entry maps a legacy field to one or more current fields, with optional aliases, default, type and converter
+ * A dotted target ("metadata.track") fills a field of an object, and `fields` filters on the part before the dot
+ */
+export class MappingEngine {
+  constructor(mappings, converters = {}) {
+    this.mappings = mappings;
+    this.converters = converters;
+    this.rules = new Map();
+  }
+
+  /**
+   * Expand a mapping entry ("name" or { to, aliases, default, type, converter }) into a rule
+   */
+  static normalizeRule(legacyField, entry) {
+    const rule = typeof entry === 'string' ? { to: entry } : { ...entry };
+
+    if (!rule.to || (Array.isArray(rule.to) && rule.to.length === 0)) {
+      throw new Error(`Mapping for legacy field "${legacyField}" has no target field`);
+    }
+
+    return {
+      from: legacyField,
+      to: Array.isArray(rule.to) ? rule.to : [rule.to],
+      sources: [legacyField, ...(rule.aliases || [])],
+      default: rule.default,
+      type: rule.type || null,
+      converter: rule.converter || null
+    };
+  }
+
+  /**
+   * Merge client mapping overrides ({ session: { mappings: { sessionCustom1: "metadata.ceCredits" } } }) into the
+   * legacy DTO config - an override entry replaces the whole entry of its legacy field
+   */
+  static mergeMappings(legacyDtos, overrides = {}) {
+    const merged = { ...legacyDtos };
+
+    for (const [entityType, override] of Object.entries(overrides)) {
+      if (!legacyDtos[entityType]) {
+        throw new Error(`Mapping overrides name unknown entity type "${entityType}" (expected ${Object.keys(legacyDtos).join(', ')})`);
+      }
+
+      merged[entityType] = {
+        ...legacyDtos[entityType],
+        mappings: { ...legacyDtos[entityType].mappings, ...override?.mappings }
+      };
+    }
+
+    return merged;
+  }
+
+  /**
+   * The rules of an entity type, in mapping order
+   */
+  getRules(entityType) {
+    if (!this.rules.has(entityType)) {
+      const mappings = this.mappings[entityType]?.mappings;
+
+      if (!mappings) {
+        throw new Error(`No legacy mappings configured for ${entityType}`);
+      }
+
+      const rules = Object.entries(mappings).map(([legacyField, entry]) => MappingEngine.normalizeRule(legacyField, entry));
+
+      for (const rule of rules) {
+        if (rule.converter && !this.converters[rule.converter]) {
+          throw new Error(`Unknown converter "${rule.converter}" in the ${entityType} mapping of ${rule.from}`);
+        }
+        if (rule.type && !TYPES.includes(rule.type)) {
+          throw new Error(`Unknown type "${rule.type}" in the ${entityType} mapping of ${rule.from} (expected ${TYPES.join(', ')})`);
+        }
+      }
+
+      this.rules.set(entityType, rules);
+    }
+
+    return this.rules.get(entityType);
+  }
+
+  /**
+   * Map a legacy record to current system fields
+   * The first rule that yields a value for a field wins; `fields` limits the result to what the current DTO accepts
+   */
+  map(entityType, record, { fields = null } = {}) {
+    const allowed = fields ? new Set(fields) : null;
+    const result = {};
+
+    for (const rule of this.getRules(entityType)) {
+      const targets = rule.to.filter(field => (!allowed || allowed.has(field.split('.')[0])) && !hasPath(result, field));
+
+      if (targets.length === 0) {
+        continue;
+      }
+
+      const value = this.resolveValue(rule, record);
+
+      if (value !== undefined) {
+        targets.forEach(field => setPath(result, field, value));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * The converted value of one rule, its default when the record has none, or undefined
+   */
+  resolveValue(rule, record) {
+    const raw = MappingEngine.findValue(record, rule.sources);
+
+    if (isMissing(raw)) {
+      return rule.default;
+    }
+
+    let value = rule.converter ? this.converters[rule.converter](raw) : raw;
+    if (rule.type && !isMissing(value)) {
+      value = MappingEngine.coerce(value, rule.type);
+    }
+
+    return isMissing(value) && rule.default !== undefined ? rule.default : value;
+  }
+
+  /**
+   * Find the first present value among field names - exact key first, then case-insensitive
+   */
+  static findValue(record, names) {
+    const keys = Object.keys(record || {});
+
+    for (const name of names) {
+      if (!isMissing(record[name])) {
+        return record[name];
+      }
+
+      const key = keys.find(candidate => candidate.toLowerCase() === name.toLowerCase() && !isMissing(record[candidate]));
+      if (key) {
+        return record[key];
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Coerce a value to a mapping type; values that do not convert are left for validation to reject
+   */
+  static coerce(value, type) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'object' ? value : String(value).trim();
+      case 'integer': {
+        const number = Number(typeof value === 'string' ? value.trim() : value);
+        return Number.isInteger(number) ? number : value;
+      }
+      case 'number': {
+        const number = Number(typeof value === 'string' ? value.trim() : value);
+        return Number.isFinite(number) ? number : value;
+      }
+      case 'boolean': {
+        const text = String(value).trim().toLowerCase();
+        if (TRUE_VALUES.includes(text)) return true;
+        if (FALSE_VALUES.includes(text)) return false;
+        return value;
+      }
+      default:
+        throw new Error(`Unknown mapping type "${type}" (expected ${TYPES.join(', ')})`);
+    }
+  }
+}
@@ -0,0 +1,190 @@
+const FORMAT_PATTERNS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+};
+
+const INTEGER_RANGES = {
+  int32: [-(2 ** 31), 2 ** 31 - 1],
+  int64: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER]
+};
+
+/**
+ * Escape one JSON-pointer segment (RFC 6901)
+ */
+const pointerSegment = segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+/**
+ * OpenAPI Validator - Checks payloads against the request schemas of OpenAPI 3.0 documents
+ * Supports the schema keywords the bundled specs use; every error carries a JSON-pointer path to the offending value
+ */
+export class OpenApiValidator {
+  constructor(specs) {
+    this.specs = specs;
+  }
+
+  /**
+   * Find an operation of an API spec (null when the spec does not document it)
+   */
+  getOperation(api, method, path) {
+    return this.specs[api]?.paths?.[path]?.[method.toLowerCase()] || null;
+  }
+
+  /**
+   * Find the request body schema of an operation (null when the spec does not document one)
+   */
+  getRequestSchema(api, method, path) {
+    const content = this.getOperation(api, method, path)?.requestBody?.content;
+
+    if (!content) {
+      return null;
+    }
+
+    const mediaType = content['application/json'] || content['multipart/form-data'] || Object.values(content)[0];
+    return mediaType?.schema || null;
+  }
+
+  /**
+   * Follow a local $ref (#/components/schemas/...) inside the document of an API
+   */
+  resolve(api, schema) {
+    let resolved = schema;
+
+    while (resolved?.$ref) {
+      const target = resolved.$ref.replace(/^#\//, '').split('/').reduce(
+        (node, segment) => node?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')],
+        this.specs[api]
+      );
+
+      if (!target) {
+        throw new Error(`Unresolvable schema reference ${resolved.$ref} in the ${api} API spec`);
+      }
+      resolved = target;
+    }
+
+    return resolved || {};
+  }
+
+  /**
+   * Validate a request payload against an operation of an API spec
+   * Returns { documented, errors } - an undocumented operation has nothing to check against
+   */
+  validateRequest(api, method, path, payload, options = {}) {
+    const schema = this.getRequestSchema(api, method, path);
+
+    if (!schema) {
+      return { documented: false, errors: [] };
+    }
+
+    return { documented: true, errors: this.validate(api, schema, payload, options) };
+  }
+
+  /**
+   * Validate a value against a schema, collecting every error as { path, message }
+   */
+  validate(api, schema, value, { ignoreFormats = [] } = {}, path = '') {
+    const resolved = this.resolve(api, schema);
+    const errors = [];
+    const fail = message => errors.push({ path: path || '/', message });
+
+    if (value === null) {
+      if (!resolved.nullable && resolved.type) {
+        fail('must not be null');
+      }
+      return errors;
+    }
+
+    for (const part of resolved.allOf || []) {
+      errors.push(...this.validate(api, part, value, { ignoreFormats }, path));
+    }
+
+    if (resolved.enum && !resolved.enum.includes(value)) {
+      fail(`must be one of ${resolved.enum.join(', ')}`);
+      return errors;
+    }
+
+    const actualType = typeOf(value);
+    const typeMatches = !resolved.type
+      || resolved.type === actualType
+      || (resolved.type === 'number' && actualType === 'integer');
+
+    if (!typeMatches) {
+      fail(`must be ${resolved.type === 'integer' || resolved.type === 'array' || resolved.type === 'object' ? 'an' : 'a'} ${resolved.type}`);
+      return errors;
+    }
+
+    if (actualType === 'string') {
+      if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+        fail(`must be at most ${resolved.maxLength} characters`);
+      }
+      if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+        fail(`must be at least ${resolved.minLength} characters`);
+      }
+      if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+        fail(`must match the pattern ${resolved.pattern}`);
+      }
+      if (FORMAT_PATTERNS[resolved.format] && !ignoreFormats.includes(resolved.format) && !FORMAT_PATTERNS[resolved.format].test(value)) {
+        fail(`must be a valid ${resolved.format}`);
+      }
+    }
+
+    if (actualType === 'integer' || actualType === 'number') {
+      const range = INTEGER_RANGES[resolved.format];
+      if (range && (value < range[0] || value > range[1])) {
+        fail(`must fit in ${resolved.format}`);
+      }
+      if (resolved.minimum !== undefined && value < resolved.minimum) {
+        fail(`must be at least ${resolved.minimum}`);
+      }
+      if (resolved.maximum !== undefined && value > resolved.maximum) {
+        fail(`must be at most ${resolved.maximum}`);
+      }
+    }
+
+    if (actualType === 'array' && resolved.items) {
+      value.forEach((item, index) => {
+        errors.push(...this.validate(api, resolved.items, item, { ignoreFormats }, `${path}/${index}`));
+      });
+    }
+
+    if (actualType === 'object') {
+      const properties = resolved.properties || {};
+
+      for (const name of resolved.required || []) {
+        if (value[name] === undefined) {
+          errors.push({ path: `${path}/${pointerSegment(name)}`, message: 'is required' });
+        }
+      }
+
+      for (const [name, propertyValue] of Object.entries(value)) {
+        if (propertyValue === undefined) continue;
+        const propertyPath = `${path}/${pointerSegment(name)}`;
+
+        if (properties[name]) {
+          errors.push(...this.validate(api, properties[name], propertyValue, { ignoreFormats }, propertyPath));
+        } else if (resolved.additionalProperties === false) {
+          errors.push({ path: propertyPath, message: 'is not allowed' });
+        } else if (typeof resolved.additionalProperties === 'object') {
+          errors.push(...this.validate(api, resolved.additionalProperties, propertyValue, { ignoreFormats }, propertyPath));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Format validation errors as one line ("/name must be at most 100 characters, /startsAt is required")
+   */
+  static formatErrors(errors) {
+    return errors.map(error => `${error.path} ${error.message}`).join(', ');
+  }
+}
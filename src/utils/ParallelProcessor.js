@@ -10,6 +10,10 @@ export class ParallelProcessor {
     this.logger = logger;
     this.limit = pLimit(concurrency);
     
+    // Reasons the queue is paused for; tasks start again once all are cleared
+    this.pauseReasons = new Set();
+    this.resumeWaiters = [];
+    
     // Statistics tracking
     this.statistics = {
       totalTasks: 0,
@@ -39,6 +43,9 @@ export class ParallelProcessor {
     // Create array of limited processing functions
     const limitedTasks = rooms.map((room, index) => {
       return this.limit(async () => {
+        // Hold new tasks while the queue is paused (e.g. an API circuit is open)
+        await this.waitWhilePaused();
+        
         const taskStartTime = Date.now();
         
         try {
@@ -154,6 +161,9 @@ export class ParallelProcessor {
     // Create array of limited processing functions
     const limitedTasks = items.map((item, index) => {
       return this.limit(async () => {
+        // Hold new tasks while the queue is paused (e.g. an API circuit is open)
+        await this.waitWhilePaused();
+        
         const taskStartTime = Date.now();
         
         try {
@@ -259,6 +269,9 @@ export class ParallelProcessor {
     
     const limitedTasks = files.map((file, index) => {
       return fileLimit(async () => {
+        // Hold new tasks while the queue is paused (e.g. an API circuit is open)
+        await this.waitWhilePaused();
+        
         const taskStartTime = Date.now();
         
         try {
@@ -323,6 +336,41 @@ export class ParallelProcessor {
     return results;
   }
 
+  /**
+   * Stop starting new tasks until resume() is called with the same reason
+   */
+  pause(reason) {
+    if (this.pauseReasons.size === 0) {
+      this.logger.warn(`⏸️  Pausing task queue: ${reason}`);
+    }
+    this.pauseReasons.add(reason);
+  }
+
+  /**
+   * Clear a pause reason; tasks start again when none are left
+   */
+  resume(reason) {
+    if (!this.pauseReasons.delete(reason) || this.pauseReasons.size > 0) {
+      return;
+    }
+    
+    this.logger.info(`▶️  Resuming task queue`);
+    const waiters = this.resumeWaiters;
+    this.resumeWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Wait while the queue is paused
+   */
+  async waitWhilePaused() {
+    if (this.pauseReasons.size === 0) {
+      return;
+    }
+    
+    await new Promise(resolve => this.resumeWaiters.push(resolve));
+  }
+
   /**
    * Get current statistics
    */
@@ -0,0 +1,188 @@
+import axios from 'axios';
+
+/**
+ * Rate Limiter - Token bucket limiting requests per second and requests in flight for one API target
+ * One limiter exists per target (legacy, current-event, current-files) and is shared by every client in the process
+ */
+export class RateLimiter {
+  static #limiters = new Map();
+
+  constructor(target, settings = {}) {
+    this.target = target;
+    this.requestsPerSecond = Number(settings.requestsPerSecond) || 0;
+    this.maxInFlight = Number(settings.maxInFlight) || 0;
+    // Bucket size - how many requests may go out back to back after an idle period
+    this.burst = Number(settings.burst) || Math.max(1, Math.ceil(this.requestsPerSecond));
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.inFlight = 0;
+    this.queue = [];
+    this.timer = null;
+
+    // Limiter statistics
+    this.statistics = {
+      requests: 0,
+      queued: 0,
+      maxQueueLength: 0,
+      throttledMs: 0,
+      peakInFlight: 0
+    };
+  }
+
+  /**
+   * Get the shared limiter for an API target, creating it from the configured limits on first use
+   */
+  static forTarget(target, migrationConfig = {}) {
+    if (!RateLimiter.#limiters.has(target)) {
+      RateLimiter.#limiters.set(target, new RateLimiter(target, migrationConfig.rateLimits?.[target]));
+    }
+    return RateLimiter.#limiters.get(target);
+  }
+
+  /**
+   * Get the statistics of every limiter in use, keyed by target
+   */
+  static getStatistics() {
+    return Object.fromEntries([...RateLimiter.#limiters].map(([target, limiter]) => [target, limiter.getStatistics()]));
+  }
+
+  /**
+   * Forget all shared limiters (tests and repeated runs in one process)
+   */
+  static reset() {
+    for (const limiter of RateLimiter.#limiters.values()) {
+      clearTimeout(limiter.timer);
+    }
+    RateLimiter.#limiters.clear();
+  }
+
+  /**
+   * Make an axios instance wait for the limiter before every request it sends
+   */
+  attach(httpClient) {
+    const adapter = httpClient.defaults.adapter;
+
+    httpClient.defaults.adapter = (config) => {
+      const send = axios.getAdapter(adapter, config);
+      return this.schedule(() => send(config));
+    };
+
+    return httpClient;
+  }
+
+  /**
+   * Run a request once the limiter admits it
+   */
+  async schedule(request) {
+    const release = await this.acquire();
+
+    try {
+      return await request();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Wait for a token and a free in-flight slot; resolves with the function that frees the slot
+   */
+  acquire() {
+    this.statistics.requests++;
+
+    if (this.queue.length === 0 && this.tryTake()) {
+      return Promise.resolve(this.createRelease());
+    }
+
+    this.statistics.queued++;
+
+    return new Promise(resolve => {
+      this.queue.push({ resolve, queuedAt: Date.now() });
+      this.statistics.maxQueueLength = Math.max(this.statistics.maxQueueLength, this.queue.length);
+      this.drain();
+    });
+  }
+
+  /**
+   * Take a token and an in-flight slot if both are available
+   */
+  tryTake() {
+    this.refill();
+
+    if (this.maxInFlight > 0 && this.inFlight >= this.maxInFlight) {
+      return false;
+    }
+
+    if (this.requestsPerSecond > 0) {
+      if (this.tokens < 1) {
+        return false;
+      }
+      this.tokens--;
+    }
+
+    this.inFlight++;
+    this.statistics.peakInFlight = Math.max(this.statistics.peakInFlight, this.inFlight);
+    return true;
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+
+    if (this.requestsPerSecond > 0) {
+      this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.requestsPerSecond);
+    }
+
+    this.lastRefill = now;
+  }
+
+  /**
+   * Admit queued requests in order, and wake up again when the next token is due
+   */
+  drain() {
+    while (this.queue.length > 0 && this.tryTake()) {
+      const { resolve, queuedAt } = this.queue.shift();
+      this.statistics.throttledMs += Date.now() - queuedAt;
+      resolve(this.createRelease());
+    }
+
+    // Waiting on in-flight slots is resolved by release(); only an empty bucket needs a timer
+    const waitingForToken = this.queue.length > 0 && (this.maxInFlight === 0 || this.inFlight < this.maxInFlight);
+    if (waitingForToken && !this.timer) {
+      const delay = Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.max(1, delay));
+    }
+  }
+
+  /**
+   * Create the function that frees an in-flight slot (safe to call more than once)
+   */
+  createRelease() {
+    let released = false;
+
+    return () => {
+      if (released) return;
+      released = true;
+      this.inFlight--;
+      this.drain();
+    };
+  }
+
+  /**
+   * Get limiter state and statistics
+   */
+  getStatistics() {
+    return {
+      requestsPerSecond: this.requestsPerSecond || null,
+      maxInFlight: this.maxInFlight || null,
+      inFlight: this.inFlight,
+      queueLength: this.queue.length,
+      ...this.statistics
+    };
+  }
+}
@@ -0,0 +1,168 @@
+import axios from 'axios';
+import { Utils } from './constants.js';
+
+// Methods that can be repeated without changing the outcome
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Network errors raised before the request reached the server - safe to retry for any method
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const DEFAULT_SETTINGS = {
+  maxRetries: 3,
+  retryDelay: 1000,
+  backoffMultiplier: 2,
+  maxDelay: 30000
+};
+
+/**
+ * Retry Policy - Retries transient API failures with exponential backoff and jitter
+ * Wraps an axios adapter so each attempt runs below the client's interceptors, honoring Retry-After
+ */
+export class RetryPolicy {
+  constructor(settings = {}, logger) {
+    const defined = Object.entries(settings).filter(([, value]) => value !== undefined && value !== null);
+    this.settings = { ...DEFAULT_SETTINGS, ...Object.fromEntries(defined) };
+    this.logger = logger;
+    this.sleep = Utils.sleep;
+
+    // Every retry performed, in order (collected into the migration result)
+    this.attempts = [];
+  }
+
+  /**
+   * Build a retry policy from the migration configuration
+   */
+  static fromConfig(migrationConfig = {}, logger) {
+    const { retrySettings = {}, maxRetries, retryDelay } = migrationConfig;
+
+    return new RetryPolicy({
+      maxRetries: retrySettings.maxRetries ?? maxRetries,
+      retryDelay: retrySettings.retryDelay ?? retryDelay,
+      backoffMultiplier: retrySettings.backoffMultiplier,
+      maxDelay: retrySettings.maxDelay
+    }, logger);
+  }
+
+  /**
+   * Make an axios instance retry its requests
+   */
+  attach(httpClient, apiName) {
+    const adapter = httpClient.defaults.adapter;
+
+    httpClient.defaults.adapter = (config) => {
+      const send = axios.getAdapter(adapter, config);
+      return this.execute(() => send(config), config, apiName);
+    };
+
+    return httpClient;
+  }
+
+  /**
+   * Run one request, retrying it while the failure is transient and retries remain
+   */
+  async execute(send, config, apiName) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await send();
+      } catch (error) {
+        if (attempt > this.settings.maxRetries || !this.isRetryable(error, config)) {
+          throw error;
+        }
+
+        const delayMs = this.getDelay(attempt, error);
+        this.recordAttempt(error, config, apiName, attempt, delayMs);
+        await this.sleep(delayMs);
+      }
+    }
+  }
+
+  /**
+   * Decide whether a failed request can be sent again
+   */
+  isRetryable(error, config) {
+    // A streamed body has been consumed by the first attempt and cannot be replayed
+    if (typeof config?.data?.pipe === 'function' || config?.retry === false || axios.isCancel(error)) {
+      return false;
+    }
+
+    const method = (config?.method || 'GET').toUpperCase();
+    const status = error.response?.status;
+
+    // 429 means the request was not processed, so even a create is safe to repeat
+    if (status === 429) {
+      return true;
+    }
+
+    if (NOT_SENT_ERROR_CODES.includes(error.code)) {
+      return true;
+    }
+
+    // A 5xx or dropped connection may have been processed - only repeat requests that cannot duplicate data
+    const transient = status === undefined ? Boolean(error.request) || Boolean(error.code) : status >= 500;
+    return transient && (IDEMPOTENT_METHODS.includes(method) || config?.retry === true);
+  }
+
+  /**
+   * Get the wait before the next attempt: exponential backoff with jitter, or the server's Retry-After
+   */
+  getDelay(attempt, error) {
+    const { retryDelay, backoffMultiplier, maxDelay } = this.settings;
+    const backoff = Math.min(retryDelay * Math.pow(backoffMultiplier, attempt - 1), maxDelay);
+
+    // Equal jitter keeps at least half the backoff while spreading out parallel rooms
+    const jittered = Math.round(backoff / 2 + Math.random() * (backoff / 2));
+
+    const retryAfter = RetryPolicy.parseRetryAfter(error.response?.headers?.['retry-after']);
+    return retryAfter !== null ? Math.max(Math.min(retryAfter, maxDelay), jittered) : jittered;
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+   */
+  static parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Log and keep a record of a retry
+   */
+  recordAttempt(error, config, apiName, attempt, delayMs) {
+    const method = (config?.method || 'GET').toUpperCase();
+    // Query strings can carry the legacy API key - never log or report them
+    const url = String(config?.url || '').split('?')[0];
+    const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+
+    const record = {
+      api: apiName,
+      method,
+      url,
+      attempt,
+      maxRetries: this.settings.maxRetries,
+      reason,
+      delayMs,
+      at: new Date().toISOString()
+    };
+
+    this.attempts.push(record);
+    this.logger.warn(`🔁 Retrying ${method} ${url} on ${apiName} API after ${reason} (retry ${attempt}/${this.settings.maxRetries} in ${delayMs}ms)`);
+  }
+
+  /**
+   * Return the retries recorded so far and start a new list
+   */
+  takeAttempts() {
+    const attempts = this.attempts;
+    this.attempts = [];
+    return attempts;
+  }
+}
@@ -0,0 +1,161 @@
+// Windows time zone names the legacy (.NET) system stores, and their IANA zones
+const WINDOWS_TIME_ZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Atlantic Standard Time': 'America/Halifax',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'India Standard Time': 'Asia/Kolkata'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPLICIT_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_LOCAL = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+/**
+ * Time Zone Converter - Turns legacy wall-clock times into UTC instants in an event's IANA time zone
+ * Ambiguous times (DST fall-back) take the earlier instant, times in a DST gap move forward by the gap
+ */
+export class TimeZoneConverter {
+  constructor(timeZone) {
+    const resolved = TimeZoneConverter.resolveTimeZone(timeZone);
+
+    if (!resolved) {
+      throw new Error(`Unknown time zone "${timeZone}" - use an IANA name such as America/New_York`);
+    }
+
+    this.timeZone = resolved;
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: resolved,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+
+  /**
+   * The IANA name of a time zone given as an IANA or Windows name (null when it is neither)
+   */
+  static resolveTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+      return null;
+    }
+
+    const name = WINDOWS_TIME_ZONES[timeZone.trim()] || timeZone.trim();
+
+    try {
+      return new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check that a time zone name can be resolved
+   */
+  static isValidTimeZone(timeZone) {
+    return TimeZoneConverter.resolveTimeZone(timeZone) !== null;
+  }
+
+  /**
+   * The wall-clock fields of an instant in this time zone
+   */
+  getParts(instant) {
+    const parts = Object.fromEntries(this.formatter.formatToParts(new Date(instant)).map(({ type, value }) => [type, Number(value)]));
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+  }
+
+  /**
+   * The UTC offset of this time zone at an instant, in milliseconds
+   */
+  getOffset(instant) {
+    const { year, month, day, hour, minute, second } = this.getParts(instant);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    return wallClock - Math.floor(instant / 1000) * 1000;
+  }
+
+  /**
+   * Convert a legacy date/time to an ISO UTC string - values with an explicit offset or Z keep their instant
+   */
+  toUtc(value) {
+    const text = String(value).trim();
+
+    if (EXPLICIT_OFFSET.test(text)) {
+      const date = new Date(text);
+      return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    const wallClock = TimeZoneConverter.parseWallClock(text);
+    if (wallClock === null) {
+      return null;
+    }
+
+    // The offsets a day either side cover both sides of any DST change on this date
+    const offsetBefore = this.getOffset(wallClock - DAY_MS);
+    const offsetAfter = this.getOffset(wallClock + DAY_MS);
+    const matches = [...new Set([offsetBefore, offsetAfter])]
+      .map(offset => wallClock - offset)
+      .filter(instant => wallClock - instant === this.getOffset(instant))
+      .sort((a, b) => a - b);
+
+    return new Date(matches.length > 0 ? matches[0] : wallClock - offsetBefore).toISOString();
+  }
+
+  /**
+   * Read the wall-clock fields of a date/time without an offset, as if they were UTC (null when unparseable)
+   * ISO-style values are read directly; other formats go through Date, which reads them in the process time zone
+   */
+  static parseWallClock(text) {
+    const iso = ISO_LOCAL.exec(text);
+
+    if (iso) {
+      const [year, month, day, hour, minute, second] = iso.slice(1, 7).map(part => Number(part ?? 0));
+      return Date.UTC(year, month - 1, day, hour, minute, second, Number((iso[7] || '0').padEnd(3, '0')));
+    }
+
+    const parsed = new Date(text);
+    if (isNaN(parsed.getTime())) {
+      return null;
+    }
+
+    return Date.UTC(
+      parsed.getFullYear(), parsed.getMonth(), parsed.getDate(),
+      parsed.getHours(), parsed.getMinutes(), parsed.getSeconds(), parsed.getMilliseconds()
+    );
+  }
+
+  /**
+   * The calendar date (YYYY-MM-DD) of a date/time in this time zone
+   */
+  toLocalDate(value) {
+    const text = String(value).trim();
+
+    if (DATE_ONLY.test(text)) {
+      return text;
+    }
+
+    const utc = this.toUtc(text);
+    if (!utc) {
+      return null;
+    }
+
+    const { year, month, day } = this.getParts(Date.parse(utc));
+    return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+}
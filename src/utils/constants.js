@@ -89,6 +89,23 @@ export class Utils {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
   }
 
+  /**
+   * Parse a human readable size to bytes
+   * @param {string|number} value - Size such as "2048", "500MB" or "10 GB" (units are powers of 1024)
+   * @returns {number} Number of bytes
+   */
+  static parseBytes(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/i);
+    if (!match) {
+      throw new Error(`Invalid size "${value}" (expected e.g. 500MB or 10GB)`);
+    }
+    
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = sizes.indexOf((match[2] || 'B').toUpperCase());
+    
+    return Math.round(parseFloat(match[1]) * Math.pow(1024, i));
+  }
+
   /**
    * Format duration to human readable string
    * @param {number} milliseconds - Duration in milliseconds
@@ -0,0 +1,180 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { MockApiServer } from '../../src/mock/MockApiServer.js';
+import { MigrationService } from '../../src/services/MigrationService.js';
+import { FileService } from '../../src/services/FileService.js';
+import { LegacyApiClient } from '../../src/clients/LegacyApiClient.js';
+import { CurrentSystemApiClient } from '../../src/clients/CurrentSystemApiClient.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+import { RateLimiter } from '../../src/utils/RateLimiter.js';
+import { CircuitBreaker } from '../../src/utils/CircuitBreaker.js';
+
+// MigrationService logs through many helpers (sessionStart, subSessionEnd, ...) - accept them all
+const logger = new Proxy({}, { get: () => () => {} });
+
+describe('Migration against the mock APIs', () => {
+  let server;
+  let workDir;
+  let draws = 0;
+
+  // Every fifth draw is 0 (below any fault rate), the rest 0.99 (below a rate of 1 only)
+  const random = () => (draws++ % 5 === 0 ? 0 : 0.99);
+
+  const migrate = (options = {}) => {
+    const service = new MigrationService(ConfigManager.load(), logger);
+    return service.executeMigration({
+      legacyEventName: 'DEMO2025',
+      targetEventId: 1001,
+      roomName: null,
+      migrateAllRooms: true,
+      dryRun: false,
+      ...options
+    });
+  };
+
+  const event = () => server.getState().events.find(candidate => candidate.id === 1001);
+
+  before(async () => {
+    server = new MockApiServer({ random }, logger);
+    await server.start(0);
+    workDir = mkdtempSync(join(tmpdir(), 'mock-server-test-'));
+
+    // Only the mock server is reachable - every URL and credential points at it
+    Object.assign(process.env, server.getEnvironment(), {
+      LEGACY_API_KEY: 'mock-key',
+      LEGACY_BEARER_TOKEN: 'mock-legacy-token',
+      CURRENT_API_TOKEN: 'mock-current-token',
+      CURRENT_BEARER_TOKEN: 'mock-current-token',
+      RUNS_DIR: join(workDir, 'runs'),
+      MAPPING_LEDGER_PATH: join(workDir, 'ledger', 'mapping-ledger.jsonl'),
+      MAX_RETRIES: '3',
+      RETRY_DELAY: '10'
+    });
+    ConfigManager.clearCache();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    server.setFaults({ throttleRate: 0, conflictRate: 0, retryAfterSeconds: 0, filesMethodNotAllowed: false });
+  });
+
+  after(async () => {
+    await server.stop();
+    rmSync(workDir, { recursive: true, force: true });
+    RateLimiter.reset();
+    CircuitBreaker.reset();
+    ConfigManager.clearCache();
+  });
+
+  it('should migrate the seed rooms, sessions and subsessions', async () => {
+    await migrate({ skipFiles: true });
+
+    const { rooms, sessions, subSessions } = event();
+    assert.deepStrictEqual(rooms.map(room => room.name).sort(), ['Main Hall', 'Workshop Room A']);
+    assert.deepStrictEqual(sessions.map(session => session.sourceSystemId).sort(), ['DEMO-KEYNOTE', 'DEMO-PANEL', 'DEMO-WORKSHOP']);
+    assert.deepStrictEqual(subSessions.map(subSession => subSession.sourceSystemId).sort(), ['DEMO-KEYNOTE-1', 'DEMO-KEYNOTE-2', 'DEMO-WORKSHOP-1']);
+
+    const workshop = sessions.find(session => session.sourceSystemId === 'DEMO-WORKSHOP');
+    assert.strictEqual(workshop.roomId, rooms.find(room => room.name === 'Workshop Room A').id);
+  });
+
+  it('should migrate files and moderators when files are not skipped', async () => {
+    const result = await migrate();
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.statistics.filesUploaded, 2);
+    const { rooms, users, moderators } = event();
+    const uploaded = server.getState().files.filter(file => file.eventId === 1001);
+    assert.deepStrictEqual(uploaded.map(file => file.name).sort(), ['keynote-walkin.png', 'year-ahead.pptx']);
+
+    const mainHall = rooms.find(room => room.name === 'Main Hall');
+    const grace = users.find(user => user.email.toLowerCase() === 'grace@example.com');
+    assert.deepStrictEqual(moderators.map(moderator => [moderator.userId, moderator.roomId, moderator.role]), [[grace.id, mainHall.id, 'moderator']]);
+  });
+
+  it('should create each presenter once, give them the presenter role and link them to their subsessions', async () => {
+    const result = await migrate({ skipFiles: true });
+
+    assert.deepStrictEqual(result.errors.filter(error => error.context.startsWith('Presenter')), []);
+    const { users, subSessions, presenters } = event();
+    assert.deepStrictEqual(users.map(user => user.email.toLowerCase()).sort(), ['ada@example.com', 'grace@example.com', 'katherine@example.com', 'linus@example.com']);
+
+    const sourceOf = id => subSessions.find(subSession => subSession.id === id).sourceSystemId;
+    const emailOf = id => users.find(user => user.id === id).email.toLowerCase();
+    assert.deepStrictEqual(presenters.map(presenter => `${sourceOf(presenter.subSessionId)} ${emailOf(presenter.userId)}`).sort(), [
+      'DEMO-KEYNOTE-1 ada@example.com',
+      'DEMO-KEYNOTE-2 ada@example.com',
+      'DEMO-KEYNOTE-2 katherine@example.com',
+      'DEMO-WORKSHOP-1 linus@example.com'
+    ]);
+
+    const rolesOf = email => server.getState().accounts.find(account => account.email.toLowerCase() === email).roles;
+    assert.deepStrictEqual(rolesOf('katherine@example.com'), [{ eventId: 1001, role: 'Presenter' }]);
+    assert.deepStrictEqual(rolesOf('ada@example.com'), [{ eventId: 1001, role: 'Presenter' }]);
+    assert.deepStrictEqual(rolesOf('grace@example.com'), []);
+  });
+
+  it('should retry throttled requests and reuse entities whose create answered 409', async () => {
+    server.setFaults({ throttleRate: 0.5, conflictRate: 1 });
+
+    await migrate({ skipFiles: true });
+
+    const statuses = server.getState().requests.map(request => request.status);
+    assert.ok(statuses.includes(429));
+    assert.ok(statuses.includes(409));
+
+    const { rooms, sessions, subSessions } = event();
+    assert.strictEqual(rooms.length, 2);
+    assert.strictEqual(sessions.length, 3);
+    assert.strictEqual(subSessions.length, 3);
+  });
+
+  it('should download legacy files and upload them through the Files API', async () => {
+    const config = ConfigManager.load();
+    const legacyClient = new LegacyApiClient(config, logger);
+    const fileService = new FileService(config, logger);
+
+    const [file] = await legacyClient.getFiles('DEMO2025', 'Main Hall');
+    assert.strictEqual(file.FileName, 'keynote-walkin.png');
+
+    const stream = await legacyClient.downloadFile('DEMO2025', file.FileId);
+    const uploaded = await fileService.uploadFile(stream, {
+      originalFileName: file.FileName,
+      sessionId: 'c0ffee00-0000-4000-8000-000000000001',
+      eventId: 1001,
+      fileSizeBytes: file.FileSize
+    });
+
+    assert.deepStrictEqual(uploaded.integrity.problems, []);
+    assert.strictEqual(uploaded.fileSizeInBytes, file.FileSize);
+
+    const [listed] = await new CurrentSystemApiClient(config, logger).getEventFiles(1001);
+    assert.strictEqual(listed.id, uploaded.id);
+    assert.strictEqual(listed.name, 'keynote-walkin.png');
+  });
+
+  it('should list files from the session data when the legacy file endpoints answer 405', async () => {
+    server.setFaults({ filesMethodNotAllowed: true });
+
+    const files = await new LegacyApiClient(ConfigManager.load(), logger).getFiles('DEMO2025');
+
+    assert.ok(server.getState().requests.some(request => request.status === 405));
+    assert.deepStrictEqual(files.map(file => [file.fileType, file.FileName]), [
+      ['walkin', 'keynote-walkin.png'],
+      ['presentation', 'year-ahead.pptx']
+    ]);
+  });
+
+  it('should reject requests without credentials', async () => {
+    const { CURRENT_EVENT_API_URL } = server.getEnvironment();
+
+    const response = await fetch(`${CURRENT_EVENT_API_URL}/Events/1001/Rooms`);
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(body.isSuccess, false);
+  });
+});
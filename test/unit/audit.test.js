@@ -0,0 +1,97 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { AuditService } from '../../src/services/AuditService.js';
+import { FixtureGeneratorService } from '../../src/services/FixtureGeneratorService.js';
+import { SnapshotLegacySource } from '../../src/clients/SnapshotLegacySource.js';
+
+const logger = new Proxy({}, { get: () => () => {} });
+
+const session = (id, start, end, extra = {}) => ({
+  SessionId: id,
+  ClientSessionId: `C-${id}`,
+  SessionName: `Session ${id}`,
+  SessionStart: start,
+  SessionEnd: end,
+  SubSessions: [],
+  ...extra
+});
+
+describe('AuditService', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'audit-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should report every kind of problem with its legacy record', async () => {
+    const sessions = {
+      1: [
+        session('S1', '2025-03-10T09:00:00', '2025-03-10T10:00:00', {
+          SubSessions: [{ SubSessionId: 'SS1', ClientSubSessionId: 'CS-1', SubSessionName: 'Part 1', StartTime: '2025-03-10T09:00:00', EndTime: '2025-03-10T09:30:00' }]
+        }),
+        session('S2', '2025-03-10T09:30:00', '2025-03-10T10:30:00', {
+          WalkInFile: { WalkInFileId: 'W1', FileName: 'intro.png', IsDeleted: true },
+          SubSessions: [{ SubSessionId: 'SS2', ClientSubSessionId: 'CS-1', SubSessionName: 'Part 2', StartTime: '2025-03-10T09:30:00', EndTime: 'soon' }]
+        }),
+        session('S3', '2025-03-10T12:00:00', '2025-03-10T11:00:00', { ClientSessionId: 'C-S1' }),
+        session('S4', '2025-03-10T13:00:00Z', null)
+      ],
+      2: [session('S5', '2025-03-10T09:00:00', '2025-03-10T10:00:00')]
+    };
+    const legacyClient = {
+      getRooms: async () => [{ RoomId: 1, RoomName: 'Main Hall' }, { RoomId: 2, RoomName: ' ' }],
+      getSessions: async (eventName, roomId) => sessions[roomId],
+      getFiles: async () => [
+        { FileId: 'F1', FileName: 'keynote.pptx', FileSize: 5000 },
+        { FileId: 'F2', FileName: 'recording.mp4', FileSize: 250 * 1024 * 1024 }
+      ],
+      getUsers: async () => [{ id: 'u-1', email: 'ada@example.com' }, { id: 'u-2', email: '', firstName: 'Grace', lastName: 'Hopper' }]
+    };
+
+    const report = await new AuditService({}, logger, { legacyClient }).audit('NACDS');
+
+    assert.deepStrictEqual(report.counts, { rooms: 2, sessions: 5, subSessions: 2, users: 2, files: 2 });
+    assert.strictEqual(report.failed, true);
+    assert.deepStrictEqual(report.findings.map(finding => [finding.check, finding.legacyId, finding.message]), [
+      ['deleted-walkin-file', 'W1', 'Walk-in file of session S2 is deleted in the legacy system and is not migrated'],
+      ['invalid-time', 'SS2', 'SubSession end time "soon" is not a date/time'],
+      ['end-before-start', 'S3', 'Session ends (2025-03-10T11:00:00) before it starts (2025-03-10T12:00:00)'],
+      ['missing-time', 'S4', 'Session has no end time'],
+      ['overlapping-sessions', 'S2', 'Session overlaps session S1 ("Session S1") in room "Main Hall"'],
+      ['file-too-large', 'F2', 'File is 262144000 bytes, above the 104857600 byte limit'],
+      ['unsupported-file-extension', 'F2', 'File extension ".mp4" is not one of .pdf, .doc, .docx, .xls, .xlsx, .ppt, .pptx, .txt, .jpg, .jpeg, .png, .gif'],
+      ['room-without-name', '2', 'Room has no name - its transform fails'],
+      ['duplicate-client-session-id', 'S3', 'ClientSessionId "C-S1" is shared by S1, S3 - they would be migrated as one Session'],
+      ['duplicate-client-subsession-id', 'SS2', 'ClientSubSessionId "CS-1" is shared by SS1, SS2 - they would be migrated as one SubSession'],
+      ['user-without-email', 'u-2', 'User has no email - its transform fails']
+    ]);
+    assert.strictEqual(report.findings.find(finding => finding.check === 'user-without-email').name, 'Grace Hopper');
+    assert.strictEqual(report.summary['overlapping-sessions'], 1);
+    assert.strictEqual(report.checks['overlapping-sessions'], 'warning');
+  });
+
+  it('should find the messy records of a generated fixture', async () => {
+    const generator = new FixtureGeneratorService({}, logger);
+    const fixture = generator.generate('BIGCONF', { rooms: 3, sessionsPerRoom: 5, subSessionsPerSession: 2, users: 10, totalFileBytes: 64 * 1024, messyRate: 0.3 });
+    const snapshotDir = join(workDir, 'snapshot');
+    await generator.writeSnapshot(snapshotDir, fixture, { skipFiles: true });
+
+    const report = await new AuditService({}, logger, { legacyClient: new SnapshotLegacySource(snapshotDir, logger) }).audit('BIGCONF');
+    const { counts } = fixture;
+
+    assert.deepStrictEqual(report.counts, { rooms: 3, sessions: 15, subSessions: 30, users: 10, files: counts.files });
+    assert.strictEqual(report.summary['missing-time'], counts.sessionsWithoutEnd + counts.subSessionsWithoutEnd);
+    assert.strictEqual(report.summary['deleted-walkin-file'], counts.deletedWalkInFiles);
+    // Rooms with only a lower-case name still have a name, and generated sessions never overlap
+    assert.strictEqual(report.summary['room-without-name'], 0);
+    assert.strictEqual(report.summary['overlapping-sessions'], 0);
+    assert.strictEqual(report.summary['unsupported-file-extension'], 0);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { ChangePlanService } from '../../src/services/ChangePlanService.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+describe('ChangePlanService', () => {
+  const config = { dtos: ConfigManager.loadDTOs() };
+
+  const legacySession = (overrides = {}) => ({
+    SessionId: 1,
+    ClientSessionId: 'CS-1',
+    SessionName: 'Opening Keynote',
+    SessionStart: '2025-03-01T09:00:00Z',
+    SessionEnd: '2025-03-01T10:00:00Z',
+    ...overrides
+  });
+
+  const createPlanner = ({ sessions = [], existingSessions = [], existingRooms = [], existingUsers = null, users = [] } = {}) => {
+    const requests = [];
+    const currentClient = {
+      getRooms: async () => existingRooms,
+      getSessions: async () => existingSessions,
+      getSubSessions: async () => [],
+      getUsers: async () => {
+        if (!existingUsers) throw new Error('HTTP 404 error');
+        return existingUsers;
+      }
+    };
+    const legacyClient = {
+      getSessions: async () => sessions,
+      getUsers: async () => users,
+      getFiles: async () => []
+    };
+
+    // Any mutating call would land here - a plan must never make one
+    for (const method of ['createOrUpdateRoom', 'createOrUpdateSession', 'createUser']) {
+      currentClient[method] = async () => requests.push(method);
+    }
+
+    const planner = new ChangePlanService(config, logger, {
+      legacyClient,
+      currentClient,
+      validationService: new ValidationService(config, logger),
+      getLegacyId: (entityType, record) => record.RoomId || record.SessionId || record.SubSessionId || record.id || record.email
+    });
+
+    return { planner, requests };
+  };
+
+  const buildPlan = (planner, rooms) => planner.buildPlan({
+    legacyEventName: 'TEST_EVENT',
+    targetEventId: 123,
+    rooms,
+    eventLocations: [{ id: 9 }],
+    skipFiles: true
+  });
+
+  it('should classify entities as create, update and unchanged', async () => {
+    const { planner, requests } = createPlanner({
+      sessions: [
+        legacySession(),
+        legacySession({ SessionId: 2, ClientSessionId: 'CS-2', SessionName: 'Renamed' }),
+        legacySession({ SessionId: 3, ClientSessionId: 'CS-3' })
+      ],
+      existingRooms: [{ id: 'room-uuid', name: 'Main Hall' }],
+      existingSessions: [
+        { id: 'session-1', sourceSystemId: 'CS-1', name: 'Opening Keynote', startsAt: '2025-03-01T09:00:00.000Z', endsAt: '2025-03-01T10:00:00Z' },
+        { id: 'session-2', sourceSystemId: 'CS-2', name: 'Original', startsAt: '2025-03-01T09:00:00Z', endsAt: '2025-03-01T10:00:00Z' }
+      ]
+    });
+
+    const plan = await buildPlan(planner, [{ RoomId: 7, RoomName: 'Main Hall' }]);
+    const actions = plan.entries.map(entry => `${entry.entityType}:${entry.legacyId}:${entry.action}`);
+
+    assert.deepStrictEqual(actions, ['room:7:unchanged', 'session:1:unchanged', 'session:2:update', 'session:3:create']);
+    assert.deepStrictEqual(plan.entries[2].changes, [{ field: 'name', from: 'Original', to: 'Renamed' }]);
+    assert.strictEqual(plan.entries[3].payload.roomId, 'room-uuid');
+    assert.strictEqual(plan.summary.total.create, 1);
+    assert.strictEqual(requests.length, 0);
+  });
+
+  it('should reference parents that do not exist yet by legacy ID', async () => {
+    const { planner } = createPlanner({ sessions: [legacySession()] });
+
+    const plan = await buildPlan(planner, [{ RoomId: 7, RoomName: 'New Room' }]);
+
+    assert.strictEqual(plan.entries[0].action, 'create');
+    assert.strictEqual(plan.entries[1].payload.roomId, 'planned:room:7');
+  });
+
+  it('should mark records that fail validation as invalid and skip their children', async () => {
+    const { planner } = createPlanner({ sessions: [legacySession()] });
+
+    const plan = await buildPlan(planner, [{ RoomId: 8 }]);
+
+    assert.strictEqual(plan.entries.length, 1);
+    assert.strictEqual(plan.entries[0].action, 'invalid');
+    assert.match(plan.entries[0].errors[0], /Room name is required/);
+  });
+
+  it('should plan each presenter user and role once and link it to every subsession', async () => {
+    const ada = { email: 'ada@example.com', firstName: 'Ada', lastName: 'Lovelace' };
+    const subSession = (id, presenters) => ({
+      SubSessionId: id, SubSessionName: `Part ${id}`, StartTime: '2025-03-01T09:00:00Z', EndTime: '2025-03-01T09:30:00Z', SubSessionOrder: 1, Presenters: presenters
+    });
+    const { planner } = createPlanner({
+      sessions: [legacySession({ SubSessions: [
+        subSession(11, [ada, { email: 'grace@example.com', firstName: 'Grace', lastName: 'Hopper' }]),
+        subSession(12, [{ ...ada, email: 'ADA@example.com' }, { name: 'Charles Babbage' }])
+      ] })],
+      existingUsers: [{ id: 'grace-uuid', email: 'grace@example.com' }],
+      users: [{ id: 90, ...ada }]
+    });
+
+    const plan = await buildPlan(planner, [{ RoomId: 7, RoomName: 'New Room' }]);
+    const actions = plan.entries.map(entry => `${entry.entityType}:${entry.legacyId}:${entry.action}`);
+
+    assert.deepStrictEqual(actions, [
+      'room:7:create',
+      'session:1:create',
+      'subSession:11:create',
+      'user:ada@example.com:create',
+      'userRole:ada@example.com:create',
+      'presenter:11:ada@example.com:create',
+      'user:grace@example.com:unchanged',
+      'userRole:grace@example.com:create',
+      'presenter:11:grace@example.com:create',
+      'subSession:12:create',
+      'presenter:12:ada@example.com:create',
+      'presenter:12::invalid'
+    ]);
+    assert.deepStrictEqual(plan.entries[4].payload, { userName: 'ada@example.com', roles: ['Presenter'] });
+    assert.deepStrictEqual(plan.entries[10].payload, { eventId: 123, userId: 'planned:user:ada@example.com', subSessionId: 'planned:subSession:12' });
+    assert.strictEqual(plan.entries[8].payload.userId, 'grace-uuid');
+  });
+
+  it('should warn when existing entities cannot be looked up', async () => {
+    const { planner } = createPlanner();
+
+    const plan = await buildPlan(planner, []);
+
+    assert.strictEqual(plan.warnings.length, 1);
+    assert.match(plan.warnings[0], /existing users/);
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, appendFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { Readable } from 'node:stream';
+import { CheckpointService } from '../../src/services/CheckpointService.js';
+import { MigrationService } from '../../src/services/MigrationService.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+describe('CheckpointService', () => {
+  let runsDir;
+  let config;
+  const configuration = { legacyEventName: 'TEST_EVENT', targetEventId: 123, roomName: null, skipFiles: false };
+
+  beforeEach(() => {
+    runsDir = mkdtempSync(join(tmpdir(), 'checkpoint-test-'));
+    config = { migration: { runsDir } };
+  });
+
+  afterEach(() => {
+    rmSync(runsDir, { recursive: true, force: true });
+  });
+
+  describe('start', () => {
+    it('should create a run with a filesystem-safe run ID', () => {
+      const checkpoint = new CheckpointService(config, logger);
+      const runId = checkpoint.start(configuration);
+
+      assert.match(runId, /^[A-Za-z0-9_-]+$/);
+      assert.strictEqual(checkpoint.resumed, false);
+      assert.strictEqual(checkpoint.listRuns().length, 1);
+    });
+
+    it('should ignore completions when no run is active', () => {
+      const checkpoint = new CheckpointService(config, logger);
+      checkpoint.markCompleted('room', 'R1', { targetId: 'abc' });
+
+      assert.strictEqual(checkpoint.isCompleted('room', 'R1'), false);
+      assert.strictEqual(checkpoint.statistics.recorded, 0);
+    });
+  });
+
+  describe('resume', () => {
+    it('should replay completed entities from the journal', () => {
+      const first = new CheckpointService(config, logger);
+      const runId = first.start(configuration);
+      first.markCompleted('room', 'R1', { targetId: 'room-uuid' });
+      first.markCompleted('session', 42, { targetId: 'session-uuid' });
+      first.markStatus('interrupted', { signal: 'SIGINT' });
+
+      const second = new CheckpointService(config, logger);
+      second.resume(runId, configuration);
+
+      assert.strictEqual(second.resumed, true);
+      assert.strictEqual(second.getCompleted('room', 'R1').targetId, 'room-uuid');
+      assert.ok(second.isCompleted('session', '42'));
+      assert.strictEqual(second.isCompleted('session', '43'), false);
+    });
+
+    it('should count skipped entities', () => {
+      const first = new CheckpointService(config, logger);
+      const runId = first.start(configuration);
+      first.markCompleted('file', 'F1');
+
+      const second = new CheckpointService(config, logger);
+      second.resume(runId, configuration);
+
+      assert.ok(second.skipIfCompleted('file', 'F1'));
+      assert.strictEqual(second.skipIfCompleted('file', 'F2'), null);
+      assert.strictEqual(second.statistics.skipped, 1);
+    });
+
+    it('should tolerate a truncated final record', () => {
+      const first = new CheckpointService(config, logger);
+      const runId = first.start(configuration);
+      first.markCompleted('user', 'U1');
+      appendFileSync(first.getCheckpointPath(), '{"type":"entity","entityType":"us');
+
+      const second = new CheckpointService(config, logger);
+      second.resume(runId, configuration);
+
+      assert.ok(second.isCompleted('user', 'U1'));
+    });
+
+    it('should drop a truncated final record before appending, so the run can be resumed again', () => {
+      const first = new CheckpointService(config, logger);
+      const runId = first.start(configuration);
+      first.markCompleted('user', 'U1');
+      first.recordMutation({ operation: 'create', entityType: 'user', id: 'user-1' });
+      appendFileSync(first.getCheckpointPath(), '{"type":"entity","entityType":"us');
+      appendFileSync(first.getMutationsPath(), '{"operation":"cre');
+
+      const second = new CheckpointService(config, logger);
+      second.resume(runId, configuration);
+      second.markCompleted('user', 'U2');
+      second.recordMutation({ operation: 'create', entityType: 'user', id: 'user-2' });
+
+      const third = new CheckpointService(config, logger);
+      third.resume(runId, configuration);
+
+      assert.ok(third.isCompleted('user', 'U1'));
+      assert.ok(third.isCompleted('user', 'U2'));
+      assert.deepStrictEqual(third.readMutations().map(mutation => mutation.id), ['user-1', 'user-2']);
+    });
+
+    it('should refuse to resume against a different target event', () => {
+      const first = new CheckpointService(config, logger);
+      const runId = first.start(configuration);
+
+      const second = new CheckpointService(config, logger);
+      assert.throws(() => {
+        second.resume(runId, { ...configuration, targetEventId: 999 });
+      }, /was started for/);
+    });
+
+    it('should restore the source, destination, mappings, transforms and quarantine the run started with', () => {
+      const first = new CheckpointService(config, logger);
+      const runId = first.start({ ...configuration, source: 'snapshot:./snap', mappings: 'client.json', quarantine: './quarantine' });
+
+      const second = new CheckpointService(config, logger);
+      const restored = second.restoreConfiguration(runId, { ...configuration, resumeRunId: runId, mappings: 'client.json' });
+
+      assert.deepStrictEqual(restored, {
+        ...configuration,
+        resumeRunId: runId,
+        source: 'snapshot:./snap',
+        destination: null,
+        mappings: 'client.json',
+        transforms: null,
+        quarantine: './quarantine'
+      });
+      assert.throws(() => {
+        second.restoreConfiguration(runId, { ...configuration, source: 'spreadsheet:./sheets' });
+      }, /started with --source snapshot:\.\/snap, not spreadsheet:\.\/sheets/);
+      assert.throws(() => {
+        second.restoreConfiguration(runId, { ...configuration, transforms: 'hooks.js' });
+      }, /started with --transforms \(none\)/);
+    });
+
+    it('should reject unknown and unsafe run IDs', () => {
+      const checkpoint = new CheckpointService(config, logger);
+
+      assert.throws(() => checkpoint.resume('missing-run', configuration), /No checkpoint found/);
+      assert.throws(() => checkpoint.resume('../etc', configuration), /Invalid run ID/);
+    });
+  });
+
+  describe('resumed migration', () => {
+    const roomId = '0b7e6f52-3f5c-4d7a-9a51-8c1b2e3d4f60';
+    let requests;
+    let migration;
+
+    beforeEach(() => {
+      const first = new CheckpointService(config, logger);
+      const runId = first.start(configuration);
+      const checkpoint = new CheckpointService(config, logger);
+      checkpoint.resume(runId, configuration);
+
+      // The interrupted attempt created a session, a subsession, a user and a file before it could checkpoint them
+      requests = [];
+      const created = type => async payload => { requests.push([type, payload.sourceSystemId || payload.email || payload.originalFileName]); return { id: `${type}-new` }; };
+      migration = Object.assign(Object.create(MigrationService.prototype), {
+        logger: new Proxy({}, { get: () => () => {} }),
+        validationService: new ValidationService({ dtos: ConfigManager.loadDTOs() }, logger),
+        checkpointService: checkpoint,
+        currentClient: {
+          getSessions: async () => [{ id: 'session-existing', sourceSystemId: 'S1' }],
+          getSubSessions: async () => [{ id: 'subSession-existing', sourceSystemId: 'SS1' }],
+          getUsers: async () => [{ id: 'user-existing', email: 'Ada@Example.com' }],
+          getEventFiles: async () => [{ id: 'file-existing', name: 'deck.pptx', fileSizeInBytes: 4 }],
+          createOrUpdateSession: created('session'),
+          createOrUpdateSubSession: created('subSession'),
+          createUser: created('user'),
+          addUserRoles: async () => {},
+          createPresenter: async () => ({ id: 'presenter-new' })
+        },
+        fileService: { uploadFile: async (fileData, payload) => { requests.push(['file', payload.originalFileName]); return { id: 'file-new' }; } },
+        legacyClient: { downloadFile: async () => Readable.from([Buffer.from('deck')]) },
+        mappingLedger: { record() {} },
+        usersByEmail: new Map(),
+        presenterRoles: new Map(),
+        targetListings: new Map()
+      });
+    });
+
+    it('should reuse the sessions, subsessions and users an interrupted attempt created but did not checkpoint', async () => {
+      const subSession = (id, email) => ({
+        SubSessionId: id, SubSessionName: id, StartTime: '2025-03-10T09:00:00Z', EndTime: '2025-03-10T09:30:00Z', Presenters: [{ email, firstName: 'Ada', lastName: 'L' }]
+      });
+      const sessions = [
+        { SessionId: 'S1', SessionName: 'Keynote', SessionStart: '2025-03-10T09:00:00Z', SessionEnd: '2025-03-10T10:00:00Z', SubSessions: [subSession('SS1', 'ada@example.com'), subSession('SS2', 'grace@example.com')] },
+        { SessionId: 'S2', SessionName: 'Panel', SessionStart: '2025-03-10T11:00:00Z', SessionEnd: '2025-03-10T12:00:00Z' }
+      ];
+
+      const result = await migration.processSessions(sessions, roomId, 123, {});
+
+      assert.deepStrictEqual(result.errors, []);
+      assert.deepStrictEqual(requests, [['subSession', 'SS2'], ['user', 'grace@example.com'], ['session', 'S2']]);
+      const checkpoint = migration.checkpointService;
+      assert.strictEqual(checkpoint.getCompleted('session', 'S1').targetId, 'session-existing');
+      assert.strictEqual(checkpoint.getCompleted('subSession', 'SS1').targetId, 'subSession-existing');
+      assert.strictEqual(checkpoint.getCompleted('userEmail', 'ada@example.com').targetId, 'user-existing');
+    });
+
+    it('should reuse files an interrupted attempt uploaded when name and size match', async () => {
+      const result = await migration.processFiles([
+        { FileId: '9001', FileName: 'deck.pptx', FileSize: 4 },
+        { FileId: '9002', FileName: 'deck.pptx', FileSize: 5 }
+      ], roomId, 123, { legacyEventName: 'TEST_EVENT' });
+
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(result.uploaded, 2);
+      assert.deepStrictEqual(requests, [['file', 'deck.pptx']]);
+      assert.strictEqual(migration.checkpointService.getCompleted('file', '9001').targetId, 'file-existing');
+      assert.strictEqual(migration.checkpointService.getCompleted('file', '9002').targetId, 'file-new');
+    });
+  });
+});
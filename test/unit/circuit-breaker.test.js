@@ -0,0 +1,119 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { CircuitBreaker } from '../../src/utils/CircuitBreaker.js';
+import { ParallelProcessor } from '../../src/utils/ParallelProcessor.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+const outage = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED', request: {} });
+const rejected = () => Object.assign(new Error('Request failed with status code 409'), { response: { status: 409 } });
+
+describe('CircuitBreaker', () => {
+  afterEach(() => {
+    CircuitBreaker.reset();
+  });
+
+  // Shared breakers are stopped by reset() after each test
+  const createBreaker = (settings = {}) => CircuitBreaker.forTarget('current-files', {
+    circuitBreaker: { failureThreshold: 2, probeInterval: 5, maxOpenTime: 1000, ...settings }
+  }, logger);
+
+  it('should open after consecutive outage failures only', async () => {
+    const breaker = createBreaker();
+
+    await assert.rejects(breaker.execute(async () => { throw outage(); }));
+    await assert.rejects(breaker.execute(async () => { throw rejected(); }));
+    await assert.rejects(breaker.execute(async () => { throw outage(); }));
+    assert.strictEqual(breaker.state, 'closed');
+
+    await assert.rejects(breaker.execute(async () => { throw outage(); }));
+    assert.strictEqual(breaker.state, 'open');
+    breaker.close();
+  });
+
+  it('should hold requests while open and release them once the health check passes', async () => {
+    const breaker = createBreaker();
+    let healthy = false;
+    let probes = 0;
+    breaker.setHealthCheck(async () => {
+      probes++;
+      if (!healthy) throw outage();
+      return true;
+    });
+
+    const events = [];
+    breaker.on('open', () => events.push('open'));
+    breaker.on('close', () => events.push('close'));
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await assert.rejects(breaker.execute(async () => { throw outage(); }));
+    }
+
+    let sent = false;
+    const waiting = breaker.execute(async () => { sent = true; return 'uploaded'; });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(sent, false);
+    assert.ok(probes >= 1);
+
+    healthy = true;
+    assert.strictEqual(await waiting, 'uploaded');
+    assert.deepStrictEqual(events, ['open', 'close']);
+    assert.strictEqual(breaker.getStatistics().requestsPaused, 1);
+  });
+
+  it('should close when the health check is rejected, since the API answered', async () => {
+    const breaker = createBreaker();
+    let down = true;
+    breaker.setHealthCheck(async () => {
+      throw down ? outage() : Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+    });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await assert.rejects(breaker.execute(async () => { throw outage(); }));
+    }
+
+    const waiting = breaker.execute(async () => 'uploaded');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(breaker.state, 'open');
+
+    down = false;
+    assert.strictEqual(await waiting, 'uploaded');
+    assert.strictEqual(breaker.state, 'closed');
+  });
+
+  it('should fail waiting requests once the API has been down for maxOpenTime', async () => {
+    const breaker = createBreaker({ maxOpenTime: 10 });
+    breaker.setHealthCheck(async () => { throw outage(); });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      await assert.rejects(breaker.execute(async () => { throw outage(); }));
+    }
+
+    await assert.rejects(breaker.execute(async () => 'never sent'), /current-files API unavailable/);
+    await assert.rejects(breaker.execute(async () => 'never sent'), /circuit open/);
+    assert.strictEqual(breaker.getStatistics().requestsRejected, 2);
+  });
+});
+
+describe('ParallelProcessor pause', () => {
+  it('should not start tasks until every pause reason is cleared', async () => {
+    const processor = new ParallelProcessor(2, logger);
+    const started = [];
+
+    processor.pause('legacy API unavailable');
+    processor.pause('current-files API unavailable');
+    const processing = processor.processItems([1, 2, 3], async (item) => started.push(item));
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+    processor.resume('legacy API unavailable');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepStrictEqual(started, []);
+
+    processor.resume('current-files API unavailable');
+    const results = await processing;
+
+    assert.deepStrictEqual(started.sort(), [1, 2, 3]);
+    assert.ok(results.every(result => result.success));
+  });
+});
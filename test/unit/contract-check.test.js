@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ContractCheckService } from '../../src/services/ContractCheckService.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+const spec = {
+  paths: {
+    '/Events/{eventId}/Rooms': {
+      post: {
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/CreateRoomDto' } } } }
+      }
+    },
+    '/Files/{fileType}': {
+      put: {
+        parameters: [{ name: 'fileType', in: 'path', schema: { type: 'integer' } }],
+        requestBody: { content: { 'application/json': { schema: { type: 'object', additionalProperties: false, properties: { size: { type: 'integer' } } } } } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      CreateRoomDto: {
+        type: 'object',
+        required: ['eventLocationId', 'name', 'displayName'],
+        properties: {
+          eventLocationId: { type: 'integer', format: 'int64' },
+          name: { type: 'string' },
+          displayName: { type: 'string' },
+          startsAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }
+};
+
+const createConfig = current => ({
+  apis: { current: { eventApi: { endpoints: { rooms: '/Events/{id}/rooms/', moderators: '/Events/{eventId}/Moderators' } } } },
+  dtos: { current },
+  apiSpecs: { event: spec }
+});
+
+describe('ContractCheckService', () => {
+  it('should report each kind of drift between config and spec', () => {
+    const report = new ContractCheckService(createConfig({
+      room: {
+        create: {
+          openApi: { api: 'event', method: 'POST', path: '/Events/{eventId}/Rooms' },
+          required: ['eventLocationId', 'name'],
+          optional: ['displayName', 'startsAt', 'capacity'],
+          validation: {
+            eventLocationId: { type: 'number' },
+            name: { type: 'string' },
+            startsAt: { type: 'datetime' }
+          }
+        },
+        update: { required: ['id'], optional: [] }
+      },
+      file: {
+        update: {
+          openApi: { api: 'event', method: 'PUT', path: '/Files/{fileType}' },
+          required: ['fileType', 'size', 'tags'],
+          validation: { fileType: { type: 'string', enum: ['Presentation'] }, size: { type: 'integer' } }
+        },
+        create: { openApi: { api: 'event', method: 'POST', path: '/Files' }, required: [] }
+      }
+    }), logger).check();
+
+    assert.strictEqual(report.drift, true);
+    assert.deepStrictEqual(report.checkedDtos, ['room.create', 'file.update']);
+    assert.deepStrictEqual(report.uncheckedDtos, ['room.update']);
+    assert.deepStrictEqual(report.summary, {
+      'endpoint-not-in-spec': 2,
+      'field-not-in-spec': 2,
+      'required-field-missing': 1,
+      'type-mismatch': 2
+    });
+
+    assert.deepStrictEqual(report.findings.map(finding => [finding.category, finding.source, finding.field, finding.detail]), [
+      ['endpoint-not-in-spec', 'api-endpoints.json current.eventApi.endpoints.moderators', undefined, '/Events/{eventId}/Moderators is not documented in the event API spec'],
+      ['type-mismatch', 'current-dtos.json room.create', 'eventLocationId', 'DTO expects number, the spec integer (int64)'],
+      ['field-not-in-spec', 'current-dtos.json room.create', 'capacity', 'capacity is not in the request schema - the API ignores it'],
+      ['required-field-missing', 'current-dtos.json room.create', 'displayName', 'the spec requires displayName, the DTO only lists it as optional'],
+      ['type-mismatch', 'current-dtos.json file.update', 'fileType', 'DTO expects string, the spec integer'],
+      ['field-not-in-spec', 'current-dtos.json file.update', 'tags', 'the API rejects tags (additionalProperties: false)'],
+      ['endpoint-not-in-spec', 'current-dtos.json file.create', undefined, 'POST /Files has no request body in the event API spec']
+    ]);
+  });
+
+  it('should find no field drift in the bundled room and session DTOs', () => {
+    const config = { apis: ConfigManager.loadApiEndpoints(), dtos: ConfigManager.loadDTOs(), apiSpecs: ConfigManager.loadApiSpecs() };
+    const report = new ContractCheckService(config, logger).check();
+
+    assert.ok(report.checkedDtos.includes('room.create') && report.checkedDtos.includes('session.create'));
+    assert.deepStrictEqual(report.findings.filter(finding => ['current-dtos.json room.create', 'current-dtos.json session.create'].includes(finding.source)), []);
+    assert.ok(report.findings.some(finding => finding.source === 'api-endpoints.json current.eventApi.endpoints.subSessions'));
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createHash } from 'node:crypto';
+import { Readable } from 'node:stream';
+import { FileService } from '../../src/services/FileService.js';
+import { MigrationService } from '../../src/services/MigrationService.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+import { CheckpointService } from '../../src/services/CheckpointService.js';
+import { MigrationResult } from '../../src/models/MigrationResult.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {}, fileOperation() {}, fileError() {} };
+
+const content = Buffer.from('legacy slide deck bytes');
+const sha256 = createHash('sha256').update(content).digest('hex');
+
+describe('FileService integrity', () => {
+  let workDir;
+  let fileService;
+  let uploads;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'integrity-test-'));
+    uploads = [];
+    fileService = new FileService({}, logger);
+    fileService.tempDir = workDir;
+    fileService.uploadToCurrentSystem = async (filePath, metadata) => {
+      uploads.push(metadata);
+      return { id: 'file-uuid', fileSizeInBytes: metadata.fileSizeBytes };
+    };
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should hash the file while it is downloaded', async () => {
+    const result = await fileService.uploadFile(Readable.from([content.subarray(0, 5), content.subarray(5)]), {
+      originalFileName: 'slides.pptx',
+      fileSizeBytes: content.length
+    });
+
+    assert.strictEqual(result.id, 'file-uuid');
+    assert.strictEqual(result.integrity.hash, sha256);
+    assert.strictEqual(result.integrity.sizeBytes, content.length);
+    assert.strictEqual(result.integrity.uploadedSizeBytes, content.length);
+    assert.deepStrictEqual(result.integrity.problems, []);
+    assert.deepStrictEqual(readdirSync(workDir), []);
+  });
+
+  it('should not upload a truncated download', async () => {
+    await assert.rejects(
+      fileService.uploadFile(Readable.from([content]), { originalFileName: 'slides.pptx', fileSizeBytes: content.length + 10 }),
+      /File size mismatch/
+    );
+
+    assert.strictEqual(uploads.length, 0);
+    assert.deepStrictEqual(readdirSync(workDir), []);
+  });
+
+  it('should fail when the Files API stores a different size', async () => {
+    fileService.uploadToCurrentSystem = async () => ({ id: 'file-uuid', fileSizeInBytes: 3 });
+
+    await assert.rejects(
+      fileService.uploadFile(Readable.from([content]), { originalFileName: 'slides.pptx' }),
+      /Files API stored 3 bytes/
+    );
+  });
+});
+
+describe('Uploaded file verification', () => {
+  const record = (currentFileId) => ({
+    legacyFileId: '5',
+    fileName: 'slides.pptx',
+    currentFileId,
+    algorithm: 'sha256',
+    hash: sha256,
+    sizeBytes: content.length,
+    verified: null,
+    problems: []
+  });
+
+  const createService = (listFiles) => {
+    const service = Object.create(MigrationService.prototype);
+    Object.assign(service, {
+      logger,
+      fileService: new FileService({}, logger),
+      currentClient: { getEventFiles: listFiles }
+    });
+    return service;
+  };
+
+  it('should check uploads against the event file listing', async () => {
+    const service = createService(async () => [
+      { id: 'file-1', fileSizeInBytes: content.length },
+      { id: 'file-2', fileSizeInBytes: 1 }
+    ]);
+    const errors = [];
+
+    const records = await service.verifyUploadedFiles([record('file-1'), record('file-2'), record('file-3')], 123, errors);
+
+    assert.deepStrictEqual(records.map(entry => entry.verified), [true, false, false]);
+    assert.match(records[1].problems[0], /lists 1 bytes/);
+    assert.match(records[2].problems[0], /not listed/);
+    assert.strictEqual(errors.length, 2);
+  });
+
+  it('should transform, upload and verify the files of a room', async () => {
+    const workDir = mkdtempSync(join(tmpdir(), 'integrity-test-'));
+    const uploads = [];
+    const fileService = Object.assign(new FileService({}, logger), {
+      tempDir: workDir,
+      uploadToCurrentSystem: async (filePath, metadata) => {
+        uploads.push({ ...metadata });
+        return { id: 'file-1', fileSizeInBytes: metadata.fileSizeBytes };
+      }
+    });
+    const service = createService(async eventId => [{ id: 'file-1', eventId, fileSizeInBytes: content.length }]);
+    const completed = new Map();
+    Object.assign(service, {
+      fileService,
+      validationService: new ValidationService({ dtos: ConfigManager.loadDTOs() }, logger),
+      legacyClient: { downloadFile: async () => Readable.from([content]) },
+      checkpointService: { skipIfCompleted: () => null, markCompleted: (entityType, key, details) => completed.set(`${entityType}:${key}`, details) },
+      mappingLedger: { record() {} }
+    });
+
+    try {
+      // Legacy file listings use the PascalCase fields of the legacy API
+      const result = await service.processFiles([{ FileId: '9001', FileName: 'slides.pptx', FileSize: content.length }], 'session-uuid', 123, { legacyEventName: 'TEST_EVENT' });
+
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(result.uploaded, 1);
+      assert.deepStrictEqual(result.integrity.map(entry => [entry.hash, entry.verified]), [[sha256, true]]);
+      assert.strictEqual(uploads[0].eventId, 123);
+      assert.strictEqual(uploads[0].sessionId, 'session-uuid');
+      assert.strictEqual(uploads[0].originalFileName, 'slides.pptx');
+      assert.deepStrictEqual(completed.get('file:9001'), { targetId: 'file-1', sha256, sizeBytes: content.length });
+    } finally {
+      rmSync(workDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should leave uploads unverified when the listing fails', async () => {
+    const service = createService(async () => { throw new Error('HTTP 405 error'); });
+    const errors = [];
+
+    const [entry] = await service.verifyUploadedFiles([record('file-1')], 123, errors);
+
+    assert.strictEqual(entry.verified, null);
+    assert.strictEqual(errors.length, 0);
+  });
+});
+
+describe('Run report', () => {
+  let runsDir;
+
+  beforeEach(() => {
+    runsDir = mkdtempSync(join(tmpdir(), 'integrity-report-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(runsDir, { recursive: true, force: true });
+  });
+
+  it('should write the report of a run with failed rooms, keeping their errors and file hashes', () => {
+    const checkpoint = new CheckpointService({ migration: { runsDir } }, logger);
+    checkpoint.start({ legacyEventName: 'TEST_EVENT', targetEventId: 123, roomName: null, skipFiles: false });
+    const migration = Object.assign(Object.create(MigrationService.prototype), { logger, checkpointService: checkpoint });
+    const result = new MigrationResult();
+
+    migration.aggregateRoomResults([
+      { index: 0, success: true, result: {
+        success: true,
+        errors: [{ context: 'Session processing: Keynote', error: 'Current event API Network Error: socket hang up', stack: 'Error: socket hang up' }],
+        fileIntegrity: [{ fileName: 'deck.pptx', sha256: 'abc123', verified: true }]
+      } },
+      { index: 1, success: false, error: new Error('Room API down') }
+    ], result);
+    migration.writeRunReport(result);
+
+    const report = JSON.parse(readFileSync(checkpoint.getReportPath(), 'utf8'));
+    assert.deepStrictEqual(report.errors.map(error => [error.context, error.message]), [
+      ['Session processing: Keynote', 'Current event API Network Error: socket hang up'],
+      ['Room processing', 'Room API down']
+    ]);
+    assert.strictEqual(report.errors[0].stack, 'Error: socket hang up');
+    assert.strictEqual(report.errorSummary.networkErrors, 1);
+    assert.deepStrictEqual(report.fileIntegrity, [{ fileName: 'deck.pptx', sha256: 'abc123', verified: true }]);
+  });
+});
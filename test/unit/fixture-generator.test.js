@@ -0,0 +1,126 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { FixtureGeneratorService } from '../../src/services/FixtureGeneratorService.js';
+import { SnapshotLegacySource } from '../../src/clients/SnapshotLegacySource.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { MockApiServer } from '../../src/mock/MockApiServer.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+import { Utils } from '../../src/utils/constants.js';
+
+const logger = new Proxy({}, { get: () => () => {} });
+
+const SMALL = { rooms: 4, sessionsPerRoom: 6, subSessionsPerSession: 2, users: 30, totalFileBytes: 256 * 1024, messyRate: 0.3 };
+
+const readStream = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe('FixtureGeneratorService', () => {
+  let workDir;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'fixture-generator-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should generate the same event for the same seed and spread the byte budget over the files', () => {
+    const generator = new FixtureGeneratorService({}, logger);
+    const fixture = generator.generate('BIGCONF', SMALL);
+
+    assert.deepStrictEqual(generator.generate('BIGCONF', SMALL).event, fixture.event);
+    assert.notDeepStrictEqual(generator.generate('BIGCONF', { ...SMALL, randomSeed: 2 }).event, fixture.event);
+
+    const { counts, event } = fixture;
+    assert.strictEqual(counts.rooms, 4);
+    assert.strictEqual(counts.sessions, 24);
+    assert.strictEqual(counts.subSessions, 48);
+    assert.strictEqual(event.users.length, 30);
+
+    const files = FixtureGeneratorService.listFiles(event);
+    assert.strictEqual(files.length, counts.files);
+    assert.strictEqual(files.reduce((sum, file) => sum + file.FileSize, 0), 256 * 1024);
+  });
+
+  it('should include the messy legacy shapes the transforms tolerate', async () => {
+    const { counts, event } = new FixtureGeneratorService({}, logger).generate('BIGCONF', SMALL);
+
+    for (const name of ['roomsWithoutRoomName', 'sessionsWithoutClientId', 'sessionsWithoutEnd', 'subSessionsWithoutClientId', 'subSessionsWithoutEnd', 'deletedWalkInFiles']) {
+      assert.ok(counts[name] > 0, `expected some ${name}`);
+    }
+
+    const deleted = event.sessions.filter(session => session.WalkInFile?.IsDeleted);
+    const listed = new Set(FixtureGeneratorService.listFiles(event).map(file => file.FileId));
+    assert.ok(deleted.every(session => !listed.has(session.WalkInFile.WalkInFileId)));
+
+    const validationService = new ValidationService({ dtos: ConfigManager.loadDTOs() }, logger);
+    const room = event.rooms.find(candidate => !candidate.RoomName);
+    assert.strictEqual((await validationService.transformLegacyRoom(room, 456)).name, room.name);
+
+    const session = event.sessions.find(candidate => !candidate.ClientSessionId);
+    assert.strictEqual((await validationService.transformLegacySession(session, 'room-1', 456)).sourceSystemId, session.SessionId);
+  });
+
+  it('should write a snapshot the snapshot source can migrate from', async () => {
+    const generator = new FixtureGeneratorService({}, logger);
+    const fixture = generator.generate('BIGCONF', SMALL);
+    const snapshotDir = join(workDir, 'snapshot');
+
+    const manifest = await generator.writeSnapshot(snapshotDir, fixture);
+    assert.strictEqual(manifest.counts.sessions, 24);
+    assert.strictEqual(manifest.counts.binaries, fixture.counts.files);
+    assert.strictEqual(manifest.counts.binaryBytes, 256 * 1024);
+    assert.strictEqual(manifest.generated.randomSeed, 1);
+
+    const source = new SnapshotLegacySource(snapshotDir, logger);
+    assert.strictEqual(await source.testConnection(), true);
+
+    const rooms = await source.getRooms('BIGCONF');
+    const files = await source.getFiles('BIGCONF', rooms[0].RoomName || rooms[0].name);
+    assert.ok(files.length > 0);
+
+    const content = await readStream(await source.downloadFile('BIGCONF', files[0].FileId));
+    assert.strictEqual(content.length, files[0].FileSize);
+    assert.ok(content.toString().startsWith(`legacy fixture file ${files[0].FileId}\n`.slice(0, files[0].FileSize)));
+
+    await assert.rejects(generator.writeSnapshot(snapshotDir, fixture), /already contains a snapshot/);
+  });
+
+  it('should write mock server seed data whose files download at their listed size', async () => {
+    const generator = new FixtureGeneratorService({}, logger);
+    const fixture = generator.generate('BIGCONF', { ...SMALL, targetEventId: 2002 });
+    const seedPath = generator.writeMockSeed(workDir, fixture);
+
+    const server = new MockApiServer({ seedPath }, logger);
+    const baseUrl = await server.start(0);
+
+    try {
+      const headers = { Authorization: 'Bearer mock' };
+      assert.deepStrictEqual(server.currentEvents.map(event => event.id), [2002]);
+
+      const messyRoom = fixture.event.rooms.find(room => !room.RoomName);
+      const response = await fetch(`${baseUrl}/legacy/v2/events/BIGCONF/rooms/${encodeURIComponent(messyRoom.name)}/files`, { headers });
+      assert.strictEqual(response.status, 200);
+
+      const [file] = await response.json();
+      const download = await fetch(`${baseUrl}/legacy/v2/events/BIGCONF/files/${file.FileId}/download`, { headers });
+      assert.strictEqual(Buffer.from(await download.arrayBuffer()).length, file.FileSize);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  it('should parse human readable sizes', () => {
+    assert.strictEqual(Utils.parseBytes('2048'), 2048);
+    assert.strictEqual(Utils.parseBytes('500MB'), 500 * 1024 * 1024);
+    assert.strictEqual(Utils.parseBytes('10 gb'), 10 * 1024 ** 3);
+    assert.throws(() => Utils.parseBytes('lots'), /Invalid size "lots"/);
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { MappingEngine } from '../../src/utils/MappingEngine.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+import { CurrentSystemApiClient } from '../../src/clients/CurrentSystemApiClient.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+describe('MappingEngine', () => {
+  const converters = { upper: value => String(value).toUpperCase() };
+
+  it('should map fields through aliases, defaults, types and converters', () => {
+    const engine = new MappingEngine({
+      talk: {
+        mappings: {
+          talkId: 'id',
+          talkTitle: { to: ['name', 'displayName'], aliases: ['title'] },
+          displayName: 'displayName',
+          code: { to: 'code', converter: 'upper' },
+          slot: { to: 'order', aliases: ['position'], default: 1, type: 'integer' },
+          recorded: { to: 'isRecorded', type: 'boolean' },
+          notes: { to: 'description', default: null }
+        }
+      }
+    }, converters);
+
+    assert.deepStrictEqual(engine.map('talk', {
+      TalkId: 7,
+      title: 'Keynote',
+      DisplayName: 'Ignored - talkTitle already set it',
+      code: 'k1',
+      Position: ' 3 ',
+      recorded: 'Yes',
+      notes: ''
+    }), { id: 7, name: 'Keynote', displayName: 'Keynote', code: 'K1', order: 3, isRecorded: true, description: null });
+
+    assert.deepStrictEqual(engine.map('talk', { talkTitle: 'Panel', slot: 'first' }, { fields: ['name', 'order'] }), { name: 'Panel', order: 'first' });
+  });
+
+  it('should reject unknown entity types, converters and types', () => {
+    assert.throws(() => new MappingEngine({}).map('talk', {}), /No legacy mappings configured for talk/);
+    assert.throws(() => new MappingEngine({ talk: { mappings: { start: { to: 'startsAt', converter: 'nope' } } } }).map('talk', {}),
+      /Unknown converter "nope" in the talk mapping of start/);
+    assert.throws(() => new MappingEngine({ talk: { mappings: { slot: { to: 'order', type: 'int' } } } }).map('talk', {}),
+      /Unknown type "int" in the talk mapping of slot/);
+    assert.throws(() => new MappingEngine({ talk: { mappings: { slot: {} } } }).map('talk', {}), /"slot" has no target field/);
+  });
+
+  it('should let a config-only mapping change carry a new field through the transforms', async () => {
+    const dtos = ConfigManager.loadDTOs();
+    dtos.legacy.session.mappings.sessionType = { to: 'sessionTypeId', aliases: ['typeId'], type: 'string' };
+    const validationService = new ValidationService({ dtos }, logger);
+
+    const session = await validationService.transformLegacySession({
+      SessionId: 4711,
+      Title: 'Opening',
+      TypeId: ' 0b7e6f52-3f5c-4d7a-9a51-8c1b2e3d4f60 ',
+      StartTime: '2025-03-10T09:00:00+01:00',
+      SessionEnd: '2025-03-10T10:00:00Z',
+      EventRoom: 'legacy-room'
+    }, 'room-1', 456);
+
+    assert.deepStrictEqual(session, {
+      eventId: 456,
+      roomId: 'room-1',
+      sourceSystemId: '4711',
+      name: 'Opening',
+      description: null,
+      startsAt: '2025-03-10T08:00:00.000Z',
+      endsAt: '2025-03-10T10:00:00.000Z',
+      sessionTypeId: '0b7e6f52-3f5c-4d7a-9a51-8c1b2e3d4f60'
+    });
+
+    const user = await validationService.transformLegacyUser({ id: 9, email: 'ada@example.com', firstName: 'Ada', lastName: 'L', company: 'Engines Ltd', phone: '555' }, 456);
+    assert.deepStrictEqual(user, {
+      userName: 'ada@example.com',
+      email: 'ada@example.com',
+      firstName: 'Ada',
+      lastName: 'L',
+      organization: 'Engines Ltd',
+      phoneNumber: '555',
+      eventId: 456
+    });
+  });
+
+  it('should carry session tracks, tags, type and custom fields, with client overrides renaming custom slots', async () => {
+    const validationService = new ValidationService({ dtos: ConfigManager.loadDTOs() }, logger);
+    const legacySession = {
+      SessionId: 'S1',
+      SessionName: 'Opening',
+      SessionStart: '2025-03-10T09:00:00Z',
+      SessionEnd: '2025-03-10T10:00:00Z',
+      SessionType: 'Keynote',
+      SessionTrack: 'Pharmacy',
+      Keywords: 'retail; policy, retail',
+      SessionCustom1: '1.5',
+      SessionCustom3: 'Sponsor A',
+      IsArs: 'true',
+      FeaturedSession: 0,
+      SessionSurveyLink: 'https://survey.example.com/s1'
+    };
+
+    const session = await validationService.transformLegacySession(legacySession, 'room-1', 456);
+    assert.deepStrictEqual(session.sessionTracks, ['Pharmacy']);
+    assert.deepStrictEqual(session.sessionTags, ['retail', 'policy']);
+    assert.strictEqual(session.sessionTypeId, undefined);
+    assert.deepStrictEqual(session.metadata, {
+      isArs: true,
+      sessionType: 'Keynote',
+      sessionCustom1: '1.5',
+      sessionCustom3: 'Sponsor A',
+      sessionSurveyLink: 'https://survey.example.com/s1',
+      featuredSession: false
+    });
+
+    validationService.setMappingOverrides({
+      session: {
+        mappings: { sessionCustom1: { to: 'metadata.ceCredits', type: 'number' }, sessionCustom3: 'metadata.sponsor' },
+        sessionTypes: { Keynote: '0b7e6f52-3f5c-4d7a-9a51-8c1b2e3d4f60' }
+      }
+    });
+    const renamed = await validationService.transformLegacySession(legacySession, 'room-1', 456);
+    assert.strictEqual(renamed.sessionTypeId, '0b7e6f52-3f5c-4d7a-9a51-8c1b2e3d4f60');
+    assert.strictEqual(renamed.metadata.ceCredits, 1.5);
+    assert.strictEqual(renamed.metadata.sponsor, 'Sponsor A');
+    assert.strictEqual('sessionCustom1' in renamed.metadata, false);
+
+    assert.throws(() => validationService.setMappingOverrides({ talk: { mappings: {} } }), /unknown entity type "talk"/);
+  });
+
+  it('should send session tracks and tags in an update after the create, and metadata never', async () => {
+    const requests = [];
+    const client = Object.assign(Object.create(CurrentSystemApiClient.prototype), {
+      logger,
+      recordMutation() {},
+      eventApiRequest: async (method, endpointKey, data, params) => {
+        requests.push([method, endpointKey, data, params]);
+        return { id: 'session-1' };
+      }
+    });
+
+    await client.createOrUpdateSession({
+      eventId: 456, roomId: 'room-1', sourceSystemId: 'S1', name: 'Opening', sessionTracks: ['Pharmacy'], metadata: { sessionCustom1: '1.5' }
+    });
+    await client.createOrUpdateSession({ eventId: 456, roomId: 'room-1', sourceSystemId: 'S2', name: 'Closing', metadata: { isArs: true } });
+
+    assert.deepStrictEqual(requests, [
+      ['POST', 'sessions', { eventId: 456, roomId: 'room-1', sourceSystemId: 'S1', name: 'Opening' }, { eventId: 456 }],
+      ['PUT', 'sessionById', { id: 'session-1', sessionTracks: ['Pharmacy'] }, { eventId: 456, sessionId: 'session-1' }],
+      ['POST', 'sessions', { eventId: 456, roomId: 'room-1', sourceSystemId: 'S2', name: 'Closing' }, { eventId: 456 }]
+    ]);
+  });
+
+  it('should derive MIME types with the mimeType converter', () => {
+    const validationService = new ValidationService({
+      dtos: { legacy: { walkInFile: { mappings: { fileName: { to: 'mimeType', converter: 'mimeType' } } } }, current: {} }
+    }, logger);
+
+    assert.deepStrictEqual(validationService.mappingEngine.map('walkInFile', { FileName: 'Deck.PPTX' }), {
+      mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    });
+  });
+
+  it('should map moderators and files with their legacy-dtos.json entries', async () => {
+    const validationService = new ValidationService({ dtos: ConfigManager.loadDTOs() }, logger);
+    const userId = '6f1c2b3a-4d5e-4f60-8a7b-9c0d1e2f3a4b';
+    const roomId = '0b7e6f52-3f5c-4d7a-9a51-8c1b2e3d4f60';
+
+    const moderator = await validationService.transformLegacyModerator({ id: 12, email: 'host@example.com', role: 'host', permissions: 'moderate; present' }, userId, roomId, 456);
+    assert.deepStrictEqual(moderator, {
+      legacyId: 12,
+      role: 'moderator',
+      permissions: ['moderate', 'present'],
+      eventId: 456,
+      userId,
+      roomId,
+      tags: ['role:host']
+    });
+
+    const file = await validationService.transformLegacyFile({ FileId: 9001, FileName: 'Deck.PPTX', FileSize: '2048', fileType: 'walkin', custom1: 'Slides' }, roomId, 456);
+    assert.deepStrictEqual(file, {
+      legacyId: '9001',
+      originalFileName: 'Deck.PPTX',
+      fileSizeBytes: 2048,
+      mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      description: null,
+      metadata: { category: 'Slides' },
+      eventId: 456,
+      tags: ['Slides'],
+      sessionId: roomId
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { MappingLedgerService } from '../../src/services/MappingLedgerService.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+describe('MappingLedgerService', () => {
+  let ledgerDir;
+  let ledger;
+
+  const mapping = (overrides = {}) => ({
+    runId: 'run-1',
+    legacyEventName: 'TEST_EVENT',
+    targetEventId: 123,
+    entityType: 'session',
+    legacyId: 4711,
+    sourceSystemId: 'CS-4711',
+    currentId: 'session-uuid-1',
+    name: 'Opening Keynote',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    ledgerDir = mkdtempSync(join(tmpdir(), 'ledger-test-'));
+    ledger = new MappingLedgerService({ migration: { ledgerPath: join(ledgerDir, 'nested', 'ledger.jsonl') } }, logger);
+  });
+
+  afterEach(() => {
+    rmSync(ledgerDir, { recursive: true, force: true });
+  });
+
+  describe('record', () => {
+    it('should persist mappings with string IDs', () => {
+      ledger.record(mapping());
+
+      const [record] = ledger.readAll();
+      assert.strictEqual(record.legacyId, '4711');
+      assert.strictEqual(record.currentId, 'session-uuid-1');
+      assert.ok(record.recordedAt);
+    });
+
+    it('should skip placeholder and missing current IDs', () => {
+      ledger.record(mapping({ currentId: 'existing-CS-4711', placeholder: true }));
+      ledger.record(mapping({ currentId: undefined }));
+
+      assert.strictEqual(ledger.readAll().length, 0);
+      assert.strictEqual(ledger.statistics.skipped, 2);
+    });
+  });
+
+  describe('query', () => {
+    it('should return only the latest mapping per entity by default', () => {
+      ledger.record(mapping({ runId: 'run-1', currentId: 'session-uuid-1' }));
+      ledger.record(mapping({ runId: 'run-2', currentId: 'session-uuid-2' }));
+
+      const latest = ledger.query({ legacyId: '4711' });
+      assert.strictEqual(latest.length, 1);
+      assert.strictEqual(latest[0].currentId, 'session-uuid-2');
+
+      assert.strictEqual(ledger.query({ legacyId: '4711' }, { history: true }).length, 2);
+    });
+
+    it('should match by source system ID and filter by type', () => {
+      ledger.record(mapping());
+      ledger.record(mapping({ entityType: 'room', legacyId: 7, sourceSystemId: null, currentId: 'room-uuid' }));
+
+      assert.strictEqual(ledger.query({ legacyId: 'CS-4711' })[0].currentId, 'session-uuid-1');
+      assert.strictEqual(ledger.query({ entityType: 'room' }).length, 1);
+      assert.strictEqual(ledger.query({ targetEventId: '999' }).length, 0);
+    });
+  });
+
+  describe('export', () => {
+    it('should quote CSV values containing separators', () => {
+      ledger.record(mapping({ name: 'Keynote, "Day 1"' }));
+
+      const csv = ledger.export(ledger.readAll(), 'csv').trim().split('\n');
+      assert.strictEqual(csv[0], 'recordedAt,runId,legacyEventName,targetEventId,entityType,legacyId,sourceSystemId,currentId,name,status');
+      assert.ok(csv[1].endsWith(',"Keynote, ""Day 1""",active'));
+    });
+
+    it('should reject unknown formats', () => {
+      assert.throws(() => ledger.export([], 'xml'), /Unsupported ledger export format/);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { Readable } from 'node:stream';
+import { NdjsonExportSink } from '../../src/clients/NdjsonExportSink.js';
+import { FileService } from '../../src/services/FileService.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { MigrationService } from '../../src/services/MigrationService.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+
+// MigrationService logs through many helpers (sessionStart, subSessionEnd, ...) - accept them all
+const logger = new Proxy({}, { get: () => () => {} });
+
+const readLines = (dir, fileName) => readFileSync(join(dir, fileName), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+describe('NdjsonExportSink', () => {
+  let exportDir;
+
+  beforeEach(() => {
+    exportDir = mkdtempSync(join(tmpdir(), 'ndjson-export-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(exportDir, { recursive: true, force: true });
+  });
+
+  const createService = () => {
+    const sink = new NdjsonExportSink(exportDir, logger);
+    const fileService = new FileService({}, logger);
+    fileService.tempDir = exportDir;
+    fileService.setDestination(sink);
+
+    const service = Object.create(MigrationService.prototype);
+    Object.assign(service, {
+      logger,
+      exportSink: sink,
+      currentClient: sink,
+      fileService,
+      validationService: new ValidationService({ dtos: ConfigManager.loadDTOs() }, logger),
+      checkpointService: { skipIfCompleted: () => false, markCompleted() {} },
+      mappingLedger: { record: () => assert.fail('exports must not be recorded in the ledger') }
+    });
+    return service;
+  };
+
+  it('should write the validated payloads with export IDs linking children to parents', async () => {
+    const service = createService();
+    const sessions = [{
+      SessionId: 'S1',
+      SessionName: 'Keynote',
+      SessionStart: '2025-03-10T09:00:00Z',
+      SessionEnd: '2025-03-10T10:00:00Z',
+      SubSessions: [{ SubSessionId: 'S1-1', SubSessionName: 'Welcome', StartTime: '2025-03-10T09:00:00Z', EndTime: '2025-03-10T09:15:00Z' }]
+    }];
+
+    const room = await service.currentClient.createOrUpdateRoom(await service.validationService.transformLegacyRoom({ RoomId: 7, RoomName: 'Main Hall' }, 456, 456));
+    const result = await service.processSessions(sessions, room.id, 456, {});
+
+    assert.strictEqual(result.created, 1);
+    assert.deepStrictEqual(readLines(exportDir, 'rooms.ndjson'), [{
+      id: 'room-1',
+      payload: { eventLocationId: 456, name: 'Main Hall', displayName: 'Main Hall', eventId: 456, legacyId: 7 }
+    }]);
+
+    const [session] = readLines(exportDir, 'sessions.ndjson');
+    assert.deepStrictEqual(session.payload, {
+      eventId: 456,
+      roomId: 'room-1',
+      sourceSystemId: 'S1',
+      name: 'Keynote',
+      description: null,
+      startsAt: '2025-03-10T09:00:00.000Z',
+      endsAt: '2025-03-10T10:00:00.000Z'
+    });
+
+    const [subSession] = readLines(exportDir, 'subSessions.ndjson');
+    assert.strictEqual(subSession.payload.sessionId, session.id);
+    assert.strictEqual(subSession.payload.name, 'Welcome');
+  });
+
+  it('should copy file binaries next to the NDJSON files instead of uploading them', async () => {
+    const service = createService();
+    const content = Buffer.from('slide deck bytes');
+
+    const result = await service.fileService.uploadFile(Readable.from([content]), {
+      originalFileName: 'slides.pptx',
+      sessionId: 'session-1',
+      eventId: 456,
+      fileSizeBytes: content.length
+    });
+
+    const [line] = readLines(exportDir, 'files.ndjson');
+    assert.strictEqual(result.id, 'file-1');
+    assert.strictEqual(line.kind, 'sessionFile');
+    assert.strictEqual(line.payload.originalFileName, 'slides.pptx');
+    assert.strictEqual(readFileSync(join(exportDir, line.binary), 'utf8'), 'slide deck bytes');
+    assert.deepStrictEqual(await service.currentClient.getEventFiles(456), [{ id: 'file-1', fileSizeInBytes: content.length }]);
+
+    const summary = service.exportSink.finish({ legacyEventName: 'TEST_EVENT', targetEventId: 456 });
+    assert.strictEqual(summary.counts.file, 1);
+    assert.strictEqual(JSON.parse(readFileSync(join(exportDir, 'export.json'), 'utf8')).counts.file, 1);
+  });
+
+  it('should write session tracks and tags as an update line and keep metadata out of the payloads', async () => {
+    const service = createService();
+    const sessionData = await service.validationService.transformLegacySession({
+      SessionId: 'S2',
+      SessionName: 'Workshop',
+      SessionStart: '2025-03-10T13:00:00Z',
+      SessionEnd: '2025-03-10T14:00:00Z',
+      sessionTrack: 'AI; Data',
+      keywords: 'hands-on',
+      sessionCustom1: 'Room setup: classroom'
+    }, 'room-1', 456);
+    assert.strictEqual(sessionData.metadata.sessionCustom1, 'Room setup: classroom');
+
+    const first = await service.currentClient.createOrUpdateSession(sessionData);
+    const second = await new NdjsonExportSink(exportDir, logger).createOrUpdateSession({ ...sessionData, sourceSystemId: 'S3' });
+
+    const lines = readLines(exportDir, 'sessions.ndjson');
+    assert.deepStrictEqual(lines.map(line => [line.id, line.operation]), [['session-1', undefined], ['session-1', 'update'], ['session-2', undefined], ['session-2', 'update']]);
+    assert.strictEqual(first.id, 'session-1');
+    assert.strictEqual(second.id, 'session-2');
+    assert.ok(lines.every(line => !('metadata' in line.payload)));
+    assert.ok(!('sessionTracks' in lines[0].payload) && !('sessionTags' in lines[0].payload));
+    assert.deepStrictEqual(lines[1].payload, { id: 'session-1', sessionTracks: ['AI', 'Data'], sessionTags: ['hands-on'] });
+  });
+
+  it('should continue export IDs after an earlier run in the same directory', async () => {
+    await new NdjsonExportSink(exportDir, logger).createUser({ email: 'a@example.com' });
+    const user = await new NdjsonExportSink(exportDir, logger).createUser({ email: 'b@example.com' });
+
+    assert.strictEqual(user.id, 'user-2');
+    assert.deepStrictEqual(readLines(exportDir, 'users.ndjson').map(line => line.id), ['user-1', 'user-2']);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { OpenApiValidator } from '../../src/utils/OpenApiValidator.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+describe('OpenApiValidator', () => {
+  const validator = new OpenApiValidator(ConfigManager.loadApiSpecs());
+
+  it('should accept payloads that match the bundled request schemas', () => {
+    const room = validator.validateRequest('event', 'POST', '/Events/{eventId}/Rooms', { eventLocationId: 51, name: 'Main Hall', displayName: 'Main Hall' });
+    assert.deepStrictEqual(room, { documented: true, errors: [] });
+
+    const session = validator.validateRequest('event', 'POST', '/Events/{eventId}/Sessions', {
+      eventId: 1001,
+      roomId: 'c0ffee00-0000-4000-8000-000000000001',
+      sourceSystemId: 'S1',
+      name: 'Keynote',
+      description: null,
+      startsAt: '2025-03-10T09:00:00.000Z',
+      endsAt: '2025-03-10T10:00:00.000Z'
+    });
+    assert.deepStrictEqual(session.errors, []);
+  });
+
+  it('should report every mismatch with a JSON-pointer path', () => {
+    const { errors } = validator.validateRequest('event', 'POST', '/Events/{eventId}/Sessions', {
+      eventId: '1001',
+      roomId: 'room-1',
+      name: 'x'.repeat(351),
+      startsAt: '10/03/2025 09:00',
+      endsAt: null
+    });
+
+    assert.deepStrictEqual(errors, [
+      { path: '/sourceSystemId', message: 'is required' },
+      { path: '/eventId', message: 'must be an integer' },
+      { path: '/roomId', message: 'must be a valid uuid' },
+      { path: '/name', message: 'must be at most 350 characters' },
+      { path: '/startsAt', message: 'must be a valid date-time' },
+      { path: '/endsAt', message: 'must not be null' }
+    ]);
+    assert.strictEqual(OpenApiValidator.formatErrors(errors.slice(0, 2)), '/sourceSystemId is required, /eventId must be an integer');
+  });
+
+  it('should resolve references, check array items and reject undeclared properties', () => {
+    const { errors } = validator.validateRequest('auth', 'POST', '/Auth/Events/{eventId}/adduserrole', {
+      userName: 'ada@example.com',
+      roles: ['Presenter', 7],
+      eventId: 1001
+    });
+
+    assert.deepStrictEqual(errors, [
+      { path: '/roles/1', message: 'must be a string' },
+      { path: '/eventId', message: 'is not allowed' }
+    ]);
+  });
+
+  it('should escape property names in paths and skip ignored formats', () => {
+    const specs = {
+      test: {
+        paths: { '/things': { post: { requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Thing' } } } } } } },
+        components: { schemas: { Thing: { type: 'object', properties: { 'a/b': { type: 'integer', format: 'int32' }, id: { type: 'string', format: 'uuid' } } } } }
+      }
+    };
+    const custom = new OpenApiValidator(specs);
+
+    assert.deepStrictEqual(custom.validateRequest('test', 'POST', '/things', { 'a/b': 2 ** 40, id: 'x' }, { ignoreFormats: ['uuid'] }).errors, [
+      { path: '/a~1b', message: 'must fit in int32' }
+    ]);
+    assert.deepStrictEqual(custom.validateRequest('test', 'GET', '/things', {}), { documented: false, errors: [] });
+  });
+
+  it('should catch payloads the DTO configuration allows but the API contract rejects', async () => {
+    const dtos = ConfigManager.loadDTOs();
+    delete dtos.current.room.create.validation.name.maxLength;
+    const validationService = new ValidationService({ dtos }, logger);
+
+    await assert.rejects(
+      validationService.transformLegacyRoom({ RoomId: 7, RoomName: 'R'.repeat(120) }, 1001, 51),
+      /Validation failed for room against event API POST \/Events\/\{eventId\}\/Rooms: \/name must be at most 100 characters/
+    );
+
+    dtos.current.room.create.openApi.path = '/Events/{eventId}/Halls';
+    await assert.rejects(
+      validationService.transformLegacyRoom({ RoomId: 7, RoomName: 'Main Hall' }, 1001, 51),
+      /event API spec does not document a request body for POST \/Events\/\{eventId\}\/Halls/
+    );
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { PlanFileService } from '../../src/services/PlanFileService.js';
+import { ChangePlanService } from '../../src/services/ChangePlanService.js';
+import { MigrationService } from '../../src/services/MigrationService.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {}, migrationStart() {}, migrationEnd() {} };
+
+const changePlan = {
+  legacyEventName: 'TEST_EVENT',
+  targetEventId: 123,
+  createdAt: '2025-03-01T08:00:00.000Z',
+  warnings: [],
+  summary: { total: { create: 2, update: 1, unchanged: 1, invalid: 1 }, byType: {} },
+  targetFingerprint: { algorithm: 'sha256', hash: 'abc', counts: { rooms: 0 } },
+  entries: [
+    { entityType: 'room', legacyId: '7', name: 'Main Hall', action: 'create', targetId: null, changes: [], payload: { name: 'Main Hall', eventId: 123 } },
+    { entityType: 'session', legacyId: '1', name: 'Keynote', action: 'create', targetId: null, changes: [], payload: { roomId: 'planned:room:7', eventId: 123 } },
+    {
+      entityType: 'subSession',
+      legacyId: '5',
+      name: 'Part 1',
+      action: 'update',
+      targetId: 'sub-uuid',
+      changes: [{ field: 'name', from: 'Old', to: 'Part 1' }],
+      payload: { sessionId: 'session-uuid', sourceSystemId: 'CSS-5', name: 'Part 1', order: 1 },
+      before: { id: 'sub-uuid', name: 'Old' }
+    },
+    { entityType: 'session', legacyId: '2', name: 'Same', action: 'unchanged', targetId: 'session-uuid', changes: [], payload: {} },
+    { entityType: 'user', legacyId: '9', name: 'x@example.com', action: 'invalid', errors: ['userName is required'], changes: [], payload: null }
+  ]
+};
+
+describe('PlanFileService', () => {
+  let workDir;
+  let planFileService;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'plan-test-'));
+    planFileService = new PlanFileService({}, logger);
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should list endpoint keys and payloads for creates and updates only', () => {
+    const planFile = planFileService.createPlanFile(changePlan, { roomName: null, skipFiles: true }, '1.0.0');
+
+    assert.deepStrictEqual(
+      planFile.operations.map(operation => `${operation.method} ${operation.endpointKey}`),
+      ['POST rooms', 'POST sessions', 'PUT subSessionById']
+    );
+    assert.deepStrictEqual(planFile.operations[2].params, { eventId: 123, subSessionId: 'sub-uuid' });
+    // Subsession updates only send the updatable fields
+    assert.deepStrictEqual(planFile.operations[2].payload, { name: 'Part 1', order: 1 });
+    assert.strictEqual(planFile.rejected.length, 1);
+  });
+
+  it('should round-trip through a file and reject other versions', () => {
+    const planPath = join(workDir, 'nested', 'plan.json');
+    planFileService.write(planFileService.createPlanFile(changePlan, {}), planPath);
+
+    assert.strictEqual(planFileService.read(planPath).operations.length, 3);
+
+    writeFileSync(planPath, JSON.stringify({ kind: 'legacy-migration-plan', version: 99 }));
+    assert.throws(() => planFileService.read(planPath), /version 99 is not supported/);
+  });
+});
+
+describe('Plan apply', () => {
+  const createService = (currentHash) => {
+    const requests = [];
+    const service = Object.create(MigrationService.prototype);
+
+    Object.assign(service, {
+      logger,
+      validateEnvironment: async () => {},
+      changePlanService: { fingerprintTarget: async () => ({ hash: currentHash, counts: { rooms: 1 } }) },
+      checkpointService: { start: () => 'run-1', markStatus() {} },
+      currentClient: {
+        setMutationRecorder() {},
+        recordMutation() {},
+        addUserRoles: async (eventId, roleData) => requests.push({ method: 'POST', endpointKey: 'addUserRole', payload: roleData, params: { eventId } }),
+        eventApiRequest: async (method, endpointKey, payload, params) => {
+          requests.push({ method, endpointKey, payload, params });
+          return { id: `${endpointKey}-uuid` };
+        }
+      },
+      fileService: { setMutationRecorder() {} },
+      mappingLedger: { record() {} },
+      progressTracker: { startOperation() {}, updateProgress() {}, completeOperation() {} }
+    });
+
+    return { service, requests };
+  };
+
+  const planFile = () => new PlanFileService({}, logger).createPlanFile(changePlan, {});
+
+  it('should refuse to apply when the target event changed', async () => {
+    const { service, requests } = createService('different');
+
+    const result = await service.applyPlan(planFile());
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.errors[0].message, /has changed since the plan was created/);
+    assert.strictEqual(requests.length, 0);
+  });
+
+  it('should send the planned requests and resolve references to new parents', async () => {
+    const { service, requests } = createService('abc');
+
+    const result = await service.applyPlan(planFile());
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.runId, 'run-1');
+    assert.strictEqual(requests.length, 3);
+    assert.strictEqual(requests[1].payload.roomId, 'rooms-uuid');
+  });
+
+  it('should create presenter users, grant their role and link them to their subsessions', async () => {
+    const { service, requests } = createService('abc');
+    const ledger = [];
+    service.mappingLedger = { record: mapping => ledger.push(mapping) };
+
+    const result = await service.applyPlan(new PlanFileService({}, logger).createPlanFile({
+      ...changePlan,
+      entries: [
+        { entityType: 'user', legacyId: 'ada@example.com', name: 'ada@example.com', action: 'create', targetId: null, changes: [], payload: { email: 'ada@example.com', userName: 'ada@example.com', eventId: 123 } },
+        { entityType: 'userRole', legacyId: 'ada@example.com', name: 'ada@example.com', action: 'create', targetId: null, changes: [], payload: { userName: 'ada@example.com', roles: ['Presenter'] } },
+        { entityType: 'presenter', legacyId: '5:ada@example.com', name: 'ada@example.com', action: 'create', targetId: null, changes: [], payload: { eventId: 123, userId: 'planned:user:ada@example.com', subSessionId: 'sub-uuid' } }
+      ]
+    }, {}));
+
+    assert.strictEqual(result.success, true, JSON.stringify(result.errors));
+    assert.deepStrictEqual(requests.map(request => `${request.method} ${request.endpointKey}`), ['POST users', 'POST addUserRole', 'POST presenters']);
+    assert.deepStrictEqual(requests[2].payload, { eventId: 123, userId: 'users-uuid', subSessionId: 'sub-uuid' });
+    assert.deepStrictEqual(ledger.map(mapping => mapping.entityType), ['user', 'presenter']);
+    assert.deepStrictEqual(ledger[1].metadata, { userId: 'users-uuid', subSessionId: 'sub-uuid' });
+  });
+});
+
+describe('ChangePlanService.fingerprint', () => {
+  it('should not depend on entity or key order', () => {
+    const first = ChangePlanService.fingerprint({ rooms: [{ id: 1, name: 'A' }, { name: 'B', id: 2 }] });
+    const second = ChangePlanService.fingerprint({ rooms: [{ id: 2, name: 'B' }, { name: 'A', id: 1 }] });
+    const changed = ChangePlanService.fingerprint({ rooms: [{ id: 2, name: 'B' }, { name: 'A2', id: 1 }] });
+
+    assert.strictEqual(first.hash, second.hash);
+    assert.notStrictEqual(first.hash, changed.hash);
+  });
+});
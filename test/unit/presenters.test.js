@@ -0,0 +1,85 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { MigrationService } from '../../src/services/MigrationService.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+
+const logger = new Proxy({}, { get: () => () => {} });
+
+const presenter = (email, firstName = 'Ada') => ({ email, firstName, lastName: 'Lovelace' });
+
+const subSession = (id, presenters) => ({
+  SubSessionId: id,
+  SubSessionName: `Part ${id}`,
+  StartTime: '2025-03-10T09:00:00Z',
+  EndTime: '2025-03-10T09:30:00Z',
+  SubSessionOrder: 1,
+  Presenters: presenters
+});
+
+describe('Subsession presenters', () => {
+  let migration;
+  let requests;
+  let completed;
+
+  beforeEach(() => {
+    requests = [];
+    completed = new Map();
+    migration = Object.assign(Object.create(MigrationService.prototype), {
+      logger,
+      validationService: new ValidationService({ dtos: ConfigManager.loadDTOs() }, logger),
+      currentClient: {
+        createOrUpdateSubSession: async payload => ({ id: `current-${payload.sourceSystemId}` }),
+        createUser: async payload => { requests.push(['user', payload.email]); return { id: `user-${requests.length}` }; },
+        addUserRoles: async (eventId, roleData) => { requests.push(['roles', roleData.userName, ...roleData.roles]); },
+        createPresenter: async payload => { requests.push(['presenter', payload.userId, payload.subSessionId]); return { id: `presenter-${requests.length}` }; }
+      },
+      checkpointService: {
+        skipIfCompleted: (entityType, key) => completed.get(`${entityType}:${key}`) || null,
+        markCompleted: (entityType, key, details) => completed.set(`${entityType}:${key}`, details)
+      },
+      mappingLedger: { record() {} },
+      usersByEmail: new Map(),
+      presenterRoles: new Map()
+    });
+  });
+
+  it('should create a presenter of several subsessions once and link every subsession', async () => {
+    const result = await migration.processSubSessions([
+      subSession('SS1', [presenter('ada@example.com')]),
+      subSession('SS2', [presenter('ADA@example.com'), { name: 'Charles Babbage' }])
+    ], 'session-1', 456, { legacyEventName: 'NACDS' });
+
+    assert.strictEqual(result.created, 2);
+    assert.strictEqual(result.presenters, 2);
+    assert.deepStrictEqual(requests, [
+      ['user', 'ada@example.com'],
+      ['roles', 'ada@example.com', 'Presenter'],
+      ['presenter', 'user-1', 'current-SS1'],
+      ['presenter', 'user-1', 'current-SS2']
+    ]);
+    assert.deepStrictEqual(result.errors.map(error => [error.context, error.error]), [
+      ['Presenter processing: no email (subsession SS2)', 'Presenter {"name":"Charles Babbage"} has no email']
+    ]);
+  });
+
+  it('should retry the presenters of a migrated subsession on resume without linking them twice', async () => {
+    migration.currentClient.createPresenter = async () => { throw new Error('Current event API Error (500): boom'); };
+    const failed = await migration.processSubSessions([subSession('SS1', [presenter('ada@example.com'), presenter('grace@example.com', 'Grace')])], 'session-1', 456, {});
+    assert.strictEqual(failed.errors.length, 2);
+
+    // A resumed run starts with empty caches and finds the subsession and users in the checkpoint
+    Object.assign(migration, { usersByEmail: new Map(), presenterRoles: new Map() });
+    migration.currentClient.createPresenter = async payload => { requests.push(['presenter', payload.userId, payload.subSessionId]); return { id: 'presenter-1' }; };
+    requests = [];
+    const resumed = await migration.processSubSessions([subSession('SS1', [presenter('ada@example.com'), presenter('grace@example.com', 'Grace')])], 'session-1', 456, {});
+
+    assert.strictEqual(resumed.created, 0);
+    assert.deepStrictEqual(resumed.errors, []);
+    assert.deepStrictEqual(requests.filter(([kind]) => kind !== 'roles'), [
+      ['presenter', 'user-1', 'current-SS1'],
+      ['presenter', 'user-3', 'current-SS1']
+    ]);
+    assert.ok(completed.has('presenter:SS1:grace@example.com'));
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { QuarantineService } from '../../src/services/QuarantineService.js';
+import { MigrationService } from '../../src/services/MigrationService.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+
+const logger = new Proxy({}, { get: () => () => {} });
+
+const session = (id, start) => ({ SessionId: id, SessionName: `Session ${id}`, SessionStart: start, SessionEnd: '2025-03-10T10:00:00', SubSessions: [] });
+
+describe('QuarantineService', () => {
+  let workDir;
+  let migration;
+  let created;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'quarantine-test-'));
+    created = [];
+    migration = Object.assign(Object.create(MigrationService.prototype), {
+      logger,
+      validationService: new ValidationService({ dtos: ConfigManager.loadDTOs() }, logger),
+      currentClient: {
+        createOrUpdateSession: async payload => { created.push(payload); return { id: `current-${payload.sourceSystemId}` }; },
+        setMutationRecorder() {}
+      },
+      fileService: { setMutationRecorder() {} },
+      checkpointService: { runId: 'run-1', start: () => 'run-2', skipIfCompleted: () => null, markCompleted() {}, markStatus() {}, writeReport: () => null },
+      mappingLedger: { record() {} },
+      progressTracker: { startOperation() {}, updateProgress() {}, completeOperation() {} },
+      validateEnvironment: async () => {},
+      useEventSchedule: async () => null
+    });
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should keep a session failing validation with its errors and go on', async () => {
+    const quarantineDir = join(workDir, 'quarantine');
+    migration.useQuarantine(quarantineDir);
+
+    const result = await migration.processSessions([session('S1', 'soon'), session('S2', '2025-03-10T09:00:00')], 'room-1', 456, { legacyEventName: 'NACDS' });
+
+    assert.strictEqual(result.created, 1);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(readdirSync(quarantineDir), ['session-S1.json']);
+
+    const record = QuarantineService.readRecord(join(quarantineDir, 'session-S1.json'));
+    assert.strictEqual(record.legacyId, 'S1');
+    assert.strictEqual(record.name, 'Session S1');
+    assert.strictEqual(record.runId, 'run-1');
+    assert.strictEqual(record.attempts, 1);
+    assert.deepStrictEqual(record.context, { legacyEventName: 'NACDS', targetEventId: 456, roomId: 'room-1' });
+    assert.deepStrictEqual(record.details, [{ path: '/startsAt', message: '"startsAt" must be a string', type: 'string.base' }]);
+    assert.strictEqual(record.attempt.startsAt, null);
+    assert.strictEqual(record.legacyRecord.SessionStart, 'soon');
+    assert.deepStrictEqual(migration.quarantine.getReport().quarantined.map(entry => entry.file), ['session-S1.json']);
+
+    // Without a quarantine the failure stays an error
+    migration.quarantine = null;
+    const unquarantined = await migration.processSessions([session('S3', 'soon')], 'room-1', 456, { legacyEventName: 'NACDS' });
+    assert.match(unquarantined.errors[0].error, /Validation failed for session/);
+  });
+
+  it('should replay fixed records and release them, keeping the ones still failing', async () => {
+    const quarantineDir = join(workDir, 'quarantine');
+    migration.useQuarantine(quarantineDir);
+    await migration.processSessions([session('S1', 'soon'), session('S2', 'later')], 'room-1', 456, { legacyEventName: 'NACDS' });
+
+    const filePath = join(quarantineDir, 'session-S1.json');
+    const record = JSON.parse(readFileSync(filePath, 'utf8'));
+    record.legacyRecord.SessionStart = '2025-03-10T09:00:00';
+    writeFileSync(filePath, JSON.stringify(record, null, 2));
+
+    const result = await migration.replayQuarantine(quarantineDir);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.statistics.sessionsCreated, 1);
+    assert.deepStrictEqual(created.map(payload => [payload.sourceSystemId, payload.roomId, payload.eventId]), [['S1', 'room-1', 456]]);
+    assert.deepStrictEqual(readdirSync(quarantineDir), ['session-S2.json']);
+    assert.deepStrictEqual(result.quarantine.released.map(entry => entry.legacyId), ['S1']);
+    assert.strictEqual(QuarantineService.readRecord(join(quarantineDir, 'session-S2.json')).attempts, 2);
+
+    writeFileSync(join(quarantineDir, 'user-u-1.json'), JSON.stringify({ ...record, entityType: 'user', context: { legacyEventName: 'OTHER', targetEventId: 789 } }));
+    const mixed = await migration.replayQuarantine(quarantineDir);
+    assert.strictEqual(mixed.success, false);
+    assert.match(mixed.errors[0].message, /holds records of several events/);
+  });
+});
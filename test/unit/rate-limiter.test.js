@@ -0,0 +1,60 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { RateLimiter } from '../../src/utils/RateLimiter.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('RateLimiter', () => {
+  afterEach(() => {
+    RateLimiter.reset();
+  });
+
+  it('should never exceed the in-flight limit', async () => {
+    const limiter = new RateLimiter('legacy', { maxInFlight: 2 });
+    let active = 0;
+    let peak = 0;
+
+    await Promise.all(Array.from({ length: 6 }, () => limiter.schedule(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await wait(5);
+      active--;
+    })));
+
+    assert.strictEqual(peak, 2);
+    assert.strictEqual(limiter.statistics.queued, 4);
+    assert.strictEqual(limiter.inFlight, 0);
+  });
+
+  it('should spread requests over time once the bucket is empty', async () => {
+    const limiter = new RateLimiter('current-files', { requestsPerSecond: 100, burst: 2 });
+    const startedAt = Date.now();
+
+    await Promise.all(Array.from({ length: 5 }, () => limiter.schedule(async () => {})));
+
+    // Two go out immediately, the other three wait ~10ms each for a token
+    assert.ok(Date.now() - startedAt >= 25, `took ${Date.now() - startedAt}ms`);
+    assert.strictEqual(limiter.statistics.queued, 3);
+    assert.ok(limiter.statistics.throttledMs > 0);
+  });
+
+  it('should free the slot when a request fails', async () => {
+    const limiter = new RateLimiter('current-event', { maxInFlight: 1 });
+
+    await assert.rejects(limiter.schedule(async () => { throw new Error('HTTP 500 error'); }), /500/);
+    await limiter.schedule(async () => {});
+
+    assert.strictEqual(limiter.inFlight, 0);
+  });
+
+  it('should share one limiter per target', () => {
+    const config = { rateLimits: { legacy: { requestsPerSecond: 8, maxInFlight: 6 } } };
+
+    const first = RateLimiter.forTarget('legacy', config);
+    const second = RateLimiter.forTarget('legacy', {});
+
+    assert.strictEqual(first, second);
+    assert.strictEqual(second.maxInFlight, 6);
+    assert.deepStrictEqual(Object.keys(RateLimiter.getStatistics()), ['legacy']);
+  });
+});
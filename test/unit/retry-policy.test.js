@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import axios, { AxiosError } from 'axios';
+import { RetryPolicy } from '../../src/utils/RetryPolicy.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+/**
+ * Axios instance whose adapter answers with the given statuses in turn (null = network error)
+ */
+const createClient = (statuses, headers = {}) => {
+  const calls = [];
+  const client = axios.create({
+    baseURL: 'http://api.test',
+    adapter: async (config) => {
+      const status = statuses[Math.min(calls.length, statuses.length - 1)];
+      calls.push(config.method.toUpperCase());
+
+      if (status === null) {
+        throw new AxiosError('socket hang up', 'ECONNRESET', config, {});
+      }
+
+      const response = { data: { status }, status, statusText: '', headers, config };
+      if (status >= 400) {
+        throw new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, {}, response);
+      }
+      return response;
+    }
+  });
+
+  const policy = new RetryPolicy({ maxRetries: 3, retryDelay: 10, backoffMultiplier: 2 }, logger);
+  const delays = [];
+  policy.sleep = async (ms) => delays.push(ms);
+  policy.attach(client, 'legacy');
+
+  return { client, policy, calls, delays };
+};
+
+describe('RetryPolicy', () => {
+  it('should retry GETs on 5xx and network errors until they succeed', async () => {
+    const { client, policy, calls } = createClient([502, null, 200]);
+
+    const response = await client.get('/v2/Events/TEST/Rooms?apiKey=secret');
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(calls.length, 3);
+    assert.deepStrictEqual(policy.attempts.map(attempt => attempt.reason), ['HTTP 502', 'ECONNRESET']);
+    // The API key in the query string must not leak into the report
+    assert.strictEqual(policy.attempts[0].url, '/v2/Events/TEST/Rooms');
+  });
+
+  it('should give up after maxRetries', async () => {
+    const { client, calls } = createClient([503]);
+
+    await assert.rejects(client.get('/rooms'), /status code 503/);
+    assert.strictEqual(calls.length, 4);
+  });
+
+  it('should not repeat a POST that may have been processed, except on 429', async () => {
+    const failed = createClient([500, 201]);
+    await assert.rejects(failed.client.post('/rooms', { name: 'A' }), /status code 500/);
+    assert.strictEqual(failed.calls.length, 1);
+
+    const throttled = createClient([429, 201]);
+    const response = await throttled.client.post('/rooms', { name: 'A' });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(throttled.calls.length, 2);
+  });
+
+  it('should back off exponentially and honor Retry-After', async () => {
+    const { client, delays } = createClient([500, 500, 200]);
+    await client.get('/rooms');
+
+    assert.ok(delays[0] >= 5 && delays[0] <= 10, `first delay ${delays[0]}`);
+    assert.ok(delays[1] >= 10 && delays[1] <= 20, `second delay ${delays[1]}`);
+
+    const throttled = createClient([429, 200], { 'retry-after': '2' });
+    await throttled.client.get('/rooms');
+    assert.deepStrictEqual(throttled.delays, [2000]);
+  });
+});
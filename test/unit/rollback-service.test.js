@@ -0,0 +1,147 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { CheckpointService } from '../../src/services/CheckpointService.js';
+import { MappingLedgerService } from '../../src/services/MappingLedgerService.js';
+import { RollbackService } from '../../src/services/RollbackService.js';
+import { CurrentSystemApiClient } from '../../src/clients/CurrentSystemApiClient.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+describe('RollbackService', () => {
+  let workDir;
+  let config;
+  let runId;
+  let calls;
+  let client;
+
+  const configuration = { legacyEventName: 'TEST_EVENT', targetEventId: 123, roomName: null, skipFiles: false };
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'rollback-test-'));
+    config = {
+      migration: { runsDir: join(workDir, 'runs'), ledgerPath: join(workDir, 'ledger.jsonl') },
+      dtos: { current: { session: { update: { optional: ['name', 'description', 'startsAt', 'endsAt'] } } } }
+    };
+
+    // Journal a run: room created, session created then re-updated, existing session updated, file uploaded
+    const checkpoint = new CheckpointService(config, logger);
+    runId = checkpoint.start(configuration);
+    checkpoint.recordMutation({ operation: 'create', entityType: 'room', id: 'room-1', eventId: 123 });
+    checkpoint.recordMutation({ operation: 'create', entityType: 'session', id: 'session-1', eventId: 123 });
+    checkpoint.recordMutation({ operation: 'update', entityType: 'session', id: 'session-1', eventId: 123, before: { name: 'New' } });
+    checkpoint.recordMutation({
+      operation: 'update',
+      entityType: 'session',
+      id: 'session-2',
+      eventId: 123,
+      before: { id: 'session-2', name: 'Original', sourceSystemId: 'CS-2' }
+    });
+    checkpoint.recordMutation({ operation: 'create', entityType: 'sessionFile', id: 'file-1', eventId: 123 });
+
+    new MappingLedgerService(config, logger).record({
+      runId, legacyEventName: 'TEST_EVENT', targetEventId: 123, entityType: 'room', legacyId: 7, currentId: 'room-1'
+    });
+
+    calls = [];
+    client = {
+      deleteRoom: async (eventId, id) => calls.push(['deleteRoom', id]),
+      deleteSession: async (eventId, id) => calls.push(['deleteSession', id]),
+      deleteFile: async () => { throw new Error('Current files API Error (404): Not Found'); },
+      updateSession: async (id, data) => calls.push(['updateSession', id, data])
+    };
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should plan one action per entity in reverse order', () => {
+    const plan = new RollbackService(config, logger).plan(runId);
+
+    assert.deepStrictEqual(
+      plan.actions.map(action => `${action.action}:${action.id}`),
+      ['delete:file-1', 'restore:session-2', 'delete:session-1', 'delete:room-1']
+    );
+  });
+
+  it('should not touch the current system in a dry run', async () => {
+    const report = await new RollbackService(config, logger, client).rollback(runId, { dryRun: true });
+
+    assert.strictEqual(report.statistics.planned, 4);
+    assert.strictEqual(calls.length, 0);
+    assert.strictEqual(report.reportPath, undefined);
+  });
+
+  it('should delete created entities and restore updated ones', async () => {
+    const report = await new RollbackService(config, logger, client).rollback(runId);
+
+    assert.deepStrictEqual(calls.map(call => call.slice(0, 2)), [
+      ['updateSession', 'session-2'],
+      ['deleteSession', 'session-1'],
+      ['deleteRoom', 'room-1']
+    ]);
+    // Only fields accepted by the update DTO are restored
+    assert.deepStrictEqual(calls[0][2], { name: 'Original', id: 'session-2', eventId: 123 });
+    assert.strictEqual(report.statistics.alreadyGone, 1);
+    assert.strictEqual(report.statistics.failed, 0);
+    assert.ok(existsSync(report.reportPath));
+
+    const [mapping] = new MappingLedgerService(config, logger).query({ currentId: 'room-1' });
+    assert.strictEqual(mapping.status, 'rolled-back');
+  });
+
+  it('should delete files uploaded without an owner through the general upload route', async () => {
+    const checkpoint = new CheckpointService(config, logger);
+    const uploadRunId = checkpoint.start(configuration);
+    checkpoint.recordMutation({ operation: 'create', entityType: 'file', id: 'file-2', eventId: 123 });
+
+    const currentClient = Object.assign(Object.create(CurrentSystemApiClient.prototype), {
+      logger,
+      filesApiRequest: async (method, endpoint, data, params) => calls.push([method, endpoint, params])
+    });
+    const report = await new RollbackService(config, logger, currentClient).rollback(uploadRunId);
+
+    assert.deepStrictEqual(calls, [['DELETE', 'fileById', { fileId: 'file-2' }]]);
+    assert.strictEqual(report.statistics.failed, 0);
+  });
+
+  it('should revoke journaled role grants before deleting their user', async () => {
+    const checkpoint = new CheckpointService(config, logger);
+    const presenterRunId = checkpoint.start(configuration);
+    const currentClient = Object.assign(Object.create(CurrentSystemApiClient.prototype), {
+      logger,
+      mutationRecorder: checkpoint,
+      authApiRequest: async () => ''
+    });
+
+    checkpoint.recordMutation({ operation: 'create', entityType: 'user', id: 'user-1', eventId: 123 });
+    await currentClient.addUserRoles(123, { userName: 'ada@example.com', roles: ['Presenter'] });
+    checkpoint.recordMutation({ operation: 'create', entityType: 'presenter', id: 'presenter-1', eventId: 123 });
+
+    Object.assign(client, {
+      deletePresenter: async (eventId, id) => calls.push(['deletePresenter', id]),
+      removeUserRoles: async (eventId, roleData) => calls.push(['removeUserRoles', eventId, roleData]),
+      deleteUser: async (eventId, id) => calls.push(['deleteUser', id])
+    });
+    const report = await new RollbackService(config, logger, client).rollback(presenterRunId);
+
+    assert.deepStrictEqual(calls, [
+      ['deletePresenter', 'presenter-1'],
+      ['removeUserRoles', 123, { userName: 'ada@example.com', roles: ['Presenter'] }],
+      ['deleteUser', 'user-1']
+    ]);
+    assert.strictEqual(report.statistics.deleted, 3);
+  });
+
+  it('should refuse to roll back the same run twice', async () => {
+    await new RollbackService(config, logger, client).rollback(runId);
+
+    await assert.rejects(
+      new RollbackService(config, logger, client).rollback(runId),
+      /already been rolled back/
+    );
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createHash } from 'node:crypto';
+import { Readable } from 'node:stream';
+import { SnapshotService } from '../../src/services/SnapshotService.js';
+import { FileService } from '../../src/services/FileService.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+const sha256 = (content) => createHash('sha256').update(content).digest('hex');
+
+describe('SnapshotService', () => {
+  let workDir;
+  let downloads;
+
+  const legacyClient = {
+    getEvent: async () => ({ name: 'TEST_EVENT', id: 1 }),
+    getRooms: async () => [{ RoomId: 7, RoomName: 'Main Hall' }, { RoomId: 8, RoomName: 'Annex' }],
+    getUsers: async () => [{ id: 1, email: 'a@example.com' }],
+    getModerators: async () => [],
+    getSessions: async (eventName, roomId) => roomId === 7
+      ? [{ SessionId: 1, SessionName: 'Keynote', SubSessions: [{ SubSessionId: 11 }, { SubSessionId: 12 }] }]
+      : [],
+    getFiles: async (eventName, roomName) => roomName === 'Main Hall'
+      ? [{ FileId: 5, FileName: 'slides.pptx', FileSize: 6 }, { FileId: 6, FileName: 'broken.pdf' }]
+      : [{ FileId: 5, FileName: 'slides.pptx', FileSize: 6 }],
+    downloadFile: async (eventName, fileId) => {
+      downloads.push(fileId);
+      if (fileId === 6) throw new Error('Legacy API Error (404): HTTP 404 error');
+      return Readable.from([Buffer.from('binary')]);
+    }
+  };
+
+  const createService = () => new SnapshotService({}, logger, { legacyClient, fileService: new FileService({}, logger) });
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'snapshot-test-'));
+    downloads = [];
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should write records, binaries and a manifest with counts and hashes', async () => {
+    const manifest = await createService().capture('TEST_EVENT', workDir);
+
+    assert.deepStrictEqual(manifest.counts, {
+      rooms: 2, sessions: 1, subSessions: 2, users: 1, moderators: 0, files: 3, binaries: 1, binaryBytes: 6
+    });
+
+    const sessionsJson = readFileSync(join(workDir, 'rooms', '7', 'sessions.json'), 'utf8');
+    assert.strictEqual(JSON.parse(sessionsJson)[0].SubSessions.length, 2);
+    assert.strictEqual(manifest.records['rooms/7/sessions.json'].sha256, sha256(sessionsJson));
+
+    // A file listed in two rooms is downloaded once
+    assert.deepStrictEqual(downloads, [5, 6]);
+    assert.strictEqual(manifest.binaries[5].path, 'binaries/5.pptx');
+    assert.strictEqual(manifest.binaries[5].sha256, sha256('binary'));
+    assert.strictEqual(readFileSync(join(workDir, 'binaries', '5.pptx'), 'utf8'), 'binary');
+
+    assert.deepStrictEqual(manifest.failures.map(failure => failure.fileId), ['6']);
+    assert.deepStrictEqual(JSON.parse(readFileSync(join(workDir, 'manifest.json'), 'utf8')).counts, manifest.counts);
+  });
+
+  it('should refuse to overwrite an existing snapshot', async () => {
+    await createService().capture('TEST_EVENT', workDir, { skipFiles: true });
+
+    assert.deepStrictEqual(downloads, []);
+    await assert.rejects(createService().capture('TEST_EVENT', workDir), /already contains a snapshot/);
+  });
+});
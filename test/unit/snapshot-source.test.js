@@ -0,0 +1,97 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { Readable } from 'node:stream';
+import { SnapshotService } from '../../src/services/SnapshotService.js';
+import { SnapshotLegacySource } from '../../src/clients/SnapshotLegacySource.js';
+import { FileService } from '../../src/services/FileService.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+describe('SnapshotLegacySource', () => {
+  let snapshotDir;
+
+  const legacyClient = {
+    getEvent: async () => ({ name: 'TEST_EVENT', id: 1 }),
+    getRooms: async () => [{ RoomId: 7, RoomName: 'Main Hall' }, { RoomId: 8, RoomName: 'Annex' }],
+    getUsers: async () => [{ id: 1, email: 'a@example.com', roomId: 7 }, { id: 2, email: 'b@example.com', roomId: 8 }],
+    getModerators: async () => [],
+    getSessions: async (eventName, roomId) => roomId === 7
+      ? [{ SessionId: 1, SessionName: 'Keynote', SubSessions: [{ SubSessionId: 11 }, { SubSessionId: 12 }] }]
+      : [{ SessionId: 2, SessionName: 'Workshop', SubSessions: [] }],
+    getFiles: async (eventName, roomName) => roomName === 'Main Hall'
+      ? [{ FileId: 5, FileName: 'slides.pptx', FileSize: 6 }, { FileId: 9, FileName: 'agenda.pdf', FileSize: 6 }]
+      : [{ FileId: 5, FileName: 'slides.pptx', FileSize: 6 }],
+    downloadFile: async (eventName, fileId) => Readable.from([Buffer.from(fileId === 5 ? 'slides' : 'agenda')])
+  };
+
+  const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+  };
+
+  before(async () => {
+    snapshotDir = mkdtempSync(join(tmpdir(), 'snapshot-source-test-'));
+    const snapshotService = new SnapshotService({}, logger, { legacyClient, fileService: new FileService({}, logger) });
+    await snapshotService.capture('TEST_EVENT', snapshotDir);
+  });
+
+  after(() => {
+    rmSync(snapshotDir, { recursive: true, force: true });
+  });
+
+  it('should serve the captured records like the legacy API', async () => {
+    const source = new SnapshotLegacySource(snapshotDir, logger);
+
+    assert.strictEqual(await source.testConnection(), true);
+    assert.deepStrictEqual((await source.getRooms('test_event')).map(room => room.RoomName), ['Main Hall', 'Annex']);
+    assert.deepStrictEqual((await source.getSessions('TEST_EVENT', 7)).map(session => session.SessionName), ['Keynote']);
+    assert.strictEqual((await source.getSessions('TEST_EVENT')).length, 2);
+    assert.strictEqual((await source.getSubSessions('TEST_EVENT', 1)).length, 2);
+    assert.deepStrictEqual((await source.getUsers('TEST_EVENT', 8)).map(user => user.id), [2]);
+    assert.deepStrictEqual((await source.getFiles('TEST_EVENT', 'Annex')).map(file => file.FileId), [5]);
+    assert.deepStrictEqual((await source.getFiles('TEST_EVENT')).map(file => file.FileId), [5, 9]);
+    assert.strictEqual(await readStream(await source.downloadFile('TEST_EVENT', 9)), 'agenda');
+  });
+
+  it('should reject another event and files without a binary', async () => {
+    const source = new SnapshotLegacySource(snapshotDir, logger);
+
+    await assert.rejects(source.getRooms('OTHER_EVENT'), /contains event "TEST_EVENT", not "OTHER_EVENT"/);
+    await assert.rejects(source.getRoom('TEST_EVENT', 'Lobby'), /Room 'Lobby' not found/);
+    await assert.rejects(source.downloadFile('TEST_EVENT', 42), /no binary for file 42/);
+    assert.throws(() => new SnapshotLegacySource(join(snapshotDir, 'rooms'), logger), /No snapshot found/);
+  });
+
+  it('should only accept "api" or "snapshot:<dir>" as source', () => {
+    const base = { legacyEventName: 'TEST_EVENT', targetEventId: 1 };
+
+    assert.strictEqual(ConfigManager.validateConfig({ ...base, source: `snapshot:${snapshotDir}` }).source, `snapshot:${snapshotDir}`);
+    assert.strictEqual(ConfigManager.validateConfig(base).source, null);
+    assert.throws(() => ConfigManager.validateConfig({ ...base, source: 'snapshot:' }), /Source must be/);
+  });
+
+  it('should detect a modified file binary', async () => {
+    const tamperedDir = mkdtempSync(join(tmpdir(), 'snapshot-source-test-'));
+    try {
+      const snapshotService = new SnapshotService({}, logger, { legacyClient, fileService: new FileService({}, logger) });
+      await snapshotService.capture('TEST_EVENT', tamperedDir);
+      const source = new SnapshotLegacySource(tamperedDir, logger);
+      writeFileSync(join(tamperedDir, source.manifest.binaries[9].path), 'agenDA');
+
+      await assert.rejects(source.testConnection(), /binaries\/9\.pdf is modified/);
+    } finally {
+      rmSync(tamperedDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should detect a modified record file', async () => {
+    writeFileSync(join(snapshotDir, 'users.json'), '[]');
+
+    await assert.rejects(new SnapshotLegacySource(snapshotDir, logger).testConnection(), /users\.json is modified/);
+  });
+});
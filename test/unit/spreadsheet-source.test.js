@@ -0,0 +1,95 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { SpreadsheetLegacySource } from '../../src/clients/SpreadsheetLegacySource.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+describe('SpreadsheetLegacySource', () => {
+  let sourceDir;
+
+  const write = (name, lines) => writeFileSync(join(sourceDir, name), lines.join('\r\n'));
+
+  beforeEach(() => {
+    sourceDir = mkdtempSync(join(tmpdir(), 'spreadsheet-source-test-'));
+    write('Rooms.csv', ['\uFEFFRoom ID,Room Name,Notes', 'R1,Main Hall,Plenary', 'R2,Annex,', '']);
+    write('sessions.csv', [
+      'Session ID;Room;Session Title;Description;Start;End',
+      'S1;Main Hall;Keynote;"Opening; with ""guests""";2025-03-10T09:00:00Z;2025-03-10T10:00:00Z',
+      'S2;R2;Workshop;;2025-03-10T11:00:00Z;2025-03-10T12:00:00Z'
+    ]);
+    write('subsessions.csv', [
+      'Session ID,Title,Start Time,End Time',
+      'S1,Welcome,2025-03-10T09:00:00Z,2025-03-10T09:15:00Z',
+      'S1,"Vision, 2025",2025-03-10T09:15:00Z,2025-03-10T10:00:00Z'
+    ]);
+    write('presenters.csv', ['Email,First Name,Last Name,Room', 'ada@example.com,Ada,Lovelace,Main Hall', 'grace@example.com,Grace,Hopper,']);
+  });
+
+  afterEach(() => {
+    rmSync(sourceDir, { recursive: true, force: true });
+  });
+
+  it('should map spreadsheet rows to legacy-shaped records', async () => {
+    const source = new SpreadsheetLegacySource(sourceDir, logger);
+    assert.strictEqual(await source.testConnection(), true);
+
+    const rooms = await source.getRooms('ACME');
+    assert.deepStrictEqual(rooms.map(room => [room.RoomId, room.RoomName]), [['R1', 'Main Hall'], ['R2', 'Annex']]);
+
+    const [keynote] = await source.getSessions('ACME', 'R1');
+    assert.strictEqual(keynote.Description, 'Opening; with "guests"');
+    assert.deepStrictEqual(keynote.SubSessions.map(sub => [sub.SubSessionId, sub.SubSessionName, sub.SubSessionOrder]), [
+      ['S1:1', 'Welcome', 1],
+      ['S1:2', 'Vision, 2025', 2]
+    ]);
+    assert.deepStrictEqual((await source.getSessions('ACME', 'R2')).map(session => session.SessionName), ['Workshop']);
+
+    assert.deepStrictEqual((await source.getUsers('ACME', 'R1')).map(user => user.email), ['ada@example.com']);
+    assert.strictEqual((await source.getUsers('ACME')).length, 2);
+    assert.deepStrictEqual(await source.getFiles('ACME', 'Main Hall'), []);
+  });
+
+  it('should produce records the validation transforms accept', async () => {
+    const source = new SpreadsheetLegacySource(sourceDir, logger);
+    const validationService = new ValidationService({ dtos: ConfigManager.loadDTOs() }, logger);
+
+    const [room] = await source.getRooms('ACME');
+    const [session] = await source.getSessions('ACME', room.RoomId);
+
+    const transformedRoom = await validationService.transformLegacyRoom(room, 456);
+    assert.strictEqual(transformedRoom.name, 'Main Hall');
+    assert.strictEqual(transformedRoom.legacyId, 'R1');
+
+    const transformedSession = await validationService.transformLegacySession(session, 'room-11', 456);
+    assert.strictEqual(transformedSession.sourceSystemId, 'S1');
+    assert.strictEqual(transformedSession.startsAt, '2025-03-10T09:00:00.000Z');
+
+    const transformedSubSession = await validationService.transformLegacySubSession(session.SubSessions[1], 'session-21', 456);
+    assert.strictEqual(transformedSubSession.name, 'Vision, 2025');
+  });
+
+  it('should apply a mapping.json override', async () => {
+    write('sessions.csv', ['Talk ID,Hall,Talk,Start,End', 'T1,Annex,Lightning talks,2025-03-10T13:00:00Z,2025-03-10T14:00:00Z']);
+    writeFileSync(join(sourceDir, 'mapping.json'), JSON.stringify({
+      sessions: { columns: { SessionId: 'Talk ID', Room: ['Hall'], SessionName: 'Talk' } }
+    }));
+
+    const source = new SpreadsheetLegacySource(sourceDir, logger);
+
+    assert.deepStrictEqual((await source.getSessions('ACME', 'R2')).map(session => [session.SessionId, session.SessionName]), [['T1', 'Lightning talks']]);
+  });
+
+  it('should report rows that link to unknown rooms or sessions', async () => {
+    write('sessions.csv', ['Session ID,Room,Session Title', 'S1,Ballroom,Keynote']);
+
+    await assert.rejects(
+      new SpreadsheetLegacySource(sourceDir, logger).testConnection(),
+      /3 problem\(s\): sessions row 2: unknown room "Ballroom"; subsessions row 2: unknown session "S1"/
+    );
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { TimeZoneConverter } from '../../src/utils/TimeZoneConverter.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { MigrationService } from '../../src/services/MigrationService.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+const session = (id, start, end) => ({ SessionId: id, SessionName: `Session ${id}`, SessionStart: start, SessionEnd: end });
+
+describe('TimeZoneConverter', () => {
+  it('should convert wall-clock times across daylight saving changes', () => {
+    const newYork = new TimeZoneConverter('America/New_York');
+
+    assert.strictEqual(newYork.toUtc('2025-03-08T09:00:00'), '2025-03-08T14:00:00.000Z');
+    assert.strictEqual(newYork.toUtc('2025-03-10 09:00'), '2025-03-10T13:00:00.000Z');
+    // 02:30 does not exist on the spring-forward date and 01:30 happens twice on the fall-back date
+    assert.strictEqual(newYork.toUtc('2025-03-09T02:30:00'), '2025-03-09T07:30:00.000Z');
+    assert.strictEqual(newYork.toUtc('2025-11-02T01:30:00'), '2025-11-02T05:30:00.000Z');
+    // Explicit offsets keep their instant
+    assert.strictEqual(newYork.toUtc('2025-03-10T09:00:00+01:00'), '2025-03-10T08:00:00.000Z');
+    assert.strictEqual(newYork.toUtc('not a date'), null);
+
+    const sydney = new TimeZoneConverter('AUS Eastern Standard Time');
+    assert.strictEqual(sydney.timeZone, 'Australia/Sydney');
+    assert.strictEqual(sydney.toUtc('2025-04-06T02:30:00'), '2025-04-05T15:30:00.000Z');
+    assert.strictEqual(sydney.toLocalDate('2025-04-05T15:30:00.000Z'), '2025-04-06');
+
+    assert.throws(() => new TimeZoneConverter('Mars/Olympus_Mons'), /Unknown time zone "Mars\/Olympus_Mons"/);
+    assert.throws(() => ConfigManager.validateConfig({ legacyEventName: 'E', targetEventId: 1, timeZone: 'PST8PDT/Nowhere' }), /Unknown time zone "PST8PDT\/Nowhere"/);
+  });
+
+  it('should read session times in the event zone and flag sessions outside the event dates', async () => {
+    const validationService = new ValidationService({ dtos: ConfigManager.loadDTOs() }, logger);
+    validationService.setEventSchedule({ timeZone: 'Pacific Standard Time', startDate: '2025-03-09', endDate: '2025-03-10' });
+
+    // An evening session on the West Coast is the next day in UTC, but still inside the event
+    const evening = await validationService.transformLegacySession(session('S1', '2025-03-10T18:00:00', '2025-03-10T19:30:00'), 'room-1', 456);
+    assert.strictEqual(evening.startsAt, '2025-03-11T01:00:00.000Z');
+    assert.strictEqual(evening.endsAt, '2025-03-11T02:30:00.000Z');
+
+    await validationService.transformLegacySession(session('S2', '2025-03-11T09:00:00', '2025-03-11T10:00:00'), 'room-1', 456);
+    await validationService.transformLegacySubSession({
+      SubSessionId: 'SS1', SubSessionName: 'Warm-up', StartTime: '2025-03-08T23:30:00', EndTime: '2025-03-09T00:30:00'
+    }, 'session-1', 456);
+
+    const flags = validationService.takeDateRangeFlags();
+    assert.deepStrictEqual(flags.map(flag => [flag.entityType, flag.sourceSystemId, flag.message]), [
+      ['session', 'S2', 'Session "Session S2" (S2) runs on 2025-03-11 in America/Los_Angeles, outside the event dates 2025-03-09 to 2025-03-10'],
+      ['subSession', 'SS1', 'SubSession "Warm-up" (SS1) runs on 2025-03-08 in America/Los_Angeles, outside the event dates 2025-03-09 to 2025-03-10']
+    ]);
+    assert.deepStrictEqual(validationService.takeDateRangeFlags(), []);
+  });
+
+  it('should take the event zone from the CLI, then the legacy event, then the target event', async () => {
+    const migration = Object.assign(Object.create(MigrationService.prototype), {
+      logger,
+      validationService: new ValidationService({ dtos: ConfigManager.loadDTOs() }, logger),
+      legacyClient: { getEvent: async () => ({ name: 'NACDS', TimeZone: 'Eastern Standard Time' }) },
+      currentClient: {
+        getEvent: async () => ({ id: 456, timeZone: 'Europe/Berlin', startDate: '2025-03-09T00:00:00Z', endDate: '2025-03-10' }),
+        getEventLocations: async () => [{ id: 51, address: { timeZone: 'Nowhere/Unknown' } }]
+      }
+    });
+
+    const fromCli = await migration.useEventSchedule('NACDS', 456, 'America/Chicago');
+    assert.deepStrictEqual(fromCli, { timeZone: 'America/Chicago', startDate: '2025-03-09T00:00:00Z', endDate: '2025-03-10' });
+    assert.deepStrictEqual(migration.validationService.eventDates, { start: '2025-03-08', end: '2025-03-10' });
+
+    assert.strictEqual((await migration.useEventSchedule('NACDS', 456)).timeZone, 'Eastern Standard Time');
+    assert.strictEqual(migration.validationService.timeZoneConverter.timeZone, 'America/New_York');
+
+    migration.legacyClient.getEvent = async () => { throw new Error('legacy API down'); };
+    assert.strictEqual((await migration.useEventSchedule('NACDS', 456)).timeZone, 'Europe/Berlin');
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { TransformHookService } from '../../src/services/TransformHookService.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { ChangePlanService } from '../../src/services/ChangePlanService.js';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+const HOOKS_MODULE = `
+export const filterRoom = room => room.RoomName !== 'Speaker Ready';
+
+export function beforeSession(session) {
+  session.SessionName = session.SessionTrack + ' ' + session.SessionName;
+}
+
+export async function afterSession(payload, { legacy }) {
+  return legacy.Internal ? null : payload;
+}
+
+export const afterUser = payload => ({ ...payload, firstName: payload.firstName.toUpperCase() });
+
+export const helper = 'not a hook';
+`;
+
+const session = (id, name, extra = {}) => ({
+  SessionId: id,
+  SessionName: name,
+  SessionTrack: 'T1',
+  SessionStart: '2025-03-10T09:00:00Z',
+  SessionEnd: '2025-03-10T10:00:00Z',
+  ...extra
+});
+
+describe('TransformHookService', () => {
+  let workDir;
+  let validationService;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'transform-hooks-test-'));
+    validationService = new ValidationService({ dtos: ConfigManager.loadDTOs() }, logger);
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  // Imported modules are cached by path, so every load gets its own file
+  let loads = 0;
+  const loadHooks = async (source = HOOKS_MODULE) => {
+    const modulePath = join(workDir, `hooks-${++loads}.mjs`);
+    writeFileSync(modulePath, source);
+    const hooks = await TransformHookService.load(modulePath, logger);
+    validationService.setTransformHooks(hooks);
+    return hooks;
+  };
+
+  it('should let hooks change, replace and skip records and record every decision', async () => {
+    const hooks = await loadHooks();
+    const legacySession = session('S1', 'Keynote');
+
+    assert.strictEqual(await validationService.transformLegacyRoom({ RoomId: 1, RoomName: 'Speaker Ready' }, 456), null);
+    assert.strictEqual((await validationService.transformLegacyRoom({ RoomId: 2, RoomName: 'Main Hall' }, 456)).name, 'Main Hall');
+
+    assert.strictEqual((await validationService.transformLegacySession(legacySession, 'room-2', 456)).name, 'T1 Keynote');
+    assert.strictEqual(legacySession.SessionName, 'Keynote', 'hooks work on a copy of the legacy record');
+    assert.strictEqual(await validationService.transformLegacySession(session('S2', 'Staff Briefing', { Internal: true }), 'room-2', 456), null);
+
+    const user = await validationService.transformLegacyUser({ id: 9, email: 'ada@example.com', firstName: 'Ada', lastName: 'L' }, 456);
+    assert.strictEqual(user.firstName, 'ADA');
+
+    const report = hooks.getReport();
+    assert.deepStrictEqual(Object.keys(report.summary).sort(), ['afterSession', 'afterUser', 'beforeSession', 'filterRoom']);
+    assert.deepStrictEqual(report.summary.filterRoom, { kept: 1, modified: 0, replaced: 0, skipped: 1 });
+    assert.deepStrictEqual(report.summary.afterSession, { kept: 1, modified: 0, replaced: 0, skipped: 1 });
+    assert.deepStrictEqual(report.decisions, [
+      { hook: 'filterRoom', entityType: 'room', legacyId: '1', decision: 'skipped' },
+      { hook: 'beforeSession', entityType: 'session', legacyId: 'S1', decision: 'modified', fields: ['SessionName'] },
+      { hook: 'beforeSession', entityType: 'session', legacyId: 'S2', decision: 'modified', fields: ['SessionName'] },
+      { hook: 'afterSession', entityType: 'session', legacyId: 'S2', decision: 'skipped' },
+      { hook: 'afterUser', entityType: 'user', legacyId: '9', decision: 'replaced', fields: ['firstName'] }
+    ]);
+  });
+
+  it('should reject misspelled hooks and name the hook in its errors', async () => {
+    await assert.rejects(loadHooks('export const beforeRooms = room => room;'), /Unknown transform hook "beforeRooms"/);
+    await assert.rejects(loadHooks('export const filterUser = true;'), /Transform hook "filterUser" must be a function/);
+
+    await loadHooks('export const beforeRoom = () => { throw new Error("no rooms today"); };');
+    await assert.rejects(
+      validationService.transformLegacyRoom({ RoomId: 1, RoomName: 'Main Hall' }, 456),
+      /Room transformation failed: Transform hook beforeRoom failed: no rooms today/
+    );
+  });
+
+  it('should leave skipped rooms and everything in them out of the change plan', async () => {
+    await loadHooks();
+    const planner = new ChangePlanService({ dtos: ConfigManager.loadDTOs() }, logger, {
+      legacyClient: {
+        getRooms: async () => [],
+        getSessions: async (eventName, roomId) => (roomId === 1 ? [session('S1', 'Hidden')] : [session('S2', 'Keynote')]),
+        getUsers: async () => [],
+        getFiles: async () => []
+      },
+      currentClient: {},
+      validationService,
+      getLegacyId: (entityType, record) => record.RoomId || record.SessionId
+    });
+
+    const plan = { entries: [] };
+    const context = { legacyEventName: 'NACDS', targetEventId: 456, eventLocations: [{ id: 51 }], skipFiles: true, existing: { rooms: new Map(), sessions: new Map(), users: new Map() } };
+    await planner.planRoom({ RoomId: 1, RoomName: 'Speaker Ready' }, plan, context);
+    await planner.planRoom({ RoomId: 2, RoomName: 'Main Hall' }, plan, context);
+
+    assert.deepStrictEqual(plan.entries.map(entry => [entry.entityType, entry.name, entry.action]), [
+      ['room', 'Main Hall', 'create'],
+      ['session', 'Keynote', 'create']
+    ]);
+    assert.strictEqual(plan.entries[1].payload.name, 'T1 Keynote');
+  });
+});
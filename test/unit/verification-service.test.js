@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ConfigManager } from '../../src/config/ConfigManager.js';
+import { ValidationService } from '../../src/services/ValidationService.js';
+import { VerificationService } from '../../src/services/VerificationService.js';
+
+const logger = { info() {}, warn() {}, debug() {}, error() {} };
+
+describe('VerificationService', () => {
+  const config = { dtos: ConfigManager.loadDTOs() };
+
+  const legacySessions = [
+    {
+      SessionId: 1,
+      ClientSessionId: 'CS-1',
+      SessionName: 'Opening Keynote',
+      SessionStart: '2025-03-01T09:00:00Z',
+      SessionEnd: '2025-03-01T10:00:00Z',
+      SubSessions: [
+        { SubSessionId: 11, ClientSubSessionId: 'CSS-11', SubSessionName: 'Welcome', StartTime: '2025-03-01T09:00:00Z', EndTime: '2025-03-01T09:10:00Z', SubSessionOrder: 1 }
+      ]
+    },
+    { SessionId: 2, ClientSessionId: 'CS-2', SessionName: 'Panel', SessionStart: '2025-03-01T11:00:00Z', SessionEnd: '2025-03-01T12:00:00Z' }
+  ];
+
+  const currentEntities = (overrides = {}) => ({
+    rooms: [{ id: 'room-uuid', name: 'Main Hall', displayName: 'Main Hall' }],
+    sessions: [
+      { id: 'session-1', sourceSystemId: 'CS-1', roomId: 'room-uuid', name: 'Opening Keynote', description: null, startsAt: '2025-03-01T09:00:00.000Z', endsAt: '2025-03-01T10:00:00.000Z' },
+      { id: 'session-2', sourceSystemId: 'CS-2', roomId: 'room-uuid', name: 'Panel', startsAt: '2025-03-01T11:00:00Z', endsAt: '2025-03-01T12:00:00Z' }
+    ],
+    subSessions: [
+      { id: 'sub-11', sourceSystemId: 'CSS-11', sessionId: 'session-1', name: 'Welcome', startsAt: '2025-03-01T09:00:00Z', endsAt: '2025-03-01T09:10:00Z', order: 1 }
+    ],
+    users: [],
+    files: [{ id: 'file-1', name: 'slides.pptx', fileSizeInBytes: 2048 }],
+    ...overrides
+  });
+
+  const createVerifier = (current) => new VerificationService(config, logger, {
+    legacyClient: {
+      getRooms: async () => [{ RoomId: 7, RoomName: 'Main Hall' }],
+      getSessions: async () => legacySessions,
+      getFiles: async () => [{ FileId: 5, FileName: 'Slides.pptx', FileSize: 2048 }],
+      getUsers: async () => []
+    },
+    currentClient: {
+      getRooms: async () => current.rooms,
+      getSessions: async () => current.sessions,
+      getSubSessions: async () => current.subSessions,
+      getUsers: async () => current.users,
+      getEventFiles: async () => current.files
+    },
+    validationService: new ValidationService(config, logger)
+  });
+
+  it('should report no drift when both sides match', async () => {
+    const report = await createVerifier(currentEntities()).verify('TEST_EVENT', 123);
+
+    assert.strictEqual(report.drift, false, JSON.stringify(report.discrepancies));
+    assert.strictEqual(report.summary.session.matched, 2);
+    assert.strictEqual(report.summary.file.matched, 1);
+  });
+
+  it('should report missing, extra and mismatched entities', async () => {
+    const current = currentEntities();
+    current.sessions = [
+      { ...current.sessions[0], name: 'Keynote (edited)' },
+      { id: 'session-9', sourceSystemId: 'CS-9', roomId: 'room-uuid', name: 'Stray' }
+    ];
+
+    const report = await createVerifier(current).verify('TEST_EVENT', 123);
+    const kinds = report.discrepancies
+      .filter(discrepancy => discrepancy.entityType === 'session')
+      .map(discrepancy => `${discrepancy.kind}:${discrepancy.key || discrepancy.currentId}`);
+
+    assert.strictEqual(report.drift, true);
+    assert.deepStrictEqual(kinds, ['mismatch:CS-1', 'missing:CS-2', 'extra:session-9']);
+    assert.deepStrictEqual(report.discrepancies[0].fields, [{ field: 'name', expected: 'Opening Keynote', actual: 'Keynote (edited)' }]);
+  });
+
+  it('should flag children attached to the wrong parent', async () => {
+    const current = currentEntities();
+    current.subSessions = [{ ...current.subSessions[0], sessionId: 'session-2' }];
+
+    const report = await createVerifier(current).verify('TEST_EVENT', 123);
+    const [discrepancy] = report.discrepancies;
+
+    assert.strictEqual(discrepancy.entityType, 'subSession');
+    assert.deepStrictEqual(discrepancy.fields, [{ field: 'sessionId', expected: 'session-1', actual: 'session-2' }]);
+  });
+
+  it('should expect subsession presenters as users, once per email', async () => {
+    const [keynote] = legacySessions;
+    keynote.SubSessions[0].Presenters = [
+      { email: 'ada@example.com', firstName: 'Ada', lastName: 'Lovelace' },
+      { email: 'ADA@example.com', firstName: 'Ada', lastName: 'Lovelace' }
+    ];
+
+    try {
+      const report = await createVerifier(currentEntities({
+        users: [{ id: 'user-1', email: 'ada@example.com', firstName: 'Ada', lastName: 'Lovelace' }]
+      })).verify('TEST_EVENT', 123);
+
+      assert.strictEqual(report.drift, false, JSON.stringify(report.discrepancies));
+      assert.deepStrictEqual(report.summary.user, { legacy: 1, current: 1, matched: 1, missing: 0, extra: 0, mismatched: 0 });
+    } finally {
+      delete keynote.SubSessions[0].Presenters;
+    }
+  });
+
+  it('should expect only the users of the verified rooms, as the migration fetches them per room', async () => {
+    const legacyUsers = [
+      { id: 1, email: 'ada@example.com', firstName: 'Ada', lastName: 'Lovelace', roomId: 7 },
+      { id: 2, email: 'grace@example.com', firstName: 'Grace', lastName: 'Hopper', roomId: 8 },
+      { id: 3, email: 'linus@example.com', firstName: 'Linus', lastName: 'Torvalds', roomId: null }
+    ];
+    const verifier = createVerifier(currentEntities({
+      users: [{ id: 'user-1', email: 'ada@example.com', firstName: 'Ada', lastName: 'Lovelace' }]
+    }));
+    Object.assign(verifier.legacyClient, {
+      getRoom: async () => ({ RoomId: 7, RoomName: 'Main Hall' }),
+      getUsers: async (eventName, roomId) => legacyUsers.filter(user => user.roomId === roomId)
+    });
+
+    const report = await verifier.verify('TEST_EVENT', 123);
+    assert.strictEqual(report.drift, false, JSON.stringify(report.discrepancies));
+    assert.deepStrictEqual(report.summary.user, { legacy: 1, current: 1, matched: 1, missing: 0, extra: 0, mismatched: 0 });
+
+    // A single-room run is verified without reporting the other rooms' entities as extra
+    verifier.currentClient.getRooms = async () => [...currentEntities().rooms, { id: 'room-2', name: 'Annex' }];
+    const singleRoom = await verifier.verify('TEST_EVENT', 123, { roomName: 'Main Hall' });
+    assert.strictEqual(singleRoom.drift, false, JSON.stringify(singleRoom.discrepancies));
+    assert.strictEqual(singleRoom.roomName, 'Main Hall');
+    assert.strictEqual(singleRoom.notes.length, 1);
+  });
+});